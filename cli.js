@@ -0,0 +1,347 @@
+#!/usr/bin/env node
+// Command-line tools for preparing quizzes without the browser:
+//
+//   node cli.js generate <topics-file> [options]   generate quizzes in bulk
+//   node cli.js validate <file|dir>...              check quiz files against the question schema
+//   node cli.js models                              list the models the provider offers
+//
+// Uses the same .env settings as the server (LLM_PROVIDER, GENERATION_RETRIES,
+// TOPIC_ALLOWLIST/TOPIC_DENYLIST, QUESTION_SIMILARITY).
+require('dotenv').config();
+const { parseArgs } = require('util');
+const fs = require('fs/promises');
+const path = require('path');
+
+const USAGE = `Usage: node cli.js <command> [options]
+
+Commands:
+  generate <topics-file>   Generate one quiz per topic into a directory.
+                           The file lists one topic per line (# starts a comment),
+                           or is a CSV with a "topic" header and optional
+                           count, difficulty, types and language columns.
+    --out <dir>            output directory (default: quizzes-out)
+    --format <name>        json (default), gift, moodle_xml, qti, csv or html
+    --count <n>            questions per quiz, 1-20 (default: 5)
+    --difficulty <level>   easy, medium (default), hard or expert
+    --types <list>         comma-separated question types (default: single)
+    --language <code>      quiz language (default: en)
+    --concurrency <n>      quizzes generated at the same time (default: 2)
+    --force                regenerate topics whose output file already exists
+
+  validate <path>...       Check quiz files (.json, .gift.txt, .csv) or every
+                           such file in a directory.
+
+  models                   List the models available to LLM_PROVIDER and flag
+                           configured models it does not offer.
+    --json                 print the provider's full model records
+
+  --verbose                show the server's log lines (LOG_LEVEL, default info)
+  --help                   show this help
+`;
+
+const argv = process.argv.slice(2);
+// Progress goes to stdout; the JSON logs of the shared modules only show errors
+// unless --verbose is given. The level is read when the logger is first loaded.
+process.env.LOG_LEVEL = argv.includes('--verbose') ? process.env.LOG_LEVEL || 'info' : 'error';
+
+const { createProvider } = require('./lib/providers');
+const { createGenerator } = require('./lib/generator');
+const { createSafetyPolicy, parseTermList, cleanInput } = require('./lib/safety');
+const { parseTypes, validateStoredQuestion } = require('./lib/questionTypes');
+const { parseDifficulty } = require('./lib/difficulty');
+const { parseLanguage, listLanguages } = require('./lib/languages');
+const { writeFileAtomic } = require('./lib/util');
+const { exportQuiz, exportExtension, importQuestions, exportFormats } = require('./lib/formats');
+const { slugify, parseCsvRows } = require('./lib/formats/common');
+const { logger } = require('./lib/logger');
+
+function usageError(message) {
+  const e = new Error(message);
+  e.usage = true;
+  return e;
+}
+
+function parseCount(value, label) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1 || n > 20) throw usageError(`${label} must be an integer between 1 and 20.`);
+  return n;
+}
+
+// Shared by the command line defaults and the topics file columns
+function parseQuizSettings({ count, difficulty, types, language }) {
+  const settings = {
+    count: parseCount(count, 'Count'),
+    difficulty: parseDifficulty(difficulty),
+    types: parseTypes(typeof types === 'string' && types.trim() ? types.split(/[,;|\s]+/).filter(Boolean) : undefined),
+    language: parseLanguage(language)
+  };
+  if (!settings.difficulty) throw usageError('Difficulty must be one of easy, medium, hard or expert.');
+  if (!settings.types) throw usageError(`Unknown question type in "${types}".`);
+  if (!settings.language) {
+    throw usageError(`Unsupported language "${language}". Use one of: ${listLanguages().map(l => l.code).join(', ')}.`);
+  }
+  return settings;
+}
+
+// Topics file -> [{ line, topic, count, difficulty, types, language }]. Every
+// problem in the file is reported at once, before anything is generated.
+function readTopics(text, defaults) {
+  const lines = String(text).replace(/^\uFEFF/, '').split(/\r?\n/);
+  const first = lines.findIndex(l => l.trim() && !l.trim().startsWith('#'));
+  const header = first >= 0 ? parseCsvRows(lines[first])[0].map(h => h.trim().toLowerCase()) : [];
+  const entries = [];
+  if (header.includes('topic')) {
+    // CSV: line numbers assume one row per line (quoted cells may span lines)
+    parseCsvRows(lines.slice(first).join('\n')).slice(1).forEach((cells, i) => {
+      const row = Object.fromEntries(header.map((h, k) => [h, (cells[k] || '').trim()]));
+      if (Object.values(row).some(Boolean)) entries.push({ line: first + i + 2, row });
+    });
+  } else {
+    lines.forEach((l, i) => {
+      if (l.trim() && !l.trim().startsWith('#')) entries.push({ line: i + 1, row: { topic: l.trim() } });
+    });
+  }
+
+  const topics = [];
+  const problems = [];
+  for (const { line, row } of entries) {
+    try {
+      const topic = cleanInput(row.topic);
+      if (topic.length < 3) throw usageError('Invalid topic (min 3 chars).');
+      const settings = parseQuizSettings({
+        count: row.count || defaults.count,
+        difficulty: row.difficulty || defaults.difficulty,
+        types: row.types || defaults.types,
+        language: row.language || defaults.language
+      });
+      topics.push({ line, topic, ...settings });
+    } catch (err) {
+      problems.push(`line ${line}: ${err.message}`);
+    }
+  }
+  if (problems.length) throw usageError(`The topics file has problems:\n  ${problems.join('\n  ')}`);
+  if (!topics.length) throw usageError('The topics file does not list any topics.');
+  return topics;
+}
+
+// Output file per topic; repeated topics get -2, -3 ... in file order
+function assignFiles(topics, extension) {
+  const used = new Map();
+  return topics.map(t => {
+    const base = slugify(t.topic);
+    const n = (used.get(base) || 0) + 1;
+    used.set(base, n);
+    return { ...t, file: `${n > 1 ? `${base}-${n}` : base}.${extension}` };
+  });
+}
+
+async function exists(file) {
+  return fs.access(file).then(() => true, () => false);
+}
+
+// Run `worker` over `items` with at most `limit` in flight
+async function runPool(items, limit, worker) {
+  let next = 0;
+  async function lane() {
+    while (next < items.length) await worker(items[next++]);
+  }
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, lane));
+}
+
+async function generateCommand(positionals, values) {
+  if (positionals.length !== 1) throw usageError('generate takes exactly one topics file.');
+  const format = String(values.format).toLowerCase();
+  const extension = format === 'json' ? 'json' : exportExtension(format);
+  if (!extension) throw usageError(`Unknown format "${values.format}". Use one of: json, ${exportFormats.join(', ')}.`);
+  const concurrency = Number(values.concurrency);
+  if (!Number.isInteger(concurrency) || concurrency < 1) throw usageError('Concurrency must be a positive integer.');
+  parseQuizSettings(values); // reject bad defaults before reading the file
+
+  const topics = assignFiles(readTopics(await fs.readFile(positionals[0], 'utf8'), values), extension);
+  const outDir = path.resolve(values.out);
+  await fs.mkdir(outDir, { recursive: true });
+
+  // Resume: topics written by an earlier run are skipped
+  const jobs = [];
+  for (const t of topics) {
+    if (!values.force && await exists(path.join(outDir, t.file))) console.log(`skip   ${t.file} (already exists)`);
+    else jobs.push(t);
+  }
+
+  const provider = createProvider();
+  if (!provider.isConfigured()) throw usageError(`${provider.name} is not configured: set ${provider.missingConfig} in .env.`);
+  const retries = parseInt(process.env.GENERATION_RETRIES, 10);
+  const { generateQuestions } = createGenerator({
+    provider,
+    retries: Number.isInteger(retries) ? retries : 2,
+    similarityThreshold: parseFloat(process.env.QUESTION_SIMILARITY) || 0.6
+  });
+  const safetyPolicy = createSafetyPolicy({
+    allow: parseTermList(process.env.TOPIC_ALLOWLIST),
+    deny: parseTermList(process.env.TOPIC_DENYLIST)
+  });
+
+  console.log(`Generating ${jobs.length} of ${topics.length} quizzes with ${provider.name} into ${outDir}`);
+  const failures = [];
+  let written = 0;
+  await runPool(jobs, concurrency, async job => {
+    const { line, file, count, difficulty, types, language } = job;
+    try {
+      const topic = await safetyPolicy.checkTopic(job.topic, { route: 'cli' });
+      const { questions, model } = await generateQuestions(
+        { topic, count, types, difficulty, language, avoid: [], passages: null },
+        { log: logger.child({ topic }) }
+      );
+      const quiz = { topic, model, language, difficulty, count: questions.length, created_at: new Date().toISOString(), questions };
+      const body = format === 'json' ? JSON.stringify(quiz, null, 2) : exportQuiz(quiz, format).body;
+      await writeFileAtomic(path.join(outDir, file), body);
+      written++;
+      console.log(`ok     ${file} (${questions.length === count ? count : `${questions.length} of ${count}`} questions)`);
+    } catch (err) {
+      failures.push({ line, topic: job.topic, file, error: err.message });
+      console.log(`FAILED ${file}: ${err.message}`);
+    }
+  });
+
+  // Failed topics are listed for review; the next run retries them
+  const failuresFile = path.join(outDir, 'failures.json');
+  if (failures.length) {
+    failures.sort((a, b) => a.line - b.line);
+    await writeFileAtomic(failuresFile, JSON.stringify(failures, null, 2));
+  } else {
+    await fs.rm(failuresFile, { force: true });
+  }
+  console.log(`${written} written, ${topics.length - jobs.length} skipped, ${failures.length} failed` +
+    (failures.length ? ` (see ${failuresFile}; run again to retry them)` : ''));
+  return failures.length ? 1 : 0;
+}
+
+const IMPORT_EXTENSIONS = [['.gift.txt', 'gift'], ['.gift', 'gift'], ['.csv', 'csv']];
+
+function fileKind(file) {
+  const name = file.toLowerCase();
+  if (name.endsWith('.json')) return 'json';
+  const match = IMPORT_EXTENSIONS.find(([ext]) => name.endsWith(ext));
+  return match ? match[1] : null;
+}
+
+// Files named on the command line, plus the quiz files directly inside named directories
+async function collectFiles(paths) {
+  const files = [];
+  for (const p of paths) {
+    const stat = await fs.stat(p).catch(() => null);
+    if (!stat) throw usageError(`${p} does not exist.`);
+    if (!stat.isDirectory()) {
+      files.push(p);
+      continue;
+    }
+    const names = (await fs.readdir(p)).filter(n => fileKind(n) && n !== 'failures.json').sort();
+    files.push(...names.map(n => path.join(p, n)));
+  }
+  return files;
+}
+
+// Problems with one quiz file, as printable lines
+async function validateFile(file) {
+  const kind = fileKind(file);
+  if (!kind) return [`unsupported file type (use .json, .gift.txt or .csv)`];
+  const text = await fs.readFile(file, 'utf8');
+  if (kind !== 'json') {
+    const { questions, skipped } = importQuestions(text, kind);
+    const problems = skipped.map(s => `question ${s.item}: ${s.errors.join('; ')}`);
+    return questions.length || problems.length ? problems : ['no questions found'];
+  }
+  let value;
+  try {
+    value = JSON.parse(text);
+  } catch (err) {
+    return [`invalid JSON: ${err.message}`];
+  }
+  const questions = Array.isArray(value) ? value : value && value.questions;
+  if (!Array.isArray(questions)) return ['no "questions" array'];
+  if (!questions.length) return ['no questions found'];
+  const problems = [];
+  questions.forEach((q, i) => {
+    const { errors } = validateStoredQuestion(q);
+    if (errors.length) problems.push(`question ${i + 1}: ${errors.join('; ')}`);
+  });
+  return problems;
+}
+
+async function validateCommand(positionals) {
+  if (!positionals.length) throw usageError('validate needs at least one file or directory.');
+  const files = await collectFiles(positionals);
+  if (!files.length) throw usageError('No quiz files found.');
+  let invalid = 0;
+  for (const file of files) {
+    // unreadable files and import parse errors count against the file, not the run
+    const problems = await validateFile(file).catch(err => [err.message]);
+    if (!problems.length) {
+      console.log(`ok     ${file}`);
+      continue;
+    }
+    invalid++;
+    console.log(`INVALID ${file}`);
+    problems.forEach(p => console.log(`  ${p}`));
+  }
+  console.log(`${files.length - invalid} valid, ${invalid} invalid`);
+  return invalid ? 1 : 0;
+}
+
+async function modelsCommand(positionals, values) {
+  const provider = createProvider();
+  const models = await provider.listModels();
+  if (values.json) {
+    console.log(JSON.stringify(models, null, 2));
+    return 0;
+  }
+  const configured = provider.registry.models;
+  const names = models.map(m => m.name || m.id);
+  console.log(`Models available to ${provider.name} (* = configured):`);
+  names.forEach(name => console.log(`  ${configured.includes(name) ? '*' : ' '} ${name}`));
+  // e.g. retired models still listed in GEMINI_MODELS
+  const missing = configured.filter(name => !names.includes(name));
+  if (missing.length) console.log(`Configured but not available: ${missing.join(', ')}`);
+  return 0;
+}
+
+const commands = { generate: generateCommand, validate: validateCommand, models: modelsCommand };
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      out: { type: 'string', default: 'quizzes-out' },
+      format: { type: 'string', default: 'json' },
+      count: { type: 'string', default: '5' },
+      difficulty: { type: 'string' },
+      types: { type: 'string' },
+      language: { type: 'string' },
+      concurrency: { type: 'string', default: '2' },
+      force: { type: 'boolean', default: false },
+      json: { type: 'boolean', default: false },
+      verbose: { type: 'boolean', default: false },
+      help: { type: 'boolean', default: false }
+    }
+  });
+  const [name, ...rest] = positionals;
+  if (values.help || !name) {
+    console.log(USAGE);
+    return values.help ? 0 : 2;
+  }
+  if (!commands[name]) throw usageError(`Unknown command "${name}".`);
+  return commands[name](rest, values);
+}
+
+main().then(code => {
+  process.exitCode = code;
+}, err => {
+  if (err.usage || err.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION' || err.code === 'ERR_PARSE_ARGS_INVALID_OPTION_VALUE') {
+    console.error(`${err.message}\nRun "node cli.js --help" for usage.`);
+    process.exitCode = 2;
+    return;
+  }
+  console.error(`Error: ${err.message}`);
+  process.exitCode = 1;
+});
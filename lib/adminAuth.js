@@ -0,0 +1,27 @@
+const crypto = require('crypto');
+const { logger } = require('./logger');
+const { digest } = require('./util');
+
+const REALM = 'AI Quiz Verse admin';
+
+// HTTP Basic auth for the admin pages and API (any user name, ADMIN_PASSWORD as
+// the password). Without a password the admin area is switched off entirely.
+function createAdminAuth({ password }) {
+  const expected = password ? digest(password) : null;
+
+  return function requireAdmin(req, res, next) {
+    if (!expected) {
+      return res.status(404).json({ error: 'The admin area is disabled. Set ADMIN_PASSWORD to enable it.' });
+    }
+    const [scheme, encoded] = String(req.headers.authorization || '').split(' ');
+    const decoded = scheme === 'Basic' && encoded ? Buffer.from(encoded, 'base64').toString('utf8') : '';
+    const given = decoded.slice(decoded.indexOf(':') + 1);
+    // compare fixed-length digests so the check takes the same time for any input
+    if (decoded.includes(':') && crypto.timingSafeEqual(digest(given), expected)) return next();
+    if (decoded) (req.log || logger).warn('failed admin login', { ip: req.ip });
+    res.set('WWW-Authenticate', `Basic realm="${REALM}", charset="UTF-8"`);
+    return res.status(401).json({ error: 'Admin password required.' });
+  };
+}
+
+module.exports = { createAdminAuth };
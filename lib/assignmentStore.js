@@ -0,0 +1,211 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { cleanPlayerName } = require('./challengeStore');
+const { ID_PATTERN, newId, httpError, digest, lazyMkdir, writeFileAtomic, createKeyedQueue } = require('./util');
+
+const CODE_PATTERN = /^[A-Z0-9]{4,12}$/;
+const MAX_ATTEMPTS = 20;
+const MAX_ROSTER = 500;
+
+function studentKey(name) {
+  return cleanPlayerName(name).toLowerCase();
+}
+
+function parseTime(value, field) {
+  if (value === undefined || value === null || value === '') return null;
+  const ms = Date.parse(value);
+  if (Number.isNaN(ms)) throw httpError(400, `${field} must be a date and time.`);
+  return new Date(ms).toISOString();
+}
+
+// Validate the teacher's settings for a new assignment:
+//   { title, opens_at, closes_at, max_attempts, roster (array or one name per line), class_code }
+// Students get in by a name on the roster, the class code, or both when both are set.
+function parseAssignmentSettings(body = {}) {
+  const title = String(body.title || '').replace(/\s+/g, ' ').trim().slice(0, 120);
+  const opensAt = parseTime(body.opens_at, 'opens_at');
+  const closesAt = parseTime(body.closes_at, 'closes_at');
+  if (opensAt && closesAt && closesAt <= opensAt) throw httpError(400, 'closes_at must be after opens_at.');
+
+  const maxAttempts = body.max_attempts === undefined || body.max_attempts === null || body.max_attempts === ''
+    ? 1
+    : Number(body.max_attempts);
+  if (!Number.isInteger(maxAttempts) || maxAttempts < 1 || maxAttempts > MAX_ATTEMPTS) {
+    throw httpError(400, `max_attempts must be an integer between 1 and ${MAX_ATTEMPTS}.`);
+  }
+
+  const names = Array.isArray(body.roster) ? body.roster : String(body.roster || '').split(/\r?\n/);
+  const seen = new Set();
+  const roster = [];
+  names.map(cleanPlayerName).filter(Boolean).forEach(name => {
+    if (seen.has(name.toLowerCase())) return;
+    seen.add(name.toLowerCase());
+    roster.push(name);
+  });
+  if (roster.length > MAX_ROSTER) throw httpError(400, `A roster can list at most ${MAX_ROSTER} students.`);
+
+  const classCode = String(body.class_code || '').replace(/\s+/g, '').toUpperCase() || null;
+  if (classCode && !CODE_PATTERN.test(classCode)) {
+    throw httpError(400, 'class_code must be 4-12 letters or digits.');
+  }
+  if (!roster.length && !classCode) throw httpError(400, 'Add a roster of student names or a class code.');
+  return { title, opensAt, closesAt, maxAttempts, roster, classCode };
+}
+
+// upcoming | open | closed at `now`
+function windowStatus(assignment, now = Date.now()) {
+  if (assignment.opens_at && now < Date.parse(assignment.opens_at)) return 'upcoming';
+  if (assignment.closes_at && now > Date.parse(assignment.closes_at)) return 'closed';
+  return 'open';
+}
+
+// Classroom assignments: a frozen question set with an open/close window, an attempt
+// limit and who may take it, plus every attempt. One JSON file per assignment under `dir`.
+// The teacher token is the only key to the gradebook.
+function createAssignmentStore({ dir }) {
+  const ensureDir = lazyMkdir(dir);
+  const enqueue = createKeyedQueue();
+
+  function fileFor(id) {
+    if (!ID_PATTERN.test(String(id))) throw httpError(400, 'Invalid assignment id.');
+    return path.join(dir, `${id}.json`);
+  }
+
+  async function write(assignment) {
+    await ensureDir();
+    const file = fileFor(assignment.id);
+    await writeFileAtomic(file, assignment);
+  }
+
+  async function get(id) {
+    try {
+      return JSON.parse(await fs.readFile(fileFor(id), 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') throw httpError(404, 'Assignment not found.');
+      throw err;
+    }
+  }
+
+  // Serialize read-modify-write cycles per assignment so a class starting at once
+  // cannot slip past the attempt limit
+  function update(id, fn) {
+    fileFor(id);
+    return enqueue(id, async () => {
+      const assignment = await get(id);
+      const result = fn(assignment);
+      await write(assignment);
+      return result;
+    });
+  }
+
+  // Settings and counts, for the teacher
+  function summary(assignment) {
+    const { questions, attempts, teacher_token: _token, ...meta } = assignment;
+    return { ...meta, status: windowStatus(assignment) };
+  }
+
+  // What a student needs before starting: no roster, code or answers
+  function studentView(assignment) {
+    const { id, title, topic, language, mode, count, opens_at, closes_at, max_attempts } = assignment;
+    return {
+      id, title, topic, language, mode, count, opens_at, closes_at, max_attempts,
+      needs_code: Boolean(assignment.class_code),
+      status: windowStatus(assignment)
+    };
+  }
+
+  function checkToken(assignment, token) {
+    if (!token) return false;
+    return crypto.timingSafeEqual(digest(token), digest(assignment.teacher_token));
+  }
+
+  async function create({ title, topic, model = null, language = 'en', mode, questions, opensAt, closesAt, maxAttempts, roster, classCode }) {
+    if (!Array.isArray(questions) || !questions.length) throw httpError(400, 'The quiz has no questions.');
+    const assignment = {
+      id: newId(),
+      title: title || topic,
+      topic,
+      model,
+      language,
+      mode,
+      count: questions.length,
+      opens_at: opensAt,
+      closes_at: closesAt,
+      max_attempts: maxAttempts,
+      roster,
+      class_code: classCode,
+      teacher_token: crypto.randomBytes(16).toString('hex'),
+      created_at: new Date().toISOString(),
+      questions,
+      attempts: []
+    };
+    await write(assignment);
+    return assignment;
+  }
+
+  // Check the window, the class code, the roster and the attempt limit, then count
+  // the attempt. Unfinished attempts count too, so restarting cannot reveal questions for free.
+  function startAttempt(id, { name, code } = {}, now = Date.now()) {
+    return update(id, assignment => {
+      const status = windowStatus(assignment, now);
+      if (status === 'upcoming') throw httpError(403, 'This assignment is not open yet.');
+      if (status === 'closed') throw httpError(403, 'This assignment is closed.');
+      if (assignment.class_code && String(code || '').replace(/\s+/g, '').toUpperCase() !== assignment.class_code) {
+        throw httpError(403, 'That class code is not right.');
+      }
+      const key = studentKey(name);
+      if (!key) throw httpError(400, 'Enter your name.');
+      let student = cleanPlayerName(name);
+      if (assignment.roster.length) {
+        student = assignment.roster.find(n => n.toLowerCase() === key);
+        if (!student) throw httpError(403, 'That name is not on the class roster.');
+      }
+      const used = assignment.attempts.filter(a => studentKey(a.student) === key).length;
+      if (used >= assignment.max_attempts) throw httpError(403, 'You have used every attempt for this assignment.');
+      const attempt = {
+        id: crypto.randomBytes(6).toString('hex'),
+        student,
+        number: used + 1,
+        started_at: new Date(now).toISOString(),
+        finished_at: null,
+        late: false,
+        result: null,
+        questions: null
+      };
+      assignment.attempts.push(attempt);
+      return { assignment, attempt, attemptsLeft: assignment.max_attempts - attempt.number };
+    });
+  }
+
+  // Store the score of a finished attempt with how each question went. Finishing twice keeps the first.
+  function completeAttempt(id, attemptId, { result, review }, now = Date.now()) {
+    return update(id, assignment => {
+      const attempt = assignment.attempts.find(a => a.id === attemptId);
+      if (!attempt) throw httpError(404, 'Attempt not found.');
+      if (!attempt.result) {
+        attempt.finished_at = result.finished_at;
+        attempt.late = Boolean(assignment.closes_at && now > Date.parse(assignment.closes_at));
+        attempt.result = {
+          percent: result.percent,
+          points: result.points,
+          correct: result.correct,
+          total: result.total,
+          duration_ms: result.duration_ms
+        };
+        attempt.questions = review.map(r => ({ answered: r.answered, correct: r.correct, score: r.score }));
+      }
+      return {
+        title: assignment.title,
+        student: attempt.student,
+        attempt: attempt.number,
+        attempts_left: assignment.max_attempts - assignment.attempts.filter(a => studentKey(a.student) === studentKey(attempt.student)).length,
+        late: attempt.late
+      };
+    });
+  }
+
+  return { create, get, summary, studentView, checkToken, startAttempt, completeAttempt };
+}
+
+module.exports = { createAssignmentStore, parseAssignmentSettings, windowStatus, studentKey };
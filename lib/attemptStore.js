@@ -0,0 +1,58 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { httpError, lazyMkdir, writeFileAtomic, createKeyedQueue } = require('./util');
+
+const CLIENT_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+const MAX_ATTEMPTS_PER_CLIENT = 1000;
+
+// Only real strings: String(undefined) would match the pattern and share one file
+function isClientId(value) {
+  return typeof value === 'string' && CLIENT_ID_PATTERN.test(value);
+}
+
+// The client id as a file name, or a 400 when it is missing or malformed
+function checkClientId(clientId) {
+  if (!isClientId(clientId)) {
+    throw httpError(400, clientId === undefined || clientId === null || clientId === '' ? 'Missing client_id.' : 'Invalid client_id.');
+  }
+  return clientId;
+}
+
+// Synced quiz attempt history: one JSON file per anonymous browser client
+function createAttemptStore({ dir }) {
+  const ensureDir = lazyMkdir(dir);
+  const enqueue = createKeyedQueue();
+
+  function fileFor(clientId) {
+    return path.join(dir, `${checkClientId(clientId)}.json`);
+  }
+
+  async function list(clientId) {
+    try {
+      return JSON.parse(await fs.readFile(fileFor(clientId), 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+  }
+
+  // Merge attempts by id (newer copies win) and return the full history. Serialized
+  // per client: several tabs syncing at once would otherwise drop each other's attempts.
+  async function merge(clientId, attempts) {
+    const file = fileFor(clientId);
+    return enqueue(clientId, async () => {
+      await ensureDir();
+      const byId = new Map((await list(clientId)).map(a => [a.id, a]));
+      attempts.forEach(a => byId.set(a.id, a));
+      const merged = Array.from(byId.values())
+        .sort((a, b) => String(a.date).localeCompare(String(b.date)))
+        .slice(-MAX_ATTEMPTS_PER_CLIENT);
+      await writeFileAtomic(file, merged);
+      return merged;
+    });
+  }
+
+  return { list, merge };
+}
+
+module.exports = { createAttemptStore, CLIENT_ID_PATTERN, isClientId, checkClientId };
@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { httpError, lazyMkdir, writeFileAtomic, createKeyedQueue } = require('./util');
+
+const SLUG_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789'; // no 0/o or 1/l/i
+const SLUG_LENGTH = 7;
+const SLUG_PATTERN = /^[a-z0-9]{7}$/;
+const MAX_RESULTS = 500;
+
+// Best score first; ties go to the faster, then the earlier, run
+function byRank(a, b) {
+  return b.points - a.points || a.duration_ms - b.duration_ms || String(a.finished_at).localeCompare(String(b.finished_at));
+}
+
+// Challenge links (/c/<slug>): a frozen question set, in a fixed order, plus the
+// result of everyone who played it. One JSON file per challenge under `dir`.
+function createChallengeStore({ dir }) {
+  const ensureDir = lazyMkdir(dir);
+  const enqueue = createKeyedQueue();
+
+  function fileFor(slug) {
+    if (!SLUG_PATTERN.test(String(slug))) throw httpError(400, 'Invalid challenge link.');
+    return path.join(dir, `${slug}.json`);
+  }
+
+  async function write(challenge) {
+    await ensureDir();
+    const file = fileFor(challenge.slug);
+    await writeFileAtomic(file, challenge);
+  }
+
+  async function exists(slug) {
+    try {
+      await fs.access(fileFor(slug));
+      return true;
+    } catch (err) {
+      return false;
+    }
+  }
+
+  async function newSlug() {
+    for (;;) {
+      const bytes = crypto.randomBytes(SLUG_LENGTH);
+      const slug = Array.from(bytes, b => SLUG_ALPHABET[b % SLUG_ALPHABET.length]).join('');
+      if (!(await exists(slug))) return slug;
+    }
+  }
+
+  function summary(challenge) {
+    const { questions, results, ...meta } = challenge;
+    return meta;
+  }
+
+  // Top `limit` results, plus the rank of `entryId` when it is given
+  function leaderboard(challenge, { limit = 10, entryId = null } = {}) {
+    const ranked = challenge.results.slice().sort(byRank);
+    const rank = entryId ? ranked.findIndex(r => r.id === entryId) + 1 : 0;
+    return {
+      slug: challenge.slug,
+      topic: challenge.topic,
+      plays: ranked.length,
+      rank: rank || null,
+      entries: ranked.slice(0, limit).map((r, i) => ({ rank: i + 1, ...r }))
+    };
+  }
+
+  async function create({ topic, model = null, language = 'en', mode, questions, createdBy = null }) {
+    if (!Array.isArray(questions) || !questions.length) throw httpError(400, 'The quiz has no questions.');
+    const challenge = {
+      slug: await newSlug(),
+      topic,
+      model,
+      language,
+      mode,
+      count: questions.length,
+      created_by: createdBy,
+      created_at: new Date().toISOString(),
+      questions,
+      results: []
+    };
+    await write(challenge);
+    return challenge;
+  }
+
+  async function get(slug) {
+    try {
+      return JSON.parse(await fs.readFile(fileFor(slug), 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') throw httpError(404, 'Challenge not found.');
+      throw err;
+    }
+  }
+
+  // Add one finished run. Serialized per challenge so players finishing together
+  // do not overwrite each other; the same run recorded twice is kept once.
+  function record(slug, entry) {
+    fileFor(slug);
+    return enqueue(slug, async () => {
+      const challenge = await get(slug);
+      if (!challenge.results.some(r => r.id === entry.id)) {
+        challenge.results.push(entry);
+        if (challenge.results.length > MAX_RESULTS) {
+          challenge.results = challenge.results.sort(byRank).slice(0, MAX_RESULTS);
+        }
+        await write(challenge);
+      }
+      return challenge;
+    });
+  }
+
+  return { create, get, record, leaderboard, summary };
+}
+
+// Player names shown on a leaderboard
+function cleanPlayerName(name) {
+  return String(name || '').replace(/\s+/g, ' ').trim().slice(0, 24);
+}
+
+module.exports = { createChallengeStore, cleanPlayerName, SLUG_PATTERN };
@@ -0,0 +1,39 @@
+// Difficulty levels and the adaptive step rule used by "Generate More"
+
+const LEVELS = ['easy', 'medium', 'hard', 'expert'];
+const DEFAULT_LEVEL = 'medium';
+
+const RECENT_WINDOW = 5;  // answers considered when adapting
+const STEP_UP_AT = 0.8;   // accuracy at or above this moves one level harder
+const STEP_DOWN_AT = 0.4; // accuracy at or below this moves one level easier
+
+const DESCRIPTIONS = {
+  easy: 'EASY: introductory facts and definitions a beginner would know; obviously wrong distractors.',
+  medium: 'MEDIUM: solid working knowledge; plausible distractors.',
+  hard: 'HARD: detailed or applied knowledge, multi-step reasoning; distractors that reflect common misconceptions.',
+  expert: 'EXPERT: specialist-level edge cases and nuances that only practitioners would get right; very close distractors.'
+};
+
+// Returns the level, the default when omitted, or null when invalid
+function parseDifficulty(input) {
+  if (input === undefined || input === null || input === '') return DEFAULT_LEVEL;
+  const level = String(input).trim().toLowerCase();
+  return LEVELS.includes(level) ? level : null;
+}
+
+function promptLine(level) {
+  return `Difficulty: ${DESCRIPTIONS[level]} Set "difficulty": "${level}" on every question.`;
+}
+
+// Pick the next level from the most recent answers ({ score } records, oldest first)
+function nextDifficulty(current, answers) {
+  const recent = answers.filter(Boolean).slice(-RECENT_WINDOW);
+  if (recent.length < Math.min(3, RECENT_WINDOW)) return current;
+  const accuracy = recent.reduce((sum, a) => sum + a.score, 0) / recent.length;
+  const i = LEVELS.indexOf(current);
+  if (accuracy >= STEP_UP_AT) return LEVELS[Math.min(LEVELS.length - 1, i + 1)];
+  if (accuracy <= STEP_DOWN_AT) return LEVELS[Math.max(0, i - 1)];
+  return current;
+}
+
+module.exports = { LEVELS, DEFAULT_LEVEL, parseDifficulty, promptLine, nextDifficulty };
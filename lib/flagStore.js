@@ -0,0 +1,99 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { ID_PATTERN, newId, httpError, lazyMkdir, writeFileAtomic, createKeyedQueue } = require('./util');
+
+const REASONS = ['wrong_answer', 'ambiguous', 'typo', 'offensive', 'other'];
+const STATUSES = ['open', 'fixed', 'deleted', 'approved'];
+const MAX_REPORTS_PER_FLAG = 50;
+
+function questionKey(question) {
+  return question.question.trim().toLowerCase();
+}
+
+// Questions reported by players, waiting for an admin. Reports of the same
+// question are grouped into one flag; a resolved flag reopens when it is
+// reported again. Everything lives in one JSON file.
+function createFlagStore({ dir }) {
+  const file = path.join(dir, 'flags.json');
+  const ensureDir = lazyMkdir(dir);
+  const enqueue = createKeyedQueue();
+
+  async function load() {
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+  }
+
+  async function save(flags) {
+    await ensureDir();
+    await writeFileAtomic(file, flags, 2);
+  }
+
+  // Serialize read-modify-write cycles
+  function update(fn) {
+    return enqueue(file, async () => {
+      const flags = await load();
+      const result = fn(flags);
+      await save(flags);
+      return result;
+    });
+  }
+
+  function add({ question, topic = '', language = 'en', quizId = null, sourceId = null, reason, comment = '' }) {
+    if (!REASONS.includes(reason)) {
+      return Promise.reject(httpError(400, `reason must be one of: ${REASONS.join(', ')}.`));
+    }
+    const report = { reason, comment: String(comment || '').trim().slice(0, 500), at: new Date().toISOString() };
+    return update(flags => {
+      let flag = flags.find(f => questionKey(f.question) === questionKey(question) && f.status !== 'deleted');
+      if (!flag) {
+        flag = {
+          id: newId(),
+          status: 'open',
+          topic,
+          language,
+          quiz_id: quizId,
+          source_id: sourceId,
+          question,
+          reports: [],
+          created_at: report.at,
+          resolved_at: null
+        };
+        flags.push(flag);
+      }
+      if (flag.status !== 'open') Object.assign(flag, { status: 'open', resolved_at: null });
+      flag.reports = flag.reports.concat(report).slice(-MAX_REPORTS_PER_FLAG);
+      return flag;
+    });
+  }
+
+  // Newest report first
+  async function list({ status = null } = {}) {
+    if (status && !STATUSES.includes(status)) throw httpError(400, `status must be one of: ${STATUSES.join(', ')}.`);
+    const flags = await load();
+    const lastReport = f => f.reports.length ? f.reports[f.reports.length - 1].at : f.created_at;
+    return flags
+      .filter(f => !status || f.status === status)
+      .sort((a, b) => lastReport(b).localeCompare(lastReport(a)));
+  }
+
+  // Close a flag. `revise(previous, flag)`, when given, returns the corrected question to store.
+  function resolve(id, status, { revise = null } = {}) {
+    if (!ID_PATTERN.test(String(id))) return Promise.reject(httpError(400, 'Invalid flag id.'));
+    return update(flags => {
+      const flag = flags.find(f => f.id === id);
+      if (!flag) throw httpError(404, 'Flag not found.');
+      const previous = flag.question;
+      Object.assign(flag, { status, resolved_at: new Date().toISOString() });
+      if (revise) flag.question = revise(previous, flag);
+      return { flag, previous };
+    });
+  }
+
+  return { add, list, resolve, REASONS };
+}
+
+module.exports = { createFlagStore, REASONS };
@@ -0,0 +1,95 @@
+// Helpers shared by the export and import formats
+
+const LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+function typeOf(q) {
+  return q.type || 'single';
+}
+
+// Ordering questions are stored shuffled; exports list the items in the correct order
+function correctOrder(q) {
+  return (q.answer_order || []).map(i => q.options[i]);
+}
+
+// Indices of the options that count as correct (single, true_false, multi)
+function correctIndices(q) {
+  if (typeOf(q) === 'multi') return q.answer_indices || [];
+  return Number.isInteger(q.answer_index) ? [q.answer_index] : [];
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// One CSV field, quoted when needed
+function csvCell(value) {
+  let text = value === undefined || value === null ? '' : String(value);
+  // a leading quote keeps spreadsheets from running model text as a formula
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// RFC 4180 rows: quoted fields may hold commas, quotes ("") and newlines
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(f => f.trim()));
+}
+
+// File-name friendly version of the quiz topic
+function slugify(text) {
+  return String(text || 'quiz')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60) || 'quiz';
+}
+
+module.exports = { LETTERS, typeOf, correctOrder, correctIndices, csvCell, parseCsvRows, escapeXml, escapeHtml, slugify };
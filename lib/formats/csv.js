@@ -0,0 +1,112 @@
+const { LETTERS, typeOf, correctOrder, correctIndices, csvCell, parseCsvRows } = require('./common');
+const { httpError } = require('../util');
+
+// Spreadsheet layout, one question per row:
+//   type, question, option_a … option_f, answer, explanation
+// `answer` is a letter for single choice ("B"), letters joined by ";" for
+// multi-select ("A;C"), TRUE/FALSE, accepted answers joined by "|" for short
+// answers, and empty for ordering, whose options are listed in the correct order.
+
+const MAX_OPTIONS = 6;
+const HEADER = ['type', 'question', ...LETTERS.slice(0, MAX_OPTIONS).toLowerCase().split('').map(l => `option_${l}`), 'answer', 'explanation'];
+
+function answerCell(q) {
+  switch (typeOf(q)) {
+    case 'true_false':
+      return q.answer_index === 0 ? 'TRUE' : 'FALSE';
+    case 'short':
+      return q.accepted_answers.join('|');
+    case 'ordering':
+      return '';
+    default:
+      return correctIndices(q).map(i => LETTERS[i]).join(';');
+  }
+}
+
+function render(quiz) {
+  const rows = [HEADER];
+  for (const q of quiz.questions) {
+    const type = typeOf(q);
+    const options = type === 'ordering' ? correctOrder(q) : (type === 'true_false' || type === 'short' ? [] : q.options);
+    const padded = Array.from({ length: MAX_OPTIONS }, (_, i) => options[i] || '');
+    rows.push([type, q.question, ...padded, answerCell(q), q.explanation || '']);
+  }
+  // BOM so spreadsheet apps open the file as UTF-8
+  return '\uFEFF' + rows.map(r => r.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+// Accepts our own header and common variations ("A", "option 1", "correct", ...)
+function columnKey(name) {
+  const key = name.trim().toLowerCase().replace(/[\s-]+/g, '_');
+  const option = key.match(/^(?:option_?|choice_?)?([a-f]|[1-6])$/);
+  if (option) {
+    const i = /\d/.test(option[1]) ? parseInt(option[1], 10) - 1 : option[1].charCodeAt(0) - 97;
+    return `option:${i}`;
+  }
+  if (['answer', 'correct', 'correct_answer', 'answers'].includes(key)) return 'answer';
+  if (['question', 'question_text', 'prompt'].includes(key)) return 'question';
+  if (['explanation', 'feedback', 'rationale'].includes(key)) return 'explanation';
+  if (['type', 'question_type'].includes(key)) return 'type';
+  return null;
+}
+
+// Letters ("B") and 1-based numbers ("2") become indices; anything else is option text
+function answerIndex(value) {
+  if (/^[a-f]$/i.test(value)) return value.toUpperCase().charCodeAt(0) - 65;
+  return /^\d+$/.test(value) ? parseInt(value, 10) - 1 : value;
+}
+
+function rowToItem(columns, row) {
+  const item = { options: [] };
+  columns.forEach((key, i) => {
+    const value = (row[i] || '').trim().replace(/^'(?=[=+\-@])/, '');
+    if (!key || !value) return;
+    if (key.startsWith('option:')) item.options[parseInt(key.slice(7), 10)] = value;
+    else item[key] = value;
+  });
+  item.options = item.options.filter(Boolean);
+  const answer = item.answer || '';
+  const type = (item.type || '').toLowerCase();
+  if (!item.question) return { error: 'missing question' };
+
+  if (type === 'short' || (!type && !item.options.length)) {
+    return { type: 'short', question: item.question, accepted_answers: answer.split('|'), explanation: item.explanation };
+  }
+  if (type === 'true_false' || type === 'tf') {
+    return { type: 'true_false', question: item.question, answer, explanation: item.explanation };
+  }
+  if (type === 'ordering') {
+    return { type: 'ordering', question: item.question, options: item.options, explanation: item.explanation };
+  }
+  const parts = answer.split(/\s*[;|]\s*/).filter(Boolean).map(answerIndex);
+  if (type === 'multi' || parts.length > 1) {
+    return { type: 'multi', question: item.question, options: item.options, answer_indices: parts, explanation: item.explanation };
+  }
+  const single = parts[0];
+  return {
+    type: 'single',
+    question: item.question,
+    options: item.options,
+    [typeof single === 'number' ? 'answer_index' : 'answer']: single,
+    explanation: item.explanation
+  };
+}
+
+function parse(text) {
+  const rows = parseCsvRows(String(text).replace(/^\uFEFF/, ''));
+  if (!rows.length) return [];
+  const columns = rows[0].map(columnKey);
+  if (!columns.includes('question')) {
+    throw httpError(400, 'CSV needs a header row with at least a "question" column.');
+  }
+  return rows.slice(1).map(row => rowToItem(columns, row));
+}
+
+module.exports = {
+  name: 'csv',
+  label: 'CSV',
+  extension: 'csv',
+  contentType: 'text/csv; charset=utf-8',
+  render,
+  parse
+};
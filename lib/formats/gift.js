@@ -0,0 +1,152 @@
+const { typeOf, correctOrder, correctIndices } = require('./common');
+
+// Moodle GIFT: one question per paragraph, answers in {braces}.
+// https://docs.moodle.org/en/GIFT_format
+
+function escapeGift(text) {
+  return String(text).replace(/([~=#{}:\\])/g, '\\$1').replace(/\r?\n/g, '\\n');
+}
+
+function unescapeGift(text) {
+  return text.replace(/\\n/g, '\n').replace(/\\(.)/g, '$1').trim();
+}
+
+// Moodle only accepts certain percentages; 100/n for n <= 10 are all on its list
+function weight(n) {
+  return Number((100 / n).toFixed(5));
+}
+
+function answerBlock(q) {
+  switch (typeOf(q)) {
+    case 'true_false':
+      return [q.answer_index === 0 ? 'TRUE' : 'FALSE'];
+    case 'multi': {
+      const right = correctIndices(q);
+      const w = weight(right.length);
+      return q.options.map((o, i) => `~%${right.includes(i) ? w : -w}%${escapeGift(o)}`);
+    }
+    case 'short':
+      return q.accepted_answers.map(a => `=${escapeGift(a)}`);
+    case 'ordering':
+      // GIFT has no ordering type; a matching question pairs each item with its position
+      return correctOrder(q).map((item, i) => `=${escapeGift(item)} -> ${i + 1}`);
+    default:
+      return q.options.map((o, i) => `${i === q.answer_index ? '=' : '~'}${escapeGift(o)}`);
+  }
+}
+
+function render(quiz) {
+  const lines = [`// ${quiz.topic}`, `// exported ${new Date().toISOString()}`, '', `$CATEGORY: ${quiz.topic}`, ''];
+  quiz.questions.forEach((q, i) => {
+    const answers = answerBlock(q).map(a => `  ${a}`);
+    if (q.explanation) answers.push(`  ####${escapeGift(q.explanation)}`);
+    lines.push(`::Q${i + 1}:: ${escapeGift(q.question)} {`, ...answers, '}', '');
+  });
+  return lines.join('\n');
+}
+
+// Index of the first unescaped `ch` at or after `from`
+function findUnescaped(text, ch, from = 0) {
+  for (let i = from; i < text.length; i++) {
+    if (text[i] === '\\') i++;
+    else if (text[i] === ch) return i;
+  }
+  return -1;
+}
+
+// Split "=a ~b ~%50%c" into [{ mark, weight, text }], dropping per-answer #feedback
+function splitAnswers(body) {
+  const answers = [];
+  let current = null;
+  for (let i = 0; i < body.length; i++) {
+    const ch = body[i];
+    if (ch === '\\') {
+      if (current) current.text += ch + (body[i + 1] || '');
+      i++;
+    } else if (ch === '=' || ch === '~') {
+      current = { mark: ch, text: '' };
+      answers.push(current);
+    } else if (current) {
+      current.text += ch;
+    }
+  }
+  return answers.map(a => {
+    let text = a.text;
+    const fb = findUnescaped(text, '#');
+    if (fb !== -1) text = text.slice(0, fb);
+    const m = text.match(/^\s*%(-?\d+(?:\.\d+)?)%/);
+    const w = m ? parseFloat(m[1]) : (a.mark === '=' ? 100 : 0);
+    if (m) text = text.slice(m[0].length);
+    return { mark: a.mark, weight: w, raw: text, text: unescapeGift(text) };
+  });
+}
+
+// One GIFT paragraph to a raw question item, or { error } for unsupported types
+function parseQuestion(block) {
+  let text = block.replace(/^::(?:\\.|[^:])*::/, '').trim();
+  text = text.replace(/^\[(html|moodle|plain|markdown)\]/i, '');
+  const open = findUnescaped(text, '{');
+  const close = open === -1 ? -1 : findUnescaped(text, '}', open);
+  if (open === -1 || close === -1) return { error: 'no {answer} block' };
+
+  const before = text.slice(0, open).trim();
+  const after = text.slice(close + 1).trim();
+  // answers in the middle of the text mark a blank
+  const question = unescapeGift(after ? `${before} _____ ${after}` : before);
+  let body = text.slice(open + 1, close);
+  let explanation = '';
+  const general = body.indexOf('####');
+  if (general !== -1) {
+    explanation = unescapeGift(body.slice(general + 4));
+    body = body.slice(0, general);
+  }
+  const trimmed = body.trim();
+
+  const tf = trimmed.match(/^(T|TRUE|F|FALSE)\b/i);
+  if (tf) return { type: 'true_false', question, answer: /^t/i.test(tf[1]), explanation };
+  if (!trimmed) return { error: 'essay questions are not supported' };
+  if (trimmed.startsWith('#')) return { error: 'numerical questions are not supported' };
+
+  const answers = splitAnswers(body);
+  if (answers.some(a => a.raw.includes('->'))) {
+    // our own ordering export: every item matched to its position 1..n
+    const pairs = answers.map(a => a.text.match(/^([\s\S]*?)\s*->\s*(\d+)$/));
+    const positions = pairs.map(m => (m ? parseInt(m[2], 10) : 0));
+    if (pairs.every(Boolean) && positions.slice().sort((x, y) => x - y).every((p, i) => p === i + 1)) {
+      const options = [];
+      pairs.forEach((m, i) => { options[positions[i] - 1] = m[1].trim(); });
+      return { type: 'ordering', question, options, explanation };
+    }
+    return { error: 'matching questions are not supported' };
+  }
+  if (answers.every(a => a.mark === '=')) {
+    if (answers.length === 1 || answers.every(a => a.weight === 100)) {
+      return { type: 'short', question, accepted_answers: answers.map(a => a.text), explanation };
+    }
+  }
+  const options = answers.map(a => a.text);
+  const right = answers.map((a, i) => (a.weight > 0 ? i : -1)).filter(i => i >= 0);
+  if (answers.some(a => a.mark === '~' && a.weight > 0) || right.length > 1) {
+    return { type: 'multi', question, options, answer_indices: right, explanation };
+  }
+  return { type: 'single', question, options, answer_index: right.length ? right[0] : undefined, explanation };
+}
+
+function parse(text) {
+  const lines = String(text).replace(/^\uFEFF/, '').split(/\r?\n/)
+    .filter(line => !/^\s*\/\//.test(line) && !/^\s*\$CATEGORY:/i.test(line));
+  return lines.join('\n')
+    .split(/\n\s*\n/)
+    .map(block => block.trim())
+    .filter(Boolean)
+    .map(parseQuestion);
+}
+
+module.exports = {
+  name: 'gift',
+  label: 'Moodle GIFT',
+  extension: 'gift.txt',
+  contentType: 'text/plain; charset=utf-8',
+  render,
+  parse
+};
@@ -0,0 +1,94 @@
+const { LETTERS, typeOf, correctOrder, correctIndices, escapeHtml } = require('./common');
+const { LANGUAGES, DEFAULT_LANGUAGE, textDirection } = require('../languages');
+
+// Printable answer sheet: the questions to hand out, then the answer key on a new page
+
+const STYLE = `
+  body { font-family: Georgia, 'Times New Roman', serif; max-width: 46rem; margin: 2rem auto; padding: 0 1rem; color: #111; }
+  h1 { font-size: 1.6rem; margin-bottom: 0.2rem; }
+  .meta { color: #555; margin-top: 0; }
+  .fields { display: flex; gap: 2rem; margin: 1.5rem 0; }
+  .fields span { flex: 1; border-bottom: 1px solid #333; padding-bottom: 0.2rem; }
+  ol.questions > li { margin-bottom: 1.2rem; break-inside: avoid; }
+  ol.options { list-style: none; padding-left: 1rem; }
+  ol.options li::before { content: attr(data-letter) ") "; font-weight: bold; }
+  .hint { font-style: italic; color: #555; }
+  .blank { display: inline-block; width: 16rem; border-bottom: 1px solid #333; height: 1.2rem; }
+  .key { break-before: page; }
+  .key li { margin-bottom: 0.6rem; }
+  .explanation { color: #444; font-size: 0.9rem; }
+  @media print { body { margin: 0; } .no-print { display: none; } }
+`;
+
+function optionList(options) {
+  return `<ol class="options">${options.map((o, k) => `<li data-letter="${LETTERS[k]}">${escapeHtml(o)}</li>`).join('')}</ol>`;
+}
+
+function questionHtml(q) {
+  switch (typeOf(q)) {
+    case 'multi':
+      return `<p class="hint">Select ${correctIndices(q).length} answers.</p>${optionList(q.options)}`;
+    case 'short':
+      return '<p><span class="blank"></span></p>';
+    case 'ordering':
+      return `<p class="hint">Number the items in the correct order.</p>${optionList(q.options)}`;
+    default:
+      return optionList(q.options);
+  }
+}
+
+function keyText(q) {
+  switch (typeOf(q)) {
+    case 'short':
+      return q.accepted_answers.map(escapeHtml).join(' / ');
+    case 'ordering':
+      return q.answer_order.map(i => LETTERS[i]).join(' → ') + ` (${correctOrder(q).map(escapeHtml).join(', ')})`;
+    default:
+      return correctIndices(q).map(i => `${LETTERS[i]}) ${escapeHtml(q.options[i])}`).join(', ');
+  }
+}
+
+function render(quiz) {
+  const title = escapeHtml(quiz.topic);
+  // questions are in the quiz language, which may be written right to left
+  const language = LANGUAGES[quiz.language] ? quiz.language : DEFAULT_LANGUAGE;
+  const questions = quiz.questions
+    .map(q => `<li><p>${escapeHtml(q.question)}</p>${questionHtml(q)}</li>`)
+    .join('\n');
+  const key = quiz.questions
+    .map(q => `<li><strong>${keyText(q)}</strong>${q.explanation ? `<div class="explanation">${escapeHtml(q.explanation)}</div>` : ''}</li>`)
+    .join('\n');
+  return `<!DOCTYPE html>
+<html lang="${language}" dir="${textDirection(language)}">
+<head>
+<meta charset="UTF-8">
+<title>${title} — Quiz</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<button class="no-print" id="print" type="button">Print</button>
+<h1>${title}</h1>
+<p class="meta">${quiz.questions.length} questions</p>
+<div class="fields"><span>Name:</span><span>Date:</span><span>Score:</span></div>
+<ol class="questions">
+${questions}
+</ol>
+<section class="key">
+<h2>Answer Key</h2>
+<ol>
+${key}
+</ol>
+</section>
+<script>document.getElementById('print').addEventListener('click', () => window.print());</script>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  name: 'html',
+  label: 'Printable answer sheet',
+  extension: 'html',
+  contentType: 'text/html; charset=utf-8',
+  render
+};
@@ -0,0 +1,61 @@
+const { validateQuestion } = require('../questionTypes');
+const { slugify } = require('./common');
+const { httpError } = require('../util');
+
+// Quiz export and import formats. Each format module exports
+// { name, label, extension, contentType } plus render(quiz) for export
+// and/or parse(text) -> raw question items for import.
+const formats = [
+  require('./gift'),
+  require('./moodleXml'),
+  require('./qti'),
+  require('./csv'),
+  require('./html')
+];
+
+const byName = new Map(formats.map(f => [f.name, f]));
+
+const exportFormats = formats.filter(f => f.render).map(f => f.name);
+const importFormats = formats.filter(f => f.parse).map(f => f.name);
+
+function unknownFormat(name, allowed) {
+  return httpError(400, `Unknown format "${name}". Use one of: ${allowed.join(', ')}.`);
+}
+
+// File extension of an export format, e.g. "gift.txt"; null when unknown
+function exportExtension(formatName) {
+  const format = byName.get(String(formatName || '').toLowerCase());
+  return format && format.render ? format.extension : null;
+}
+
+// quiz: { topic, questions } with stored (typed) questions
+function exportQuiz(quiz, formatName) {
+  const format = byName.get(String(formatName || '').toLowerCase());
+  if (!format || !format.render) throw unknownFormat(formatName, exportFormats);
+  return {
+    filename: `${slugify(quiz.topic)}.${format.extension}`,
+    contentType: format.contentType,
+    body: format.render(quiz)
+  };
+}
+
+// Parse an existing question bank into typed questions. Entries that cannot be
+// imported are returned in `skipped` with the reason.
+function importQuestions(text, formatName) {
+  const format = byName.get(String(formatName || '').toLowerCase());
+  if (!format || !format.parse) throw unknownFormat(formatName, importFormats);
+  const questions = [];
+  const skipped = [];
+  format.parse(String(text || '')).forEach((item, i) => {
+    if (item.error) {
+      skipped.push({ item: i + 1, errors: [item.error] });
+      return;
+    }
+    const { question, errors } = validateQuestion(item);
+    if (question) questions.push(question);
+    else skipped.push({ item: i + 1, question: item.question, errors });
+  });
+  return { questions, skipped };
+}
+
+module.exports = { exportQuiz, exportExtension, importQuestions, exportFormats, importFormats };
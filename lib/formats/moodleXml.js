@@ -0,0 +1,80 @@
+const { typeOf, correctOrder, correctIndices, escapeXml } = require('./common');
+
+// Moodle XML question bank (Question bank > Import > Moodle XML format).
+// Ordering questions use the ordering question type plugin.
+
+function text(value) {
+  return `<text>${escapeXml(value)}</text>`;
+}
+
+function answer(fraction, value) {
+  return `    <answer fraction="${fraction}" format="moodle_auto_format">${text(value)}</answer>`;
+}
+
+function fraction(n) {
+  return Number((100 / n).toFixed(5));
+}
+
+function questionXml(q, i) {
+  const type = typeOf(q);
+  const head = [
+    `    <name>${text(`Q${i + 1}`)}</name>`,
+    `    <questiontext format="html">${text(q.question)}</questiontext>`,
+    `    <generalfeedback format="html">${text(q.explanation || '')}</generalfeedback>`
+  ];
+  let qtype;
+  let body;
+  switch (type) {
+    case 'true_false':
+      qtype = 'truefalse';
+      body = [answer(q.answer_index === 0 ? 100 : 0, 'true'), answer(q.answer_index === 1 ? 100 : 0, 'false')];
+      break;
+    case 'short':
+      qtype = 'shortanswer';
+      body = ['    <usecase>0</usecase>', ...q.accepted_answers.map(a => answer(100, a))];
+      break;
+    case 'ordering':
+      qtype = 'ordering';
+      body = [
+        '    <layouttype>VERTICAL</layouttype>',
+        '    <selecttype>ALL</selecttype>',
+        '    <gradingtype>ABSOLUTE_POSITION</gradingtype>',
+        ...correctOrder(q).map((item, k) => answer(k + 1, item))
+      ];
+      break;
+    default: {
+      qtype = 'multichoice';
+      const right = correctIndices(q);
+      const multi = type === 'multi';
+      const w = fraction(right.length);
+      body = [
+        `    <single>${multi ? 'false' : 'true'}</single>`,
+        '    <shuffleanswers>true</shuffleanswers>',
+        '    <answernumbering>abc</answernumbering>',
+        ...q.options.map((o, k) => answer(right.includes(k) ? w : (multi ? -w : 0), o))
+      ];
+    }
+  }
+  return [`  <question type="${qtype}">`, ...head, ...body, '  </question>'].join('\n');
+}
+
+function render(quiz) {
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<quiz>',
+    '  <question type="category">',
+    `    <category>${text(`$course$/${quiz.topic}`)}</category>`,
+    '  </question>',
+    ...quiz.questions.map(questionXml),
+    '</quiz>',
+    ''
+  ].join('\n');
+}
+
+module.exports = {
+  name: 'moodle_xml',
+  label: 'Moodle XML',
+  extension: 'moodle.xml',
+  contentType: 'application/xml; charset=utf-8',
+  render
+};
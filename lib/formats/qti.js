@@ -0,0 +1,138 @@
+const { typeOf, correctOrder, correctIndices, escapeXml } = require('./common');
+const { createZip } = require('../zip');
+
+// IMS QTI 2.1 content package: one assessmentItem per question, an
+// assessmentTest listing them, and imsmanifest.xml tying it together.
+// Explanations are not exported; QTI only shows feedback through custom
+// response processing, which the standard templates used here do not do.
+
+const QTI_NS = 'xmlns="http://www.imsglobal.org/xsd/imsqti_v2p1" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://www.imsglobal.org/xsd/imsqti_v2p1 http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd"';
+const TEMPLATE = 'http://www.imsglobal.org/question/qti_v2p1/rptemplates';
+
+function choices(options) {
+  return options.map((o, k) => `      <simpleChoice identifier="C${k}">${escapeXml(o)}</simpleChoice>`);
+}
+
+// Response declaration, item body and response processing for one question
+function itemParts(q) {
+  const type = typeOf(q);
+  const prompt = `      <prompt>${escapeXml(q.question)}</prompt>`;
+  switch (type) {
+    case 'multi': {
+      const right = correctIndices(q);
+      const w = Number((1 / right.length).toFixed(5));
+      return {
+        declaration: [
+          '  <responseDeclaration identifier="RESPONSE" cardinality="multiple" baseType="identifier">',
+          `    <correctResponse>${right.map(k => `<value>C${k}</value>`).join('')}</correctResponse>`,
+          '    <mapping lowerBound="0" upperBound="1" defaultValue="0">',
+          ...q.options.map((_, k) => `      <mapEntry mapKey="C${k}" mappedValue="${right.includes(k) ? w : -w}"/>`),
+          '    </mapping>',
+          '  </responseDeclaration>'
+        ],
+        body: ['    <choiceInteraction responseIdentifier="RESPONSE" shuffle="true" maxChoices="0">', prompt, ...choices(q.options), '    </choiceInteraction>'],
+        template: 'map_response'
+      };
+    }
+    case 'short':
+      return {
+        declaration: [
+          '  <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="string">',
+          `    <correctResponse><value>${escapeXml(q.accepted_answers[0])}</value></correctResponse>`,
+          '    <mapping lowerBound="0" upperBound="1" defaultValue="0">',
+          ...q.accepted_answers.map(a => `      <mapEntry mapKey="${escapeXml(a)}" mappedValue="1" caseSensitive="false"/>`),
+          '    </mapping>',
+          '  </responseDeclaration>'
+        ],
+        body: [`    <p>${escapeXml(q.question)}</p>`, '    <p><textEntryInteraction responseIdentifier="RESPONSE" expectedLength="30"/></p>'],
+        template: 'map_response'
+      };
+    case 'ordering': {
+      const order = correctOrder(q);
+      return {
+        declaration: [
+          '  <responseDeclaration identifier="RESPONSE" cardinality="ordered" baseType="identifier">',
+          `    <correctResponse>${order.map((_, k) => `<value>C${k}</value>`).join('')}</correctResponse>`,
+          '  </responseDeclaration>'
+        ],
+        body: ['    <orderInteraction responseIdentifier="RESPONSE" shuffle="true">', prompt, ...choices(order), '    </orderInteraction>'],
+        template: 'match_correct'
+      };
+    }
+    default:
+      return {
+        declaration: [
+          '  <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="identifier">',
+          `    <correctResponse><value>C${q.answer_index}</value></correctResponse>`,
+          '  </responseDeclaration>'
+        ],
+        body: [`    <choiceInteraction responseIdentifier="RESPONSE" shuffle="${type === 'true_false' ? 'false' : 'true'}" maxChoices="1">`, prompt, ...choices(q.options), '    </choiceInteraction>'],
+        template: 'match_correct'
+      };
+  }
+}
+
+function itemXml(q, id, title) {
+  const { declaration, body, template } = itemParts(q);
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<assessmentItem ${QTI_NS} identifier="${id}" title="${escapeXml(title)}" adaptive="false" timeDependent="false">`,
+    ...declaration,
+    '  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float"/>',
+    '  <itemBody>',
+    ...body,
+    '  </itemBody>',
+    `  <responseProcessing template="${TEMPLATE}/${template}"/>`,
+    '</assessmentItem>',
+    ''
+  ].join('\n');
+}
+
+function testXml(quiz, ids) {
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<assessmentTest ${QTI_NS} identifier="test" title="${escapeXml(quiz.topic)}">`,
+    '  <testPart identifier="part1" navigationMode="nonlinear" submissionMode="individual">',
+    `    <assessmentSection identifier="section1" title="${escapeXml(quiz.topic)}" visible="true">`,
+    ...ids.map(id => `      <assessmentItemRef identifier="${id}" href="items/${id}.xml"/>`),
+    '    </assessmentSection>',
+    '  </testPart>',
+    '</assessmentTest>',
+    ''
+  ].join('\n');
+}
+
+function manifestXml(ids) {
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" identifier="MANIFEST-1" xsi:schemaLocation="http://www.imsglobal.org/xsd/imscp_v1p1 http://www.imsglobal.org/xsd/qti/qtiv2p1/qtiv2p1_imscpv1p2_v1p0.xsd">',
+    '  <metadata><schema>QTIv2.1 Package</schema><schemaversion>1.0.0</schemaversion></metadata>',
+    '  <organizations/>',
+    '  <resources>',
+    '    <resource identifier="test" type="imsqti_test_xmlv2p1" href="test.xml">',
+    '      <file href="test.xml"/>',
+    ...ids.map(id => `      <dependency identifierref="${id}"/>`),
+    '    </resource>',
+    ...ids.map(id => `    <resource identifier="${id}" type="imsqti_item_xmlv2p1" href="items/${id}.xml"><file href="items/${id}.xml"/></resource>`),
+    '  </resources>',
+    '</manifest>',
+    ''
+  ].join('\n');
+}
+
+function render(quiz) {
+  const ids = quiz.questions.map((_, i) => `q${i + 1}`);
+  return createZip([
+    { name: 'imsmanifest.xml', data: manifestXml(ids) },
+    { name: 'test.xml', data: testXml(quiz, ids) },
+    ...quiz.questions.map((q, i) => ({ name: `items/${ids[i]}.xml`, data: itemXml(q, ids[i], `Q${i + 1}`) }))
+  ]);
+}
+
+module.exports = {
+  name: 'qti',
+  label: 'QTI 2.1 package',
+  extension: 'qti.zip',
+  contentType: 'application/zip',
+  render
+};
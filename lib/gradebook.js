@@ -0,0 +1,78 @@
+const { csvCell } = require('./formats/common');
+const { studentKey } = require('./assignmentStore');
+
+// Best attempt first; ties go to the earlier one
+function byScore(a, b) {
+  return b.result.percent - a.result.percent || String(a.finished_at).localeCompare(String(b.finished_at));
+}
+
+// Per-student scores and per-question difficulty of an assignment.
+// Students on the roster are listed even before they start; difficulty counts every finished attempt.
+function buildGradebook(assignment) {
+  const students = new Map();
+  const add = name => {
+    const key = studentKey(name);
+    if (!students.has(key)) students.set(key, { name, attempts: [] });
+    return students.get(key);
+  };
+  assignment.roster.forEach(add);
+  assignment.attempts.forEach(a => add(a.student).attempts.push(a));
+
+  const finished = assignment.attempts.filter(a => a.result);
+  const questions = assignment.questions.map((q, i) => {
+    const answers = finished.map(a => a.questions[i]).filter(Boolean);
+    const correct = answers.filter(r => r.correct).length;
+    return {
+      question_id: i,
+      question: q.question,
+      type: q.type || 'single',
+      attempts: answers.length,
+      correct,
+      percent_correct: answers.length ? Math.round((correct / answers.length) * 100) : null
+    };
+  });
+
+  return {
+    students: [...students.values()].map(({ name, attempts }) => {
+      const done = attempts.filter(a => a.result).sort((a, b) => String(a.finished_at).localeCompare(String(b.finished_at)));
+      const best = done.slice().sort(byScore)[0] || null;
+      const last = done[done.length - 1] || null;
+      return {
+        name,
+        attempts: attempts.length,
+        finished: done.length,
+        best_percent: best ? best.result.percent : null,
+        last_percent: last ? last.result.percent : null,
+        last_finished_at: last ? last.finished_at : null,
+        late: done.some(a => a.late),
+        // how the best attempt went, question by question
+        scores: best ? best.questions.map(r => r.score) : null
+      };
+    }),
+    questions
+  };
+}
+
+// Spreadsheet of the gradebook: one row per student with their best attempt's score on
+// every question, then a row with the percent of attempts that got each question right
+function gradebookCsv(assignment) {
+  const { students, questions } = buildGradebook(assignment);
+  const header = ['student', 'attempts', 'best_percent', 'last_percent', 'last_finished_at', 'late', ...questions.map(q => `q${q.question_id + 1}`)];
+  const rows = [header];
+  students.forEach(s => {
+    rows.push([
+      s.name,
+      s.attempts,
+      s.best_percent,
+      s.last_percent,
+      s.last_finished_at,
+      s.late ? 'yes' : '',
+      ...questions.map((q, i) => (s.scores ? s.scores[i] : ''))
+    ]);
+  });
+  rows.push(['% correct', '', '', '', '', '', ...questions.map(q => q.percent_correct)]);
+  // BOM so spreadsheet apps open the file as UTF-8
+  return '\uFEFF' + rows.map(r => r.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = { buildGradebook, gradebookCsv };
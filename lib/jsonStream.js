@@ -0,0 +1,66 @@
+const { repairJson } = require('./modelJson');
+
+// Incremental extraction of array items from streamed model JSON.
+//
+// The model streams `{"questions": [ {...}, {...} ]}` (or a bare array) a few
+// characters at a time. push() scans only the new text, tracking nesting and
+// string state, and returns every object that just closed directly inside an
+// array — i.e. each complete question — parsed. Prose or code fences around
+// the JSON are skipped because nothing outside an array is emitted.
+function createItemStreamParser() {
+  let buffer = '';
+  let pos = 0;
+  const stack = [];     // open containers: '{' or '['
+  let inString = false;
+  let escaped = false;
+  let itemStart = -1;   // buffer index where the current array item object began
+  let itemDepth = 0;    // nesting depth just outside that object
+
+  function push(chunk) {
+    buffer += chunk;
+    const items = [];
+    for (; pos < buffer.length; pos++) {
+      const ch = buffer[pos];
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (ch === '\\') escaped = true;
+        else if (ch === '"') inString = false;
+        continue;
+      }
+      if (ch === '"') {
+        inString = true;
+      } else if (ch === '{' || ch === '[') {
+        if (ch === '{' && stack[stack.length - 1] === '[' && itemStart === -1) {
+          itemStart = pos;
+          itemDepth = stack.length;
+        }
+        stack.push(ch);
+      } else if (ch === '}' || ch === ']') {
+        stack.pop();
+        if (ch === '}' && itemStart !== -1 && stack.length === itemDepth) {
+          const text = buffer.slice(itemStart, pos + 1);
+          try {
+            items.push(JSON.parse(text));
+          } catch (err) {
+            try {
+              items.push(JSON.parse(repairJson(text)));
+            } catch (err2) {
+              // still malformed — skip it, keep streaming
+            }
+          }
+          itemStart = -1;
+        }
+      }
+    }
+    // drop consumed text we no longer need to keep memory flat
+    const keepFrom = itemStart === -1 ? pos : itemStart;
+    buffer = buffer.slice(keepFrom);
+    pos -= keepFrom;
+    if (itemStart !== -1) itemStart = 0;
+    return items;
+  }
+
+  return { push };
+}
+
+module.exports = { createItemStreamParser };
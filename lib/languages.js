@@ -0,0 +1,58 @@
+// Languages quizzes can be generated in. Questions, options, accepted answers and
+// explanations are written in the quiz language; JSON keys and type names stay English.
+
+const LANGUAGES = {
+  en: { name: 'English', native: 'English', true_false: ['True', 'False'] },
+  es: { name: 'Spanish', native: 'Español', true_false: ['Verdadero', 'Falso'] },
+  de: { name: 'German', native: 'Deutsch', true_false: ['Wahr', 'Falsch'] },
+  fr: { name: 'French', native: 'Français', true_false: ['Vrai', 'Faux'] },
+  it: { name: 'Italian', native: 'Italiano', true_false: ['Vero', 'Falso'] },
+  pt: { name: 'Portuguese', native: 'Português', true_false: ['Verdadeiro', 'Falso'] },
+  nl: { name: 'Dutch', native: 'Nederlands', true_false: ['Waar', 'Onwaar'] },
+  pl: { name: 'Polish', native: 'Polski', true_false: ['Prawda', 'Fałsz'] },
+  tr: { name: 'Turkish', native: 'Türkçe', true_false: ['Doğru', 'Yanlış'] },
+  hi: { name: 'Hindi', native: 'हिन्दी', true_false: ['सही', 'गलत'] },
+  bn: { name: 'Bengali', native: 'বাংলা', true_false: ['সত্য', 'মিথ্যা'] },
+  ta: { name: 'Tamil', native: 'தமிழ்', true_false: ['சரி', 'தவறு'] },
+  ar: { name: 'Arabic', native: 'العربية', dir: 'rtl', true_false: ['صحيح', 'خطأ'] },
+  he: { name: 'Hebrew', native: 'עברית', dir: 'rtl', true_false: ['נכון', 'לא נכון'] },
+  ja: { name: 'Japanese', native: '日本語', true_false: ['正しい', '誤り'] },
+  zh: { name: 'Chinese (Simplified)', native: '简体中文', true_false: ['正确', '错误'] }
+};
+const DEFAULT_LANGUAGE = 'en';
+
+// Accepts a code such as "es" or "es-ES". Returns the code, the default when
+// omitted, or null when the language is not supported.
+function parseLanguage(input) {
+  if (input === undefined || input === null || input === '') return DEFAULT_LANGUAGE;
+  const code = String(input).trim().toLowerCase().split(/[-_]/)[0];
+  return Object.prototype.hasOwnProperty.call(LANGUAGES, code) ? code : null;
+}
+
+function languageLine(code) {
+  const { name, native } = LANGUAGES[code] || LANGUAGES[DEFAULT_LANGUAGE];
+  const label = name === native ? name : `${name} (${native})`;
+  return `Language: write every question, option, accepted answer and explanation in ${label}, ` +
+    'whatever the language of the topic. Keep the JSON keys and the "type" values in English.';
+}
+
+// True/false options are fixed by the schema; give them the quiz language's labels
+function localizeQuestion(question, code) {
+  if (question.type !== 'true_false' || !LANGUAGES[code]) return question;
+  return { ...question, options: LANGUAGES[code].true_false.slice() };
+}
+
+// Text direction of a language: 'rtl' or 'ltr' (also for unknown codes)
+function textDirection(code) {
+  return (LANGUAGES[code] && LANGUAGES[code].dir) || 'ltr';
+}
+
+// For the setup modal: [{ code, name, native, dir }]
+function listLanguages() {
+  return Object.keys(LANGUAGES).map(code => {
+    const { name, native } = LANGUAGES[code];
+    return { code, name, native, dir: textDirection(code) };
+  });
+}
+
+module.exports = { LANGUAGES, DEFAULT_LANGUAGE, parseLanguage, languageLine, localizeQuestion, textDirection, listLanguages };
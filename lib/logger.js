@@ -0,0 +1,79 @@
+const crypto = require('crypto');
+
+// Structured logging: one JSON object per line on stdout, e.g.
+//   {"time":"...","level":"info","msg":"request","request_id":"...","status":200,"duration_ms":12}
+// LOG_LEVEL (debug | info | warn | error) sets the minimum level written.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,64}$/;
+
+// Errors do not survive JSON.stringify; keep what is useful for debugging
+function serialize(value) {
+  if (!(value instanceof Error)) return value;
+  const out = { message: value.message };
+  if (value.status) out.status = value.status;
+  if (value.code) out.code = value.code;
+  if (!value.status || value.status >= 500) out.stack = value.stack;
+  return out;
+}
+
+function createLogger({ level = process.env.LOG_LEVEL, fields = {}, write = line => process.stdout.write(line) } = {}) {
+  const min = LEVELS[String(level || 'info').toLowerCase()] || LEVELS.info;
+
+  function log(name, msg, extra = {}) {
+    if (LEVELS[name] < min) return;
+    const entry = { time: new Date().toISOString(), level: name, msg, ...fields };
+    Object.keys(extra).forEach(key => { entry[key] = serialize(extra[key]); });
+    write(`${JSON.stringify(entry)}\n`);
+  }
+
+  return {
+    debug: (msg, extra) => log('debug', msg, extra),
+    info: (msg, extra) => log('info', msg, extra),
+    warn: (msg, extra) => log('warn', msg, extra),
+    error: (msg, extra) => log('error', msg, extra),
+    // Logger that adds `more` to every entry (e.g. the request id)
+    child: more => createLogger({ level, fields: { ...fields, ...more }, write })
+  };
+}
+
+// Process-wide logger for modules that have no request at hand
+const logger = createLogger();
+
+// Express middleware: give each request an id (a sane incoming X-Request-Id is kept,
+// so ids can be followed through a proxy), expose it as req.id / req.log and the
+// X-Request-Id response header, and log one line when the response is finished.
+// `onFinish(req, res, seconds)` is called for every request (metrics).
+function requestLogger(log = logger, { quiet = [], onFinish = null } = {}) {
+  return function logRequest(req, res, next) {
+    const incoming = req.get('X-Request-Id');
+    req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    req.log = log.child({ request_id: req.id });
+    res.set('X-Request-Id', req.id);
+    const started = process.hrtime.bigint();
+
+    let done = false;
+    const finish = (aborted) => {
+      if (done) return;
+      done = true;
+      const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+      if (onFinish) onFinish(req, res, seconds);
+      const entry = {
+        method: req.method,
+        path: req.path,
+        status: aborted ? null : res.statusCode,
+        duration_ms: Math.round(seconds * 1000),
+        ip: req.ip
+      };
+      if (aborted) entry.aborted = true;
+      // health checks and scrapes would drown everything else at info level
+      const level = quiet.includes(req.path) ? 'debug' : res.statusCode >= 500 ? 'error' : 'info';
+      req.log[level]('request', entry);
+    };
+    res.on('finish', () => finish(false));
+    res.on('close', () => finish(!res.writableFinished));
+    next();
+  };
+}
+
+module.exports = { createLogger, logger, requestLogger };
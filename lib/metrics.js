@@ -0,0 +1,123 @@
+// Minimal Prometheus metrics registry (text exposition format 0.0.4): counters,
+// histograms and gauges read at scrape time. Label sets are kept in memory for
+// the life of the process, so label values must come from small fixed sets.
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const keys = Object.keys(labels);
+  if (!keys.length) return '';
+  return `{${keys.map(k => `${k}="${escapeLabel(labels[k])}"`).join(',')}}`;
+}
+
+function formatNumber(n) {
+  if (n === Infinity) return '+Inf';
+  if (n === -Infinity) return '-Inf';
+  return String(n);
+}
+
+function createMetrics() {
+  const metrics = [];
+
+  function register(metric) {
+    if (metrics.some(m => m.name === metric.name)) throw new Error(`Metric ${metric.name} is already registered.`);
+    metrics.push(metric);
+    return metric;
+  }
+
+  // Only the declared labels are used, in declaration order, missing ones as ""
+  function pick(labelNames, labels = {}) {
+    const out = {};
+    labelNames.forEach(k => { out[k] = labels[k] === undefined || labels[k] === null ? '' : labels[k]; });
+    return out;
+  }
+
+  function counter(name, help, labelNames = []) {
+    const series = new Map();
+    const metric = register({
+      name,
+      help,
+      type: 'counter',
+      lines() {
+        return Array.from(series.values()).map(s => `${metric.name}${formatLabels(s.labels)} ${formatNumber(s.value)}`);
+      }
+    });
+    return {
+      inc(labels = {}, amount = 1) {
+        const picked = pick(labelNames, labels);
+        const key = JSON.stringify(picked);
+        if (!series.has(key)) series.set(key, { labels: picked, value: 0 });
+        series.get(key).value += amount;
+      }
+    };
+  }
+
+  function histogram(name, help, { labelNames = [], buckets = DEFAULT_BUCKETS } = {}) {
+    const bounds = buckets.slice().sort((a, b) => a - b);
+    const series = new Map();
+    const metric = register({
+      name,
+      help,
+      type: 'histogram',
+      lines() {
+        const out = [];
+        series.forEach(s => {
+          // buckets are cumulative
+          let cumulative = 0;
+          bounds.forEach((le, i) => {
+            cumulative += s.counts[i];
+            out.push(`${metric.name}_bucket${formatLabels({ ...s.labels, le: formatNumber(le) })} ${cumulative}`);
+          });
+          out.push(`${metric.name}_bucket${formatLabels({ ...s.labels, le: '+Inf' })} ${s.count}`);
+          out.push(`${metric.name}_sum${formatLabels(s.labels)} ${formatNumber(s.sum)}`);
+          out.push(`${metric.name}_count${formatLabels(s.labels)} ${s.count}`);
+        });
+        return out;
+      }
+    });
+
+    function observe(labels, value) {
+      const picked = pick(labelNames, labels);
+      const key = JSON.stringify(picked);
+      if (!series.has(key)) series.set(key, { labels: picked, counts: bounds.map(() => 0), sum: 0, count: 0 });
+      const s = series.get(key);
+      const i = bounds.findIndex(le => value <= le);
+      if (i !== -1) s.counts[i]++;
+      s.sum += value;
+      s.count++;
+    }
+
+    return { observe };
+  }
+
+  // `collect()` returns a number, or a list of { labels, value }, at scrape time
+  function gauge(name, help, collect) {
+    const metric = register({
+      name,
+      help,
+      type: 'gauge',
+      lines() {
+        const value = collect();
+        const list = Array.isArray(value) ? value : [{ labels: {}, value }];
+        return list.map(s => `${metric.name}${formatLabels(s.labels || {})} ${formatNumber(s.value)}`);
+      }
+    });
+    return metric;
+  }
+
+  function render() {
+    return metrics.map(m => [
+      `# HELP ${m.name} ${m.help}`,
+      `# TYPE ${m.name} ${m.type}`,
+      ...m.lines()
+    ].join('\n')).join('\n') + '\n';
+  }
+
+  return { counter, histogram, gauge, render, contentType: 'text/plain; version=0.0.4; charset=utf-8' };
+}
+
+module.exports = { createMetrics, DEFAULT_BUCKETS };
@@ -0,0 +1,79 @@
+// Lenient parsing of JSON produced by language models.
+//
+// Models wrap JSON in ```json fences, bare ``` fences or a sentence of prose,
+// and often leave trailing commas behind. parseModelJson() finds the outermost
+// JSON value, repairs what it safely can, and otherwise reports why it failed
+// so the reason can be fed back to the model.
+
+// Contents of the first fenced block, with or without a language tag
+function stripFences(text) {
+  const m = text.match(/```[a-zA-Z]*\s*\n?([\s\S]*?)```/);
+  return m ? m[1] : text;
+}
+
+// The first complete {...} or [...] value in the text; the rest when it never closes
+function sliceJsonValue(text) {
+  const start = text.search(/[{[]/);
+  if (start === -1) return null;
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  for (let i = start; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (ch === '\\') escaped = true;
+      else if (ch === '"') inString = false;
+    } else if (ch === '"') {
+      inString = true;
+    } else if (ch === '{' || ch === '[') {
+      depth++;
+    } else if (ch === '}' || ch === ']') {
+      depth--;
+      if (depth === 0) return text.slice(start, i + 1);
+    }
+  }
+  return text.slice(start);
+}
+
+// Drop trailing commas before a closing bracket, leaving string contents alone
+function repairJson(text) {
+  let out = '';
+  let inString = false;
+  let escaped = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (ch === '\\') escaped = true;
+      else if (ch === '"') inString = false;
+    } else if (ch === '"') {
+      inString = true;
+    } else if (ch === ',') {
+      const next = text.slice(i + 1).match(/^\s*(.)/);
+      if (next && (next[1] === '}' || next[1] === ']')) continue;
+    }
+    out += ch;
+  }
+  return out;
+}
+
+// Returns { value } on success or { error } describing what was wrong
+function parseModelJson(rawText) {
+  if (!rawText || typeof rawText !== 'string') return { error: 'The response was empty.' };
+  const text = rawText.replace(/^\uFEFF/, '');
+  try {
+    return { value: JSON.parse(text) };
+  } catch (err) {
+    // fall through to the lenient path
+  }
+  const candidate = sliceJsonValue(stripFences(text));
+  if (!candidate) return { error: 'The response did not contain a JSON object.' };
+  try {
+    return { value: JSON.parse(repairJson(candidate)) };
+  } catch (err) {
+    return { error: `The response was not valid JSON (${err.message}).` };
+  }
+}
+
+module.exports = { parseModelJson, repairJson };
@@ -0,0 +1,284 @@
+const { logger } = require('./logger');
+const { httpError } = require('./util');
+
+// Model registry: the models a provider may call, in order of preference, each
+// with its own timeout and output token limit. Every model call goes through
+// run() or stream(), which
+//   - abort a call that takes longer than the model's timeout,
+//   - retry transient errors (timeouts, network errors, 429 and 5xx) with exponential backoff,
+//   - move on to the next model when one is unknown or still failing after the retries, and
+//   - skip a model for `breaker.seconds` once it has failed `breaker.failures` calls
+//     in a row (circuit breaker). After the cool-down one trial call is let through:
+//     success closes the circuit again, failure reopens it.
+
+const TRANSIENT_STATUS = [408, 429, 500, 502, 503, 504];
+const MAX_BACKOFF_MS = 10000;
+
+// Model list from env: comma-separated entries of a name with optional settings,
+// e.g. "gemini-2.0-flash timeout=30 max_tokens=8192, gemini-1.5-flash".
+// `fallback` (names) is used when the variable is empty.
+function parseModelList(value, fallback = []) {
+  const entries = String(value || '').split(',').map(s => s.trim()).filter(Boolean);
+  const list = entries.length ? entries : fallback.filter(Boolean);
+  const models = [];
+  for (const entry of list) {
+    const [name, ...settings] = entry.split(/\s+/);
+    const model = { name };
+    for (const setting of settings) {
+      const [key, raw] = setting.split('=');
+      const n = Number(raw);
+      if (!['timeout', 'max_tokens'].includes(key) || !(n > 0)) {
+        throw new Error(`Invalid model setting "${setting}" for ${name}. Use timeout=<seconds> or max_tokens=<n>.`);
+      }
+      if (key === 'timeout') model.timeoutMs = Math.round(n * 1000);
+      else model.maxTokens = Math.floor(n);
+    }
+    if (!models.some(m => m.name === name)) models.push(model);
+  }
+  return models;
+}
+
+// Retry and circuit breaker settings shared by every provider:
+//   MODEL_TIMEOUT_SECONDS  default per-model timeout (60)
+//   MODEL_MAX_TOKENS       default output token limit (provider default when unset)
+//   MODEL_RETRIES          retries of a transient error on the same model (2)
+//   MODEL_BACKOFF_MS       first retry delay, doubled on every retry (500)
+//   MODEL_BREAKER          failures in a row / seconds a model is skipped (3/60)
+function registryOptions(env = process.env) {
+  const int = (value, fallback) => Number.isInteger(parseInt(value, 10)) ? parseInt(value, 10) : fallback;
+  const [failures, seconds] = String(env.MODEL_BREAKER || '3/60').split('/').map(Number);
+  return {
+    timeoutMs: (parseFloat(env.MODEL_TIMEOUT_SECONDS) || 60) * 1000,
+    maxTokens: int(env.MODEL_MAX_TOKENS, null),
+    retries: Math.max(0, int(env.MODEL_RETRIES, 2)),
+    backoffMs: Math.max(0, int(env.MODEL_BACKOFF_MS, 500)),
+    breaker: {
+      failures: failures >= 1 ? Math.floor(failures) : 3,
+      seconds: seconds > 0 ? seconds : 60
+    }
+  };
+}
+
+function statusOf(err) {
+  return err.upstreamStatus || err.status || null;
+}
+
+// not_found: try the next model; transient: retry; anything else is passed on
+// (bad request, rejected key, blocked content) since other models would fail the same way
+function classify(err) {
+  const status = statusOf(err);
+  if (err.timedOut) return 'transient';
+  if (status === 404 || (!status && /not found/i.test(String(err.message)))) return 'not_found';
+  if (TRANSIENT_STATUS.includes(status)) return 'transient';
+  if (!status && /fetch|network|socket|ECONN|ETIMEDOUT|EAI_AGAIN/i.test(`${err.name} ${err.message} ${err.cause && err.cause.code}`)) {
+    return 'transient';
+  }
+  return 'fatal';
+}
+
+function createModelRegistry({
+  provider,
+  models,
+  timeoutMs = 60000,
+  maxTokens = null,
+  retries = 2,
+  backoffMs = 500,
+  breaker = { failures: 3, seconds: 60 },
+  log = logger,
+  now = Date.now,
+  sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+}) {
+  if (!models.length) throw new Error(`No models configured for ${provider}.`);
+  const entries = models.map(m => ({
+    name: m.name,
+    timeoutMs: m.timeoutMs || timeoutMs,
+    maxTokens: m.maxTokens || maxTokens,
+    failures: 0,        // failed calls in a row
+    openUntil: 0,       // circuit open (model skipped) until then
+    trial: false,       // half-open: a trial call is running
+    calls: 0,
+    errors: 0,
+    lastSuccessAt: null,
+    lastError: null
+  }));
+
+  function circuit(entry) {
+    if (!entry.openUntil) return 'closed';
+    return now() < entry.openUntil ? 'open' : 'half_open';
+  }
+
+  // Whether the model may be called now; claims the trial call of a half-open circuit
+  function claim(entry) {
+    const state = circuit(entry);
+    if (state === 'open' || (state === 'half_open' && entry.trial)) return false;
+    if (state === 'half_open') entry.trial = true;
+    return true;
+  }
+
+  function succeeded(entry) {
+    if (entry.openUntil) log.info('model circuit closed', { provider, model: entry.name });
+    entry.failures = 0;
+    entry.openUntil = 0;
+    entry.trial = false;
+    entry.lastSuccessAt = new Date(now()).toISOString();
+  }
+
+  function failed(entry, err, kind) {
+    entry.errors++;
+    entry.failures++;
+    entry.trial = false;
+    entry.lastError = { message: String(err.message || err).slice(0, 300), status: statusOf(err), at: new Date(now()).toISOString() };
+    // an unknown model will not appear within the cool-down, so it is skipped right away
+    if (kind === 'not_found' || entry.failures >= breaker.failures || entry.openUntil) {
+      entry.openUntil = now() + breaker.seconds * 1000;
+      log.warn('model circuit opened', { provider, model: entry.name, failures: entry.failures, seconds: breaker.seconds, err });
+    }
+  }
+
+  // Errors that are not the model's fault neither close nor open its circuit
+  function released(entry) {
+    entry.trial = false;
+  }
+
+  function timeoutError(entry) {
+    const e = httpError(504, `${entry.name} did not answer within ${entry.timeoutMs / 1000}s.`);
+    e.timedOut = true;
+    return e;
+  }
+
+  // Settle `promise` within the model's timeout; aborts `controller` when it runs out
+  async function timed(entry, controller, promise) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        controller.abort();
+        reject(timeoutError(entry));
+      }, entry.timeoutMs);
+    });
+    try {
+      return await Promise.race([promise, timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  function backoff(attempt) {
+    const delay = Math.min(MAX_BACKOFF_MS, backoffMs * 2 ** attempt);
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+  }
+
+  // Call `attempt(entry)` on each available model in turn, retrying transient errors.
+  // Returns the first result; errors that are not about the model are rethrown.
+  async function withFallback(attempt) {
+    const tried = [];
+    let lastError = null;
+    for (const entry of entries) {
+      if (!claim(entry)) continue;
+      tried.push(entry.name);
+      for (let n = 0; ; n++) {
+        entry.calls++;
+        try {
+          return await attempt(entry);
+        } catch (err) {
+          const kind = classify(err);
+          if (kind === 'fatal') {
+            released(entry);
+            throw err;
+          }
+          lastError = err;
+          if (kind === 'transient' && n < retries) {
+            const delay = backoff(n);
+            log.warn('model call failed, retrying', { provider, model: entry.name, attempt: n + 1, delay_ms: delay, err });
+            await sleep(delay);
+            continue;
+          }
+          failed(entry, err, kind);
+          break;
+        }
+      }
+    }
+    throw exhausted(tried, lastError);
+  }
+
+  function exhausted(tried, lastError) {
+    const skipped = entries.filter(e => !tried.includes(e.name)).map(e => e.name);
+    const parts = [tried.length ? `No model answered. Tried: ${tried.join(', ')}.` : 'Every model is failing and temporarily skipped.'];
+    if (skipped.length) parts.push(`Skipped (circuit open): ${skipped.join(', ')}.`);
+    if (lastError) parts.push(`Last error: ${lastError.message || String(lastError)}`);
+    const e = httpError(tried.length ? 502 : 503, parts.join(' '));
+    e.triedModels = tried;
+    e.skippedModels = skipped;
+    e.lastError = lastError;
+    return e;
+  }
+
+  // call(entry, signal) -> result; returns the result of the first model that answers
+  async function run(call) {
+    return withFallback(async entry => {
+      const controller = new AbortController();
+      const result = await timed(entry, controller, call(entry, controller.signal));
+      succeeded(entry);
+      return result;
+    });
+  }
+
+  // open(entry, signal) -> async iterable of chunks. Falls back to the next model
+  // until one sends its first chunk; after that the stream belongs to that model,
+  // and every chunk has to arrive within its timeout.
+  async function* stream(open) {
+    const controller = { current: null };
+    const { entry, iterator, first } = await withFallback(async e => {
+      controller.current = new AbortController();
+      const iterable = await timed(e, controller.current, open(e, controller.current.signal));
+      const it = iterable[Symbol.asyncIterator]();
+      return { entry: e, iterator: it, first: await timed(e, controller.current, it.next()) };
+    });
+    let settled = false;
+    try {
+      let step = first;
+      while (!step.done) {
+        yield step.value;
+        step = await timed(entry, controller.current, iterator.next());
+      }
+      settled = true;
+      succeeded(entry);
+    } catch (err) {
+      settled = true;
+      if (classify(err) === 'fatal') released(entry);
+      else failed(entry, err, classify(err));
+      throw err;
+    } finally {
+      // the consumer stopped reading: close the model's stream
+      if (!settled) {
+        controller.current.abort();
+        if (iterator.return) iterator.return().catch(() => {});
+        succeeded(entry);
+      }
+    }
+  }
+
+  // Order, limits and circuit breaker state of every model, for /list-models
+  function state() {
+    return {
+      retries,
+      backoff_ms: backoffMs,
+      breaker: { failures: breaker.failures, seconds: breaker.seconds },
+      models: entries.map(e => ({
+        name: e.name,
+        timeout_ms: e.timeoutMs,
+        max_tokens: e.maxTokens,
+        circuit: circuit(e),
+        open_until: circuit(e) === 'open' ? new Date(e.openUntil).toISOString() : null,
+        consecutive_failures: e.failures,
+        calls: e.calls,
+        errors: e.errors,
+        last_success_at: e.lastSuccessAt,
+        last_error: e.lastError
+      }))
+    };
+  }
+
+  return { models: entries.map(e => e.name), run, stream, state };
+}
+
+module.exports = { createModelRegistry, parseModelList, registryOptions };
@@ -0,0 +1,106 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { logger } = require('../logger');
+const { createModelRegistry, parseModelList, registryOptions } = require('../modelRegistry');
+const { httpError } = require('../util');
+
+const API_BASE = 'https://generativelanguage.googleapis.com/v1beta';
+
+// Used when GEMINI_MODELS is not set, after GEMINI_MODEL
+const DEFAULT_MODELS = ['gemini-2.0-flash', 'gemini-1.5-flash'];
+
+// Google Gemini provider (via @google/generative-ai). GEMINI_MODELS lists the
+// models to try in order, with optional per-model timeout and max_tokens
+// (see lib/modelRegistry.js).
+function createGeminiProvider(env = process.env) {
+  const apiKey = env.GOOGLE_API_KEY;
+  const registry = createModelRegistry({
+    provider: 'gemini',
+    models: parseModelList(env.GEMINI_MODELS, [env.GEMINI_MODEL || env.MODEL_NAME, ...DEFAULT_MODELS]),
+    ...registryOptions(env)
+  });
+  let genAI = null;
+
+  // Initialize Gemini
+  function ensureGemini() {
+    if (genAI) return;
+    try {
+      if (!apiKey) {
+        throw new Error('GOOGLE_API_KEY is not set in .env file. Please set it before using the application.');
+      }
+      genAI = new GoogleGenerativeAI(apiKey);
+      logger.info('gemini api initialized');
+    } catch (e) {
+      logger.error('failed to initialize gemini api', { err: e });
+      throw e;
+    }
+  }
+
+  function modelFor(entry) {
+    const params = { model: entry.name };
+    if (entry.maxTokens) params.generationConfig = { maxOutputTokens: entry.maxTokens };
+    return genAI.getGenerativeModel(params);
+  }
+
+  // First model in the registry that answers
+  async function generateText(prompt) {
+    ensureGemini();
+    return registry.run(async (entry, signal) => {
+      logger.debug('trying model', { provider: 'gemini', model: entry.name });
+      const result = await modelFor(entry).generateContent(prompt, { signal });
+      logger.info('model answered', { provider: 'gemini', model: entry.name });
+      return { text: result.response.text(), model: entry.name };
+    });
+  }
+
+  // Stream text chunks from the first model that starts answering
+  async function* streamText(prompt) {
+    ensureGemini();
+    yield* registry.stream(async (entry, signal) => {
+      logger.debug('streaming from model', { provider: 'gemini', model: entry.name });
+      const result = await modelFor(entry).generateContentStream(prompt, { signal });
+      return (async function* chunks() {
+        for await (const chunk of result.stream) yield { text: chunk.text(), model: entry.name };
+        logger.info('model stream complete', { provider: 'gemini', model: entry.name });
+      })();
+    });
+  }
+
+  // The SDK has no model listing, so this asks the REST API directly. Only models
+  // that can generate content are listed, without the "models/" prefix.
+  async function listModels() {
+    if (!apiKey) {
+      throw new Error('GOOGLE_API_KEY is not set in .env file. Please set it before using the application.');
+    }
+    const models = [];
+    let pageToken = '';
+    do {
+      const url = new URL(`${API_BASE}/models`);
+      url.searchParams.set('pageSize', '1000');
+      if (pageToken) url.searchParams.set('pageToken', pageToken);
+      const resp = await fetch(url, { headers: { 'x-goog-api-key': apiKey } });
+      const body = await resp.json().catch(() => null);
+      if (!resp.ok) {
+        throw httpError(502, `Gemini model list failed with HTTP ${resp.status}: ${body?.error?.message || resp.statusText}`);
+      }
+      for (const m of body?.models || []) {
+        if (!(m.supportedGenerationMethods || []).includes('generateContent')) continue;
+        models.push({ ...m, name: String(m.name).replace(/^models\//, '') });
+      }
+      pageToken = body?.nextPageToken || '';
+    } while (pageToken);
+    return models;
+  }
+
+  return {
+    name: 'gemini',
+    model: registry.models[0],
+    isConfigured: () => Boolean(apiKey),
+    missingConfig: 'GOOGLE_API_KEY',
+    generateText,
+    streamText,
+    listModels,
+    registry
+  };
+}
+
+module.exports = { createGeminiProvider };
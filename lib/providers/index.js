@@ -0,0 +1,70 @@
+const { createGeminiProvider } = require('./gemini');
+const { createOpenAIProvider } = require('./openai');
+const { createMockProvider } = require('./mock');
+
+// Every provider exposes the same interface:
+//   name, model           - identifiers for logs and error payloads
+//   isConfigured()        - whether required credentials/URLs are present
+//   missingConfig         - env var to mention when it is not configured
+//   generateText(prompt, { topic, count }) -> { text, model }
+//   streamText(prompt, { topic, count })   -> async iterable of { text, model }
+//   listModels()          - models the backend reports as available
+//   registry              - model order, timeouts, retries and circuit breaker (lib/modelRegistry.js);
+//                           registry.state() is shown by /list-models
+const factories = {
+  gemini: createGeminiProvider,
+  openai: createOpenAIProvider,
+  mock: createMockProvider
+};
+
+// Select a provider from LLM_PROVIDER (defaults to gemini)
+function createProvider(env = process.env) {
+  const name = (env.LLM_PROVIDER || 'gemini').trim().toLowerCase();
+  const factory = factories[name];
+  if (!factory) {
+    throw new Error(`Unknown LLM_PROVIDER "${name}". Expected one of: ${Object.keys(factories).join(', ')}`);
+  }
+  return factory(env);
+}
+
+// Same provider, reporting every model call to `onCall({ mode, model, outcome, seconds })`:
+// mode is generate | stream, outcome ok | error, model the one that answered
+// (the configured model when the call failed before any did)
+function withCallTiming(provider, onCall) {
+  const since = start => Number(process.hrtime.bigint() - start) / 1e9;
+
+  async function generateText(prompt, options) {
+    const start = process.hrtime.bigint();
+    try {
+      const result = await provider.generateText(prompt, options);
+      onCall({ mode: 'generate', model: result.model || provider.model, outcome: 'ok', seconds: since(start) });
+      return result;
+    } catch (err) {
+      onCall({ mode: 'generate', model: provider.model, outcome: 'error', seconds: since(start) });
+      throw err;
+    }
+  }
+
+  // Timed until the stream ends, fails or the consumer stops reading
+  async function* streamText(prompt, options) {
+    const start = process.hrtime.bigint();
+    let model = provider.model;
+    let failed = false;
+    try {
+      for await (const chunk of provider.streamText(prompt, options)) {
+        model = chunk.model || model;
+        yield chunk;
+      }
+    } catch (err) {
+      failed = true;
+      throw err;
+    } finally {
+      // a consumer that stops reading once it has enough questions still counts as ok
+      onCall({ mode: 'stream', model, outcome: failed ? 'error' : 'ok', seconds: since(start) });
+    }
+  }
+
+  return { ...provider, generateText, streamText };
+}
+
+module.exports = { createProvider, withCallTiming, providerNames: Object.keys(factories) };
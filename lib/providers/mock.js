@@ -0,0 +1,112 @@
+const fs = require('fs');
+const path = require('path');
+const { createModelRegistry, registryOptions } = require('../modelRegistry');
+const { hashString } = require('../util');
+
+const DEFAULT_FIXTURE = path.resolve(__dirname, '..', '..', 'fixtures', 'mock-questions.json');
+
+// Deterministic, fixture-backed provider for offline development and e2e tests.
+// It never touches the network and answers with the same JSON shape a real
+// model is asked for, so the normal parsing path is exercised.
+function createMockProvider(env = process.env) {
+  const fixturePath = env.MOCK_FIXTURES ? path.resolve(env.MOCK_FIXTURES) : DEFAULT_FIXTURE;
+  const latencyMs = parseInt(env.MOCK_LATENCY_MS, 10) || 0;
+  // same timeouts and circuit breaker as the real providers (MOCK_LATENCY_MS can exceed the timeout)
+  const registry = createModelRegistry({ provider: 'mock', models: [{ name: 'mock' }], ...registryOptions(env) });
+  let pool = null;
+
+  function loadPool() {
+    if (pool) return pool;
+    const raw = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+    pool = Array.isArray(raw) ? raw : (raw.questions || []);
+    if (!pool.length) throw new Error(`Mock fixture ${fixturePath} contains no questions.`);
+    return pool;
+  }
+
+  // Grounded mode: cloze questions that blank out a word from each passage
+  function questionsFromPassages(passages, count) {
+    const wordsOf = text => (text.match(/[A-Za-z][A-Za-z-]{5,}/g) || []);
+    const allWords = Array.from(new Set(passages.flatMap(p => wordsOf(p.text))));
+    const questions = [];
+    for (const p of passages) {
+      if (questions.length >= count) break;
+      const sentence = (p.text.match(/[^.!?]+[.!?]?/) || [p.text])[0].trim();
+      const answer = wordsOf(sentence).sort((a, b) => b.length - a.length)[0];
+      if (!answer) continue;
+      const distractors = allWords.filter(w => w.toLowerCase() !== answer.toLowerCase()).slice(0, 3);
+      while (distractors.length < 3) distractors.push(`${answer}${distractors.length + 1}`);
+      const slot = hashString(p.id) % 4;
+      const options = distractors.slice();
+      options.splice(slot, 0, answer);
+      questions.push({
+        type: 'single',
+        question: `Fill in the blank: "${sentence.replace(answer, '_____')}"`,
+        options,
+        answer_index: slot,
+        explanation: `The passage reads: "${sentence}"`,
+        source_ref: p.id
+      });
+    }
+    return questions;
+  }
+
+  async function answer(prompt, { topic = '', count = 5, types = ['single'], passages = null, noLatency = false } = {}) {
+    const delay = noLatency ? 0 : latencyMs;
+    if (passages && passages.length) {
+      if (delay) await new Promise(r => setTimeout(r, delay));
+      return { text: JSON.stringify({ questions: questionsFromPassages(passages, count) }), model: 'mock' };
+    }
+
+    // Interleave the requested types so mixed quizzes really are mixed
+    const byType = types.map(t => loadPool().filter(q => (q.type || 'single') === t));
+    const items = [];
+    for (let i = 0; i < Math.max(0, ...byType.map(l => l.length)); i++) {
+      byType.forEach(list => { if (list[i]) items.push(list[i]); });
+    }
+    const start = hashString(String(topic).trim().toLowerCase()) % items.length;
+    const picked = [];
+    // Walk the pool from a topic-dependent offset, skipping anything the prompt asks to avoid
+    for (let i = 0; i < items.length && picked.length < count; i++) {
+      const q = items[(start + i) % items.length];
+      if (prompt && prompt.includes(q.question)) continue;
+      picked.push(q);
+    }
+    if (delay) await new Promise(r => setTimeout(r, delay));
+    return { text: JSON.stringify({ questions: picked }), model: 'mock' };
+  }
+
+  async function generateText(prompt, context) {
+    return registry.run(() => answer(prompt, context));
+  }
+
+  // Replays the generated JSON in small slices so streaming paths can be exercised offline
+  async function* replay(prompt, context) {
+    const { text, model } = await answer(prompt, { ...context, noLatency: true });
+    const slices = Math.ceil(text.length / 40);
+    for (let i = 0; i < text.length; i += 40) {
+      if (latencyMs) await new Promise(r => setTimeout(r, latencyMs / slices));
+      yield { text: text.slice(i, i + 40), model };
+    }
+  }
+
+  async function* streamText(prompt, context) {
+    yield* registry.stream(async () => replay(prompt, context));
+  }
+
+  async function listModels() {
+    return [{ name: 'mock', supportedGenerationMethods: ['generateContent'] }];
+  }
+
+  return {
+    name: 'mock',
+    model: 'mock',
+    isConfigured: () => true,
+    missingConfig: null,
+    generateText,
+    streamText,
+    listModels,
+    registry
+  };
+}
+
+module.exports = { createMockProvider };
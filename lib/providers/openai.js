@@ -0,0 +1,135 @@
+const { logger } = require('../logger');
+const { createModelRegistry, parseModelList, registryOptions } = require('../modelRegistry');
+const { httpError } = require('../util');
+
+// OpenAI-compatible chat completions provider.
+// Works with OpenAI itself and local servers that speak the same API
+// (Ollama at http://localhost:11434/v1, llama.cpp server, LM Studio, vLLM...).
+// OPENAI_MODELS lists fallback models in order (see lib/modelRegistry.js).
+function createOpenAIProvider(env = process.env) {
+  const baseUrl = (env.OPENAI_BASE_URL || 'http://localhost:11434/v1').replace(/\/+$/, '');
+  const apiKey = env.OPENAI_API_KEY || '';
+  const registry = createModelRegistry({
+    provider: 'openai',
+    models: parseModelList(env.OPENAI_MODELS, [env.OPENAI_MODEL || env.MODEL_NAME || 'llama3']),
+    ...registryOptions(env)
+  });
+  const temperature = env.OPENAI_TEMPERATURE ? Number(env.OPENAI_TEMPERATURE) : 0.7;
+
+  function headers() {
+    const h = { 'Content-Type': 'application/json' };
+    if (apiKey) h.Authorization = `Bearer ${apiKey}`;
+    return h;
+  }
+
+  async function request(pathname, options = {}) {
+    let resp;
+    try {
+      resp = await fetch(`${baseUrl}${pathname}`, { ...options, headers: headers() });
+    } catch (err) {
+      throw httpError(502, `Could not reach ${baseUrl}: ${err.message || err}`);
+    }
+    const body = await resp.json().catch(() => null);
+    if (!resp.ok) throw responseError(resp, body);
+    return body;
+  }
+
+  // The upstream status decides retries and fallback; a 404 is reported as 502
+  function responseError(resp, body) {
+    const detail = body && body.error ? (body.error.message || body.error) : resp.statusText;
+    const e = httpError(resp.status === 404 ? 502 : resp.status, `Provider responded ${resp.status}: ${detail}`);
+    e.upstreamStatus = resp.status;
+    e.providerError = body;
+    return e;
+  }
+
+  function completionBody(entry, prompt, extra = {}) {
+    const body = { model: entry.name, temperature, ...extra, messages: [{ role: 'user', content: prompt }] };
+    if (entry.maxTokens) body.max_tokens = entry.maxTokens;
+    return JSON.stringify(body);
+  }
+
+  async function generateText(prompt) {
+    return registry.run((entry, signal) => completion(entry, prompt, signal));
+  }
+
+  async function completion(entry, prompt, signal) {
+    const model = entry.name;
+    logger.debug('requesting model', { provider: 'openai', model, base_url: baseUrl });
+    const body = await request('/chat/completions', {
+      method: 'POST',
+      signal,
+      body: completionBody(entry, prompt)
+    });
+    const text = body?.choices?.[0]?.message?.content;
+    if (!text) {
+      const e = httpError(502, 'Provider returned an empty completion.');
+      e.providerError = body;
+      throw e;
+    }
+    logger.info('model answered', { provider: 'openai', model });
+    return { text, model };
+  }
+
+  async function* streamText(prompt) {
+    yield* registry.stream((entry, signal) => openStream(entry, prompt, signal));
+  }
+
+  async function openStream(entry, prompt, signal) {
+    logger.debug('streaming from model', { provider: 'openai', model: entry.name, base_url: baseUrl });
+    let resp;
+    try {
+      resp = await fetch(`${baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers: headers(),
+        signal,
+        body: completionBody(entry, prompt, { stream: true })
+      });
+    } catch (err) {
+      throw httpError(502, `Could not reach ${baseUrl}: ${err.message || err}`);
+    }
+    if (!resp.ok) throw responseError(resp, await resp.json().catch(() => null));
+    return deltas(resp, entry.name);
+  }
+
+  // Server-sent events: one `data: {...}` line per delta, ending with `data: [DONE]`
+  async function* deltas(resp, model) {
+    const decoder = new TextDecoder();
+    let pending = '';
+    for await (const bytes of resp.body) {
+      pending += decoder.decode(bytes, { stream: true });
+      const lines = pending.split('\n');
+      pending = lines.pop();
+      for (const line of lines) {
+        const data = line.replace(/^data:\s*/, '').trim();
+        if (!line.startsWith('data:') || !data) continue;
+        if (data === '[DONE]') return;
+        try {
+          const text = JSON.parse(data)?.choices?.[0]?.delta?.content;
+          if (text) yield { text, model };
+        } catch (err) {
+          // keep-alive comments and partial frames are ignored
+        }
+      }
+    }
+  }
+
+  async function listModels() {
+    const body = await request('/models', { method: 'GET' });
+    return Array.isArray(body?.data) ? body.data : [];
+  }
+
+  return {
+    name: 'openai',
+    model: registry.models[0],
+    // Local servers usually need no key, so only the base URL matters
+    isConfigured: () => Boolean(baseUrl),
+    missingConfig: 'OPENAI_BASE_URL',
+    generateText,
+    streamText,
+    listModels,
+    registry
+  };
+}
+
+module.exports = { createOpenAIProvider };
@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { createSimilarityIndex } = require('./similarity');
+const { lazyMkdir, writeFileAtomic, createKeyedQueue } = require('./util');
+
+const MAX_QUESTIONS_PER_TOPIC = 500;
+const MAX_SEEN_PER_CLIENT = 1000;
+
+// "  JavaScript   Closures!" and "javascript closures" share a bank. Each quiz
+// language has its own bank; English keeps the unprefixed key banks started with.
+function topicKey(topic, language = 'en') {
+  const key = String(topic || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+  return language && language !== 'en' ? `${language}:${key}` : key;
+}
+
+function shuffle(list) {
+  const out = list.slice();
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+// Every generated question, kept per normalized topic (one JSON file each) so
+// popular topics can be served partly from the bank instead of the model.
+// `seen` remembers which bank questions each anonymous client has been given.
+// Flagged entries are held back until an admin resolves them; trusted ones are preferred.
+function createQuestionBank({ dir, threshold }) {
+  const ensureDir = lazyMkdir(dir);
+  const enqueue = createKeyedQueue();
+
+  function fileFor(key) {
+    return path.join(dir, `${crypto.createHash('sha1').update(key).digest('hex').slice(0, 16)}.json`);
+  }
+
+  async function load(key) {
+    try {
+      return JSON.parse(await fs.readFile(fileFor(key), 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return { topic: key, questions: [], seen: {} };
+      throw err;
+    }
+  }
+
+  async function save(bank) {
+    await ensureDir();
+    const file = fileFor(bank.topic);
+    await writeFileAtomic(file, bank);
+  }
+
+  // Serialize read-modify-write cycles per topic and language
+  function update(topic, language, fn) {
+    const key = topicKey(topic, language);
+    return enqueue(key, async () => {
+      const bank = await load(key);
+      const result = fn(bank);
+      await save(bank);
+      return result;
+    });
+  }
+
+  // prefixed so a client id can never collide with Object.prototype keys
+  function seenBy(bank, clientId) {
+    return new Set(clientId ? bank.seen[`c:${clientId}`] || [] : []);
+  }
+
+  function markSeen(bank, clientId, ids) {
+    if (!clientId || !ids.length) return;
+    const seen = seenBy(bank, clientId);
+    ids.forEach(id => seen.add(id));
+    bank.seen[`c:${clientId}`] = Array.from(seen).slice(-MAX_SEEN_PER_CLIENT);
+  }
+
+  // Store new questions, skipping near-duplicates of what the bank already holds.
+  // The client that received them has seen them, so they are not served back to it.
+  function add(topic, questions, { model = null, clientId = null, language } = {}) {
+    return update(topic, language, bank => {
+      const index = createSimilarityIndex(bank.questions.map(e => e.question), { threshold });
+      const ids = [];
+      let added = 0;
+      questions.forEach(question => {
+        const match = index.findDuplicate(question);
+        const existing = match && bank.questions.find(e => e.question === match);
+        if (existing) {
+          ids.push(existing.id);
+          return;
+        }
+        const entry = { id: crypto.randomBytes(6).toString('hex'), question, model, added_at: new Date().toISOString() };
+        bank.questions.push(entry);
+        index.add(question);
+        ids.push(entry.id);
+        added++;
+      });
+      bank.questions = bank.questions.slice(-MAX_QUESTIONS_PER_TOPIC);
+      markSeen(bank, clientId, ids);
+      return { added, total: bank.questions.length };
+    });
+  }
+
+  // Up to `count` bank questions of the requested types and difficulty that this
+  // client has not been given and that do not repeat anything in `avoid`
+  function draw(topic, { count, types, difficulty, clientId = null, avoid = [], language }) {
+    if (count <= 0) return Promise.resolve([]);
+    return update(topic, language, bank => {
+      const seen = seenBy(bank, clientId);
+      const index = createSimilarityIndex(avoid, { threshold });
+      const picked = [];
+      // questions an admin approved go out first
+      const ordered = shuffle(bank.questions).sort((a, b) => Boolean(b.trusted) - Boolean(a.trusted));
+      for (const entry of ordered) {
+        if (picked.length >= count) break;
+        const q = entry.question;
+        if (entry.flagged || seen.has(entry.id) || !types.includes(q.type || 'single') || q.difficulty !== difficulty) continue;
+        if (index.isDuplicate(q)) continue;
+        index.add(q);
+        picked.push(entry);
+      }
+      markSeen(bank, clientId, picked.map(e => e.id));
+      return picked.map(e => ({ question: e.question, model: e.model }));
+    });
+  }
+
+  // Change the stored copy of a question (matched by its text): merge `fields`
+  // into the entry, or remove it when `fields` is null. Returns whether it was found.
+  function revise(topic, questionText, fields, { language } = {}) {
+    const key = String(questionText).trim().toLowerCase();
+    return update(topic, language, bank => {
+      const i = bank.questions.findIndex(e => e.question.question.trim().toLowerCase() === key);
+      if (i === -1) return false;
+      if (fields === null) bank.questions.splice(i, 1);
+      else Object.assign(bank.questions[i], fields);
+      return true;
+    });
+  }
+
+  // Add (or update) a question an admin has approved into the trusted set
+  function trust(topic, question, { language } = {}) {
+    return update(topic, language, bank => {
+      const key = question.question.trim().toLowerCase();
+      const entry = bank.questions.find(e => e.question.question.trim().toLowerCase() === key);
+      if (entry) {
+        Object.assign(entry, { question, trusted: true, flagged: false });
+        return entry;
+      }
+      const fresh = { id: crypto.randomBytes(6).toString('hex'), question, model: null, trusted: true, added_at: new Date().toISOString() };
+      bank.questions.push(fresh);
+      return fresh;
+    });
+  }
+
+  return { add, draw, revise, trust, topicKey };
+}
+
+module.exports = { createQuestionBank, topicKey };
@@ -0,0 +1,263 @@
+// Question types: normalization of model output, the browser-safe view,
+// and per-type scoring (kept in ./scoring, which the offline player loads too).
+// Every stored question carries a `type`:
+//
+//   single      one correct option          { options, answer_index }
+//   true_false  single with True/False      { options, answer_index }
+//   multi       several correct options     { options, answer_indices }
+//   short       typed answer with variants  { accepted_answers }
+//   ordering    put options in sequence     { options (shuffled), answer_order }
+
+const { hashString } = require('./util');
+const {
+  typeOf, normalizeText, isIndexList, publicView, solutionOf, readSubmission, scoreSubmission, answerRecord
+} = require('./scoring');
+
+const TYPES = ['single', 'true_false', 'multi', 'short', 'ordering'];
+
+const TYPE_ALIASES = {
+  mcq: 'single',
+  multiple_choice: 'single',
+  single_choice: 'single',
+  tf: 'true_false',
+  boolean: 'true_false',
+  'true/false': 'true_false',
+  truefalse: 'true_false',
+  multi_select: 'multi',
+  multiple_select: 'multi',
+  multiple_answer: 'multi',
+  checkbox: 'multi',
+  short_answer: 'short',
+  fill_blank: 'short',
+  fill_in_the_blank: 'short',
+  text: 'short',
+  order: 'ordering',
+  sequence: 'ordering'
+};
+
+function typeKey(raw) {
+  return String(raw || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+}
+
+// Unknown or missing types fall back to single choice
+function normalizeType(raw) {
+  const key = typeKey(raw);
+  if (TYPES.includes(key)) return key;
+  return TYPE_ALIASES[key] || 'single';
+}
+
+// Deterministic shuffle (seeded by question text) that never returns the original order
+function shuffledIndices(length, seedText) {
+  const idx = Array.from({ length }, (_, i) => i);
+  let seed = hashString(seedText) || 1;
+  for (let i = length - 1; i > 0; i--) {
+    seed = (Math.imul(seed, 1103515245) + 12345) >>> 0;
+    const j = seed % (i + 1);
+    [idx[i], idx[j]] = [idx[j], idx[i]];
+  }
+  if (length > 1 && idx.every((v, i) => v === i)) idx.push(idx.shift());
+  return idx;
+}
+
+// Resolve an answer given as an index, option text or letter to an option index.
+// Near-misses the model often produces ("paris ", "B", "B) Paris") are repaired.
+function toIndex(value, options) {
+  if (Number.isInteger(value)) return value;
+  if (typeof value !== 'string') return -1;
+  const exact = options.indexOf(value);
+  if (exact >= 0) return exact;
+  const loose = options.findIndex(o => normalizeText(o) === normalizeText(value));
+  if (loose >= 0) return loose;
+  const trimmed = value.trim();
+  // single letters such as "B", or "B) Paris" / "B. Paris"
+  const letter = trimmed.match(/^([A-Za-z])(?:$|[).:]\s*)/);
+  if (letter) return letter[1].toUpperCase().charCodeAt(0) - 65;
+  if (/^\d+$/.test(trimmed)) return parseInt(trimmed, 10);
+  return -1;
+}
+
+function readOptions(it) {
+  const raw = [it.options, it.choices, it.items].find(Array.isArray);
+  return raw ? raw.map(o => (typeof o === 'string' || typeof o === 'number' ? String(o).trim() : '')) : null;
+}
+
+// Option lists must exist, be non-empty strings, unique and within bounds
+function checkOptions(options, min, max, errors) {
+  if (!options) {
+    errors.push('missing "options" array');
+    return [];
+  }
+  if (options.length < min || options.length > max) {
+    errors.push(`needs ${min} to ${max} options, got ${options.length}`);
+  }
+  if (options.some(o => !o)) errors.push('every option must be a non-empty string');
+  if (new Set(options.map(normalizeText)).size !== options.length) errors.push('options contain duplicates');
+  return options;
+}
+
+function firstDefined(...values) {
+  return values.find(v => v !== undefined && v !== null);
+}
+
+function describe(value) {
+  return JSON.stringify(value).slice(0, 80);
+}
+
+const normalizers = {
+  single(it, base, errors) {
+    const options = checkOptions(readOptions(it), 2, 6, errors);
+    const raw = firstDefined(it.answer_index, it.answerIndex, it.answer);
+    let answer_index = -1;
+    if (raw === undefined) {
+      errors.push('missing "answer_index"');
+    } else {
+      answer_index = toIndex(raw, options);
+      if (answer_index < 0 || answer_index >= options.length) {
+        errors.push(`answer ${describe(raw)} does not match any option`);
+      }
+    }
+    return { ...base, options, answer_index };
+  },
+
+  true_false(it, base, errors) {
+    const options = ['True', 'False'];
+    let truth = firstDefined(it.answer, it.answer_index, it.answerIndex);
+    if (typeof truth === 'string' && /^(true|false)$/i.test(truth.trim())) truth = /^true$/i.test(truth.trim());
+    if (truth === 0 || truth === 1) truth = truth === 0;
+    if (typeof truth !== 'boolean') {
+      errors.push(truth === undefined ? 'missing boolean "answer"' : `answer ${describe(truth)} is not true or false`);
+    }
+    return { ...base, options, answer_index: truth === false ? 1 : 0 };
+  },
+
+  multi(it, base, errors) {
+    const options = checkOptions(readOptions(it), 3, 8, errors);
+    const raw = firstDefined(it.answer_indices, it.answerIndices, it.answers, it.answer);
+    const list = raw === undefined ? [] : (Array.isArray(raw) ? raw : [raw]);
+    if (!list.length) errors.push('missing "answer_indices"');
+    const answer_indices = [];
+    for (const v of list) {
+      const i = toIndex(v, options);
+      if (i < 0 || i >= options.length) errors.push(`answer_indices entry ${describe(v)} does not match any option`);
+      else if (!answer_indices.includes(i)) answer_indices.push(i);
+    }
+    answer_indices.sort((a, b) => a - b);
+    return { ...base, options, answer_indices };
+  },
+
+  short(it, base, errors) {
+    const raw = firstDefined(it.accepted_answers, it.acceptedAnswers, it.answers, it.answer);
+    const accepted_answers = Array.from(new Set((raw === undefined ? [] : (Array.isArray(raw) ? raw : [raw]))
+      .filter(v => typeof v === 'string' || typeof v === 'number')
+      .map(v => String(v).trim())
+      .filter(Boolean)));
+    if (!accepted_answers.length) errors.push('missing "accepted_answers"');
+    return { ...base, options: [], accepted_answers };
+  },
+
+  ordering(it, base, errors) {
+    // The model lists items in the correct order; the player sees them shuffled
+    const correct = checkOptions(readOptions(it), 3, 8, errors);
+    const shuffle = shuffledIndices(correct.length, base.question);
+    const options = shuffle.map(i => correct[i]);
+    const answer_order = correct.map((_, k) => shuffle.indexOf(k));
+    return { ...base, options, answer_order };
+  }
+};
+
+// Check one raw model item against the strict schema. Returns the typed question,
+// or null plus a list of problems that are reported back to the model on retry.
+// `types` optionally limits which question types are acceptable.
+function validateQuestion(it, { types = null } = {}) {
+  if (!it || typeof it !== 'object' || Array.isArray(it)) {
+    return { question: null, errors: ['item is not a JSON object'] };
+  }
+  const errors = [];
+  const text = firstDefined(it.question, it.q, it.Q);
+  const question = typeof text === 'string' ? text.trim() : '';
+  if (!question) errors.push('missing "question" text');
+
+  // Missing types default to single choice; unknown ones are an error
+  const key = typeKey(it.type);
+  if (key && !TYPES.includes(key) && !TYPE_ALIASES[key]) {
+    return { question: null, errors: errors.concat(`unknown type ${describe(it.type)}`) };
+  }
+  const type = normalizeType(it.type);
+  if (types && !types.includes(type)) errors.push(`type "${type}" was not requested (use ${types.join(', ')})`);
+
+  const explanation = typeof it.explanation === 'string' ? it.explanation : '';
+  const base = { type, question, explanation };
+  // passage id for questions generated from uploaded material
+  const ref = it.source_ref || it.sourceRef || it.source;
+  if (typeof ref === 'string' || typeof ref === 'number') base.source_ref = String(ref);
+  const q = normalizers[type](it, base, errors);
+  return errors.length ? { question: null, errors } : { question: q, errors };
+}
+
+// Turn one raw item into a typed question, or null when it fails validation
+function normalizeQuestion(it) {
+  return validateQuestion(it).question;
+}
+
+// Check a question as it is stored in a saved quiz file. Ordering questions are
+// kept shuffled with their answer_order, so the correct order is restored first.
+function validateStoredQuestion(q) {
+  if (!q || typeof q !== 'object' || Array.isArray(q) || normalizeType(q.type) !== 'ordering') {
+    return validateQuestion(q);
+  }
+  const options = Array.isArray(q.options) ? q.options : [];
+  const order = q.answer_order;
+  if (!isIndexList(order, options.length) || new Set(order).size !== options.length || !options.length) {
+    return { question: null, errors: ['"answer_order" must list every option index exactly once'] };
+  }
+  const { question, errors } = validateQuestion({ ...q, options: order.map(i => options[i]) });
+  return question ? { question: { ...q, type: 'ordering' }, errors } : { question, errors };
+}
+
+// Schema text for the generation prompt, limited to the requested types
+function promptSchema(types) {
+  const examples = {
+    single: '{ "type": "single", "question": "string", "options": ["string","string","string","string"], "answer_index": 0, "explanation": "string" }',
+    true_false: '{ "type": "true_false", "question": "statement to judge", "answer": true, "explanation": "string" }',
+    multi: '{ "type": "multi", "question": "string", "options": ["string","string","string","string","string"], "answer_indices": [0, 2], "explanation": "string" }',
+    short: '{ "type": "short", "question": "string with ___ for a blank, or a direct question", "accepted_answers": ["canonical answer", "accepted variant"], "explanation": "string" }',
+    ordering: '{ "type": "ordering", "question": "Put these in order ...", "options": ["first","second","third","fourth"], "explanation": "string" }'
+  };
+  const rules = {
+    single: '- "single": exactly 4 options and exactly one correct answer_index.',
+    true_false: '- "true_false": a statement; "answer" is the boolean truth value.',
+    multi: '- "multi": 4 to 6 options; answer_indices lists every correct option (at least 2).',
+    short: '- "short": no options; accepted_answers lists the short answer and common spelling variants.',
+    ordering: '- "ordering": 3 to 6 options listed in the CORRECT order; they are shuffled for the player.'
+  };
+  return {
+    rules: types.map(t => rules[t]).join('\n'),
+    examples: types.map(t => `    ${examples[t]}`).join(',\n')
+  };
+}
+
+// Validate a requested list of types; defaults to plain multiple choice.
+// Returns null when the input names a type we do not know.
+function parseTypes(input) {
+  if (input === undefined || input === null) return ['single'];
+  if (!Array.isArray(input)) return null;
+  const keys = input.map(typeKey);
+  if (keys.some(k => !TYPES.includes(k) && !TYPE_ALIASES[k])) return null;
+  const types = Array.from(new Set(keys.map(normalizeType)));
+  return types.length ? types : ['single'];
+}
+
+module.exports = {
+  TYPES,
+  normalizeType,
+  normalizeQuestion,
+  validateQuestion,
+  validateStoredQuestion,
+  publicView,
+  solutionOf,
+  readSubmission,
+  scoreSubmission,
+  answerRecord,
+  promptSchema,
+  parseTypes
+};
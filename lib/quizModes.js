@@ -0,0 +1,43 @@
+// Quiz modes: how a session is timed and when the player sees the answers
+//   timed        - question_seconds per question, answer revealed right away (the default)
+//   practice     - no timer, explanations shown inline, the player moves on when ready
+//   exam         - one time_limit_seconds for the whole quiz, no feedback until the end
+//   sudden_death - question_seconds per question, the first miss ends the run
+
+const MODES = ['timed', 'practice', 'exam', 'sudden_death'];
+const DEFAULT_QUESTION_SECONDS = 30;
+const QUESTION_SECONDS = { min: 5, max: 600 };
+const DEFAULT_EXAM_SECONDS = 10 * 60;
+const EXAM_SECONDS = { min: 60, max: 4 * 60 * 60 };
+
+const DEFAULT_MODE = { name: 'timed', question_seconds: DEFAULT_QUESTION_SECONDS };
+
+function seconds(value, fallback, { min, max }) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const n = Number(value);
+  return Number.isInteger(n) && n >= min && n <= max ? n : null;
+}
+
+// Accepts a mode name or { name, question_seconds, time_limit_seconds }.
+// Returns the normalized mode, the default when omitted, or null when invalid.
+function parseMode(input) {
+  if (input === undefined || input === null || input === '') return { ...DEFAULT_MODE };
+  const raw = typeof input === 'string' ? { name: input } : input;
+  if (typeof raw !== 'object') return null;
+  const name = String(raw.name || '').trim().toLowerCase();
+  if (!MODES.includes(name)) return null;
+  if (name === 'practice') return { name };
+  if (name === 'exam') {
+    const limit = seconds(raw.time_limit_seconds, DEFAULT_EXAM_SECONDS, EXAM_SECONDS);
+    return limit === null ? null : { name, time_limit_seconds: limit };
+  }
+  const perQuestion = seconds(raw.question_seconds, DEFAULT_QUESTION_SECONDS, QUESTION_SECONDS);
+  return perQuestion === null ? null : { name, question_seconds: perQuestion };
+}
+
+function modeError() {
+  return `Mode must be one of ${MODES.join(', ')}; question_seconds ${QUESTION_SECONDS.min}-${QUESTION_SECONDS.max}, ` +
+    `time_limit_seconds ${EXAM_SECONDS.min}-${EXAM_SECONDS.max}.`;
+}
+
+module.exports = { MODES, DEFAULT_MODE, parseMode, modeError };
@@ -0,0 +1,85 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { logger } = require('./logger');
+const { ID_PATTERN, newId, httpError, lazyMkdir, writeFileAtomic, createKeyedQueue } = require('./util');
+
+// Saved quiz library: one JSON file per quiz under `dir`
+function createQuizStore({ dir }) {
+  const ensureDir = lazyMkdir(dir);
+  const enqueue = createKeyedQueue();
+
+  function fileFor(id) {
+    if (!ID_PATTERN.test(String(id))) throw httpError(400, 'Invalid quiz id.');
+    return path.join(dir, `${id}.json`);
+  }
+
+  function summary(quiz) {
+    const { questions, ...meta } = quiz;
+    return meta;
+  }
+
+  async function save({ topic, model = null, language = 'en', questions }) {
+    await ensureDir();
+    const quiz = {
+      id: newId(),
+      topic,
+      model,
+      language,
+      count: questions.length,
+      created_at: new Date().toISOString(),
+      questions
+    };
+    await writeFileAtomic(fileFor(quiz.id), quiz, 2);
+    return quiz;
+  }
+
+  async function get(id) {
+    try {
+      return JSON.parse(await fs.readFile(fileFor(id), 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') throw httpError(404, 'Quiz not found.');
+      throw err;
+    }
+  }
+
+  // Newest first, without the question bodies
+  async function list() {
+    await ensureDir();
+    const files = (await fs.readdir(dir)).filter(f => f.endsWith('.json'));
+    const quizzes = [];
+    for (const f of files) {
+      try {
+        quizzes.push(summary(JSON.parse(await fs.readFile(path.join(dir, f), 'utf8'))));
+      } catch (err) {
+        logger.warn('skipping unreadable quiz file', { file: f, err });
+      }
+    }
+    return quizzes.sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)));
+  }
+
+  // Rewrite a saved quiz's questions with `fn(questions) -> questions`, one
+  // rewrite per quiz at a time so concurrent admin edits do not overwrite each other
+  async function updateQuestions(id, fn) {
+    const file = fileFor(id);
+    return enqueue(id, async () => {
+      const quiz = await get(id);
+      quiz.questions = fn(quiz.questions);
+      quiz.count = quiz.questions.length;
+      await writeFileAtomic(file, quiz, 2);
+      return quiz;
+    });
+  }
+
+  async function remove(id) {
+    try {
+      await fs.unlink(fileFor(id));
+    } catch (err) {
+      if (err.code === 'ENOENT') throw httpError(404, 'Quiz not found.');
+      throw err;
+    }
+  }
+
+  return { save, get, list, updateQuestions, remove, summary };
+}
+
+module.exports = { createQuizStore };
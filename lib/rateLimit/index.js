@@ -0,0 +1,82 @@
+const { createMemoryStore } = require('./memoryStore');
+const { connectRedisStore } = require('./redisStore');
+const { logger } = require('../logger');
+
+// Token-bucket rate limiting. Every store exposes the same interface:
+//   name                                             - for logs
+//   take(key, { capacity, refillPerMs, cost })       -> { allowed, tokens } (atomic refill + take)
+//   prune()                                          - evict idle keys (no-op when the store expires them itself)
+
+// Select a store from RATE_LIMIT_STORE (memory | redis)
+function createRateLimitStore(env = process.env) {
+  const name = (env.RATE_LIMIT_STORE || 'memory').trim().toLowerCase();
+  if (name === 'memory') return createMemoryStore();
+  if (name === 'redis') {
+    if (!env.REDIS_URL) throw new Error('RATE_LIMIT_STORE=redis requires REDIS_URL.');
+    return connectRedisStore(env.REDIS_URL);
+  }
+  throw new Error(`Unknown RATE_LIMIT_STORE "${name}". Expected one of: memory, redis`);
+}
+
+// "60/60" -> 60 tokens, refilled evenly over 60 seconds
+function parseLimit(value, fallback) {
+  const text = String(value || fallback).trim();
+  const match = /^(\d+)\s*\/\s*(\d+)\s*s?$/i.exec(text);
+  if (!match || Number(match[1]) < 1 || Number(match[2]) < 1) {
+    throw new Error(`Invalid rate limit "${text}". Use tokens/seconds, e.g. 60/60.`);
+  }
+  return { tokens: Number(match[1]), windowMs: Number(match[2]) * 1000 };
+}
+
+// Value for Express's "trust proxy" setting: true/false, a hop count, or a list of subnets.
+// Returns undefined when unset so the Express default (no proxy) stays in place.
+function parseTrustProxy(value) {
+  if (value === undefined || String(value).trim() === '') return undefined;
+  const text = String(value).trim();
+  if (/^(true|false)$/i.test(text)) return text.toLowerCase() === 'true';
+  if (/^\d+$/.test(text)) return Number(text);
+  return text;
+}
+
+// `onReject(name, req, weight)` is told about every request answered with a 429
+function createRateLimiter({ store, onReject = null }) {
+  // Express middleware limiting each client IP per route name. `cost(req)` weighs a
+  // request in tokens; it is capped at the bucket size so a request can always succeed eventually.
+  function limit(name, { tokens, windowMs, cost = () => 1 }) {
+    const refillPerMs = tokens / windowMs;
+    const policy = `${tokens};w=${Math.round(windowMs / 1000)}`;
+    const secondsFor = (missing) => Math.max(0, Math.ceil(missing / refillPerMs / 1000));
+
+    return async function rateLimit(req, res, next) {
+      const weight = Math.min(tokens, Math.max(1, Math.ceil(Number(cost(req)) || 1)));
+      let outcome;
+      try {
+        outcome = await store.take(`${name}:${req.ip || 'unknown'}`, { capacity: tokens, refillPerMs, cost: weight });
+      } catch (err) {
+        // an unreachable store should not take the API down with it
+        (req.log || logger).warn('rate limit store failed, allowing request', { store: store.name, err });
+        return next();
+      }
+
+      const remaining = Math.floor(outcome.tokens);
+      res.set('RateLimit-Policy', policy);
+      res.set('RateLimit-Limit', String(tokens));
+      res.set('RateLimit-Remaining', String(remaining));
+      res.set('RateLimit-Reset', String(secondsFor(tokens - outcome.tokens)));
+      if (outcome.allowed) return next();
+
+      const retryAfter = Math.max(1, secondsFor(weight - outcome.tokens));
+      if (onReject) onReject(name, req, weight);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        error: 'Too many requests — slow down.',
+        details: `This request costs ${weight} of ${tokens} tokens and ${remaining} are left. Try again in ${retryAfter}s.`,
+        retry_after: retryAfter
+      });
+    };
+  }
+
+  return { limit, store };
+}
+
+module.exports = { createRateLimiter, createRateLimitStore, parseLimit, parseTrustProxy };
@@ -0,0 +1,38 @@
+// In-process token buckets. Fine for a single server; use the Redis store to
+// share limits between processes.
+function createMemoryStore({ pruneIntervalMs = 60 * 1000 } = {}) {
+  const buckets = new Map(); // key -> { tokens, updatedAt, capacity, refillPerMs }
+
+  function refill(bucket, now) {
+    const elapsed = Math.max(0, now - bucket.updatedAt);
+    bucket.tokens = Math.min(bucket.capacity, bucket.tokens + elapsed * bucket.refillPerMs);
+    bucket.updatedAt = now;
+  }
+
+  async function take(key, { capacity, refillPerMs, cost }, now = Date.now()) {
+    let bucket = buckets.get(key);
+    if (!bucket) {
+      bucket = { tokens: capacity, updatedAt: now, capacity, refillPerMs };
+      buckets.set(key, bucket);
+    }
+    Object.assign(bucket, { capacity, refillPerMs });
+    refill(bucket, now);
+    const allowed = bucket.tokens >= cost;
+    if (allowed) bucket.tokens -= cost;
+    return { allowed, tokens: bucket.tokens };
+  }
+
+  // A bucket that has refilled completely holds no information, so it can go
+  function prune(now = Date.now()) {
+    for (const [key, bucket] of buckets) {
+      refill(bucket, now);
+      if (bucket.tokens >= bucket.capacity) buckets.delete(key);
+    }
+  }
+  const pruneTimer = setInterval(prune, pruneIntervalMs);
+  pruneTimer.unref();
+
+  return { name: 'memory', take, prune, size: () => buckets.size };
+}
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,53 @@
+const { logger } = require('../logger');
+
+// Token buckets in Redis so every server process shares the same limits.
+// The refill-and-take runs as one Lua script (atomic) using the Redis clock,
+// and each key expires once its bucket would be full again.
+const TAKE_SCRIPT = `
+local capacity = tonumber(ARGV[1])
+local rate = tonumber(ARGV[2])
+local cost = tonumber(ARGV[3])
+local t = redis.call('TIME')
+local now = tonumber(t[1]) * 1000 + math.floor(tonumber(t[2]) / 1000)
+local b = redis.call('HMGET', KEYS[1], 'tokens', 'ts')
+local tokens = tonumber(b[1]) or capacity
+local ts = tonumber(b[2]) or now
+tokens = math.min(capacity, tokens + math.max(0, now - ts) * rate)
+local allowed = 0
+if tokens >= cost then
+  tokens = tokens - cost
+  allowed = 1
+end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'ts', tostring(now))
+redis.call('PEXPIRE', KEYS[1], math.ceil((capacity - tokens) / rate) + 1000)
+return { allowed, tostring(tokens) }
+`;
+
+// `client` is a connected node-redis v4 client (or anything with the same eval signature)
+function createRedisStore({ client, prefix = 'ratelimit:' }) {
+  async function take(key, { capacity, refillPerMs, cost }) {
+    const [allowed, tokens] = await client.eval(TAKE_SCRIPT, {
+      keys: [prefix + key],
+      arguments: [String(capacity), String(refillPerMs), String(cost)]
+    });
+    return { allowed: Number(allowed) === 1, tokens: Number(tokens) };
+  }
+
+  return { name: 'redis', take, prune() {} };
+}
+
+// Connect with the optional `redis` package; it is only needed for this store
+function connectRedisStore(url, options = {}) {
+  let redis;
+  try {
+    redis = require('redis');
+  } catch (err) {
+    throw new Error('RATE_LIMIT_STORE=redis needs the "redis" package: npm install redis');
+  }
+  const client = redis.createClient({ url });
+  client.on('error', err => logger.error('rate limit store (redis) error', { err }));
+  client.connect().catch(err => logger.error('rate limit store (redis) could not connect', { err }));
+  return createRedisStore({ client, ...options });
+}
+
+module.exports = { createRedisStore, connectRedisStore };
@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { checkClientId } = require('./attemptStore');
+const { lazyMkdir, writeFileAtomic, createKeyedQueue } = require('./util');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_EASE = 2.5;
+const MIN_EASE = 1.3;
+const MAX_CARDS_PER_CLIENT = 2000;
+
+// Stable card id so the same question missed twice stays one card
+function cardId(question) {
+  return crypto.createHash('sha1').update(question.question.trim().toLowerCase()).digest('hex').slice(0, 16);
+}
+
+// SM-2 quality (0-5) for a scored answer. Correct answers are graded by how
+// long the player took; anything below 3 counts as a lapse.
+function reviewQuality(record, elapsedMs) {
+  if (!record.answered) return 0;
+  if (record.score <= 0) return 1;
+  if (record.score < 1) return 2;
+  if (elapsedMs <= 10000) return 5;
+  if (elapsedMs <= 25000) return 4;
+  return 3;
+}
+
+// SM-2: 1 day, 6 days, then the previous interval times the ease factor.
+// A lapse restarts the repetitions and leaves the ease unchanged.
+function schedule(card, quality, now = Date.now()) {
+  const next = { ...card, reviewed_at: new Date(now).toISOString(), last_quality: quality };
+  if (quality < 3) {
+    next.repetitions = 0;
+    next.lapses = (card.lapses || 0) + 1;
+    next.interval_days = 1;
+  } else {
+    next.repetitions = card.repetitions + 1;
+    if (next.repetitions === 1) next.interval_days = 1;
+    else if (next.repetitions === 2) next.interval_days = 6;
+    else next.interval_days = Math.round(card.interval_days * card.ease);
+    const miss = 5 - quality;
+    next.ease = Math.max(MIN_EASE, Math.round((card.ease + 0.1 - miss * (0.08 + miss * 0.02)) * 100) / 100);
+  }
+  next.due_at = new Date(now + next.interval_days * DAY_MS).toISOString();
+  return next;
+}
+
+// Spaced-repetition deck of missed questions: one JSON file per anonymous browser client.
+// Cards keep the full question (with its answer key), so they never leave the server
+// except through a review session.
+function createReviewDeck({ dir }) {
+  const ensureDir = lazyMkdir(dir);
+  const enqueue = createKeyedQueue();
+
+  function fileFor(clientId) {
+    return path.join(dir, `${checkClientId(clientId)}.json`);
+  }
+
+  async function load(clientId) {
+    try {
+      return JSON.parse(await fs.readFile(fileFor(clientId), 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+  }
+
+  async function save(clientId, cards) {
+    const file = fileFor(clientId);
+    await ensureDir();
+    await writeFileAtomic(file, cards);
+  }
+
+  // Serialize read-modify-write cycles per client so quick answers do not overwrite each other
+  function update(clientId, fn) {
+    fileFor(clientId);
+    return enqueue(clientId, async () => {
+      const cards = await load(clientId);
+      const result = fn(cards);
+      await save(clientId, cards);
+      return result;
+    });
+  }
+
+  // Add missed questions. A question already in the deck lapses and is due again now.
+  function add(clientId, entries, now = Date.now()) {
+    return update(clientId, cards => {
+      const byId = new Map(cards.map(c => [c.id, c]));
+      const stamp = new Date(now).toISOString();
+      let added = 0;
+      let relapsed = 0;
+      entries.forEach(({ question, topic }) => {
+        const id = cardId(question);
+        const card = byId.get(id);
+        if (card) {
+          Object.assign(card, { question, repetitions: 0, interval_days: 0, due_at: stamp, lapses: (card.lapses || 0) + 1 });
+          relapsed++;
+          return;
+        }
+        const fresh = {
+          id,
+          topic: topic || '',
+          question,
+          ease: DEFAULT_EASE,
+          interval_days: 0,
+          repetitions: 0,
+          lapses: 0,
+          added_at: stamp,
+          due_at: stamp,
+          reviewed_at: null
+        };
+        cards.push(fresh);
+        byId.set(id, fresh);
+        added++;
+      });
+      // keep the deck bounded, dropping the cards that are furthest from due
+      if (cards.length > MAX_CARDS_PER_CLIENT) {
+        cards.sort((a, b) => String(a.due_at).localeCompare(String(b.due_at)));
+        cards.splice(MAX_CARDS_PER_CLIENT);
+      }
+      return { added, relapsed };
+    });
+  }
+
+  // Cards whose interval has come due, most overdue first
+  async function due(clientId, { now = Date.now(), limit = 20 } = {}) {
+    const stamp = new Date(now).toISOString();
+    return (await load(clientId))
+      .filter(c => c.due_at <= stamp)
+      .sort((a, b) => a.due_at.localeCompare(b.due_at))
+      .slice(0, limit);
+  }
+
+  // Apply one review answer; returns the rescheduled card or null if it was removed
+  function grade(clientId, id, quality, now = Date.now()) {
+    return update(clientId, cards => {
+      const i = cards.findIndex(c => c.id === id);
+      if (i === -1) return null;
+      cards[i] = schedule(cards[i], quality, now);
+      return cards[i];
+    });
+  }
+
+  async function summary(clientId, now = Date.now()) {
+    const cards = await load(clientId);
+    const stamp = new Date(now).toISOString();
+    const upcoming = cards.filter(c => c.due_at > stamp).map(c => c.due_at).sort();
+    return {
+      total: cards.length,
+      due: cards.filter(c => c.due_at <= stamp).length,
+      next_due_at: upcoming[0] || null
+    };
+  }
+
+  return { add, due, grade, summary };
+}
+
+module.exports = { createReviewDeck, schedule, reviewQuality };
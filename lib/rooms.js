@@ -0,0 +1,311 @@
+const crypto = require('crypto');
+const { publicView, readSubmission, scoreSubmission, solutionOf } = require('./questionTypes');
+const { logger } = require('./logger');
+const { httpError } = require('./util');
+
+// Live multiplayer rooms. A host creates a room from a quiz and shares the join
+// code; players connect over WebSockets. The server pushes each question to
+// everyone at once, enforces the timer and scores correctness plus speed.
+//
+// Sockets only need `send(string)` and `readyState` (the `ws` API).
+//
+//   client -> server                       server -> client
+//   { type: 'host', code, token }          { type: 'joined', role, code, topic, ... }
+//   { type: 'join', code, name | token }   { type: 'lobby', players }
+//   { type: 'start' } / { type: 'next' }   { type: 'question', index, total, question, ends_at, duration_ms }
+//   { type: 'answer', answer }             { type: 'answered', count, expected } / { type: 'answer_ack' }
+//   { type: 'end' }                        { type: 'reveal', index, solution, explanation, you, leaderboard }
+//                                          { type: 'finished', leaderboard } / { type: 'error', error }
+
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // no 0/O or 1/I
+const CODE_LENGTH = 6;
+const MAX_PLAYERS = 50;
+const BASE_POINTS = 500;   // for a correct answer
+const SPEED_POINTS = 500;  // extra, shrinking linearly to 0 as the timer runs out
+const OPEN = 1;            // WebSocket.OPEN
+
+function createRoomManager({ questionMs = 20_000, ttlMs = 2 * 60 * 60 * 1000, maxRooms = 200 } = {}) {
+  const rooms = new Map();
+  const bindings = new WeakMap(); // socket -> { code, role, playerId }
+
+  function newCode() {
+    for (;;) {
+      const bytes = crypto.randomBytes(CODE_LENGTH);
+      const code = Array.from(bytes, b => CODE_ALPHABET[b % CODE_ALPHABET.length]).join('');
+      if (!rooms.has(code)) return code;
+    }
+  }
+
+  function create({ topic, questions, seconds }) {
+    if (!Array.isArray(questions) || !questions.length) throw httpError(400, 'The quiz has no questions.');
+    if (rooms.size >= maxRooms) prune();
+    if (rooms.size >= maxRooms) throw httpError(503, 'Too many live rooms are open. Try again later.');
+    const durationMs = Number.isInteger(seconds) && seconds >= 5 && seconds <= 300 ? seconds * 1000 : questionMs;
+    const room = {
+      code: newCode(),
+      hostToken: crypto.randomBytes(16).toString('hex'),
+      topic,
+      questions,
+      durationMs,
+      state: 'lobby', // lobby | question | reveal | finished
+      current: -1,
+      startedAt: 0,
+      endsAt: 0,
+      timer: null,
+      host: null,
+      players: new Map(),
+      touchedAt: Date.now()
+    };
+    rooms.set(room.code, room);
+    return room;
+  }
+
+  function get(code) {
+    const room = rooms.get(String(code || '').trim().toUpperCase());
+    if (!room) throw httpError(404, 'Room not found. Check the join code.');
+    room.touchedAt = Date.now();
+    return room;
+  }
+
+  function send(socket, msg) {
+    if (socket && socket.readyState === OPEN) socket.send(JSON.stringify(msg));
+  }
+
+  function playerSockets(room) {
+    return Array.from(room.players.values()).map(p => p.socket).filter(Boolean);
+  }
+
+  function broadcast(room, msg) {
+    send(room.host, msg);
+    playerSockets(room).forEach(s => send(s, msg));
+  }
+
+  function lobbyPlayers(room) {
+    return Array.from(room.players.values()).map(p => ({ name: p.name, connected: Boolean(p.socket) }));
+  }
+
+  // Highest score first; ties go to whoever spent less time answering
+  function leaderboard(room) {
+    return Array.from(room.players.values())
+      .sort((a, b) => b.score - a.score || a.timeMs - b.timeMs || a.name.localeCompare(b.name))
+      .map((p, i) => ({
+        rank: i + 1,
+        name: p.name,
+        score: p.score,
+        correct: p.correct,
+        last_points: p.answers[room.current] ? p.answers[room.current].points : 0
+      }));
+  }
+
+  function questionMessage(room) {
+    return {
+      type: 'question',
+      index: room.current,
+      total: room.questions.length,
+      question: publicView(room.questions[room.current], room.current),
+      ends_at: room.endsAt,
+      duration_ms: room.durationMs,
+      server_now: Date.now()
+    };
+  }
+
+  function openQuestion(room) {
+    room.current++;
+    room.state = 'question';
+    room.startedAt = Date.now();
+    room.endsAt = room.startedAt + room.durationMs;
+    clearTimeout(room.timer);
+    room.timer = setTimeout(() => closeQuestion(room), room.durationMs);
+    if (room.timer.unref) room.timer.unref();
+    broadcast(room, questionMessage(room));
+  }
+
+  // Time is up (or everyone answered): reveal the answer and the standings
+  function closeQuestion(room) {
+    if (room.state !== 'question') return;
+    clearTimeout(room.timer);
+    room.state = 'reveal';
+    const q = room.questions[room.current];
+    const base = {
+      type: 'reveal',
+      index: room.current,
+      total: room.questions.length,
+      last: room.current === room.questions.length - 1,
+      solution: solutionOf(q),
+      explanation: q.explanation || '',
+      leaderboard: leaderboard(room)
+    };
+    send(room.host, base);
+    for (const p of room.players.values()) {
+      const a = p.answers[room.current];
+      send(p.socket, { ...base, you: a ? { ...a, answered: a.selected !== null } : { answered: false, correct: false, points: 0, score: 0 } });
+    }
+  }
+
+  function finish(room) {
+    clearTimeout(room.timer);
+    room.state = 'finished';
+    broadcast(room, { type: 'finished', topic: room.topic, leaderboard: leaderboard(room) });
+  }
+
+  function connectedPlayers(room) {
+    return Array.from(room.players.values()).filter(p => p.socket);
+  }
+
+  function answer(room, player, submitted) {
+    if (room.state !== 'question') throw httpError(409, 'Time is up for this question.');
+    if (player.answers[room.current]) throw httpError(409, 'You already answered this question.');
+    const now = Date.now();
+    if (now > room.endsAt) throw httpError(409, 'Time is up for this question.');
+    const q = room.questions[room.current];
+    const selected = readSubmission(q, submitted);
+    const score = scoreSubmission(q, selected);
+    const elapsed = now - room.startedAt;
+    const remaining = Math.max(0, room.endsAt - now) / room.durationMs;
+    const points = score > 0 ? Math.round(score * (BASE_POINTS + SPEED_POINTS * remaining)) : 0;
+    player.answers[room.current] = { selected, score, correct: score === 1, points, time_ms: elapsed };
+    player.score += points;
+    player.timeMs += elapsed;
+    if (score === 1) player.correct++;
+
+    send(player.socket, { type: 'answer_ack', index: room.current });
+    const count = connectedPlayers(room).filter(p => p.answers[room.current]).length;
+    send(room.host, { type: 'answered', index: room.current, count, expected: connectedPlayers(room).length });
+    // no need to wait out the timer once everyone still connected has answered
+    if (connectedPlayers(room).every(p => p.answers[room.current])) closeQuestion(room);
+  }
+
+  // Catch a (re)connecting client up with the room's current state
+  function resync(room, socket) {
+    send(socket, { type: 'lobby', players: lobbyPlayers(room) });
+    if (room.state === 'question') send(socket, questionMessage(room));
+    if (room.state === 'finished') send(socket, { type: 'finished', topic: room.topic, leaderboard: leaderboard(room) });
+  }
+
+  function bindHost(socket, { code, token }) {
+    const room = get(code);
+    const expected = Buffer.from(room.hostToken);
+    const given = Buffer.from(String(token || ''));
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+      throw httpError(403, 'Only the host can control this room.');
+    }
+    if (room.host && room.host !== socket) send(room.host, { type: 'error', error: 'The host connected from another window.' });
+    room.host = socket;
+    bindings.set(socket, { code: room.code, role: 'host' });
+    send(socket, { type: 'joined', role: 'host', code: room.code, topic: room.topic, total: room.questions.length, state: room.state });
+    resync(room, socket);
+  }
+
+  function bindPlayer(socket, { code, name, token }) {
+    const room = get(code);
+    let player = token ? Array.from(room.players.values()).find(p => p.token === token) : null;
+    if (!player) {
+      if (room.state !== 'lobby') throw httpError(409, 'This game has already started.');
+      if (room.players.size >= MAX_PLAYERS) throw httpError(409, 'This room is full.');
+      const clean = String(name || '').replace(/\s+/g, ' ').trim().slice(0, 24);
+      if (!clean) throw httpError(400, 'Enter a name to join.');
+      const taken = new Set(Array.from(room.players.values()).map(p => p.name.toLowerCase()));
+      let unique = clean;
+      for (let n = 2; taken.has(unique.toLowerCase()); n++) unique = `${clean} ${n}`;
+      player = {
+        id: crypto.randomBytes(6).toString('hex'),
+        token: crypto.randomBytes(16).toString('hex'),
+        name: unique,
+        score: 0,
+        correct: 0,
+        timeMs: 0,
+        answers: [],
+        socket: null
+      };
+      room.players.set(player.id, player);
+    }
+    if (player.socket && player.socket !== socket) send(player.socket, { type: 'error', error: 'You joined from another window.' });
+    player.socket = socket;
+    bindings.set(socket, { code: room.code, role: 'player', playerId: player.id });
+    send(socket, { type: 'joined', role: 'player', code: room.code, topic: room.topic, total: room.questions.length, name: player.name, token: player.token, state: room.state });
+    broadcast(room, { type: 'lobby', players: lobbyPlayers(room) });
+    if (room.state === 'question') send(socket, questionMessage(room));
+    if (room.state === 'finished') send(socket, { type: 'finished', topic: room.topic, leaderboard: leaderboard(room) });
+  }
+
+  function hostCommand(room, type) {
+    if (type === 'end') return finish(room);
+    if (type === 'start' && room.state !== 'lobby') throw httpError(409, 'The game has already started.');
+    if (type === 'next' && room.state === 'question') return closeQuestion(room);
+    if (type === 'next' && room.state !== 'reveal') throw httpError(409, 'Start the game first.');
+    if (room.current >= room.questions.length - 1) return finish(room);
+    if (type === 'start' && !room.players.size) throw httpError(409, 'Wait for at least one player to join.');
+    return openQuestion(room);
+  }
+
+  // Entry point for every WebSocket message
+  function handleMessage(socket, raw) {
+    try {
+      let msg;
+      try {
+        msg = JSON.parse(raw);
+      } catch (err) {
+        throw httpError(400, 'Messages must be JSON.');
+      }
+      if (!msg || typeof msg.type !== 'string') throw httpError(400, 'Message type is required.');
+      if (msg.type === 'host') return bindHost(socket, msg);
+      if (msg.type === 'join') return bindPlayer(socket, msg);
+
+      const binding = bindings.get(socket);
+      if (!binding) throw httpError(401, 'Join a room first.');
+      const room = get(binding.code);
+      if (binding.role === 'host' && ['start', 'next', 'end'].includes(msg.type)) {
+        if (room.host !== socket) throw httpError(403, 'Only the host can control this room.');
+        return hostCommand(room, msg.type);
+      }
+      if (binding.role === 'player' && msg.type === 'answer') {
+        const player = room.players.get(binding.playerId);
+        if (!player || player.socket !== socket) throw httpError(403, 'You joined from another window.');
+        return answer(room, player, msg.answer);
+      }
+      throw httpError(400, `Unknown message type "${msg.type}".`);
+    } catch (err) {
+      if (!err.status) logger.error('room error', { err });
+      send(socket, { type: 'error', error: err.status ? err.message : 'Server error', status: err.status || 500 });
+    }
+  }
+
+  function disconnect(socket) {
+    const binding = bindings.get(socket);
+    if (!binding) return;
+    const room = rooms.get(binding.code);
+    if (!room) return;
+    if (binding.role === 'host' && room.host === socket) {
+      room.host = null;
+      return;
+    }
+    const player = room.players.get(binding.playerId);
+    if (player && player.socket === socket) {
+      player.socket = null;
+      // players who never got going are forgotten; the rest keep their score for a reconnect
+      if (room.state === 'lobby') room.players.delete(player.id);
+      broadcast(room, { type: 'lobby', players: lobbyPlayers(room) });
+      // a dropped player should not hold up the others
+      if (room.state === 'question' && connectedPlayers(room).length && connectedPlayers(room).every(p => p.answers[room.current])) {
+        closeQuestion(room);
+      }
+    }
+  }
+
+  function prune() {
+    const now = Date.now();
+    for (const [code, room] of rooms) {
+      if (now - room.touchedAt > ttlMs) {
+        clearTimeout(room.timer);
+        rooms.delete(code);
+      }
+    }
+  }
+
+  const pruneTimer = setInterval(prune, 10 * 60 * 1000);
+  if (pruneTimer.unref) pruneTimer.unref();
+
+  return { create, get, handleMessage, disconnect, leaderboard, prune };
+}
+
+module.exports = { createRoomManager };
@@ -0,0 +1,133 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { logger } = require('./logger');
+const { httpError, lazyMkdir } = require('./util');
+
+// Content safety for generation: user input is cleaned, screened for prompt
+// injection and fenced off in the prompt; model output is stripped of
+// invisible/control characters (the browser renders it as text); topics are
+// checked against a configurable allow/deny policy. Rejections are logged.
+
+const MAX_TOPIC_CHARS = 200;
+const MAX_FIELD_CHARS = 1000;
+
+// C0/C1 controls except tab and newline, zero-width characters and bidi overrides
+const INVISIBLE = /[\u0000-\u0008\u000B-\u001F\u007F-\u009F\u200B-\u200F\u202A-\u202E\u2060-\u2064\u2066-\u2069\uFEFF]/g;
+
+const INJECTION_PATTERNS = [
+  { pattern: /\b(ignore|disregard|forget|override)\b.{0,40}\b(instructions?|prompts?|rules?|guidelines)\b/i, reason: 'asks the model to ignore its instructions' },
+  { pattern: /\b(system|developer)\s+(prompt|message|instructions?)\b/i, reason: 'refers to the system prompt' },
+  { pattern: /\byou\s+are\s+now\b|\bpretend\s+(to\s+be|you)\b|\bnew\s+instructions?\b|\bjailbreak\b/i, reason: 'tries to change the model\'s role' },
+  { pattern: /^\s*(system|assistant|user)\s*:/im, reason: 'contains chat role markers' },
+  { pattern: /<\/?\s*(user_input|source|system|instructions?)\b/i, reason: 'contains prompt delimiter tags' },
+  { pattern: /```|"questions"\s*:|"answer_index"\s*:/i, reason: 'contains code fences or quiz JSON' },
+  { pattern: /\b(reveal|print|output|show|leak)\b.{0,30}\b(answer key|api[\s_-]?key|secret|password|environment variables?)\b/i, reason: 'asks for secrets or the answer key' }
+];
+
+// Normalize user text before it is used anywhere: NFC, no invisible characters,
+// single spaces, bounded length
+function cleanInput(text, maxChars = MAX_TOPIC_CHARS) {
+  return String(text || '')
+    .normalize('NFC')
+    .replace(INVISIBLE, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, maxChars);
+}
+
+// First injection pattern the text matches, or null
+function screenInput(text) {
+  const hit = INJECTION_PATTERNS.find(p => p.pattern.test(text));
+  return hit ? hit.reason : null;
+}
+
+// Wrap user-supplied text in tags the prompt declares to be data, removing any
+// copy of the tag from inside so the input cannot close the fence early
+function fence(tag, text) {
+  const inner = String(text).replace(new RegExp(`<\\s*/?\\s*${tag}\\b[^>]*>`, 'gi'), '');
+  return `<${tag}>\n${inner}\n</${tag}>`;
+}
+
+// Model-produced text: keep newlines, drop invisible and control characters, cap length
+function sanitizeOutput(text, maxChars = MAX_FIELD_CHARS) {
+  if (typeof text !== 'string') return text;
+  return text.normalize('NFC').replace(INVISIBLE, '').trim().slice(0, maxChars);
+}
+
+// Sanitize every free-text field of a raw model item before validation
+function sanitizeItem(item) {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) return item;
+  const out = { ...item };
+  ['question', 'explanation', 'answer', 'correct_answer', 'source_ref'].forEach(key => {
+    out[key] = sanitizeOutput(out[key]);
+  });
+  ['options', 'accepted_answers', 'answers'].forEach(key => {
+    if (Array.isArray(out[key])) out[key] = out[key].map(v => sanitizeOutput(v, 300));
+  });
+  Object.keys(out).forEach(key => out[key] === undefined && delete out[key]);
+  return out;
+}
+
+// "history, /^(bio|chem)/i, world war" -> matchers. Plain entries match whole
+// words of the topic, /regex/flags entries are used as written.
+function parseTermList(value) {
+  return String(value || '')
+    .split(',')
+    .map(s => s.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const regex = /^\/(.+)\/([a-z]*)$/.exec(entry);
+      if (regex) return { label: entry, pattern: new RegExp(regex[1], regex[2]) };
+      const escaped = entry.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+      return { label: entry, pattern: new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}($|[^\\p{L}\\p{N}])`, 'iu') };
+    });
+}
+
+// Topic policy. When an allow list is set, topics must match one of its
+// entries; any deny match rejects. Every rejection is appended to `logFile`
+// (JSON lines) for review.
+function createSafetyPolicy({ allow = [], deny = [], logFile = null } = {}) {
+  const ensureDir = logFile ? lazyMkdir(path.dirname(logFile)) : null;
+
+  async function log(event) {
+    const entry = { at: new Date().toISOString(), ...event };
+    logger.warn('topic rejected', entry);
+    if (!logFile) return;
+    try {
+      await ensureDir();
+      await fs.appendFile(logFile, `${JSON.stringify(entry)}\n`);
+    } catch (err) {
+      logger.error('could not write the safety log', { err });
+    }
+  }
+
+  async function reject(status, message, event) {
+    await log(event);
+    throw httpError(status, message);
+  }
+
+  // Returns the cleaned topic or throws a 400 (injection) / 403 (policy) error
+  async function checkTopic(rawTopic, context = {}) {
+    const topic = cleanInput(rawTopic);
+    const reason = screenInput(topic);
+    if (reason) {
+      await reject(400, `This topic looks like instructions to the model (it ${reason}). Enter the subject you want to be quizzed on.`,
+        { kind: 'injection', topic, reason, ...context });
+    }
+    const denied = deny.find(d => d.pattern.test(topic));
+    if (denied) {
+      await reject(403, 'Quizzes on this topic are not allowed on this server.',
+        { kind: 'denied', topic, reason: `matches "${denied.label}"`, ...context });
+    }
+    if (allow.length && !allow.some(a => a.pattern.test(topic))) {
+      const plain = allow.filter(a => !a.label.startsWith('/')).map(a => a.label);
+      await reject(403, `This server only generates quizzes on approved topics${plain.length ? ` (${plain.join(', ')})` : ''}.`,
+        { kind: 'not_allowed', topic, ...context });
+    }
+    return topic;
+  }
+
+  return { checkTopic, log };
+}
+
+module.exports = { createSafetyPolicy, parseTermList, cleanInput, screenInput, fence, sanitizeOutput, sanitizeItem };
@@ -0,0 +1,103 @@
+// Answer scoring shared by the server and the offline player. The server
+// require()s this file; the browser loads it as /scoring.js, where it defines
+// the global `quizScoring`. It must not use Node APIs.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.quizScoring = factory();
+})(typeof self !== 'undefined' ? self : this, () => {
+  // Stored quizzes from before question types default to single choice
+  function typeOf(q) {
+    return q.type || 'single';
+  }
+
+  // Loose comparison for typed answers: case, spacing, punctuation and leading articles
+  function normalizeText(str) {
+    return String(str)
+      .toLowerCase()
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+      .replace(/^\s*(a|an|the)\s+/, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  function isIndexList(value, length) {
+    return Array.isArray(value) && value.every(i => Number.isInteger(i) && i >= 0 && i < length);
+  }
+
+  // What the browser is allowed to see of a question
+  function publicView(q, id) {
+    const view = { id, type: typeOf(q), question: q.question, options: q.options || [] };
+    if (q.difficulty) view.difficulty = q.difficulty;
+    if (view.type === 'multi') view.select_count = q.answer_indices.length;
+    return view;
+  }
+
+  // The answer key, revealed only after the player has answered
+  function solutionOf(q) {
+    switch (typeOf(q)) {
+      case 'multi': return q.answer_indices;
+      case 'short': return q.accepted_answers;
+      case 'ordering': return q.answer_order;
+      default: return q.answer_index;
+    }
+  }
+
+  // Coerce the submitted answer into the type's shape; null means no answer (timeout)
+  function readSubmission(q, answer) {
+    const options = q.options || [];
+    switch (typeOf(q)) {
+      case 'multi':
+        return isIndexList(answer, options.length) && answer.length
+          ? Array.from(new Set(answer)).sort((a, b) => a - b)
+          : null;
+      case 'short':
+        return typeof answer === 'string' && answer.trim() ? answer.trim().slice(0, 500) : null;
+      case 'ordering':
+        return isIndexList(answer, options.length) && new Set(answer).size === options.length ? answer : null;
+      default:
+        return Number.isInteger(answer) && answer >= 0 && answer < options.length ? answer : null;
+    }
+  }
+
+  // Score in [0, 1]. Multi-select earns partial credit: each correct pick adds,
+  // each wrong pick subtracts, never below zero.
+  function scoreSubmission(q, selected) {
+    if (selected === null) return 0;
+    switch (typeOf(q)) {
+      case 'multi': {
+        const right = selected.filter(i => q.answer_indices.includes(i)).length;
+        const wrong = selected.length - right;
+        return Math.max(0, (right - wrong) / q.answer_indices.length);
+      }
+      case 'short': {
+        const given = normalizeText(selected);
+        return q.accepted_answers.some(a => normalizeText(a) === given) ? 1 : 0;
+      }
+      case 'ordering':
+        return selected.every((v, i) => v === q.answer_order[i]) ? 1 : 0;
+      default:
+        return selected === q.answer_index ? 1 : 0;
+    }
+  }
+
+  // The feedback record for one answer to question `id`
+  function answerRecord(q, id, answer) {
+    const selected = readSubmission(q, answer);
+    const score = scoreSubmission(q, selected);
+    return {
+      question_id: id,
+      type: typeOf(q),
+      answered: selected !== null,
+      selected,
+      score,
+      correct: score === 1,
+      solution: solutionOf(q),
+      explanation: q.explanation || '',
+      source: q.source || null
+    };
+  }
+
+  return { typeOf, normalizeText, isIndexList, publicView, solutionOf, readSubmission, scoreSubmission, answerRecord };
+});
@@ -0,0 +1,238 @@
+const crypto = require('crypto');
+const { publicView, solutionOf, answerRecord } = require('./questionTypes');
+const { DEFAULT_MODE } = require('./quizModes');
+const { httpError } = require('./util');
+
+// Answers may arrive this late after an exam's time limit (the last one is sent when the clock hits zero)
+const EXAM_GRACE_MS = 5000;
+
+// Server-side quiz sessions. The answer key never leaves this module except
+// through per-question feedback after the player has committed an answer.
+function createSessionStore({ secret, ttlMs = 2 * 60 * 60 * 1000 } = {}) {
+  const signingSecret = secret || crypto.randomBytes(32).toString('hex');
+  const sessions = new Map();
+
+  function newId() {
+    return crypto.randomBytes(12).toString('base64url');
+  }
+
+  function modeOf(session) {
+    return session.meta.mode || DEFAULT_MODE;
+  }
+
+  // Exam answers are recorded but not scored for the player until the exam is finished
+  function withheld(record) {
+    const { question_id, type, answered, selected, answered_at, already_answered } = record;
+    return { question_id, type, answered, selected, answered_at, already_answered, withheld: true };
+  }
+
+  function publicQuestions(session, from = 0) {
+    return session.questions.slice(from).map((q, i) => publicView(q, from + i));
+  }
+
+  function create(questions, meta = {}) {
+    const now = Date.now();
+    const session = {
+      id: newId(),
+      meta,
+      questions: [],
+      answers: [],
+      createdAt: now,
+      startedAt: now,
+      touchedAt: now,
+      result: null
+    };
+    sessions.set(session.id, session);
+    append(session.id, questions);
+    return session;
+  }
+
+  function get(id) {
+    const session = sessions.get(id);
+    if (!session) throw httpError(404, 'Quiz session not found or expired.');
+    session.touchedAt = Date.now();
+    return session;
+  }
+
+  // Add questions to a session, skipping texts it already contains.
+  // Returns the index of the first new question.
+  function append(id, questions) {
+    const session = get(id);
+    const from = session.questions.length;
+    const seen = new Set(session.questions.map(q => q.question.trim().toLowerCase()));
+    for (const q of questions) {
+      const key = q.question.trim().toLowerCase();
+      if (seen.has(key)) continue;
+      seen.add(key);
+      session.questions.push(q);
+    }
+    if (session.result) session.result = null;
+    return from;
+  }
+
+  // Record one answer. An empty or invalid answer counts as unanswered (timeout).
+  // The session's mode decides whether the solution comes back and when answers stop.
+  function answer(id, questionId, submitted) {
+    const session = get(id);
+    const q = session.questions[questionId];
+    if (!q) throw httpError(400, 'Unknown question id for this session.');
+    if (session.result) throw httpError(409, 'This session is already finished.');
+    const mode = modeOf(session);
+
+    const existing = session.answers[questionId];
+    if (existing) {
+      const again = { ...existing, already_answered: true };
+      return mode.name === 'exam' ? withheld(again) : again;
+    }
+    if (mode.name === 'sudden_death' && session.answers.some(a => a && !a.correct)) {
+      throw httpError(409, 'Sudden death: the run ended at the first wrong answer.');
+    }
+    if (mode.name === 'exam' && Date.now() > session.startedAt + mode.time_limit_seconds * 1000 + EXAM_GRACE_MS) {
+      throw httpError(409, 'Time is up for this exam.');
+    }
+
+    const record = { ...answerRecord(q, questionId, submitted), answered_at: Date.now() };
+    session.answers[questionId] = record;
+    return mode.name === 'exam' ? withheld(record) : record;
+  }
+
+  function sign(result) {
+    return crypto.createHmac('sha256', signingSecret).update(JSON.stringify(result)).digest('hex');
+  }
+
+  function verify(result, signature) {
+    if (!result || typeof signature !== 'string') return false;
+    const expected = Buffer.from(sign(result), 'hex');
+    const given = Buffer.from(signature, 'hex');
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+  }
+
+  // Compute the final score from recorded answers and sign it. `played` carries the
+  // client's own timing ({ durationMs, finishedAt }) for quizzes played offline.
+  function finish(id, played = null) {
+    const session = get(id);
+    if (session.result) return session.result;
+
+    const total = session.questions.length;
+    const correct = session.answers.filter(a => a && a.correct).length;
+    const answered = session.answers.filter(a => a && a.answered).length;
+    // partial credit (multi-select) counts towards points and percent
+    const points = session.answers.reduce((sum, a) => sum + (a ? a.score : 0), 0);
+    const result = {
+      session_id: session.id,
+      topic: session.meta.topic || '',
+      total,
+      correct,
+      wrong: total - correct,
+      unanswered: total - answered,
+      points: Math.round(points * 100) / 100,
+      percent: total ? Math.round((points / total) * 100) : 0,
+      duration_ms: played ? played.durationMs : Date.now() - session.startedAt,
+      finished_at: played ? played.finishedAt : new Date().toISOString(),
+      mode: modeOf(session)
+    };
+    if (played) result.offline = true;
+    session.result = { result, signature: sign(result) };
+    return session.result;
+  }
+
+  // Swap a question that has not been answered yet for a regenerated one
+  function replace(id, questionId, question) {
+    const session = get(id);
+    if (!session.questions[questionId]) throw httpError(400, 'Unknown question id for this session.');
+    if (session.result) throw httpError(409, 'This session is already finished.');
+    if (session.answers[questionId]) throw httpError(409, 'This question has already been answered.');
+    session.questions[questionId] = question;
+    return publicView(question, questionId);
+  }
+
+  // Every question with the player's answer and the solution, once the result is final
+  function review(id) {
+    const session = get(id);
+    if (!session.result) throw httpError(409, 'Finish the quiz before reviewing the answers.');
+    return session.questions.map((q, i) => {
+      const a = session.answers[i];
+      return {
+        question_id: i,
+        type: q.type || 'single',
+        answered: Boolean(a && a.answered),
+        selected: a ? a.selected : null,
+        score: a ? a.score : 0,
+        correct: Boolean(a && a.correct),
+        solution: solutionOf(q),
+        explanation: q.explanation || ''
+      };
+    });
+  }
+
+  // Offline packs carry a question set with its answer key to the browser. The
+  // signature lets the server trust a pack again when answers played offline come back.
+  function pack(questions, meta = {}) {
+    const value = {
+      id: meta.id,
+      topic: meta.topic || '',
+      model: meta.model || null,
+      language: meta.language || 'en',
+      quiz_id: meta.quizId || null,
+      questions,
+      issued_at: new Date().toISOString()
+    };
+    // wrapped so a pack signature can never pass as a result signature
+    return { pack: value, signature: sign({ offline_pack: value }) };
+  }
+
+  // Score answers recorded offline against a pack this server issued. Timing is
+  // the client's word, bounded to a day and not in the future; results are marked offline.
+  function scoreOffline(packValue, signature, { answers = [], durationMs, finishedAt, mode = DEFAULT_MODE } = {}) {
+    if (!packValue || !Array.isArray(packValue.questions) || !verify({ offline_pack: packValue }, signature)) {
+      throw httpError(400, 'This offline quiz was not issued by this server (or its signing key has changed).');
+    }
+    const finished = new Date(finishedAt);
+    const played = {
+      durationMs: Math.min(24 * 60 * 60 * 1000, Math.max(0, Math.round(Number(durationMs) || 0))),
+      finishedAt: Number.isNaN(finished.getTime()) || finished.getTime() > Date.now()
+        ? new Date().toISOString()
+        : finished.toISOString()
+    };
+    const session = create(packValue.questions, {
+      topic: packValue.topic,
+      model: packValue.model,
+      language: packValue.language,
+      quizId: packValue.quiz_id,
+      offline: true,
+      mode
+    });
+    (Array.isArray(answers) ? answers : []).forEach(a => {
+      if (!a || !Number.isInteger(a.question_id) || !session.questions[a.question_id]) return;
+      try {
+        answer(session.id, a.question_id, a.answer);
+      } catch (err) {
+        // answers after a sudden-death miss do not count
+        if (err.status !== 409) throw err;
+      }
+    });
+    return { session, ...finish(session.id, played) };
+  }
+
+  // Start the same question set over again
+  function reset(id) {
+    const session = get(id);
+    session.answers = [];
+    session.result = null;
+    session.startedAt = Date.now();
+    return session;
+  }
+
+  // Drop sessions nobody has touched within the TTL
+  function prune(now = Date.now()) {
+    for (const [id, session] of sessions) {
+      if (now - session.touchedAt > ttlMs) sessions.delete(id);
+    }
+  }
+  const pruneTimer = setInterval(prune, Math.min(ttlMs, 10 * 60 * 1000));
+  pruneTimer.unref();
+
+  return { create, get, append, answer, replace, finish, review, reset, verify, pack, scoreOffline, publicQuestions, prune };
+}
+
+module.exports = { createSessionStore };
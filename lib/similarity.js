@@ -0,0 +1,99 @@
+// Local near-duplicate detection for questions: TF-IDF weighted cosine similarity
+// over the question text plus its correct answer. No model or network calls.
+
+const STOPWORDS = new Set(('a an the of to in on at by for from with and or but is are was were be been being ' +
+  'which what who whom whose when where why how does do did has have had this that these those it its ' +
+  'as into than then following true false not no yes can could would should will may might most best')
+  .split(' '));
+
+function tokens(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(t => t && !STOPWORDS.has(t) && (t.length > 1 || /\d/.test(t)))
+    // crude plural folding so "planets" and "planet" match
+    .map(t => (t.length > 3 && t.endsWith('s') && !t.endsWith('ss') ? t.slice(0, -1) : t));
+}
+
+// The fact a question tests: its wording and the correct answer
+function questionText(q) {
+  const options = q.options || [];
+  switch (q.type || 'single') {
+    case 'multi': return [q.question, ...q.answer_indices.map(i => options[i])].join(' ');
+    case 'short': return [q.question, q.accepted_answers[0]].join(' ');
+    case 'ordering':
+    case 'true_false': return q.question;
+    default: return [q.question, options[q.answer_index]].join(' ');
+  }
+}
+
+function termCounts(list) {
+  const counts = new Map();
+  list.forEach(t => counts.set(t, (counts.get(t) || 0) + 1));
+  return counts;
+}
+
+// Index of questions that answers "is this one a reworded repeat?". Document
+// frequencies come from the indexed questions, so words every question on the
+// topic shares (e.g. the topic name itself) count for little.
+function createSimilarityIndex(questions = [], { threshold = 0.6 } = {}) {
+  const docs = [];
+  const df = new Map();
+
+  function add(q) {
+    const counts = termCounts(tokens(questionText(q)));
+    counts.forEach((_, t) => df.set(t, (df.get(t) || 0) + 1));
+    docs.push({ q, counts });
+  }
+
+  function weights(counts, n) {
+    const vec = new Map();
+    let norm = 0;
+    counts.forEach((tf, t) => {
+      const w = tf * (Math.log((n + 1) / ((df.get(t) || 0) + 1)) + 1);
+      vec.set(t, w);
+      norm += w * w;
+    });
+    return { vec, norm: Math.sqrt(norm) };
+  }
+
+  // Most similar indexed question and its cosine score (0..1)
+  function nearest(q) {
+    const counts = termCounts(tokens(questionText(q)));
+    const n = docs.length + 1;
+    const a = weights(counts, n);
+    let best = { score: 0, question: null };
+    if (!a.norm) return best;
+    for (const doc of docs) {
+      const b = weights(doc.counts, n);
+      if (!b.norm) continue;
+      let dot = 0;
+      a.vec.forEach((w, t) => {
+        if (b.vec.has(t)) dot += w * b.vec.get(t);
+      });
+      const score = dot / (a.norm * b.norm);
+      if (score > best.score) best = { score, question: doc.q };
+    }
+    return best;
+  }
+
+  // The indexed question that `q` repeats (same text or a close rewording), or null
+  function findDuplicate(q) {
+    const key = q.question.trim().toLowerCase();
+    const exact = docs.find(d => d.q.question.trim().toLowerCase() === key);
+    if (exact) return exact.q;
+    const best = nearest(q);
+    return best.score >= threshold ? best.question : null;
+  }
+
+  function isDuplicate(q) {
+    return findDuplicate(q) !== null;
+  }
+
+  questions.forEach(add);
+  return { add, nearest, findDuplicate, isDuplicate, size: () => docs.length };
+}
+
+module.exports = { createSimilarityIndex, tokens, questionText };
@@ -0,0 +1,157 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { ID_PATTERN, newId, httpError, lazyMkdir, writeFileAtomic } = require('./util');
+
+const CHUNK_CHARS = 1200;         // target passage size
+const PROMPT_SOURCE_CHARS = 9000; // source text budget per generation request
+
+// Light Markdown cleanup: keep the words, drop the markup
+function stripMarkdown(md) {
+  return md
+    .replace(/```[\s\S]*?```/g, block => block.replace(/```\w*/g, ''))
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/^#{1,6}\s+/gm, '')
+    .replace(/^\s*>\s?/gm, '')
+    .replace(/^\s*[-*+]\s+/gm, '- ')
+    .replace(/(\*\*|__)(\S.*?\S|\S)\1/g, '$2')
+    .replace(/(^|\W)(\*|_)(\S.*?\S|\S)\2(?=\W|$)/gm, '$1$3')
+    .replace(/`([^`]+)`/g, '$1');
+}
+
+function detectKind({ name = '', kind }) {
+  if (kind) return kind;
+  const ext = path.extname(String(name)).toLowerCase();
+  if (ext === '.pdf') return 'pdf';
+  if (ext === '.md' || ext === '.markdown') return 'markdown';
+  return 'text';
+}
+
+// Turn an upload into plain text. PDFs arrive base64-encoded.
+async function extractText({ name, kind, content }) {
+  if (typeof content !== 'string' || !content.trim()) throw httpError(400, 'Source content is empty.');
+  const type = detectKind({ name, kind });
+  if (type === 'pdf') {
+    // the package root runs a self-test when required directly, so load the parser itself
+    const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+    let data;
+    try {
+      // pdf.js misreads Node Buffers, so hand it a plain Uint8Array copy
+      const bytes = Buffer.from(content, 'base64');
+      data = await pdfParse(new Uint8Array(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.length)));
+    } catch (err) {
+      throw httpError(400, `Could not read PDF: ${err.message || err}`);
+    }
+    if (!data.text || !data.text.trim()) {
+      throw httpError(400, 'The PDF has no extractable text (is it a scanned image?).');
+    }
+    return { type, text: data.text };
+  }
+  if (type === 'markdown') return { type, text: stripMarkdown(content) };
+  if (type === 'text') return { type, text: content };
+  throw httpError(400, `Unsupported source type "${type}".`);
+}
+
+// Split text into numbered passages on paragraph, then sentence, boundaries
+function chunkText(text, maxChars = CHUNK_CHARS) {
+  const paragraphs = text
+    .replace(/\r\n?/g, '\n')
+    .split(/\n\s*\n/)
+    .map(p => p.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+
+  const pieces = [];
+  paragraphs.forEach(p => {
+    if (p.length <= maxChars) return pieces.push(p);
+    const sentences = p.match(/[^.!?]+[.!?]+["')\]]*\s*|[^.!?]+$/g) || [p];
+    let buf = '';
+    sentences.forEach(s => {
+      if (buf && (buf + s).length > maxChars) {
+        pieces.push(buf.trim());
+        buf = '';
+      }
+      // a single runaway sentence gets hard-wrapped
+      while (s.length > maxChars) {
+        pieces.push(s.slice(0, maxChars).trim());
+        s = s.slice(maxChars);
+      }
+      buf += s;
+    });
+    if (buf.trim()) pieces.push(buf.trim());
+  });
+
+  // merge small neighbours so passages carry enough context
+  const chunks = [];
+  pieces.forEach(piece => {
+    const last = chunks[chunks.length - 1];
+    if (last && (last.length + piece.length + 1) <= maxChars) chunks[chunks.length - 1] = `${last}\n${piece}`;
+    else chunks.push(piece);
+  });
+  return chunks.map((t, i) => ({ id: `P${i + 1}`, text: t }));
+}
+
+// Pick passages for one request: unused ones first, spread across the document
+function selectChunks(chunks, usedIds = [], budget = PROMPT_SOURCE_CHARS) {
+  const used = new Set(usedIds);
+  const fresh = chunks.filter(c => !used.has(c.id));
+  const pool = fresh.length ? fresh : chunks;
+  const total = pool.reduce((n, c) => n + c.text.length, 0);
+  if (total <= budget) return pool;
+
+  const picked = [];
+  let size = 0;
+  const step = Math.max(1, Math.floor(pool.length / Math.ceil(total / budget)));
+  for (let offset = 0; offset < step && size < budget; offset++) {
+    for (let i = offset; i < pool.length; i += step) {
+      if (picked.includes(pool[i])) continue;
+      if (size + pool[i].text.length > budget) continue;
+      picked.push(pool[i]);
+      size += pool[i].text.length;
+    }
+  }
+  return picked.sort((a, b) => chunks.indexOf(a) - chunks.indexOf(b));
+}
+
+function promptBlock(chunks) {
+  return chunks.map(c => `[${c.id}] ${c.text}`).join('\n\n');
+}
+
+// Uploaded sources, stored as chunked text under `dir`
+function createSourceStore({ dir }) {
+  const ensureDir = lazyMkdir(dir);
+
+  function fileFor(id) {
+    if (!ID_PATTERN.test(String(id))) throw httpError(400, 'Invalid source id.');
+    return path.join(dir, `${id}.json`);
+  }
+
+  async function save({ name, type, text }) {
+    await ensureDir();
+    const chunks = chunkText(text);
+    if (!chunks.length) throw httpError(400, 'Source material contains no text.');
+    const source = {
+      id: newId(),
+      name: String(name || 'Uploaded material').slice(0, 200),
+      type,
+      chars: chunks.reduce((n, c) => n + c.text.length, 0),
+      created_at: new Date().toISOString(),
+      chunks
+    };
+    const file = fileFor(source.id);
+    await writeFileAtomic(file, source);
+    return source;
+  }
+
+  async function get(id) {
+    try {
+      return JSON.parse(await fs.readFile(fileFor(id), 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') throw httpError(404, 'Source material not found.');
+      throw err;
+    }
+  }
+
+  return { save, get };
+}
+
+module.exports = { extractText, chunkText, selectChunks, promptBlock, createSourceStore };
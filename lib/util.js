@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+
+// Helpers shared by the file-backed stores, the providers and the request handlers
+
+// Ids of saved quizzes, sources, flags and assignments: 8 random bytes in hex
+const ID_PATTERN = /^[a-f0-9]{16}$/;
+
+function newId() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+// An Error carrying the HTTP status the server should answer with
+function httpError(status, message) {
+  const e = new Error(message);
+  e.status = status;
+  return e;
+}
+
+// Fixed-length SHA-256 of a secret, so crypto.timingSafeEqual can compare any two inputs
+function digest(text) {
+  return crypto.createHash('sha256').update(String(text)).digest();
+}
+
+// Small stable string hash (32-bit FNV-1a), for deterministic picks and shuffles
+function hashString(str) {
+  let h = 2166136261;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+}
+
+// ensureDir() for a store: creates `dir` on first use, then returns the same promise
+function lazyMkdir(dir) {
+  let ready = null;
+  return function ensureDir() {
+    if (!ready) ready = fs.mkdir(dir, { recursive: true });
+    return ready;
+  };
+}
+
+// Write to a temporary file, then rename it over `file`: readers see the old or
+// the new content, never half of it. Anything but a string or Buffer is written as JSON.
+async function writeFileAtomic(file, data, space) {
+  const tmp = `${file}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  await fs.writeFile(tmp, typeof data === 'string' || Buffer.isBuffer(data) ? data : JSON.stringify(data, null, space));
+  try {
+    await fs.rename(tmp, file);
+  } catch (err) {
+    await fs.unlink(tmp).catch(() => {});
+    throw err;
+  }
+}
+
+// Runs tasks one after another per key, so read-modify-write cycles on the same
+// file cannot overwrite each other. A failed task does not block the next one;
+// idle keys are dropped.
+function createKeyedQueue() {
+  const queues = new Map();
+  return function enqueue(key, task) {
+    const run = (queues.get(key) || Promise.resolve())
+      .catch(() => {})
+      .then(task);
+    queues.set(key, run);
+    run.finally(() => {
+      if (queues.get(key) === run) queues.delete(key);
+    }).catch(() => {});
+    return run;
+  };
+}
+
+module.exports = { ID_PATTERN, newId, httpError, digest, hashString, lazyMkdir, writeFileAtomic, createKeyedQueue };
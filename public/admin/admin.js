@@ -0,0 +1,179 @@
+/* admin.js - review queue for questions reported by players (approve, fix or delete) */
+
+const adminEls = {
+  filters: document.querySelectorAll('.admin-filters [data-status]'),
+  message: document.getElementById('adminMessage'),
+  list: document.getElementById('flagList')
+};
+
+const REASON_LABELS = {
+  wrong_answer: 'Wrong answer',
+  ambiguous: 'Ambiguous',
+  typo: 'Typo',
+  offensive: 'Offensive',
+  other: 'Other'
+};
+
+let flagStatus = 'open';
+
+function showMessage(text) {
+  adminEls.message.textContent = text || '';
+  adminEls.message.hidden = !text;
+}
+
+function el(tag, className, text) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text !== undefined) node.textContent = text;
+  return node;
+}
+
+// Option texts marked with whether each one is (part of) the correct answer
+function describeAnswer(q) {
+  switch (q.type) {
+    case 'multi':
+      return q.options.map((o, i) => ({ text: o, correct: q.answer_indices.includes(i) }));
+    case 'short':
+      return q.accepted_answers.map(a => ({ text: a, correct: true }));
+    case 'ordering':
+      return q.answer_order.map((i, pos) => ({ text: `${pos + 1}. ${q.options[i]}`, correct: true }));
+    default:
+      return q.options.map((o, i) => ({ text: o, correct: i === q.answer_index }));
+  }
+}
+
+// The question as the model would write it, which is what the server validates:
+// ordering options go back into their correct order
+function editableQuestion(q) {
+  const { difficulty, source, ...rest } = q;
+  if (q.type !== 'ordering') return rest;
+  const { answer_order, ...item } = rest;
+  return { ...item, options: answer_order.map(i => q.options[i]) };
+}
+
+function summarizeReports(reports) {
+  const counts = {};
+  reports.forEach(r => { counts[r.reason] = (counts[r.reason] || 0) + 1; });
+  return Object.keys(counts).map(r => `${REASON_LABELS[r] || r} ×${counts[r]}`).join(', ');
+}
+
+async function postAction(flag, action, body) {
+  const resp = await fetch(`/admin/api/flags/${encodeURIComponent(flag.id)}/${action}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body || {})
+  });
+  const data = await resp.json();
+  if (!resp.ok) {
+    const details = Array.isArray(data.details) ? ` (${data.details.join('; ')})` : '';
+    throw new Error((data.error || 'Server error') + details);
+  }
+  return data;
+}
+
+async function resolveFlag(flag, action, body) {
+  try {
+    await postAction(flag, action, body);
+    showMessage(`Report ${action === 'fix' ? 'fixed' : action === 'delete' ? 'deleted' : 'approved'}.`);
+    loadFlags();
+  } catch (err) {
+    showMessage(`Could not ${action} the question: ${err.message}`);
+  }
+}
+
+function openEditor(item, flag) {
+  if (item.querySelector('.flag-editor')) return;
+  const editor = el('div', 'flag-editor');
+  const textarea = el('textarea', 'flag-json');
+  textarea.rows = 12;
+  textarea.spellcheck = false;
+  textarea.value = JSON.stringify(editableQuestion(flag.question), null, 2);
+  const save = el('button', 'btn btn-primary btn-small', 'Save fix');
+  const cancel = el('button', 'btn btn-secondary btn-small', 'Cancel');
+  save.addEventListener('click', () => {
+    let question;
+    try {
+      question = JSON.parse(textarea.value);
+    } catch (err) {
+      showMessage(`The question is not valid JSON: ${err.message}`);
+      return;
+    }
+    resolveFlag(flag, 'fix', { question });
+  });
+  cancel.addEventListener('click', () => editor.remove());
+  editor.append(textarea, el('div', 'flag-actions'));
+  editor.lastChild.append(save, cancel);
+  item.appendChild(editor);
+  textarea.focus();
+}
+
+function renderFlag(flag) {
+  const q = flag.question;
+  const item = el('li', 'flag-item');
+  const language = flag.language && flag.language !== 'en' ? flag.language.toUpperCase() : null;
+  const meta = [flag.topic || 'Untitled', language, q.type || 'single', q.difficulty, flag.quiz_id ? `quiz ${flag.quiz_id}` : null]
+    .filter(Boolean).join(' · ');
+  item.appendChild(el('div', 'flag-meta', meta));
+  item.appendChild(el('p', 'flag-question-text', q.question));
+
+  const answers = el('ul', 'flag-answers');
+  describeAnswer(q).forEach(a => {
+    answers.appendChild(el('li', a.correct ? 'is-correct' : '', `${a.correct ? '✓ ' : ''}${a.text}`));
+  });
+  item.appendChild(answers);
+  if (q.explanation) item.appendChild(el('p', 'flag-explanation', q.explanation));
+
+  item.appendChild(el('p', 'flag-reasons', `${flag.reports.length} report(s): ${summarizeReports(flag.reports)}`));
+  const comments = flag.reports.filter(r => r.comment);
+  if (comments.length) {
+    const list = el('ul', 'flag-comments');
+    comments.forEach(r => list.appendChild(el('li', '', `“${r.comment}” — ${new Date(r.at).toLocaleString()}`)));
+    item.appendChild(list);
+  }
+
+  if (flag.status === 'open') {
+    const actions = el('div', 'flag-actions');
+    const approve = el('button', 'btn btn-outline btn-small', 'Approve');
+    const fix = el('button', 'btn btn-outline btn-small', 'Fix…');
+    const remove = el('button', 'btn btn-outline btn-small', 'Delete');
+    approve.title = 'The question is fine: keep it and prefer it in new quizzes';
+    remove.title = 'Remove it from the question bank and its saved quiz';
+    approve.addEventListener('click', () => resolveFlag(flag, 'approve'));
+    fix.addEventListener('click', () => openEditor(item, flag));
+    remove.addEventListener('click', () => {
+      if (confirm('Delete this question from the bank and its saved quiz?')) resolveFlag(flag, 'delete');
+    });
+    actions.append(approve, fix, remove);
+    item.appendChild(actions);
+  } else {
+    item.appendChild(el('p', 'flag-meta', `${flag.status} ${new Date(flag.resolved_at).toLocaleString()}`));
+  }
+  return item;
+}
+
+async function loadFlags() {
+  adminEls.list.innerHTML = '';
+  try {
+    const resp = await fetch(`/admin/api/flags?status=${encodeURIComponent(flagStatus)}`);
+    const data = await resp.json();
+    if (!resp.ok) throw new Error(data.error || 'Server error');
+    if (!data.flags.length) {
+      adminEls.list.appendChild(el('li', 'flag-empty', `No ${flagStatus} reports.`));
+      return;
+    }
+    data.flags.forEach(flag => adminEls.list.appendChild(renderFlag(flag)));
+  } catch (err) {
+    showMessage(`Failed to load reports: ${err.message}`);
+  }
+}
+
+adminEls.filters.forEach(btn => {
+  btn.addEventListener('click', () => {
+    flagStatus = btn.dataset.status;
+    adminEls.filters.forEach(b => b.classList.toggle('active', b === btn));
+    showMessage('');
+    loadFlags();
+  });
+});
+
+loadFlags();
@@ -0,0 +1,181 @@
+/* assignment.js - classroom assignments (/a/<id>): teachers assign a quiz, students take it by name or class code */
+
+let currentAssignment = null;    // { id, title, student, code, attempt, max_attempts, ... } while taking an assignment
+let assignmentOutcome = null;    // what the server recorded for the finished attempt
+let assignSource = null;         // { sessionId } or { quizId } the assign modal was opened for
+
+const assignEls = {
+  button: document.getElementById('assignBtn'),
+  status: document.getElementById('assignmentStatus'),
+  modal: document.getElementById('assignModal'),
+  form: document.getElementById('assignForm'),
+  done: document.getElementById('assignDone'),
+  title: document.getElementById('assignTitle'),
+  opens: document.getElementById('assignOpens'),
+  closes: document.getElementById('assignCloses'),
+  attempts: document.getElementById('assignAttempts'),
+  roster: document.getElementById('assignRoster'),
+  code: document.getElementById('assignCode'),
+  studentLink: document.getElementById('assignStudentLink'),
+  gradebookLink: document.getElementById('assignGradebookLink')
+};
+
+// Assignment id of the link the page was opened from, if any
+function assignmentIdFromPath() {
+  const match = location.pathname.match(/^\/a\/([a-f0-9]{16})\/?$/);
+  return match ? match[1] : null;
+}
+
+// datetime-local values are in the teacher's time zone; the server stores UTC
+function localTimeToIso(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+function openAssignModal(source, title) {
+  assignSource = source;
+  assignEls.title.value = title || '';
+  assignEls.opens.value = '';
+  assignEls.closes.value = '';
+  assignEls.attempts.value = '1';
+  assignEls.roster.value = '';
+  assignEls.code.value = '';
+  assignEls.form.hidden = false;
+  assignEls.done.hidden = true;
+  assignEls.modal.classList.add('active');
+  assignEls.title.focus();
+}
+
+function hideAssignModal() {
+  assignEls.modal.classList.remove('active');
+  assignSource = null;
+}
+
+async function createAssignment() {
+  if (!assignSource) return;
+  const body = {
+    title: assignEls.title.value.trim(),
+    opens_at: localTimeToIso(assignEls.opens.value),
+    closes_at: localTimeToIso(assignEls.closes.value),
+    max_attempts: parseInt(assignEls.attempts.value, 10),
+    roster: assignEls.roster.value,
+    class_code: assignEls.code.value.trim()
+  };
+  if (assignSource.sessionId) body.session_id = assignSource.sessionId;
+  else body.quiz_id = assignSource.quizId;
+  try {
+    const resp = await fetch('/assignments', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const data = await resp.json();
+    if (!resp.ok) {
+      alert(t('failed.assign', { error: data.error || t('error.server') }));
+      return;
+    }
+    const studentUrl = `${location.origin}${data.student_url}`;
+    const gradebookUrl = `${location.origin}${data.gradebook_url}`;
+    assignEls.studentLink.href = studentUrl;
+    assignEls.studentLink.textContent = studentUrl;
+    assignEls.gradebookLink.href = gradebookUrl;
+    assignEls.gradebookLink.textContent = gradebookUrl;
+    assignEls.form.hidden = true;
+    assignEls.done.hidden = false;
+  } catch (err) {
+    console.error('Assignment error', err);
+    alert(t('network.assign'));
+  }
+}
+
+async function copyAssignmentLink() {
+  const url = assignEls.studentLink.href;
+  try {
+    await navigator.clipboard.writeText(url);
+    alert(t('assign.copied', { url }));
+  } catch (err) {
+    prompt(t('assign.copyPrompt'), url);
+  }
+}
+
+// Ask who is taking the assignment, then start a counted attempt
+async function takeAssignment(id) {
+  showLoading(true, t('loading.assignment'));
+  try {
+    const resp = await fetch(`/assignments/${encodeURIComponent(id)}`);
+    const data = await resp.json();
+    showLoading(false);
+    if (!resp.ok) {
+      alert(t('failed.openAssignment', { error: data.error || t('error.server') }));
+      return;
+    }
+    const { assignment } = data;
+    if (assignment.status === 'upcoming') {
+      alert(t('assign.notOpen', { title: assignment.title, date: formatDateTime(assignment.opens_at) }));
+      return;
+    }
+    if (assignment.status === 'closed') {
+      alert(t('assign.closed', { title: assignment.title }));
+      return;
+    }
+    const name = askPlayerName(t('assign.namePrompt', {
+      title: assignment.title,
+      count: assignment.count,
+      attempts: assignment.max_attempts
+    }));
+    if (!name) return;
+    let code = '';
+    if (assignment.needs_code) {
+      code = String(prompt(t('assign.codePrompt'), '') || '').trim();
+      if (!code) return;
+    }
+    await startAssignmentAttempt(id, { name, code });
+  } catch (err) {
+    console.error('Assignment load error', err);
+    showLoading(false);
+    alert(t('network.openAssignment'));
+  }
+}
+
+async function startAssignmentAttempt(id, { name, code }) {
+  showLoading(true, t('loading.assignment'));
+  try {
+    const resp = await fetch(`/assignments/${encodeURIComponent(id)}/start`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name, code })
+    });
+    const session = await resp.json();
+    showLoading(false);
+    if (!resp.ok) {
+      alert(t('failed.openAssignment', { error: session.error || t('error.server') }));
+      return;
+    }
+    // the code is kept so "Try Again" can start the next attempt without asking
+    playSession({ ...session, assignment: { ...session.assignment, code } });
+    // students take the assignment; saving it would hand them a copy to practise on
+    els.saveQuizBtn.disabled = true;
+  } catch (err) {
+    console.error('Assignment start error', err);
+    showLoading(false);
+    alert(t('network.openAssignment'));
+  }
+}
+
+// "Try Again" on an assignment is a new attempt, if there are any left
+function retakeAssignment() {
+  const { id, student, code } = currentAssignment;
+  startAssignmentAttempt(id, { name: student, code });
+}
+
+// Which attempt was recorded, and how many are left
+function renderAssignmentStatus(outcome = assignmentOutcome) {
+  assignmentOutcome = outcome;
+  assignEls.status.hidden = !outcome;
+  if (!outcome) return;
+  const parts = [
+    t('assign.recorded', { title: outcome.title, name: outcome.student, attempt: outcome.attempt, max: currentAssignment.max_attempts }),
+    outcome.attempts_left > 0 ? t('assign.attemptsLeft', { count: outcome.attempts_left }) : t('assign.noAttemptsLeft')
+  ];
+  if (outcome.late) parts.push(t('assign.late'));
+  assignEls.status.textContent = parts.join(' ');
+}
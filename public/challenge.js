@@ -0,0 +1,146 @@
+/* challenge.js - challenge links (/c/<slug>): replay the exact same quiz and compare scores */
+
+const PLAYER_NAME_KEY = 'aiQuizVerse.playerName';
+
+let currentChallenge = null;     // { slug, name } once the session is tied to a challenge link
+let challengeBoard = null;       // leaderboard shown on the results screen
+
+const challengeEls = {
+  button: document.getElementById('challengeBtn'),
+  board: document.getElementById('challengeBoard'),
+  rank: document.getElementById('challengeRank'),
+  link: document.getElementById('challengeLink'),
+  list: document.getElementById('challengeList')
+};
+
+// Slug of the challenge link the page was opened from, if any
+function challengeSlugFromPath() {
+  const match = location.pathname.match(/^\/c\/([a-z0-9]{7})\/?$/);
+  return match ? match[1] : null;
+}
+
+function challengeUrl(slug) {
+  return `${location.origin}/c/${slug}`;
+}
+
+// Name for the leaderboard, remembered for the next challenge
+function askPlayerName(message) {
+  const name = String(prompt(message, localStorage.getItem(PLAYER_NAME_KEY) || '') || '')
+    .replace(/\s+/g, ' ').trim().slice(0, 24);
+  if (name) localStorage.setItem(PLAYER_NAME_KEY, name);
+  return name;
+}
+
+function formatRunTime(ms) {
+  const secs = Math.max(1, Math.floor(ms / 1000));
+  return `${Math.floor(secs / 60)}:${String(secs % 60).padStart(2, '0')}`;
+}
+
+// Top runs of the challenge, with this run highlighted
+function renderChallengeBoard(board = challengeBoard) {
+  challengeBoard = board;
+  challengeEls.board.hidden = !board;
+  if (!board) return;
+  const url = challengeUrl(board.slug);
+  challengeEls.link.href = url;
+  challengeEls.link.textContent = url;
+  challengeEls.rank.textContent = board.rank
+    ? t('challenge.rank', { rank: board.rank, count: board.plays })
+    : t('challenge.plays', { count: board.plays });
+  const { result } = lastResult || {};
+  const yours = result ? `${result.session_id}:${result.finished_at}` : null;
+  challengeEls.list.innerHTML = '';
+  board.entries.forEach(row => {
+    const item = document.createElement('li');
+    if (row.id === yours) item.classList.add('is-you');
+    const rank = document.createElement('span');
+    rank.className = 'room-rank';
+    rank.textContent = `#${row.rank}`;
+    const name = document.createElement('span');
+    name.className = 'room-player';
+    name.textContent = row.name;
+    const time = document.createElement('span');
+    time.className = 'room-gain';
+    time.textContent = formatRunTime(row.duration_ms);
+    const score = document.createElement('span');
+    score.className = 'room-score';
+    score.textContent = `${row.percent}%`;
+    item.append(rank, name, time, score);
+    challengeEls.list.appendChild(item);
+  });
+}
+
+// Freeze the finished quiz under a challenge link; this run is the first on its board
+async function shareChallenge() {
+  if (!sessionId) return;
+  const name = (currentChallenge && currentChallenge.name) || askPlayerName(t('challenge.namePrompt'));
+  if (!name) return;
+  try {
+    const resp = await fetch('/challenges', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ session_id: sessionId, name })
+    });
+    const data = await resp.json();
+    if (!resp.ok) {
+      alert(t('failed.challenge', { error: data.error || t('error.server') }));
+      return;
+    }
+    currentChallenge = { slug: data.challenge.slug, name };
+    // the server keeps challenge question sets out of the library, classes and rooms
+    els.saveQuizBtn.disabled = true;
+    assignEls.button.disabled = true;
+    document.getElementById('hostRoomBtn').disabled = true;
+    renderChallengeBoard(data.leaderboard);
+    const url = challengeUrl(data.challenge.slug);
+    try {
+      await navigator.clipboard.writeText(url);
+      alert(t('challenge.copied', { url }));
+    } catch (err) {
+      prompt(t('challenge.copyPrompt'), url);
+    }
+  } catch (err) {
+    console.error('Challenge error', err);
+    alert(t('network.challenge'));
+  }
+}
+
+// Play a challenge link: same questions, order and mode as whoever shared it
+async function playChallenge(slug) {
+  showLoading(true, t('loading.challenge'));
+  try {
+    const resp = await fetch(`/challenges/${encodeURIComponent(slug)}`);
+    const data = await resp.json();
+    showLoading(false);
+    if (!resp.ok) {
+      alert(t('failed.openChallenge', { error: data.error || t('error.server') }));
+      return;
+    }
+    const { challenge } = data;
+    const name = askPlayerName(t('challenge.joinPrompt', {
+      name: challenge.created_by || '?',
+      topic: challenge.topic,
+      count: challenge.count
+    }));
+    if (!name) return;
+
+    showLoading(true, t('loading.challenge'));
+    const playResp = await fetch(`/challenges/${encodeURIComponent(slug)}/play`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name })
+    });
+    const session = await playResp.json();
+    showLoading(false);
+    if (!playResp.ok) {
+      alert(t('failed.openChallenge', { error: session.error || t('error.server') }));
+      return;
+    }
+    playSession({ ...session, challenge: { slug, name } });
+    els.saveQuizBtn.disabled = true;
+  } catch (err) {
+    console.error('Challenge load error', err);
+    showLoading(false);
+    alert(t('network.openChallenge'));
+  }
+}
@@ -0,0 +1,116 @@
+/* gradebook.js - teacher view of an assignment: scores per student, percent correct per question */
+
+const gradebookEls = {
+  title: document.getElementById('gradebookTitle'),
+  meta: document.getElementById('gradebookMeta'),
+  message: document.getElementById('gradebookMessage'),
+  csv: document.getElementById('gradebookCsv'),
+  refresh: document.getElementById('gradebookRefresh'),
+  students: document.getElementById('gradebookStudents'),
+  questions: document.getElementById('gradebookQuestions')
+};
+
+// the teacher link carries both: /gradebook/?id=<assignment>&token=<teacher token>
+const params = new URLSearchParams(location.search);
+const assignmentId = params.get('id') || '';
+const teacherToken = params.get('token') || '';
+
+function showMessage(text) {
+  gradebookEls.message.textContent = text || '';
+  gradebookEls.message.hidden = !text;
+}
+
+function el(tag, className, text) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text !== undefined) node.textContent = text;
+  return node;
+}
+
+function formatDate(iso) {
+  return iso ? new Date(iso).toLocaleString() : '-';
+}
+
+function percent(value) {
+  return value === null || value === undefined ? '-' : `${value}%`;
+}
+
+function describeAssignment(a) {
+  const access = [
+    a.roster.length ? `${a.roster.length} students on the roster` : null,
+    a.class_code ? `class code ${a.class_code}` : null
+  ].filter(Boolean).join(', ');
+  const span = a.opens_at || a.closes_at
+    ? `${a.opens_at ? formatDate(a.opens_at) : 'now'} - ${a.closes_at ? formatDate(a.closes_at) : 'no deadline'}`
+    : 'always open';
+  return `${a.topic} · ${a.count} questions · ${a.status} (${span}) · ` +
+    `${a.max_attempts === 1 ? '1 attempt' : `${a.max_attempts} attempts`} each · ${access} · ` +
+    `student link: ${location.origin}/a/${a.id}`;
+}
+
+function renderStudents(students) {
+  gradebookEls.students.innerHTML = '';
+  if (!students.length) {
+    const row = el('tr');
+    const cell = el('td', null, 'Nobody has started this assignment yet.');
+    cell.colSpan = 5;
+    row.appendChild(cell);
+    gradebookEls.students.appendChild(row);
+    return;
+  }
+  students.forEach(s => {
+    const row = el('tr');
+    const last = s.last_finished_at ? formatDate(s.last_finished_at) + (s.late ? ' (late)' : '') : '-';
+    row.append(
+      el('td', null, s.name),
+      el('td', null, s.finished === s.attempts ? String(s.attempts) : `${s.attempts} (${s.attempts - s.finished} unfinished)`),
+      el('td', null, percent(s.best_percent)),
+      el('td', null, percent(s.last_percent)),
+      el('td', null, last)
+    );
+    gradebookEls.students.appendChild(row);
+  });
+}
+
+function renderQuestions(questions) {
+  gradebookEls.questions.innerHTML = '';
+  questions.forEach(q => {
+    const row = el('tr');
+    row.append(
+      el('td', null, String(q.question_id + 1)),
+      el('td', null, q.question),
+      el('td', null, String(q.attempts)),
+      el('td', q.percent_correct !== null && q.percent_correct < 50 ? 'gradebook-hard' : null, percent(q.percent_correct))
+    );
+    gradebookEls.questions.appendChild(row);
+  });
+}
+
+async function loadGradebook() {
+  showMessage('');
+  if (!assignmentId || !teacherToken) {
+    showMessage('Open this page from the gradebook link you got when creating the assignment.');
+    return;
+  }
+  try {
+    const resp = await fetch(`/assignments/${encodeURIComponent(assignmentId)}/gradebook`, {
+      headers: { 'X-Teacher-Token': teacherToken }
+    });
+    const data = await resp.json();
+    if (!resp.ok) throw new Error(data.error || 'Server error');
+    const { assignment } = data;
+    document.title = `AI Quiz Verse - ${assignment.title}`;
+    gradebookEls.title.textContent = assignment.title;
+    gradebookEls.meta.textContent = describeAssignment(assignment);
+    gradebookEls.csv.href = `/assignments/${encodeURIComponent(assignmentId)}/gradebook?format=csv&token=${encodeURIComponent(teacherToken)}`;
+    gradebookEls.csv.hidden = false;
+    renderStudents(data.students);
+    renderQuestions(data.questions);
+  } catch (err) {
+    showMessage(`Failed to load the gradebook: ${err.message}`);
+  }
+}
+
+gradebookEls.refresh.addEventListener('click', loadGradebook);
+
+loadGradebook();
@@ -0,0 +1,102 @@
+/* i18n.js - UI message catalog, locale switching and right-to-left layout */
+
+// Messages live in locales/<code>.js (UI_MESSAGES.<code> = { key: 'text {placeholder}' }).
+// Keys missing from a locale fall back to English. Markup is translated through
+//   data-i18n="key"                 text content
+//   data-i18n-placeholder="key"     placeholder attribute
+//   data-i18n-title="key"           title attribute
+//   data-i18n-aria-label="key"      aria-label attribute
+//   data-i18n-slots="key"           text around child elements marked data-slot="name",
+//                                   e.g. "Question {current} of {total}"
+const UI_LOCALE_KEY = 'aiQuizVerse.locale';
+const UI_LOCALES = [
+  { code: 'en', name: 'English' },
+  { code: 'es', name: 'Español' },
+  { code: 'de', name: 'Deutsch' },
+  { code: 'hi', name: 'हिन्दी' },
+  { code: 'ar', name: 'العربية', dir: 'rtl' },
+  { code: 'he', name: 'עברית', dir: 'rtl' }
+];
+const UI_MESSAGES = {};
+
+let uiLocale = 'en';
+
+// Saved choice first, then the browser's preferred languages
+function detectLocale() {
+  const supported = code => UI_LOCALES.some(l => l.code === code);
+  const saved = localStorage.getItem(UI_LOCALE_KEY);
+  if (saved && supported(saved)) return saved;
+  const preferred = (navigator.languages && navigator.languages.length ? navigator.languages : [navigator.language || 'en'])
+    .map(tag => String(tag).toLowerCase().split('-')[0]);
+  return preferred.find(supported) || 'en';
+}
+
+function t(key, vars = {}) {
+  const own = UI_MESSAGES[uiLocale] && UI_MESSAGES[uiLocale][key];
+  const message = own !== undefined ? own : (UI_MESSAGES.en && UI_MESSAGES.en[key]);
+  if (message === undefined) {
+    console.warn(`Missing message "${key}"`);
+    return key;
+  }
+  return message.replace(/\{(\w+)\}/g, (match, name) => (vars[name] !== undefined ? String(vars[name]) : match));
+}
+
+function localeDirection(code) {
+  const locale = UI_LOCALES.find(l => l.code === code);
+  return locale && locale.dir === 'rtl' ? 'rtl' : 'ltr';
+}
+
+// Rebuild an element's text around its slotted children, keeping the children themselves
+function fillSlots(el, message) {
+  const slots = {};
+  el.querySelectorAll('[data-slot]').forEach(child => { slots[child.dataset.slot] = child; });
+  el.textContent = '';
+  message.split(/(\{\w+\})/).forEach(part => {
+    const slot = /^\{(\w+)\}$/.exec(part);
+    if (slot && slots[slot[1]]) el.appendChild(slots[slot[1]]);
+    else if (part) el.appendChild(document.createTextNode(part));
+  });
+}
+
+function applyTranslations(root = document) {
+  root.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = t(el.dataset.i18n); });
+  root.querySelectorAll('[data-i18n-placeholder]').forEach(el => { el.placeholder = t(el.dataset.i18nPlaceholder); });
+  root.querySelectorAll('[data-i18n-title]').forEach(el => { el.title = t(el.dataset.i18nTitle); });
+  root.querySelectorAll('[data-i18n-aria-label]').forEach(el => { el.setAttribute('aria-label', t(el.dataset.i18nAriaLabel)); });
+  root.querySelectorAll('[data-i18n-slots]').forEach(el => fillSlots(el, t(el.dataset.i18nSlots)));
+}
+
+// Switch the interface language. Static markup is translated here; scripts that build
+// text at runtime listen for the "localechange" event on document and redraw.
+function setLocale(code, { save = true } = {}) {
+  uiLocale = UI_LOCALES.some(l => l.code === code) ? code : 'en';
+  if (save) localStorage.setItem(UI_LOCALE_KEY, uiLocale);
+  document.documentElement.lang = uiLocale;
+  document.documentElement.dir = localeDirection(uiLocale);
+  document.title = t('app.title');
+  applyTranslations();
+  const select = document.getElementById('uiLocale');
+  if (select) select.value = uiLocale;
+  document.dispatchEvent(new CustomEvent('localechange', { detail: { locale: uiLocale } }));
+}
+
+function initLocaleSelect() {
+  const select = document.getElementById('uiLocale');
+  if (!select) return;
+  UI_LOCALES.forEach(l => {
+    const option = document.createElement('option');
+    option.value = l.code;
+    option.textContent = l.name;
+    select.appendChild(option);
+  });
+  select.addEventListener('change', () => setLocale(select.value));
+}
+
+// Dates and numbers in the interface language
+function formatDate(value, options) {
+  return new Date(value).toLocaleDateString(uiLocale, options);
+}
+
+function formatDateTime(value) {
+  return new Date(value).toLocaleString(uiLocale);
+}
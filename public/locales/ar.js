@@ -0,0 +1,348 @@
+/* locales/ar.js - Arabic UI messages (right-to-left) */
+
+UI_MESSAGES.ar = {
+  'app.title': 'AI Quiz Verse - اختبارات الذكاء المستقبلية',
+  'locale.label': 'لغة الواجهة',
+  'error.server': 'خطأ في الخادم',
+
+  // loading overlay and question area
+  'loading.overlay': 'جارٍ إنشاء الأسئلة — يُرجى الانتظار...',
+  'loading.default': 'جارٍ التحميل...',
+  'loading.material': 'جارٍ قراءة المادة…',
+  'loading.questions': 'جارٍ إنشاء الأسئلة…',
+  'loading.quiz': 'جارٍ إنشاء اختبارك...',
+  'loading.replacement': 'جارٍ إنشاء سؤال بديل…',
+  'loading.savedQuiz': 'جارٍ تحميل الاختبار المحفوظ…',
+  'loading.dueCards': 'جارٍ تحميل البطاقات المستحقة…',
+  'loading.challenge': 'جارٍ تحميل التحدي…',
+  'loading.assignment': 'جارٍ تحميل الواجب…',
+
+  // home
+  'home.welcome': 'مرحبًا بك في',
+  'home.future': 'مستقبل الاختبارات',
+  'home.description': 'اختبر ذكاءك مع اختبارات مدعومة بالذكاء الاصطناعي وتقنيات متطورة وتصميم غامر',
+  'home.start': 'ابدأ الاختبار',
+  'home.stats': 'عرض الإحصاءات',
+  'home.joinRoom': 'انضم إلى غرفة مباشرة',
+  'home.review': 'راجع البطاقات المستحقة',
+
+  // saved quiz library
+  'library.title': 'الاختبارات المحفوظة',
+  'library.empty': 'لا توجد اختبارات محفوظة بعد. أنهِ اختبارًا واحفظه لتعيده لاحقًا.',
+  'library.needsConnection': 'تحتاج المكتبة إلى اتصال. الاختبارات المخزنة على هذا الجهاز مدرجة ضمن "متاحة دون اتصال".',
+  'library.meta': '{count} سؤال · {language} · {model} · {date}',
+  'library.unknownModel': 'نموذج غير معروف',
+  'library.play': 'العب',
+  'library.host': 'استضافة مباشرة',
+  'library.assign': 'إسناد',
+  'library.saveOffline': 'احفظ دون اتصال',
+  'library.storedOffline': '✓ دون اتصال',
+  'library.saveOfflineTitle': 'احتفظ بهذا الاختبار على هذا الجهاز لتلعبه دون اتصال',
+  'library.delete': 'حذف',
+  'library.confirmDelete': 'هل تريد حذف الاختبار المحفوظ "{topic}"؟',
+
+  // quizzes stored on this device
+  'offline.title': 'متاحة دون اتصال',
+  'offline.description': 'مخزنة على هذا الجهاز. تتم مزامنة النتائج التي تحصل عليها دون اتصال عند عودتك إلى الإنترنت.',
+  'offline.metaSaved': '{count} سؤال · حُفظ دون اتصال في {date}',
+  'offline.metaPlayed': '{count} سؤال · لُعب في {date}',
+  'offline.remove': 'إزالة',
+  'offline.confirmRemove': 'هل تريد إزالة "{topic}" من هذا الجهاز؟',
+  'offline.banner': 'أنت غير متصل. الاختبارات المخزنة على هذا الجهاز لا تزال تعمل.',
+  'offline.pendingOne': ' ستتم مزامنة نتيجة واحدة عند إعادة الاتصال.',
+  'offline.pendingMany': ' ستتم مزامنة {count} نتائج عند إعادة الاتصال.',
+  'offline.moreNeedsNetwork': 'إنشاء المزيد (يتطلب اتصالًا)',
+  'offline.moreNeedsNetworkTitle': 'يتطلب إنشاء الأسئلة اتصالًا بالشبكة.',
+  'offline.gone': 'لم يعد هذا الاختبار مخزنًا على هذا الجهاز.',
+  'offline.saveFailed': 'تعذر حفظ الاختبار على هذا الجهاز: {error}',
+  'offline.storeResultFailed': 'تعذر تخزين نتيجتك على هذا الجهاز.',
+
+  // quiz screen
+  'quiz.progress': 'السؤال {current} من {total}',
+  'quiz.none': 'لم يتم تحميل أي أسئلة. اضغط "ابدأ الاختبار" لإنشائها.',
+  'quiz.report': '⚑ الإبلاغ عن السؤال',
+  'quiz.reportTitle': 'مفتاح إجابة خاطئ، صياغة غامضة، خطأ مطبعي…',
+  'quiz.reportedThanks': '⚑ تم الإبلاغ — شكرًا!',
+  'quiz.replace': '↻ استبدال السؤال',
+  'quiz.replaceTitle': 'إنشاء سؤال مختلف مكانه',
+  'quiz.prev': 'السابق',
+  'quiz.next': 'السؤال التالي',
+  'quiz.more': 'إنشاء المزيد',
+  'quiz.startFirst': 'ابدأ اختبارًا أولًا (اختر موضوعًا).',
+  'quiz.reviewNoMore': 'جلسات المراجعة تحتوي على البطاقات المستحقة فقط. ابدأ اختبارًا جديدًا لإنشاء أسئلة.',
+  'quiz.moreNeedsNetwork': 'يتطلب "إنشاء المزيد" اتصالًا بالشبكة: الخادم هو من يكتب الأسئلة الجديدة.',
+  'quiz.moreFromDevice': 'يُلعب هذا الاختبار من جهازك — ابدأ اختبارًا جديدًا عبر الإنترنت لإنشاء المزيد.',
+  'quiz.moreReconnect': 'أعد الاتصال وحاول مرة أخرى.',
+  'quiz.moreCount': 'كم سؤالًا إضافيًا تريد إنشاءه؟ (1-10):',
+  'quiz.moreAdded': 'تمت إضافة أسئلة جديدة. ستظهر في نهاية الاختبار.',
+  'quiz.difficultyMoved': 'بناءً على إجاباتك الأخيرة، تغيرت الصعوبة من {from} إلى {to}.',
+  'quiz.noUnique': 'لم يتم إنشاء أسئلة جديدة لهذا الموضوع. جرّب موضوعًا آخر.',
+
+  // answering
+  'answer.submit': 'إرسال الإجابة',
+  'answer.selectCount': 'اختر {count} إجابات صحيحة',
+  'answer.selectAll': 'اختر كل الإجابات الصحيحة',
+  'answer.partial': 'درجة جزئية: {percent}٪',
+  'answer.placeholder': 'اكتب إجابتك',
+  'answer.accepted': 'الإجابة المقبولة: {answers}',
+  'answer.correctOrder': 'الترتيب الصحيح: {order}',
+  'answer.moveUp': 'تحريك لأعلى',
+  'answer.moveDown': 'تحريك لأسفل',
+  'answer.locked': 'تم تسجيل الإجابة — سترى نتيجتك في النهاية.',
+  'answer.none': 'لم تُقدَّم أي إجابة.',
+  'answer.suddenDeath': 'الموت المفاجئ — انتهت الجولة هنا.',
+
+  // difficulty levels (setup modal and the badge on each question)
+  'difficulty.easy': 'سهل',
+  'difficulty.medium': 'متوسط',
+  'difficulty.hard': 'صعب',
+  'difficulty.expert': 'خبير',
+
+  // quiz modes
+  'mode.practice': 'تدريب',
+  'mode.exam': 'امتحان · {minutes} دقيقة',
+  'mode.suddenDeath': 'الموت المفاجئ · {seconds} ث',
+  'mode.timed': 'مؤقت · {seconds} ث',
+  'mode.suddenDeathRun': '{mode} — سلسلة من {count} إجابات صحيحة',
+
+  // results
+  'results.title': 'اكتمل الاختبار!',
+  'results.correct': 'صحيحة',
+  'results.wrong': 'خاطئة',
+  'results.time': 'الوقت',
+  'results.reviewTitle': 'مراجعة الإجابات',
+  'results.filterLabel': 'تصفية الأسئلة',
+  'results.filterAll': 'الكل',
+  'results.filterWrong': 'الخاطئة',
+  'results.filterUnanswered': 'بلا إجابة',
+  'results.noMatch': 'لا توجد أسئلة تطابق هذا التصفية.',
+  'results.retryMissed': 'أعد المحاولة في ما أخطأت فيه فقط',
+  'results.sources': 'المقاطع المصدرية',
+  'results.exportTitle': 'التصدير والاستيراد',
+  'results.printSheet': 'ورقة للطباعة',
+  'results.import': 'استيراد GIFT / CSV',
+  'results.tryAgain': 'حاول مرة أخرى',
+  'results.save': 'احفظ في المكتبة',
+  'results.host': 'استضف غرفة مباشرة',
+  'results.home': 'العودة إلى الرئيسية',
+  'results.itemLabel': 'س{number} · {status}',
+  'results.statusCorrect': 'صحيحة',
+  'results.statusUnanswered': 'بلا إجابة',
+  'results.statusPartial': 'جزئية ({percent}٪)',
+  'results.statusWrong': 'خاطئة',
+  'results.yourAnswer': 'إجابتك',
+  'results.correctAnswer': 'الإجابة الصحيحة',
+  'results.noAnswer': '— بلا إجابة —',
+  'results.reported': '⚑ تم الإبلاغ',
+  'results.saved': 'تم حفظ "{topic}" في مكتبتك.',
+  'results.importTopic': 'موضوع الاختبار المستورد:',
+  'results.imported': 'تم استيراد {count} سؤال إلى "{topic}".',
+  'results.importSkipped': ' تعذر استيراد {count}.',
+  'results.importFound': ' ستجده في مكتبتك.',
+
+  // live rooms
+  'room.joinTitle': 'انضم إلى غرفة مباشرة',
+  'room.code': 'رمز الانضمام',
+  'room.codePlaceholder': 'مثال: K7QX2M',
+  'room.name': 'اسمك',
+  'room.join': 'انضمام',
+  'room.back': 'رجوع',
+  'room.joinCode': 'رمز الانضمام',
+  'room.playersCount': 'اللاعبون ({count})',
+  'room.start': 'ابدأ اللعبة',
+  'room.end': 'أنهِ اللعبة',
+  'room.leave': 'مغادرة',
+  'room.secondsPrompt': 'الثواني لكل سؤال (5-300):',
+  'room.enterCode': 'أدخل رمز الانضمام المكون من 6 أحرف.',
+  'room.enterName': 'أدخل اسمًا ليعرف الآخرون من أنت.',
+  'room.disconnected': 'انقطع الاتصال بالغرفة.',
+  'room.reconnecting': 'انقطع الاتصال — جارٍ إعادة الاتصال…',
+  'room.confirmEnd': 'هل تريد إنهاء اللعبة للجميع الآن؟',
+  'room.answeredCount': 'أجاب {count} من {expected} لاعبين',
+  'room.answerLocked': 'تم تسجيل الإجابة — في انتظار الآخرين…',
+  'room.hosting': 'أنت المضيف · {count} سؤال',
+  'room.playingAs': 'تلعب باسم {name} · {count} سؤال',
+  'room.hostLobby': 'شارك رمز الانضمام. ابدأ عندما يحضر الجميع.',
+  'room.playerLobby': 'لقد انضممت! في انتظار أن يبدأ المضيف…',
+  'room.correctCount': '{name} · {count} صحيحة',
+  'room.revealNow': 'اكشف الآن',
+  'room.questionCount': 'السؤال {current} من {total}',
+  'room.waitingAnswers': 'في انتظار الإجابات…',
+  'room.playersType': 'يكتب اللاعبون إجاباتهم',
+  'room.timeRanOut': 'انتهى الوقت — لا نقاط في هذه الجولة.',
+  'room.correctPoints': 'صحيح! +{points} نقطة',
+  'room.partlyPoints': 'صحيح جزئيًا! +{points} نقطة',
+  'room.noPoints': 'ليس تمامًا — لا نقاط في هذه الجولة.',
+  'room.lastQuestion': 'كان هذا السؤال الأخير.',
+  'room.showStandings': 'اعرض الترتيب ثم تابع.',
+  'room.finalResults': 'اعرض النتائج النهائية',
+  'room.leaderboard': 'لوحة الصدارة',
+  'room.finalStandings': 'الترتيب النهائي',
+  'room.gameOverRank': 'انتهت اللعبة — حللت في المركز #{rank} من {count} برصيد {score} نقطة.',
+  'room.gameOver': 'انتهت اللعبة!',
+
+  // challenge links
+  'challenge.share': 'تحدَّ صديقًا',
+  'challenge.shareTitle': 'احصل على رابط يعيد هذه الأسئلة نفسها تمامًا',
+  'challenge.leaderboard': 'لوحة صدارة التحدي',
+  'challenge.namePrompt': 'اسمك في لوحة صدارة التحدي:',
+  'challenge.joinPrompt': 'تحداك {name}: {topic} · {count} سؤال. اسمك في لوحة الصدارة:',
+  'challenge.copied': 'تم نسخ رابط التحدي: {url}',
+  'challenge.copyPrompt': 'أرسل هذا الرابط لتتحدى أحدًا:',
+  'challenge.rank': 'حللت في المركز #{rank} من {count}.',
+  'challenge.plays': 'لُعب {count} مرة حتى الآن.',
+  'challenge.fixedSet': 'التحديات تعيد مجموعة ثابتة من الأسئلة، لذا لا يمكن إضافة المزيد.',
+
+  // classroom assignments
+  'assign.button': 'إسناد إلى الصف',
+  'assign.buttonTitle': 'أعطِ هذه الأسئلة لصف مع موعد نهائي وسجل درجات',
+  'assign.title': 'إسناد إلى صف',
+  'assign.name': 'عنوان الواجب:',
+  'assign.opens': 'يفتح في (اختياري):',
+  'assign.closes': 'يُغلق في (اختياري):',
+  'assign.attempts': 'المحاولات لكل طالب:',
+  'assign.roster': 'قائمة الصف (اسم واحد في كل سطر):',
+  'assign.rosterPlaceholder': 'Ada Lovelace\nAlan Turing',
+  'assign.code': 'رمز الصف:',
+  'assign.codePlaceholder': 'مثل BIO7',
+  'assign.accessHint': 'يحتاج الطلاب إلى اسم من القائمة أو رمز الصف، أو كليهما إذا حددت الاثنين.',
+  'assign.create': 'إنشاء الواجب',
+  'assign.cancel': 'إلغاء',
+  'assign.created': 'شارك رابط الطلاب مع صفك. احتفظ برابط سجل الدرجات لنفسك: فهو الطريقة الوحيدة لرؤية النتائج.',
+  'assign.studentLink': 'رابط الطلاب',
+  'assign.gradebookLink': 'رابط سجل الدرجات',
+  'assign.copy': 'نسخ رابط الطلاب',
+  'assign.close': 'إغلاق',
+  'assign.copied': 'تم نسخ رابط الطلاب: {url}',
+  'assign.copyPrompt': 'أرسل هذا الرابط إلى صفك:',
+  'assign.notOpen': 'يفتح «{title}» في {date}.',
+  'assign.closed': '«{title}» مغلق.',
+  'assign.namePrompt': '{title} · {count} سؤال · المحاولات المسموح بها: {attempts}. أدخل اسمك:',
+  'assign.codePrompt': 'رمز الصف:',
+  'assign.recorded': 'سُجلت المحاولة {attempt} من {max} في «{title}» باسم {name}.',
+  'assign.attemptsLeft': 'المحاولات المتبقية: {count}.',
+  'assign.noAttemptsLeft': 'لم تتبقَّ محاولات.',
+  'assign.late': 'سُلّمت بعد الموعد النهائي.',
+  'assign.fixedSet': 'تستخدم الواجبات مجموعة ثابتة من الأسئلة، لذا لا يمكن إضافة المزيد.',
+
+  // stats dashboard
+  'stats.title': 'إحصاءاتك',
+  'stats.mode': 'الوضع:',
+  'stats.modeTitle': 'قارن المحاولات التي لُعبت بالطريقة نفسها',
+  'stats.allModes': 'كل الأوضاع',
+  'stats.empty': 'لا توجد اختبارات مكتملة بعد. أكمل اختبارًا لتبدأ بتتبع تقدمك.',
+  'stats.attempts': 'المحاولات',
+  'stats.accuracy': 'الدقة',
+  'stats.avgTime': 'المتوسط / سؤال',
+  'stats.dayStreak': 'أيام متتالية',
+  'stats.bestStreak': 'أفضل أيام / سلسلة صحيحة',
+  'stats.overTime': 'المحاولات عبر الزمن',
+  'stats.byTopic': 'الدقة حسب الموضوع',
+  'stats.best': 'الأفضل:',
+  'stats.worst': 'يحتاج إلى تحسين:',
+  'stats.colTopic': 'الموضوع',
+  'stats.colAttempts': 'المحاولات',
+  'stats.colAccuracy': 'الدقة',
+  'stats.colBest': 'الأفضل',
+  'stats.sync': 'المزامنة مع الخادم',
+  'stats.clear': 'مسح السجل',
+  'stats.back': 'العودة إلى الرئيسية',
+  'stats.confirmClear': 'هل تريد حذف سجل اختباراتك المحلي؟',
+  'stats.syncFailed': 'تعذر الوصول إلى الخادم — لا تزال إحصاءاتك محفوظة في هذا المتصفح.',
+  'stats.untitled': 'بلا عنوان',
+
+  // spaced repetition
+  'review.dueTitle': '{due} من {total} بطاقة مستحقة',
+  'review.emptyTitle': 'تُضاف الأسئلة التي تخطئ فيها هنا لمراجعتها',
+  'review.tomorrow': 'غدًا',
+  'review.inDays': 'بعد {days} أيام',
+  'review.inMonths': 'بعد نحو {months} أشهر',
+  'review.next': 'المراجعة التالية {when}.',
+  'review.nothingDue': 'لا يوجد ما يستحق المراجعة الآن.',
+  'review.nextDue': ' البطاقة التالية مستحقة في {date}.',
+  'review.deckEmpty': 'مجموعة المراجعة فارغة. تُضاف إليها تلقائيًا الأسئلة التي تخطئ فيها في أي اختبار.',
+
+  // setup modal
+  'setup.title': 'إعداد اختبارك',
+  'setup.topic': 'الموضوع:',
+  'setup.topicPlaceholder': 'أدخل موضوع الاختبار (مثل JavaScript، تاريخ العالم)',
+  'setup.count': 'عدد الأسئلة:',
+  'setup.difficulty': 'الصعوبة:',
+  'setup.adaptive': 'تكيفي — يصبح "إنشاء المزيد" أصعب أو أسهل حسب إجاباتي',
+  'setup.language': 'لغة الاختبار:',
+  'setup.languageTitle': 'تُكتب الأسئلة والخيارات والشروح بهذه اللغة',
+  'setup.mode': 'الوضع:',
+  'setup.modeTimed': 'مؤقت — تظهر الإجابة بعد كل سؤال',
+  'setup.modePractice': 'تدريب — بلا مؤقت، مع الشروح أثناء اللعب',
+  'setup.modeExam': 'امتحان — مهلة واحدة، والنتائج في النهاية',
+  'setup.modeSuddenDeath': 'الموت المفاجئ — أول إجابة خاطئة تنهي الجولة',
+  'setup.secondsPerQuestion': 'الثواني لكل سؤال:',
+  'setup.timeLimit': 'المهلة (بالدقائق):',
+  'setup.source': 'المادة المصدرية (اختياري):',
+  'setup.sourcePlaceholder': 'الصق ملاحظات أو Markdown لإنشاء أسئلة من هذا النص فقط',
+  'setup.sourceHint': 'أو ارفع ملف .txt أو .md أو PDF نصيًا. اترك الموضوع فارغًا لاستخدام اسم الملف.',
+  'setup.pastedNotes': 'ملاحظات ملصقة',
+  'setup.types': 'أنواع الأسئلة:',
+  'type.single': 'اختيار من متعدد',
+  'type.trueFalse': 'صح / خطأ',
+  'type.multi': 'اختيار متعدد',
+  'type.short': 'إجابة قصيرة',
+  'type.ordering': 'ترتيب',
+  'setup.start': 'ابدأ الاختبار',
+  'setup.cancel': 'إلغاء',
+
+  // report modal
+  'flag.title': 'الإبلاغ عن هذا السؤال',
+  'flag.reason': 'ما المشكلة فيه؟',
+  'flag.wrongAnswer': 'مفتاح الإجابة خاطئ',
+  'flag.ambiguous': 'غامض أو له أكثر من إجابة صحيحة',
+  'flag.typo': 'خطأ مطبعي أو صياغة غير واضحة',
+  'flag.offensive': 'مسيء أو غير لائق',
+  'flag.other': 'شيء آخر',
+  'flag.details': 'التفاصيل (اختياري):',
+  'flag.detailsPlaceholder': 'مثال: الإجابة الصحيحة هي B لأن…',
+  'flag.send': 'إرسال البلاغ',
+  'flag.cancel': 'إلغاء',
+
+  // failed requests; {error} is the server's message
+  'failed.source': 'تعذرت قراءة المادة المصدرية: {error}',
+  'failed.generate': 'تعذر إنشاء الاختبار: {error}',
+  'failed.report': 'تعذر الإبلاغ عن السؤال: {error}',
+  'failed.replace': 'تعذر استبدال السؤال: {error}',
+  'failed.answer': 'تعذر إرسال الإجابة: {error}',
+  'failed.finish': 'تعذر إنهاء الاختبار: {error}',
+  'failed.retry': 'تعذر بدء إعادة المحاولة: {error}',
+  'failed.loadQuiz': 'تعذر تحميل الاختبار: {error}',
+  'failed.delete': 'تعذر حذف الاختبار: {error}',
+  'failed.save': 'تعذر حفظ الاختبار: {error}',
+  'failed.export': 'تعذر تصدير الاختبار: {error}',
+  'failed.import': 'تعذر الاستيراد: {error}',
+  'failed.reviewCards': 'تعذر تحميل بطاقات المراجعة: {error}',
+  'failed.createRoom': 'تعذر إنشاء الغرفة: {error}',
+  'failed.challenge': 'تعذر إنشاء التحدي: {error}',
+  'failed.openChallenge': 'تعذر فتح التحدي: {error}',
+  'failed.assign': 'تعذر إنشاء الواجب: {error}',
+  'failed.openAssignment': 'تعذر بدء الواجب: {error}',
+  'failed.streamLost': 'انقطع الاتصال أثناء إنشاء الأسئلة.',
+
+  // network errors
+  'network.source': 'خطأ في الشبكة أثناء رفع المادة.',
+  'network.generate': 'خطأ في الشبكة أثناء إنشاء الاختبار.',
+  'network.report': 'خطأ في الشبكة أثناء الإبلاغ عن السؤال.',
+  'network.replace': 'خطأ في الشبكة أثناء استبدال السؤال.',
+  'network.answer': 'خطأ في الشبكة أثناء إرسال إجابتك.',
+  'network.finish': 'خطأ في الشبكة أثناء تصحيح اختبارك.',
+  'network.retry': 'خطأ في الشبكة أثناء بدء إعادة المحاولة.',
+  'network.restart': 'خطأ في الشبكة أثناء إعادة تشغيل الاختبار.',
+  'network.loadQuiz': 'خطأ في الشبكة أثناء تحميل الاختبار.',
+  'network.delete': 'خطأ في الشبكة أثناء حذف الاختبار.',
+  'network.save': 'خطأ في الشبكة أثناء حفظ الاختبار.',
+  'network.export': 'خطأ في الشبكة أثناء تصدير الاختبار.',
+  'network.import': 'خطأ في الشبكة أثناء الاستيراد.',
+  'network.reviewCards': 'خطأ في الشبكة أثناء تحميل بطاقات المراجعة.',
+  'network.createRoom': 'خطأ في الشبكة أثناء إنشاء الغرفة.',
+  'network.challenge': 'خطأ في الشبكة أثناء إنشاء التحدي.',
+  'network.openChallenge': 'خطأ في الشبكة أثناء فتح التحدي.',
+  'network.assign': 'خطأ في الشبكة أثناء إنشاء الواجب.',
+  'network.openAssignment': 'خطأ في الشبكة أثناء فتح الواجب.'
+};
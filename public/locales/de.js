@@ -0,0 +1,348 @@
+/* locales/de.js - German UI messages */
+
+UI_MESSAGES.de = {
+  'app.title': 'AI Quiz Verse - Wissenstests der Zukunft',
+  'locale.label': 'Sprache der Oberfläche',
+  'error.server': 'Serverfehler',
+
+  // loading overlay and question area
+  'loading.overlay': 'Fragen werden erstellt – bitte warten...',
+  'loading.default': 'Wird geladen...',
+  'loading.material': 'Dein Material wird gelesen…',
+  'loading.questions': 'Fragen werden erstellt…',
+  'loading.quiz': 'Dein Quiz wird erstellt...',
+  'loading.replacement': 'Ersatzfrage wird erstellt…',
+  'loading.savedQuiz': 'Gespeichertes Quiz wird geladen…',
+  'loading.dueCards': 'Fällige Karten werden geladen…',
+  'loading.challenge': 'Herausforderung wird geladen…',
+  'loading.assignment': 'Aufgabe wird geladen…',
+
+  // home
+  'home.welcome': 'WILLKOMMEN IN DER',
+  'home.future': 'ZUKUNFT DER QUIZZE',
+  'home.description': 'KI-gestützte Wissenstests mit modernster Technik und immersivem Design',
+  'home.start': 'QUIZ STARTEN',
+  'home.stats': 'STATISTIK',
+  'home.joinRoom': 'LIVE-RAUM BEITRETEN',
+  'home.review': 'FÄLLIGE KARTEN WIEDERHOLEN',
+
+  // saved quiz library
+  'library.title': 'GESPEICHERTE QUIZZE',
+  'library.empty': 'Noch keine gespeicherten Quizze. Beende ein Quiz und speichere es, um es später erneut zu spielen.',
+  'library.needsConnection': 'Die Bibliothek braucht eine Verbindung. Auf diesem Gerät gespeicherte Quizze stehen unter Offline verfügbar.',
+  'library.meta': '{count} Fragen · {language} · {model} · {date}',
+  'library.unknownModel': 'unbekanntes Modell',
+  'library.play': 'Spielen',
+  'library.host': 'Live leiten',
+  'library.assign': 'Zuweisen',
+  'library.saveOffline': 'Offline speichern',
+  'library.storedOffline': '✓ Offline',
+  'library.saveOfflineTitle': 'Quiz auf diesem Gerät behalten, um es ohne Verbindung zu spielen',
+  'library.delete': 'Löschen',
+  'library.confirmDelete': 'Das gespeicherte Quiz „{topic}“ löschen?',
+
+  // quizzes stored on this device
+  'offline.title': 'OFFLINE VERFÜGBAR',
+  'offline.description': 'Auf diesem Gerät gespeichert. Ergebnisse ohne Verbindung werden synchronisiert, sobald du wieder online bist.',
+  'offline.metaSaved': '{count} Fragen · offline gespeichert am {date}',
+  'offline.metaPlayed': '{count} Fragen · gespielt am {date}',
+  'offline.remove': 'Entfernen',
+  'offline.confirmRemove': '„{topic}“ von diesem Gerät entfernen?',
+  'offline.banner': 'Du bist offline. Auf diesem Gerät gespeicherte Quizze funktionieren weiterhin.',
+  'offline.pendingOne': ' 1 Ergebnis wird synchronisiert, sobald du wieder verbunden bist.',
+  'offline.pendingMany': ' {count} Ergebnisse werden synchronisiert, sobald du wieder verbunden bist.',
+  'offline.moreNeedsNetwork': 'Mehr erstellen (braucht Netz)',
+  'offline.moreNeedsNetworkTitle': 'Zum Erstellen von Fragen wird eine Netzwerkverbindung benötigt.',
+  'offline.gone': 'Dieses Quiz ist nicht mehr auf diesem Gerät gespeichert.',
+  'offline.saveFailed': 'Das Quiz konnte nicht auf diesem Gerät gespeichert werden: {error}',
+  'offline.storeResultFailed': 'Dein Ergebnis konnte nicht auf diesem Gerät gespeichert werden.',
+
+  // quiz screen
+  'quiz.progress': 'Frage {current} von {total}',
+  'quiz.none': 'Keine Fragen geladen. Klicke auf Quiz starten, um welche zu erstellen.',
+  'quiz.report': '⚑ Frage melden',
+  'quiz.reportTitle': 'Falscher Lösungsschlüssel, mehrdeutige Formulierung, Tippfehler…',
+  'quiz.reportedThanks': '⚑ Gemeldet – danke!',
+  'quiz.replace': '↻ Frage ersetzen',
+  'quiz.replaceTitle': 'Stattdessen eine andere Frage erstellen',
+  'quiz.prev': 'Zurück',
+  'quiz.next': 'Nächste Frage',
+  'quiz.more': 'Mehr erstellen',
+  'quiz.startFirst': 'Starte zuerst ein Quiz (wähle ein Thema).',
+  'quiz.reviewNoMore': 'Wiederholungen enthalten nur fällige Karten. Starte ein neues Quiz, um Fragen zu erstellen.',
+  'quiz.moreNeedsNetwork': 'Mehr erstellen braucht eine Netzwerkverbindung: Neue Fragen schreibt der Server.',
+  'quiz.moreFromDevice': 'Dieses Quiz läuft von deinem Gerät – starte online ein neues Quiz, um mehr zu erstellen.',
+  'quiz.moreReconnect': 'Stelle die Verbindung wieder her und versuche es erneut.',
+  'quiz.moreCount': 'Wie viele zusätzliche Fragen sollen erstellt werden? (1-10):',
+  'quiz.moreAdded': 'Neue Fragen hinzugefügt. Sie erscheinen am Ende des Quiz.',
+  'quiz.difficultyMoved': 'Anhand deiner letzten Antworten wurde die Schwierigkeit von {from} auf {to} geändert.',
+  'quiz.noUnique': 'Zu diesem Thema wurden keine neuen Fragen erstellt. Versuche ein anderes Thema.',
+
+  // answering
+  'answer.submit': 'Antwort abgeben',
+  'answer.selectCount': 'Wähle {count} richtige Antworten',
+  'answer.selectAll': 'Wähle alle richtigen Antworten',
+  'answer.partial': 'Teilpunkte: {percent} %',
+  'answer.placeholder': 'Deine Antwort',
+  'answer.accepted': 'Akzeptierte Antwort: {answers}',
+  'answer.correctOrder': 'Richtige Reihenfolge: {order}',
+  'answer.moveUp': 'Nach oben',
+  'answer.moveDown': 'Nach unten',
+  'answer.locked': 'Antwort gespeichert – wie du abgeschnitten hast, siehst du am Ende.',
+  'answer.none': 'Keine Antwort gegeben.',
+  'answer.suddenDeath': 'Sudden Death – damit ist die Runde vorbei.',
+
+  // difficulty levels (setup modal and the badge on each question)
+  'difficulty.easy': 'Leicht',
+  'difficulty.medium': 'Mittel',
+  'difficulty.hard': 'Schwer',
+  'difficulty.expert': 'Experte',
+
+  // quiz modes
+  'mode.practice': 'Übung',
+  'mode.exam': 'Prüfung · {minutes} Min.',
+  'mode.suddenDeath': 'Sudden Death · {seconds} s',
+  'mode.timed': 'Auf Zeit · {seconds} s',
+  'mode.suddenDeathRun': '{mode} – {count} richtige in Folge',
+
+  // results
+  'results.title': 'Quiz beendet!',
+  'results.correct': 'Richtig',
+  'results.wrong': 'Falsch',
+  'results.time': 'Zeit',
+  'results.reviewTitle': 'Antworten im Überblick',
+  'results.filterLabel': 'Fragen filtern',
+  'results.filterAll': 'Alle',
+  'results.filterWrong': 'Falsch',
+  'results.filterUnanswered': 'Unbeantwortet',
+  'results.noMatch': 'Keine Fragen passen zu diesem Filter.',
+  'results.retryMissed': 'Nur die verpassten wiederholen',
+  'results.sources': 'Quellpassagen',
+  'results.exportTitle': 'Export & Import',
+  'results.printSheet': 'Druckbogen',
+  'results.import': 'GIFT / CSV importieren',
+  'results.tryAgain': 'Nochmal versuchen',
+  'results.save': 'In Bibliothek speichern',
+  'results.host': 'Live-Raum leiten',
+  'results.home': 'Zur Startseite',
+  'results.itemLabel': 'F{number} · {status}',
+  'results.statusCorrect': 'Richtig',
+  'results.statusUnanswered': 'Unbeantwortet',
+  'results.statusPartial': 'Teilweise ({percent} %)',
+  'results.statusWrong': 'Falsch',
+  'results.yourAnswer': 'Deine Antwort',
+  'results.correctAnswer': 'Richtige Antwort',
+  'results.noAnswer': '– keine Antwort –',
+  'results.reported': '⚑ Gemeldet',
+  'results.saved': '„{topic}“ wurde in deiner Bibliothek gespeichert.',
+  'results.importTopic': 'Thema für das importierte Quiz:',
+  'results.imported': '{count} Fragen in „{topic}“ importiert.',
+  'results.importSkipped': ' {count} konnten nicht importiert werden.',
+  'results.importFound': ' Du findest es in deiner Bibliothek.',
+
+  // live rooms
+  'room.joinTitle': 'LIVE-RAUM BEITRETEN',
+  'room.code': 'Beitrittscode',
+  'room.codePlaceholder': 'z. B. K7QX2M',
+  'room.name': 'Dein Name',
+  'room.join': 'Beitreten',
+  'room.back': 'Zurück',
+  'room.joinCode': 'BEITRITTSCODE',
+  'room.playersCount': 'SPIELER ({count})',
+  'room.start': 'Spiel starten',
+  'room.end': 'Spiel beenden',
+  'room.leave': 'Verlassen',
+  'room.secondsPrompt': 'Sekunden pro Frage (5-300):',
+  'room.enterCode': 'Gib den 6-stelligen Beitrittscode ein.',
+  'room.enterName': 'Gib einen Namen ein, damit die anderen wissen, wer du bist.',
+  'room.disconnected': 'Verbindung zum Raum getrennt.',
+  'room.reconnecting': 'Verbindung verloren – neuer Versuch…',
+  'room.confirmEnd': 'Das Spiel jetzt für alle beenden?',
+  'room.answeredCount': '{count} von {expected} Spielern haben geantwortet',
+  'room.answerLocked': 'Antwort gespeichert – warte auf die anderen…',
+  'room.hosting': 'Du leitest · {count} Fragen',
+  'room.playingAs': 'Du spielst als {name} · {count} Fragen',
+  'room.hostLobby': 'Teile den Beitrittscode. Starte, wenn alle da sind.',
+  'room.playerLobby': 'Du bist drin! Warte, bis die Spielleitung startet…',
+  'room.correctCount': '{name} · {count} richtig',
+  'room.revealNow': 'Jetzt auflösen',
+  'room.questionCount': 'Frage {current} von {total}',
+  'room.waitingAnswers': 'Warte auf Antworten…',
+  'room.playersType': 'Die Spieler tippen ihre Antwort',
+  'room.timeRanOut': 'Zeit abgelaufen – keine Punkte in dieser Runde.',
+  'room.correctPoints': 'Richtig! +{points} Punkte',
+  'room.partlyPoints': 'Teilweise richtig! +{points} Punkte',
+  'room.noPoints': 'Nicht ganz – keine Punkte in dieser Runde.',
+  'room.lastQuestion': 'Das war die letzte Frage.',
+  'room.showStandings': 'Zeig den Zwischenstand und mach dann weiter.',
+  'room.finalResults': 'Endergebnis zeigen',
+  'room.leaderboard': 'RANGLISTE',
+  'room.finalStandings': 'ENDSTAND',
+  'room.gameOverRank': 'Spiel vorbei – du bist auf Platz {rank} von {count} mit {score} Punkten.',
+  'room.gameOver': 'Spiel vorbei!',
+
+  // challenge links
+  'challenge.share': 'Jemanden herausfordern',
+  'challenge.shareTitle': 'Einen Link erhalten, der genau diese Fragen wiederholt',
+  'challenge.leaderboard': 'Rangliste der Herausforderung',
+  'challenge.namePrompt': 'Dein Name für die Rangliste:',
+  'challenge.joinPrompt': '{name} fordert dich heraus: {topic} · {count} Fragen. Dein Name für die Rangliste:',
+  'challenge.copied': 'Link zur Herausforderung kopiert: {url}',
+  'challenge.copyPrompt': 'Schick diesen Link, um jemanden herauszufordern:',
+  'challenge.rank': 'Du bist auf Platz {rank} von {count}.',
+  'challenge.plays': 'Bisher {count} Mal gespielt.',
+  'challenge.fixedSet': 'Herausforderungen wiederholen feste Fragen, daher können keine hinzugefügt werden.',
+
+  // classroom assignments
+  'assign.button': 'Der Klasse zuweisen',
+  'assign.buttonTitle': 'Diese Fragen einer Klasse mit Abgabefrist und Notenbuch geben',
+  'assign.title': 'Einer Klasse zuweisen',
+  'assign.name': 'Titel der Aufgabe:',
+  'assign.opens': 'Öffnet (optional):',
+  'assign.closes': 'Schließt (optional):',
+  'assign.attempts': 'Versuche pro Person:',
+  'assign.roster': 'Klassenliste (ein Name pro Zeile):',
+  'assign.rosterPlaceholder': 'Ada Lovelace\nAlan Turing',
+  'assign.code': 'Klassencode:',
+  'assign.codePlaceholder': 'z. B. BIO7',
+  'assign.accessHint': 'Schüler brauchen einen Namen aus der Klassenliste, den Klassencode oder beides, wenn du beides festlegst.',
+  'assign.create': 'Aufgabe erstellen',
+  'assign.cancel': 'Abbrechen',
+  'assign.created': 'Teile den Schülerlink mit deiner Klasse. Behalte den Notenbuch-Link für dich: Nur damit siehst du die Ergebnisse.',
+  'assign.studentLink': 'Schülerlink',
+  'assign.gradebookLink': 'Notenbuch-Link',
+  'assign.copy': 'Schülerlink kopieren',
+  'assign.close': 'Schließen',
+  'assign.copied': 'Schülerlink kopiert: {url}',
+  'assign.copyPrompt': 'Schick diesen Link an deine Klasse:',
+  'assign.notOpen': '„{title}“ öffnet am {date}.',
+  'assign.closed': '„{title}“ ist geschlossen.',
+  'assign.namePrompt': '{title} · {count} Fragen · erlaubte Versuche: {attempts}. Gib deinen Namen ein:',
+  'assign.codePrompt': 'Klassencode:',
+  'assign.recorded': 'Versuch {attempt} von {max} bei „{title}“ für {name} gespeichert.',
+  'assign.attemptsLeft': 'Verbleibende Versuche: {count}.',
+  'assign.noAttemptsLeft': 'Keine Versuche mehr übrig.',
+  'assign.late': 'Er wurde nach der Frist abgegeben.',
+  'assign.fixedSet': 'Aufgaben verwenden feste Fragen, daher können keine hinzugefügt werden.',
+
+  // stats dashboard
+  'stats.title': 'DEINE STATISTIK',
+  'stats.mode': 'Modus:',
+  'stats.modeTitle': 'Versuche vergleichen, die gleich gespielt wurden',
+  'stats.allModes': 'Alle Modi',
+  'stats.empty': 'Noch keine beendeten Quizze. Schließe ein Quiz ab, um deinen Fortschritt zu verfolgen.',
+  'stats.attempts': 'Versuche',
+  'stats.accuracy': 'Trefferquote',
+  'stats.avgTime': 'Ø / Frage',
+  'stats.dayStreak': 'Tage in Folge',
+  'stats.bestStreak': 'Beste Tage / Serie',
+  'stats.overTime': 'Versuche im Zeitverlauf',
+  'stats.byTopic': 'Trefferquote nach Thema',
+  'stats.best': 'Am besten:',
+  'stats.worst': 'Ausbaufähig:',
+  'stats.colTopic': 'Thema',
+  'stats.colAttempts': 'Versuche',
+  'stats.colAccuracy': 'Trefferquote',
+  'stats.colBest': 'Bestwert',
+  'stats.sync': 'Mit dem Server synchronisieren',
+  'stats.clear': 'Verlauf löschen',
+  'stats.back': 'Zur Startseite',
+  'stats.confirmClear': 'Deinen lokalen Quizverlauf löschen?',
+  'stats.syncFailed': 'Der Server ist nicht erreichbar – deine Statistik bleibt in diesem Browser gespeichert.',
+  'stats.untitled': 'Ohne Titel',
+
+  // spaced repetition
+  'review.dueTitle': '{due} von {total} Karten fällig',
+  'review.emptyTitle': 'Falsch beantwortete Fragen landen hier zur Wiederholung',
+  'review.tomorrow': 'morgen',
+  'review.inDays': 'in {days} Tagen',
+  'review.inMonths': 'in etwa {months} Monaten',
+  'review.next': 'Nächste Wiederholung {when}.',
+  'review.nothingDue': 'Gerade ist nichts zur Wiederholung fällig.',
+  'review.nextDue': ' Die nächste Karte ist am {date} fällig.',
+  'review.deckEmpty': 'Dein Wiederholungsstapel ist leer. Falsch beantwortete Fragen werden automatisch hinzugefügt.',
+
+  // setup modal
+  'setup.title': 'Quiz einrichten',
+  'setup.topic': 'Thema:',
+  'setup.topicPlaceholder': 'Quizthema eingeben (z. B. JavaScript, Weltgeschichte)',
+  'setup.count': 'Anzahl der Fragen:',
+  'setup.difficulty': 'Schwierigkeit:',
+  'setup.adaptive': 'Adaptiv – „Mehr erstellen“ wird je nach meinen Antworten schwerer oder leichter',
+  'setup.language': 'Sprache des Quiz:',
+  'setup.languageTitle': 'Fragen, Antworten und Erklärungen werden in dieser Sprache geschrieben',
+  'setup.mode': 'Modus:',
+  'setup.modeTimed': 'Auf Zeit – Lösung nach jeder Frage',
+  'setup.modePractice': 'Übung – ohne Timer, Erklärungen direkt dazu',
+  'setup.modeExam': 'Prüfung – ein Zeitlimit, Ergebnisse am Ende',
+  'setup.modeSuddenDeath': 'Sudden Death – die erste falsche Antwort beendet die Runde',
+  'setup.secondsPerQuestion': 'Sekunden pro Frage:',
+  'setup.timeLimit': 'Zeitlimit (Minuten):',
+  'setup.source': 'Quellmaterial (optional):',
+  'setup.sourcePlaceholder': 'Notizen oder Markdown einfügen, um Fragen nur aus diesem Text zu erstellen',
+  'setup.sourceHint': 'Oder lade eine .txt-, .md- oder textbasierte PDF-Datei hoch. Ohne Thema wird der Dateiname verwendet.',
+  'setup.pastedNotes': 'Eingefügte Notizen',
+  'setup.types': 'Fragetypen:',
+  'type.single': 'Multiple Choice',
+  'type.trueFalse': 'Wahr / Falsch',
+  'type.multi': 'Mehrfachauswahl',
+  'type.short': 'Kurzantwort',
+  'type.ordering': 'Reihenfolge',
+  'setup.start': 'Quiz starten',
+  'setup.cancel': 'Abbrechen',
+
+  // report modal
+  'flag.title': 'Diese Frage melden',
+  'flag.reason': 'Was stimmt nicht?',
+  'flag.wrongAnswer': 'Die hinterlegte Lösung ist falsch',
+  'flag.ambiguous': 'Sie ist mehrdeutig oder hat mehrere richtige Antworten',
+  'flag.typo': 'Tippfehler oder unklare Formulierung',
+  'flag.offensive': 'Beleidigend oder unangemessen',
+  'flag.other': 'Etwas anderes',
+  'flag.details': 'Details (optional):',
+  'flag.detailsPlaceholder': 'z. B. die richtige Antwort ist B, weil…',
+  'flag.send': 'Meldung senden',
+  'flag.cancel': 'Abbrechen',
+
+  // failed requests; {error} is the server's message
+  'failed.source': 'Quellmaterial konnte nicht gelesen werden: {error}',
+  'failed.generate': 'Quiz konnte nicht erstellt werden: {error}',
+  'failed.report': 'Frage konnte nicht gemeldet werden: {error}',
+  'failed.replace': 'Frage konnte nicht ersetzt werden: {error}',
+  'failed.answer': 'Antwort konnte nicht abgegeben werden: {error}',
+  'failed.finish': 'Quiz konnte nicht abgeschlossen werden: {error}',
+  'failed.retry': 'Wiederholung konnte nicht gestartet werden: {error}',
+  'failed.loadQuiz': 'Quiz konnte nicht geladen werden: {error}',
+  'failed.delete': 'Quiz konnte nicht gelöscht werden: {error}',
+  'failed.save': 'Quiz konnte nicht gespeichert werden: {error}',
+  'failed.export': 'Quiz konnte nicht exportiert werden: {error}',
+  'failed.import': 'Import fehlgeschlagen: {error}',
+  'failed.reviewCards': 'Wiederholungskarten konnten nicht geladen werden: {error}',
+  'failed.createRoom': 'Raum konnte nicht erstellt werden: {error}',
+  'failed.challenge': 'Herausforderung konnte nicht erstellt werden: {error}',
+  'failed.openChallenge': 'Herausforderung konnte nicht geöffnet werden: {error}',
+  'failed.assign': 'Aufgabe konnte nicht erstellt werden: {error}',
+  'failed.openAssignment': 'Aufgabe konnte nicht gestartet werden: {error}',
+  'failed.streamLost': 'Die Verbindung ist beim Erstellen der Fragen abgebrochen.',
+
+  // network errors
+  'network.source': 'Netzwerkfehler beim Hochladen deines Materials.',
+  'network.generate': 'Netzwerkfehler beim Erstellen des Quiz.',
+  'network.report': 'Netzwerkfehler beim Melden der Frage.',
+  'network.replace': 'Netzwerkfehler beim Ersetzen der Frage.',
+  'network.answer': 'Netzwerkfehler beim Abgeben deiner Antwort.',
+  'network.finish': 'Netzwerkfehler beim Auswerten deines Quiz.',
+  'network.retry': 'Netzwerkfehler beim Starten der Wiederholung.',
+  'network.restart': 'Netzwerkfehler beim Neustarten des Quiz.',
+  'network.loadQuiz': 'Netzwerkfehler beim Laden des Quiz.',
+  'network.delete': 'Netzwerkfehler beim Löschen des Quiz.',
+  'network.save': 'Netzwerkfehler beim Speichern des Quiz.',
+  'network.export': 'Netzwerkfehler beim Exportieren des Quiz.',
+  'network.import': 'Netzwerkfehler beim Importieren.',
+  'network.reviewCards': 'Netzwerkfehler beim Laden der Wiederholungskarten.',
+  'network.createRoom': 'Netzwerkfehler beim Erstellen des Raums.',
+  'network.challenge': 'Netzwerkfehler beim Erstellen der Herausforderung.',
+  'network.openChallenge': 'Netzwerkfehler beim Öffnen der Herausforderung.',
+  'network.assign': 'Netzwerkfehler beim Erstellen der Aufgabe.',
+  'network.openAssignment': 'Netzwerkfehler beim Öffnen der Aufgabe.'
+};
@@ -0,0 +1,348 @@
+/* locales/en.js - English UI messages (the fallback for every other locale) */
+
+UI_MESSAGES.en = {
+  'app.title': 'AI Quiz Verse - Futuristic Intelligence Testing',
+  'locale.label': 'Interface language',
+  'error.server': 'Server error',
+
+  // loading overlay and question area
+  'loading.overlay': 'Generating questions — please wait...',
+  'loading.default': 'Loading...',
+  'loading.material': 'Reading your material…',
+  'loading.questions': 'Generating questions…',
+  'loading.quiz': 'Generating your quiz...',
+  'loading.replacement': 'Generating a replacement question…',
+  'loading.savedQuiz': 'Loading saved quiz…',
+  'loading.dueCards': 'Loading due cards…',
+  'loading.challenge': 'Loading the challenge…',
+  'loading.assignment': 'Loading the assignment…',
+
+  // home
+  'home.welcome': 'WELCOME TO THE',
+  'home.future': 'FUTURE OF QUIZZING',
+  'home.description': 'Experience AI-powered intelligence testing with cutting-edge technology and immersive design',
+  'home.start': 'START QUIZ',
+  'home.stats': 'VIEW STATS',
+  'home.joinRoom': 'JOIN LIVE ROOM',
+  'home.review': 'REVIEW DUE CARDS',
+
+  // saved quiz library
+  'library.title': 'SAVED QUIZZES',
+  'library.empty': 'No saved quizzes yet. Finish a quiz and save it to replay it later.',
+  'library.needsConnection': 'The library needs a connection. Quizzes stored on this device are listed under Available Offline.',
+  'library.meta': '{count} questions · {language} · {model} · {date}',
+  'library.unknownModel': 'unknown model',
+  'library.play': 'Play',
+  'library.host': 'Host Live',
+  'library.assign': 'Assign',
+  'library.saveOffline': 'Save Offline',
+  'library.storedOffline': '✓ Offline',
+  'library.saveOfflineTitle': 'Keep this quiz on this device to play it without a connection',
+  'library.delete': 'Delete',
+  'library.confirmDelete': 'Delete the saved quiz "{topic}"?',
+
+  // quizzes stored on this device
+  'offline.title': 'AVAILABLE OFFLINE',
+  'offline.description': 'Stored on this device. Results you get without a connection sync when you are back online.',
+  'offline.metaSaved': '{count} questions · saved offline {date}',
+  'offline.metaPlayed': '{count} questions · played {date}',
+  'offline.remove': 'Remove',
+  'offline.confirmRemove': 'Remove "{topic}" from this device?',
+  'offline.banner': 'You\'re offline. Quizzes stored on this device still work.',
+  'offline.pendingOne': ' 1 result will sync when you reconnect.',
+  'offline.pendingMany': ' {count} results will sync when you reconnect.',
+  'offline.moreNeedsNetwork': 'Generate More (needs network)',
+  'offline.moreNeedsNetworkTitle': 'Generating questions needs a network connection.',
+  'offline.gone': 'This quiz is no longer stored on this device.',
+  'offline.saveFailed': 'Could not save the quiz on this device: {error}',
+  'offline.storeResultFailed': 'Could not store your result on this device.',
+
+  // quiz screen
+  'quiz.progress': 'Question {current} of {total}',
+  'quiz.none': 'No questions loaded. Click Start Quiz to generate.',
+  'quiz.report': '⚑ Report question',
+  'quiz.reportTitle': 'Wrong answer key, ambiguous wording, typo…',
+  'quiz.reportedThanks': '⚑ Reported — thanks!',
+  'quiz.replace': '↻ Replace question',
+  'quiz.replaceTitle': 'Generate a different question in its place',
+  'quiz.prev': 'Previous',
+  'quiz.next': 'Next Question',
+  'quiz.more': 'Generate More',
+  'quiz.startFirst': 'Start a quiz first (choose a topic).',
+  'quiz.reviewNoMore': 'Review sessions only contain due cards. Start a new quiz to generate questions.',
+  'quiz.moreNeedsNetwork': 'Generate More needs a network connection: new questions are written by the server.',
+  'quiz.moreFromDevice': 'This quiz is playing from your device — start a new quiz online to generate more.',
+  'quiz.moreReconnect': 'Reconnect and try again.',
+  'quiz.moreCount': 'How many additional questions to generate? (1-10):',
+  'quiz.moreAdded': 'New questions added. They will appear at the end of the quiz.',
+  'quiz.difficultyMoved': 'Based on your recent answers, difficulty moved from {from} to {to}.',
+  'quiz.noUnique': 'No new unique questions were generated for that topic. Try a different topic.',
+
+  // answering
+  'answer.submit': 'Submit Answer',
+  'answer.selectCount': 'Select {count} correct answers',
+  'answer.selectAll': 'Select all correct answers',
+  'answer.partial': 'Partial credit: {percent}%',
+  'answer.placeholder': 'Type your answer',
+  'answer.accepted': 'Accepted answer: {answers}',
+  'answer.correctOrder': 'Correct order: {order}',
+  'answer.moveUp': 'Move up',
+  'answer.moveDown': 'Move down',
+  'answer.locked': 'Answer locked in — you will see how you did at the end.',
+  'answer.none': 'No answer given.',
+  'answer.suddenDeath': 'Sudden death — that ends the run.',
+
+  // difficulty levels (setup modal and the badge on each question)
+  'difficulty.easy': 'Easy',
+  'difficulty.medium': 'Medium',
+  'difficulty.hard': 'Hard',
+  'difficulty.expert': 'Expert',
+
+  // quiz modes
+  'mode.practice': 'Practice',
+  'mode.exam': 'Exam · {minutes} min',
+  'mode.suddenDeath': 'Sudden death · {seconds}s',
+  'mode.timed': 'Timed · {seconds}s',
+  'mode.suddenDeathRun': '{mode} — a run of {count} correct',
+
+  // results
+  'results.title': 'Quiz Complete!',
+  'results.correct': 'Correct',
+  'results.wrong': 'Wrong',
+  'results.time': 'Time',
+  'results.reviewTitle': 'Answer Review',
+  'results.filterLabel': 'Filter questions',
+  'results.filterAll': 'All',
+  'results.filterWrong': 'Wrong',
+  'results.filterUnanswered': 'Unanswered',
+  'results.noMatch': 'No questions match this filter.',
+  'results.retryMissed': 'Retry Only the Ones I Missed',
+  'results.sources': 'Source Passages',
+  'results.exportTitle': 'Export & Import',
+  'results.printSheet': 'Print Sheet',
+  'results.import': 'Import GIFT / CSV',
+  'results.tryAgain': 'Try Again',
+  'results.save': 'Save to Library',
+  'results.host': 'Host Live Room',
+  'results.home': 'Back to Home',
+  'results.itemLabel': 'Q{number} · {status}',
+  'results.statusCorrect': 'Correct',
+  'results.statusUnanswered': 'Unanswered',
+  'results.statusPartial': 'Partial ({percent}%)',
+  'results.statusWrong': 'Wrong',
+  'results.yourAnswer': 'Your answer',
+  'results.correctAnswer': 'Correct answer',
+  'results.noAnswer': '— no answer —',
+  'results.reported': '⚑ Reported',
+  'results.saved': 'Saved "{topic}" to your library.',
+  'results.importTopic': 'Topic for the imported quiz:',
+  'results.imported': 'Imported {count} questions into "{topic}".',
+  'results.importSkipped': ' {count} could not be imported.',
+  'results.importFound': ' You\'ll find it in your library.',
+
+  // live rooms
+  'room.joinTitle': 'JOIN A LIVE ROOM',
+  'room.code': 'Join code',
+  'room.codePlaceholder': 'e.g. K7QX2M',
+  'room.name': 'Your name',
+  'room.join': 'Join',
+  'room.back': 'Back',
+  'room.joinCode': 'JOIN CODE',
+  'room.playersCount': 'PLAYERS ({count})',
+  'room.start': 'Start Game',
+  'room.end': 'End Game',
+  'room.leave': 'Leave',
+  'room.secondsPrompt': 'Seconds per question (5-300):',
+  'room.enterCode': 'Enter the 6-character join code.',
+  'room.enterName': 'Enter a name so the others know who you are.',
+  'room.disconnected': 'Disconnected from the room.',
+  'room.reconnecting': 'Connection lost — reconnecting…',
+  'room.confirmEnd': 'End the game for everyone now?',
+  'room.answeredCount': '{count} of {expected} players have answered',
+  'room.answerLocked': 'Answer locked in — waiting for the others…',
+  'room.hosting': 'You are hosting · {count} questions',
+  'room.playingAs': 'Playing as {name} · {count} questions',
+  'room.hostLobby': 'Share the join code. Start when everyone is in.',
+  'room.playerLobby': 'You are in! Waiting for the host to start…',
+  'room.correctCount': '{name} · {count} correct',
+  'room.revealNow': 'Reveal Now',
+  'room.questionCount': 'Question {current} of {total}',
+  'room.waitingAnswers': 'Waiting for answers…',
+  'room.playersType': 'Players type their answer',
+  'room.timeRanOut': 'Time ran out — no points this round.',
+  'room.correctPoints': 'Correct! +{points} points',
+  'room.partlyPoints': 'Partly right! +{points} points',
+  'room.noPoints': 'Not quite — no points this round.',
+  'room.lastQuestion': 'That was the last question.',
+  'room.showStandings': 'Show the standings, then move on.',
+  'room.finalResults': 'Show Final Results',
+  'room.leaderboard': 'LEADERBOARD',
+  'room.finalStandings': 'FINAL STANDINGS',
+  'room.gameOverRank': 'Game over — you finished #{rank} of {count} with {score} points.',
+  'room.gameOver': 'Game over!',
+
+  // challenge links
+  'challenge.share': 'Challenge a Friend',
+  'challenge.shareTitle': 'Get a link that replays exactly these questions',
+  'challenge.leaderboard': 'Challenge Leaderboard',
+  'challenge.namePrompt': 'Your name for the challenge leaderboard:',
+  'challenge.joinPrompt': '{name} challenged you: {topic} · {count} questions. Your name for the leaderboard:',
+  'challenge.copied': 'Challenge link copied: {url}',
+  'challenge.copyPrompt': 'Send this link to challenge someone:',
+  'challenge.rank': 'You placed #{rank} of {count}.',
+  'challenge.plays': '{count} played so far.',
+  'challenge.fixedSet': 'Challenges replay a fixed set of questions, so none can be added.',
+
+  // classroom assignments
+  'assign.button': 'Assign to Class',
+  'assign.buttonTitle': 'Give these questions to a class with a deadline and a gradebook',
+  'assign.title': 'Assign to a Class',
+  'assign.name': 'Assignment title:',
+  'assign.opens': 'Opens (optional):',
+  'assign.closes': 'Closes (optional):',
+  'assign.attempts': 'Attempts per student:',
+  'assign.roster': 'Roster (one student name per line):',
+  'assign.rosterPlaceholder': 'Ada Lovelace\nAlan Turing',
+  'assign.code': 'Class code:',
+  'assign.codePlaceholder': 'e.g. BIO7',
+  'assign.accessHint': 'Students need a name from the roster, the class code, or both if you set both.',
+  'assign.create': 'Create Assignment',
+  'assign.cancel': 'Cancel',
+  'assign.created': 'Share the student link with your class. Keep the gradebook link to yourself: it is the only way to see the scores.',
+  'assign.studentLink': 'Student link',
+  'assign.gradebookLink': 'Gradebook link',
+  'assign.copy': 'Copy Student Link',
+  'assign.close': 'Close',
+  'assign.copied': 'Student link copied: {url}',
+  'assign.copyPrompt': 'Send this link to your class:',
+  'assign.notOpen': '“{title}” opens on {date}.',
+  'assign.closed': '“{title}” is closed.',
+  'assign.namePrompt': '{title} · {count} questions · attempts allowed: {attempts}. Enter your name:',
+  'assign.codePrompt': 'Class code:',
+  'assign.recorded': 'Attempt {attempt} of {max} on “{title}” recorded for {name}.',
+  'assign.attemptsLeft': 'Attempts left: {count}.',
+  'assign.noAttemptsLeft': 'No attempts left.',
+  'assign.late': 'It was handed in after the deadline.',
+  'assign.fixedSet': 'Assignments use a fixed set of questions, so none can be added.',
+
+  // stats dashboard
+  'stats.title': 'YOUR STATS',
+  'stats.mode': 'Mode:',
+  'stats.modeTitle': 'Compare attempts played the same way',
+  'stats.allModes': 'All modes',
+  'stats.empty': 'No finished quizzes yet. Complete a quiz to start tracking your progress.',
+  'stats.attempts': 'Attempts',
+  'stats.accuracy': 'Accuracy',
+  'stats.avgTime': 'Avg / Question',
+  'stats.dayStreak': 'Day Streak',
+  'stats.bestStreak': 'Best Days / Correct Run',
+  'stats.overTime': 'Attempts Over Time',
+  'stats.byTopic': 'Accuracy by Topic',
+  'stats.best': 'Best:',
+  'stats.worst': 'Needs work:',
+  'stats.colTopic': 'Topic',
+  'stats.colAttempts': 'Attempts',
+  'stats.colAccuracy': 'Accuracy',
+  'stats.colBest': 'Best',
+  'stats.sync': 'Sync to server',
+  'stats.clear': 'Clear History',
+  'stats.back': 'Back to Home',
+  'stats.confirmClear': 'Delete your local quiz history?',
+  'stats.syncFailed': 'Could not reach the server — your stats are still saved in this browser.',
+  'stats.untitled': 'Untitled',
+
+  // spaced repetition
+  'review.dueTitle': '{due} of {total} cards due',
+  'review.emptyTitle': 'Questions you miss are added here for review',
+  'review.tomorrow': 'tomorrow',
+  'review.inDays': 'in {days} days',
+  'review.inMonths': 'in about {months} months',
+  'review.next': 'Next review {when}.',
+  'review.nothingDue': 'Nothing is due for review right now.',
+  'review.nextDue': ' The next card is due {date}.',
+  'review.deckEmpty': 'Your review deck is empty. Questions you miss in a quiz are added to it automatically.',
+
+  // setup modal
+  'setup.title': 'Configure Your Quiz',
+  'setup.topic': 'Topic:',
+  'setup.topicPlaceholder': 'Enter quiz topic (e.g., JavaScript, World History)',
+  'setup.count': 'Number of Questions:',
+  'setup.difficulty': 'Difficulty:',
+  'setup.adaptive': 'Adaptive — "Generate More" gets harder or easier based on my answers',
+  'setup.language': 'Quiz language:',
+  'setup.languageTitle': 'Questions, options and explanations are written in this language',
+  'setup.mode': 'Mode:',
+  'setup.modeTimed': 'Timed — answer shown after each question',
+  'setup.modePractice': 'Practice — no timer, explanations as you go',
+  'setup.modeExam': 'Exam — one time limit, results at the end',
+  'setup.modeSuddenDeath': 'Sudden death — the first wrong answer ends the run',
+  'setup.secondsPerQuestion': 'Seconds per question:',
+  'setup.timeLimit': 'Time limit (minutes):',
+  'setup.source': 'Source Material (optional):',
+  'setup.sourcePlaceholder': 'Paste notes or Markdown to generate questions only from this text',
+  'setup.sourceHint': 'Or upload a .txt, .md or text-based PDF. Leave the topic blank to use the file name.',
+  'setup.pastedNotes': 'Pasted notes',
+  'setup.types': 'Question Types:',
+  'type.single': 'Multiple choice',
+  'type.trueFalse': 'True / False',
+  'type.multi': 'Multi-select',
+  'type.short': 'Short answer',
+  'type.ordering': 'Ordering',
+  'setup.start': 'Start Quiz',
+  'setup.cancel': 'Cancel',
+
+  // report modal
+  'flag.title': 'Report This Question',
+  'flag.reason': 'What is wrong with it?',
+  'flag.wrongAnswer': 'The answer key is wrong',
+  'flag.ambiguous': 'It is ambiguous or has several right answers',
+  'flag.typo': 'Typo or unclear wording',
+  'flag.offensive': 'Offensive or inappropriate',
+  'flag.other': 'Something else',
+  'flag.details': 'Details (optional):',
+  'flag.detailsPlaceholder': 'e.g. the correct answer is B because…',
+  'flag.send': 'Send Report',
+  'flag.cancel': 'Cancel',
+
+  // failed requests; {error} is the server's message
+  'failed.source': 'Failed to read source material: {error}',
+  'failed.generate': 'Failed to generate quiz: {error}',
+  'failed.report': 'Failed to report the question: {error}',
+  'failed.replace': 'Failed to replace the question: {error}',
+  'failed.answer': 'Failed to submit answer: {error}',
+  'failed.finish': 'Failed to finish quiz: {error}',
+  'failed.retry': 'Failed to start the retry: {error}',
+  'failed.loadQuiz': 'Failed to load quiz: {error}',
+  'failed.delete': 'Failed to delete quiz: {error}',
+  'failed.save': 'Failed to save quiz: {error}',
+  'failed.export': 'Failed to export quiz: {error}',
+  'failed.import': 'Failed to import: {error}',
+  'failed.reviewCards': 'Failed to load review cards: {error}',
+  'failed.createRoom': 'Failed to create room: {error}',
+  'failed.challenge': 'Failed to create the challenge: {error}',
+  'failed.openChallenge': 'Could not open the challenge: {error}',
+  'failed.assign': 'Failed to create the assignment: {error}',
+  'failed.openAssignment': 'Could not start the assignment: {error}',
+  'failed.streamLost': 'Connection lost while generating questions.',
+
+  // network errors
+  'network.source': 'Network error while uploading your material.',
+  'network.generate': 'Network error while generating quiz.',
+  'network.report': 'Network error while reporting the question.',
+  'network.replace': 'Network error while replacing the question.',
+  'network.answer': 'Network error while submitting your answer.',
+  'network.finish': 'Network error while scoring your quiz.',
+  'network.retry': 'Network error while starting the retry.',
+  'network.restart': 'Network error while restarting the quiz.',
+  'network.loadQuiz': 'Network error while loading the quiz.',
+  'network.delete': 'Network error while deleting the quiz.',
+  'network.save': 'Network error while saving the quiz.',
+  'network.export': 'Network error while exporting the quiz.',
+  'network.import': 'Network error while importing.',
+  'network.reviewCards': 'Network error while loading review cards.',
+  'network.createRoom': 'Network error while creating the room.',
+  'network.challenge': 'Network error while creating the challenge.',
+  'network.openChallenge': 'Network error while opening the challenge.',
+  'network.assign': 'Network error while creating the assignment.',
+  'network.openAssignment': 'Network error while opening the assignment.'
+};
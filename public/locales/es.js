@@ -0,0 +1,348 @@
+/* locales/es.js - Spanish UI messages */
+
+UI_MESSAGES.es = {
+  'app.title': 'AI Quiz Verse - Pon a prueba tu inteligencia',
+  'locale.label': 'Idioma de la interfaz',
+  'error.server': 'Error del servidor',
+
+  // loading overlay and question area
+  'loading.overlay': 'Generando preguntas, espera un momento...',
+  'loading.default': 'Cargando...',
+  'loading.material': 'Leyendo tu material…',
+  'loading.questions': 'Generando preguntas…',
+  'loading.quiz': 'Generando tu cuestionario...',
+  'loading.replacement': 'Generando una pregunta de reemplazo…',
+  'loading.savedQuiz': 'Cargando el cuestionario guardado…',
+  'loading.dueCards': 'Cargando las tarjetas pendientes…',
+  'loading.challenge': 'Cargando el desafío…',
+  'loading.assignment': 'Cargando la tarea…',
+
+  // home
+  'home.welcome': 'BIENVENIDO AL',
+  'home.future': 'FUTURO DE LOS CUESTIONARIOS',
+  'home.description': 'Pon a prueba tu inteligencia con cuestionarios creados por IA, tecnología de vanguardia y un diseño envolvente',
+  'home.start': 'EMPEZAR',
+  'home.stats': 'VER ESTADÍSTICAS',
+  'home.joinRoom': 'UNIRSE A UNA SALA',
+  'home.review': 'REPASAR TARJETAS',
+
+  // saved quiz library
+  'library.title': 'CUESTIONARIOS GUARDADOS',
+  'library.empty': 'Todavía no hay cuestionarios guardados. Termina uno y guárdalo para volver a jugarlo.',
+  'library.needsConnection': 'La biblioteca necesita conexión. Los cuestionarios guardados en este dispositivo aparecen en Disponibles sin conexión.',
+  'library.meta': '{count} preguntas · {language} · {model} · {date}',
+  'library.unknownModel': 'modelo desconocido',
+  'library.play': 'Jugar',
+  'library.host': 'Sala en vivo',
+  'library.assign': 'Asignar',
+  'library.saveOffline': 'Guardar sin conexión',
+  'library.storedOffline': '✓ Sin conexión',
+  'library.saveOfflineTitle': 'Guarda este cuestionario en el dispositivo para jugarlo sin conexión',
+  'library.delete': 'Eliminar',
+  'library.confirmDelete': '¿Eliminar el cuestionario guardado «{topic}»?',
+
+  // quizzes stored on this device
+  'offline.title': 'DISPONIBLES SIN CONEXIÓN',
+  'offline.description': 'Guardados en este dispositivo. Los resultados obtenidos sin conexión se sincronizan cuando vuelvas a estar en línea.',
+  'offline.metaSaved': '{count} preguntas · guardado sin conexión el {date}',
+  'offline.metaPlayed': '{count} preguntas · jugado el {date}',
+  'offline.remove': 'Quitar',
+  'offline.confirmRemove': '¿Quitar «{topic}» de este dispositivo?',
+  'offline.banner': 'Estás sin conexión. Los cuestionarios guardados en este dispositivo siguen funcionando.',
+  'offline.pendingOne': ' 1 resultado se sincronizará cuando vuelvas a conectarte.',
+  'offline.pendingMany': ' {count} resultados se sincronizarán cuando vuelvas a conectarte.',
+  'offline.moreNeedsNetwork': 'Generar más (requiere conexión)',
+  'offline.moreNeedsNetworkTitle': 'Para generar preguntas hace falta conexión a internet.',
+  'offline.gone': 'Este cuestionario ya no está guardado en este dispositivo.',
+  'offline.saveFailed': 'No se pudo guardar el cuestionario en este dispositivo: {error}',
+  'offline.storeResultFailed': 'No se pudo guardar tu resultado en este dispositivo.',
+
+  // quiz screen
+  'quiz.progress': 'Pregunta {current} de {total}',
+  'quiz.none': 'No hay preguntas cargadas. Pulsa Empezar para generarlas.',
+  'quiz.report': '⚑ Reportar pregunta',
+  'quiz.reportTitle': 'Respuesta incorrecta, enunciado ambiguo, errata…',
+  'quiz.reportedThanks': '⚑ Reportada, ¡gracias!',
+  'quiz.replace': '↻ Cambiar pregunta',
+  'quiz.replaceTitle': 'Generar otra pregunta en su lugar',
+  'quiz.prev': 'Anterior',
+  'quiz.next': 'Siguiente pregunta',
+  'quiz.more': 'Generar más',
+  'quiz.startFirst': 'Primero empieza un cuestionario (elige un tema).',
+  'quiz.reviewNoMore': 'Las sesiones de repaso solo contienen tarjetas pendientes. Empieza un cuestionario nuevo para generar preguntas.',
+  'quiz.moreNeedsNetwork': 'Generar más requiere conexión: el servidor escribe las preguntas nuevas.',
+  'quiz.moreFromDevice': 'Este cuestionario se juega desde tu dispositivo; empieza uno nuevo con conexión para generar más.',
+  'quiz.moreReconnect': 'Vuelve a conectarte e inténtalo de nuevo.',
+  'quiz.moreCount': '¿Cuántas preguntas más quieres generar? (1-10):',
+  'quiz.moreAdded': 'Preguntas nuevas añadidas. Aparecerán al final del cuestionario.',
+  'quiz.difficultyMoved': 'Según tus últimas respuestas, la dificultad pasó de {from} a {to}.',
+  'quiz.noUnique': 'No se generaron preguntas nuevas sobre ese tema. Prueba con otro tema.',
+
+  // answering
+  'answer.submit': 'Enviar respuesta',
+  'answer.selectCount': 'Selecciona {count} respuestas correctas',
+  'answer.selectAll': 'Selecciona todas las respuestas correctas',
+  'answer.partial': 'Puntuación parcial: {percent} %',
+  'answer.placeholder': 'Escribe tu respuesta',
+  'answer.accepted': 'Respuesta aceptada: {answers}',
+  'answer.correctOrder': 'Orden correcto: {order}',
+  'answer.moveUp': 'Subir',
+  'answer.moveDown': 'Bajar',
+  'answer.locked': 'Respuesta registrada: verás cómo te fue al final.',
+  'answer.none': 'No se dio ninguna respuesta.',
+  'answer.suddenDeath': 'Muerte súbita: aquí termina la partida.',
+
+  // difficulty levels (setup modal and the badge on each question)
+  'difficulty.easy': 'Fácil',
+  'difficulty.medium': 'Media',
+  'difficulty.hard': 'Difícil',
+  'difficulty.expert': 'Experto',
+
+  // quiz modes
+  'mode.practice': 'Práctica',
+  'mode.exam': 'Examen · {minutes} min',
+  'mode.suddenDeath': 'Muerte súbita · {seconds} s',
+  'mode.timed': 'Cronometrado · {seconds} s',
+  'mode.suddenDeathRun': '{mode}: racha de {count} correctas',
+
+  // results
+  'results.title': '¡Cuestionario completado!',
+  'results.correct': 'Correctas',
+  'results.wrong': 'Incorrectas',
+  'results.time': 'Tiempo',
+  'results.reviewTitle': 'Revisión de respuestas',
+  'results.filterLabel': 'Filtrar preguntas',
+  'results.filterAll': 'Todas',
+  'results.filterWrong': 'Incorrectas',
+  'results.filterUnanswered': 'Sin responder',
+  'results.noMatch': 'Ninguna pregunta coincide con este filtro.',
+  'results.retryMissed': 'Repetir solo las que fallé',
+  'results.sources': 'Pasajes de origen',
+  'results.exportTitle': 'Exportar e importar',
+  'results.printSheet': 'Hoja para imprimir',
+  'results.import': 'Importar GIFT / CSV',
+  'results.tryAgain': 'Intentar de nuevo',
+  'results.save': 'Guardar en la biblioteca',
+  'results.host': 'Crear sala en vivo',
+  'results.home': 'Volver al inicio',
+  'results.itemLabel': 'P{number} · {status}',
+  'results.statusCorrect': 'Correcta',
+  'results.statusUnanswered': 'Sin responder',
+  'results.statusPartial': 'Parcial ({percent} %)',
+  'results.statusWrong': 'Incorrecta',
+  'results.yourAnswer': 'Tu respuesta',
+  'results.correctAnswer': 'Respuesta correcta',
+  'results.noAnswer': '— sin respuesta —',
+  'results.reported': '⚑ Reportada',
+  'results.saved': '«{topic}» se guardó en tu biblioteca.',
+  'results.importTopic': 'Tema del cuestionario importado:',
+  'results.imported': 'Se importaron {count} preguntas en «{topic}».',
+  'results.importSkipped': ' {count} no se pudieron importar.',
+  'results.importFound': ' Lo encontrarás en tu biblioteca.',
+
+  // live rooms
+  'room.joinTitle': 'UNIRSE A UNA SALA EN VIVO',
+  'room.code': 'Código de acceso',
+  'room.codePlaceholder': 'p. ej. K7QX2M',
+  'room.name': 'Tu nombre',
+  'room.join': 'Unirse',
+  'room.back': 'Volver',
+  'room.joinCode': 'CÓDIGO',
+  'room.playersCount': 'JUGADORES ({count})',
+  'room.start': 'Empezar partida',
+  'room.end': 'Terminar partida',
+  'room.leave': 'Salir',
+  'room.secondsPrompt': 'Segundos por pregunta (5-300):',
+  'room.enterCode': 'Introduce el código de 6 caracteres.',
+  'room.enterName': 'Introduce un nombre para que los demás sepan quién eres.',
+  'room.disconnected': 'Desconectado de la sala.',
+  'room.reconnecting': 'Se perdió la conexión, reconectando…',
+  'room.confirmEnd': '¿Terminar la partida para todos ahora?',
+  'room.answeredCount': '{count} de {expected} jugadores han respondido',
+  'room.answerLocked': 'Respuesta registrada, esperando a los demás…',
+  'room.hosting': 'Eres el anfitrión · {count} preguntas',
+  'room.playingAs': 'Juegas como {name} · {count} preguntas',
+  'room.hostLobby': 'Comparte el código. Empieza cuando estén todos.',
+  'room.playerLobby': '¡Ya estás dentro! Esperando a que el anfitrión empiece…',
+  'room.correctCount': '{name} · {count} correctas',
+  'room.revealNow': 'Mostrar respuesta',
+  'room.questionCount': 'Pregunta {current} de {total}',
+  'room.waitingAnswers': 'Esperando respuestas…',
+  'room.playersType': 'Los jugadores escriben su respuesta',
+  'room.timeRanOut': 'Se acabó el tiempo: sin puntos en esta ronda.',
+  'room.correctPoints': '¡Correcto! +{points} puntos',
+  'room.partlyPoints': '¡Casi! +{points} puntos',
+  'room.noPoints': 'No del todo: sin puntos en esta ronda.',
+  'room.lastQuestion': 'Esa fue la última pregunta.',
+  'room.showStandings': 'Muestra la clasificación y continúa.',
+  'room.finalResults': 'Ver resultados finales',
+  'room.leaderboard': 'CLASIFICACIÓN',
+  'room.finalStandings': 'CLASIFICACIÓN FINAL',
+  'room.gameOverRank': 'Fin de la partida: quedaste en el puesto #{rank} de {count} con {score} puntos.',
+  'room.gameOver': '¡Fin de la partida!',
+
+  // challenge links
+  'challenge.share': 'Desafiar a alguien',
+  'challenge.shareTitle': 'Obtén un enlace que repite exactamente estas preguntas',
+  'challenge.leaderboard': 'Clasificación del desafío',
+  'challenge.namePrompt': 'Tu nombre para la clasificación del desafío:',
+  'challenge.joinPrompt': '{name} te ha desafiado: {topic} · {count} preguntas. Tu nombre para la clasificación:',
+  'challenge.copied': 'Enlace del desafío copiado: {url}',
+  'challenge.copyPrompt': 'Envía este enlace para desafiar a alguien:',
+  'challenge.rank': 'Quedaste en el puesto #{rank} de {count}.',
+  'challenge.plays': '{count} partidas hasta ahora.',
+  'challenge.fixedSet': 'Los desafíos repiten un conjunto fijo de preguntas, así que no se pueden añadir más.',
+
+  // classroom assignments
+  'assign.button': 'Asignar a la clase',
+  'assign.buttonTitle': 'Entrega estas preguntas a una clase con fecha límite y libro de calificaciones',
+  'assign.title': 'Asignar a una clase',
+  'assign.name': 'Título de la tarea:',
+  'assign.opens': 'Se abre (opcional):',
+  'assign.closes': 'Se cierra (opcional):',
+  'assign.attempts': 'Intentos por estudiante:',
+  'assign.roster': 'Lista de la clase (un nombre por línea):',
+  'assign.rosterPlaceholder': 'Ada Lovelace\nAlan Turing',
+  'assign.code': 'Código de clase:',
+  'assign.codePlaceholder': 'p. ej. BIO7',
+  'assign.accessHint': 'Los estudiantes necesitan un nombre de la lista, el código de clase o ambos si defines los dos.',
+  'assign.create': 'Crear tarea',
+  'assign.cancel': 'Cancelar',
+  'assign.created': 'Comparte el enlace para estudiantes con tu clase. Guarda para ti el enlace de calificaciones: es la única forma de ver las notas.',
+  'assign.studentLink': 'Enlace para estudiantes',
+  'assign.gradebookLink': 'Enlace de calificaciones',
+  'assign.copy': 'Copiar enlace para estudiantes',
+  'assign.close': 'Cerrar',
+  'assign.copied': 'Enlace para estudiantes copiado: {url}',
+  'assign.copyPrompt': 'Envía este enlace a tu clase:',
+  'assign.notOpen': '«{title}» se abre el {date}.',
+  'assign.closed': '«{title}» está cerrada.',
+  'assign.namePrompt': '{title} · {count} preguntas · intentos permitidos: {attempts}. Escribe tu nombre:',
+  'assign.codePrompt': 'Código de clase:',
+  'assign.recorded': 'Intento {attempt} de {max} en «{title}» registrado para {name}.',
+  'assign.attemptsLeft': 'Intentos restantes: {count}.',
+  'assign.noAttemptsLeft': 'No quedan intentos.',
+  'assign.late': 'Se entregó después de la fecha límite.',
+  'assign.fixedSet': 'Las tareas usan un conjunto fijo de preguntas, así que no se pueden añadir más.',
+
+  // stats dashboard
+  'stats.title': 'TUS ESTADÍSTICAS',
+  'stats.mode': 'Modo:',
+  'stats.modeTitle': 'Compara intentos jugados de la misma manera',
+  'stats.allModes': 'Todos los modos',
+  'stats.empty': 'Aún no has terminado ningún cuestionario. Completa uno para empezar a seguir tu progreso.',
+  'stats.attempts': 'Intentos',
+  'stats.accuracy': 'Precisión',
+  'stats.avgTime': 'Media / pregunta',
+  'stats.dayStreak': 'Racha de días',
+  'stats.bestStreak': 'Mejor racha de días / aciertos',
+  'stats.overTime': 'Intentos a lo largo del tiempo',
+  'stats.byTopic': 'Precisión por tema',
+  'stats.best': 'Mejor:',
+  'stats.worst': 'A mejorar:',
+  'stats.colTopic': 'Tema',
+  'stats.colAttempts': 'Intentos',
+  'stats.colAccuracy': 'Precisión',
+  'stats.colBest': 'Mejor',
+  'stats.sync': 'Sincronizar con el servidor',
+  'stats.clear': 'Borrar historial',
+  'stats.back': 'Volver al inicio',
+  'stats.confirmClear': '¿Borrar tu historial local de cuestionarios?',
+  'stats.syncFailed': 'No se pudo contactar con el servidor; tus estadísticas siguen guardadas en este navegador.',
+  'stats.untitled': 'Sin título',
+
+  // spaced repetition
+  'review.dueTitle': '{due} de {total} tarjetas pendientes',
+  'review.emptyTitle': 'Las preguntas que falles se añaden aquí para repasarlas',
+  'review.tomorrow': 'mañana',
+  'review.inDays': 'en {days} días',
+  'review.inMonths': 'en unos {months} meses',
+  'review.next': 'Próximo repaso {when}.',
+  'review.nothingDue': 'No hay nada pendiente de repaso ahora mismo.',
+  'review.nextDue': ' La próxima tarjeta toca el {date}.',
+  'review.deckEmpty': 'Tu mazo de repaso está vacío. Las preguntas que falles en un cuestionario se añaden automáticamente.',
+
+  // setup modal
+  'setup.title': 'Configura tu cuestionario',
+  'setup.topic': 'Tema:',
+  'setup.topicPlaceholder': 'Escribe un tema (p. ej., JavaScript, Historia universal)',
+  'setup.count': 'Número de preguntas:',
+  'setup.difficulty': 'Dificultad:',
+  'setup.adaptive': 'Adaptativa: «Generar más» sube o baja la dificultad según mis respuestas',
+  'setup.language': 'Idioma del cuestionario:',
+  'setup.languageTitle': 'Las preguntas, opciones y explicaciones se escriben en este idioma',
+  'setup.mode': 'Modo:',
+  'setup.modeTimed': 'Cronometrado: la respuesta se muestra tras cada pregunta',
+  'setup.modePractice': 'Práctica: sin tiempo, con explicaciones sobre la marcha',
+  'setup.modeExam': 'Examen: un único límite de tiempo, resultados al final',
+  'setup.modeSuddenDeath': 'Muerte súbita: el primer fallo termina la partida',
+  'setup.secondsPerQuestion': 'Segundos por pregunta:',
+  'setup.timeLimit': 'Límite de tiempo (minutos):',
+  'setup.source': 'Material de referencia (opcional):',
+  'setup.sourcePlaceholder': 'Pega apuntes o Markdown para generar preguntas solo a partir de este texto',
+  'setup.sourceHint': 'O sube un .txt, .md o PDF con texto. Deja el tema vacío para usar el nombre del archivo.',
+  'setup.pastedNotes': 'Apuntes pegados',
+  'setup.types': 'Tipos de pregunta:',
+  'type.single': 'Opción múltiple',
+  'type.trueFalse': 'Verdadero / Falso',
+  'type.multi': 'Selección múltiple',
+  'type.short': 'Respuesta corta',
+  'type.ordering': 'Ordenar',
+  'setup.start': 'Empezar',
+  'setup.cancel': 'Cancelar',
+
+  // report modal
+  'flag.title': 'Reportar esta pregunta',
+  'flag.reason': '¿Qué le pasa?',
+  'flag.wrongAnswer': 'La respuesta marcada como correcta es errónea',
+  'flag.ambiguous': 'Es ambigua o tiene varias respuestas correctas',
+  'flag.typo': 'Errata o redacción poco clara',
+  'flag.offensive': 'Ofensiva o inapropiada',
+  'flag.other': 'Otra cosa',
+  'flag.details': 'Detalles (opcional):',
+  'flag.detailsPlaceholder': 'p. ej. la respuesta correcta es la B porque…',
+  'flag.send': 'Enviar reporte',
+  'flag.cancel': 'Cancelar',
+
+  // failed requests; {error} is the server's message
+  'failed.source': 'No se pudo leer el material: {error}',
+  'failed.generate': 'No se pudo generar el cuestionario: {error}',
+  'failed.report': 'No se pudo reportar la pregunta: {error}',
+  'failed.replace': 'No se pudo cambiar la pregunta: {error}',
+  'failed.answer': 'No se pudo enviar la respuesta: {error}',
+  'failed.finish': 'No se pudo terminar el cuestionario: {error}',
+  'failed.retry': 'No se pudo empezar el reintento: {error}',
+  'failed.loadQuiz': 'No se pudo cargar el cuestionario: {error}',
+  'failed.delete': 'No se pudo eliminar el cuestionario: {error}',
+  'failed.save': 'No se pudo guardar el cuestionario: {error}',
+  'failed.export': 'No se pudo exportar el cuestionario: {error}',
+  'failed.import': 'No se pudo importar: {error}',
+  'failed.reviewCards': 'No se pudieron cargar las tarjetas de repaso: {error}',
+  'failed.createRoom': 'No se pudo crear la sala: {error}',
+  'failed.challenge': 'No se pudo crear el desafío: {error}',
+  'failed.openChallenge': 'No se pudo abrir el desafío: {error}',
+  'failed.assign': 'No se pudo crear la tarea: {error}',
+  'failed.openAssignment': 'No se pudo empezar la tarea: {error}',
+  'failed.streamLost': 'Se perdió la conexión mientras se generaban las preguntas.',
+
+  // network errors
+  'network.source': 'Error de red al subir tu material.',
+  'network.generate': 'Error de red al generar el cuestionario.',
+  'network.report': 'Error de red al reportar la pregunta.',
+  'network.replace': 'Error de red al cambiar la pregunta.',
+  'network.answer': 'Error de red al enviar tu respuesta.',
+  'network.finish': 'Error de red al puntuar tu cuestionario.',
+  'network.retry': 'Error de red al empezar el reintento.',
+  'network.restart': 'Error de red al reiniciar el cuestionario.',
+  'network.loadQuiz': 'Error de red al cargar el cuestionario.',
+  'network.delete': 'Error de red al eliminar el cuestionario.',
+  'network.save': 'Error de red al guardar el cuestionario.',
+  'network.export': 'Error de red al exportar el cuestionario.',
+  'network.import': 'Error de red al importar.',
+  'network.reviewCards': 'Error de red al cargar las tarjetas de repaso.',
+  'network.createRoom': 'Error de red al crear la sala.',
+  'network.challenge': 'Error de red al crear el desafío.',
+  'network.openChallenge': 'Error de red al abrir el desafío.',
+  'network.assign': 'Error de red al crear la tarea.',
+  'network.openAssignment': 'Error de red al abrir la tarea.'
+};
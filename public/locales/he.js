@@ -0,0 +1,348 @@
+/* locales/he.js - Hebrew UI messages (right-to-left) */
+
+UI_MESSAGES.he = {
+  'app.title': 'AI Quiz Verse - מבחני אינטליגנציה עתידניים',
+  'locale.label': 'שפת הממשק',
+  'error.server': 'שגיאת שרת',
+
+  // loading overlay and question area
+  'loading.overlay': 'יוצרים שאלות — רק רגע...',
+  'loading.default': 'טוען...',
+  'loading.material': 'קוראים את החומר שלך…',
+  'loading.questions': 'יוצרים שאלות…',
+  'loading.quiz': 'יוצרים את החידון שלך...',
+  'loading.replacement': 'יוצרים שאלה חלופית…',
+  'loading.savedQuiz': 'טוענים את החידון השמור…',
+  'loading.dueCards': 'טוענים כרטיסים לחזרה…',
+  'loading.challenge': 'טוענים את האתגר…',
+  'loading.assignment': 'טוענים את המטלה…',
+
+  // home
+  'home.welcome': 'ברוכים הבאים אל',
+  'home.future': 'עתיד החידונים',
+  'home.description': 'מבחני אינטליגנציה מבוססי בינה מלאכותית עם טכנולוגיה מתקדמת ועיצוב סוחף',
+  'home.start': 'התחלת חידון',
+  'home.stats': 'סטטיסטיקה',
+  'home.joinRoom': 'הצטרפות לחדר חי',
+  'home.review': 'חזרה על כרטיסים',
+
+  // saved quiz library
+  'library.title': 'חידונים שמורים',
+  'library.empty': 'עדיין אין חידונים שמורים. סיימו חידון ושמרו אותו כדי לשחק בו שוב.',
+  'library.needsConnection': 'הספרייה צריכה חיבור. חידונים ששמורים במכשיר מופיעים תחת "זמינים במצב לא מקוון".',
+  'library.meta': '{count} שאלות · {language} · {model} · {date}',
+  'library.unknownModel': 'מודל לא ידוע',
+  'library.play': 'שחקו',
+  'library.host': 'אירוח חי',
+  'library.assign': 'הקצאה',
+  'library.saveOffline': 'שמירה לא מקוונת',
+  'library.storedOffline': '✓ לא מקוון',
+  'library.saveOfflineTitle': 'לשמור את החידון במכשיר כדי לשחק בו בלי חיבור',
+  'library.delete': 'מחיקה',
+  'library.confirmDelete': 'למחוק את החידון השמור "{topic}"?',
+
+  // quizzes stored on this device
+  'offline.title': 'זמינים במצב לא מקוון',
+  'offline.description': 'שמורים במכשיר הזה. תוצאות שהתקבלו בלי חיבור יסונכרנו כשתחזרו לרשת.',
+  'offline.metaSaved': '{count} שאלות · נשמר לשימוש לא מקוון ב-{date}',
+  'offline.metaPlayed': '{count} שאלות · שוחק ב-{date}',
+  'offline.remove': 'הסרה',
+  'offline.confirmRemove': 'להסיר את "{topic}" מהמכשיר?',
+  'offline.banner': 'אין חיבור לרשת. חידונים ששמורים במכשיר עדיין עובדים.',
+  'offline.pendingOne': ' תוצאה אחת תסונכרן כשהחיבור יחזור.',
+  'offline.pendingMany': ' {count} תוצאות יסונכרנו כשהחיבור יחזור.',
+  'offline.moreNeedsNetwork': 'עוד שאלות (דורש רשת)',
+  'offline.moreNeedsNetworkTitle': 'יצירת שאלות דורשת חיבור לרשת.',
+  'offline.gone': 'החידון הזה כבר לא שמור במכשיר.',
+  'offline.saveFailed': 'לא ניתן לשמור את החידון במכשיר: {error}',
+  'offline.storeResultFailed': 'לא ניתן לשמור את התוצאה שלך במכשיר.',
+
+  // quiz screen
+  'quiz.progress': 'שאלה {current} מתוך {total}',
+  'quiz.none': 'לא נטענו שאלות. לחצו על "התחלת חידון" כדי ליצור שאלות.',
+  'quiz.report': '⚑ דיווח על השאלה',
+  'quiz.reportTitle': 'תשובה שגויה, ניסוח דו-משמעי, שגיאת כתיב…',
+  'quiz.reportedThanks': '⚑ דווח — תודה!',
+  'quiz.replace': '↻ החלפת השאלה',
+  'quiz.replaceTitle': 'ליצור שאלה אחרת במקומה',
+  'quiz.prev': 'הקודמת',
+  'quiz.next': 'השאלה הבאה',
+  'quiz.more': 'עוד שאלות',
+  'quiz.startFirst': 'קודם צריך להתחיל חידון (בחרו נושא).',
+  'quiz.reviewNoMore': 'בחזרה יש רק כרטיסים שהגיע זמנם. התחילו חידון חדש כדי ליצור שאלות.',
+  'quiz.moreNeedsNetwork': '"עוד שאלות" דורש חיבור לרשת: השרת כותב את השאלות החדשות.',
+  'quiz.moreFromDevice': 'החידון הזה רץ מהמכשיר — התחילו חידון חדש ברשת כדי ליצור עוד.',
+  'quiz.moreReconnect': 'התחברו מחדש ונסו שוב.',
+  'quiz.moreCount': 'כמה שאלות נוספות ליצור? (1-10):',
+  'quiz.moreAdded': 'נוספו שאלות חדשות. הן יופיעו בסוף החידון.',
+  'quiz.difficultyMoved': 'לפי התשובות האחרונות שלך, רמת הקושי השתנתה מ{from} ל{to}.',
+  'quiz.noUnique': 'לא נוצרו שאלות חדשות בנושא הזה. נסו נושא אחר.',
+
+  // answering
+  'answer.submit': 'שליחת תשובה',
+  'answer.selectCount': 'בחרו {count} תשובות נכונות',
+  'answer.selectAll': 'בחרו את כל התשובות הנכונות',
+  'answer.partial': 'ניקוד חלקי: {percent}%',
+  'answer.placeholder': 'הקלידו את התשובה',
+  'answer.accepted': 'תשובה מתקבלת: {answers}',
+  'answer.correctOrder': 'הסדר הנכון: {order}',
+  'answer.moveUp': 'העברה למעלה',
+  'answer.moveDown': 'העברה למטה',
+  'answer.locked': 'התשובה נקלטה — התוצאות יוצגו בסוף.',
+  'answer.none': 'לא ניתנה תשובה.',
+  'answer.suddenDeath': 'מוות פתאומי — כאן הריצה נגמרת.',
+
+  // difficulty levels (setup modal and the badge on each question)
+  'difficulty.easy': 'קל',
+  'difficulty.medium': 'בינוני',
+  'difficulty.hard': 'קשה',
+  'difficulty.expert': 'מומחה',
+
+  // quiz modes
+  'mode.practice': 'תרגול',
+  'mode.exam': 'מבחן · {minutes} דק׳',
+  'mode.suddenDeath': 'מוות פתאומי · {seconds} שנ׳',
+  'mode.timed': 'על זמן · {seconds} שנ׳',
+  'mode.suddenDeathRun': '{mode} — רצף של {count} תשובות נכונות',
+
+  // results
+  'results.title': 'החידון הסתיים!',
+  'results.correct': 'נכונות',
+  'results.wrong': 'שגויות',
+  'results.time': 'זמן',
+  'results.reviewTitle': 'סקירת תשובות',
+  'results.filterLabel': 'סינון שאלות',
+  'results.filterAll': 'הכול',
+  'results.filterWrong': 'שגויות',
+  'results.filterUnanswered': 'ללא תשובה',
+  'results.noMatch': 'אין שאלות שמתאימות לסינון הזה.',
+  'results.retryMissed': 'ניסיון חוזר רק במה שפספסתי',
+  'results.sources': 'קטעי מקור',
+  'results.exportTitle': 'ייצוא וייבוא',
+  'results.printSheet': 'דף להדפסה',
+  'results.import': 'ייבוא GIFT / CSV',
+  'results.tryAgain': 'לנסות שוב',
+  'results.save': 'שמירה בספרייה',
+  'results.host': 'אירוח חדר חי',
+  'results.home': 'חזרה לדף הבית',
+  'results.itemLabel': 'ש{number} · {status}',
+  'results.statusCorrect': 'נכונה',
+  'results.statusUnanswered': 'ללא תשובה',
+  'results.statusPartial': 'חלקית ({percent}%)',
+  'results.statusWrong': 'שגויה',
+  'results.yourAnswer': 'התשובה שלך',
+  'results.correctAnswer': 'התשובה הנכונה',
+  'results.noAnswer': '— אין תשובה —',
+  'results.reported': '⚑ דווח',
+  'results.saved': '"{topic}" נשמר בספרייה שלך.',
+  'results.importTopic': 'נושא לחידון המיובא:',
+  'results.imported': 'יובאו {count} שאלות אל "{topic}".',
+  'results.importSkipped': ' {count} לא יובאו.',
+  'results.importFound': ' אפשר למצוא אותו בספרייה.',
+
+  // live rooms
+  'room.joinTitle': 'הצטרפות לחדר חי',
+  'room.code': 'קוד הצטרפות',
+  'room.codePlaceholder': 'למשל K7QX2M',
+  'room.name': 'השם שלך',
+  'room.join': 'הצטרפות',
+  'room.back': 'חזרה',
+  'room.joinCode': 'קוד הצטרפות',
+  'room.playersCount': 'שחקנים ({count})',
+  'room.start': 'התחלת משחק',
+  'room.end': 'סיום משחק',
+  'room.leave': 'יציאה',
+  'room.secondsPrompt': 'שניות לכל שאלה (5-300):',
+  'room.enterCode': 'הזינו את קוד ההצטרפות בן 6 התווים.',
+  'room.enterName': 'הזינו שם כדי שהאחרים ידעו מי אתם.',
+  'room.disconnected': 'החיבור לחדר נותק.',
+  'room.reconnecting': 'החיבור אבד — מתחברים מחדש…',
+  'room.confirmEnd': 'לסיים את המשחק לכולם עכשיו?',
+  'room.answeredCount': '{count} מתוך {expected} שחקנים ענו',
+  'room.answerLocked': 'התשובה נקלטה — ממתינים לאחרים…',
+  'room.hosting': 'את/ה המארח/ת · {count} שאלות',
+  'room.playingAs': 'משחק/ת בתור {name} · {count} שאלות',
+  'room.hostLobby': 'שתפו את קוד ההצטרפות. התחילו כשכולם בפנים.',
+  'room.playerLobby': 'נכנסת! ממתינים שהמארח/ת יתחיל/תתחיל…',
+  'room.correctCount': '{name} · {count} נכונות',
+  'room.revealNow': 'חשיפה עכשיו',
+  'room.questionCount': 'שאלה {current} מתוך {total}',
+  'room.waitingAnswers': 'ממתינים לתשובות…',
+  'room.playersType': 'השחקנים מקלידים את התשובה',
+  'room.timeRanOut': 'הזמן נגמר — אין נקודות בסיבוב הזה.',
+  'room.correctPoints': 'נכון! +{points} נקודות',
+  'room.partlyPoints': 'נכון חלקית! +{points} נקודות',
+  'room.noPoints': 'לא בדיוק — אין נקודות בסיבוב הזה.',
+  'room.lastQuestion': 'זו הייתה השאלה האחרונה.',
+  'room.showStandings': 'הציגו את הדירוג ואז המשיכו.',
+  'room.finalResults': 'הצגת התוצאות הסופיות',
+  'room.leaderboard': 'טבלת מובילים',
+  'room.finalStandings': 'דירוג סופי',
+  'room.gameOverRank': 'המשחק נגמר — סיימת במקום #{rank} מתוך {count} עם {score} נקודות.',
+  'room.gameOver': 'המשחק נגמר!',
+
+  // challenge links
+  'challenge.share': 'לאתגר חבר/ה',
+  'challenge.shareTitle': 'לקבל קישור שמריץ בדיוק את אותן שאלות',
+  'challenge.leaderboard': 'טבלת האתגר',
+  'challenge.namePrompt': 'השם שלך בטבלת האתגר:',
+  'challenge.joinPrompt': '{name} מאתגר/ת אותך: {topic} · {count} שאלות. השם שלך בטבלה:',
+  'challenge.copied': 'הקישור לאתגר הועתק: {url}',
+  'challenge.copyPrompt': 'שלחו את הקישור כדי לאתגר מישהו:',
+  'challenge.rank': 'סיימת במקום #{rank} מתוך {count}.',
+  'challenge.plays': 'שוחק {count} פעמים עד עכשיו.',
+  'challenge.fixedSet': 'אתגרים מריצים סט קבוע של שאלות, אז אי אפשר להוסיף עוד.',
+
+  // classroom assignments
+  'assign.button': 'להקצות לכיתה',
+  'assign.buttonTitle': 'לתת את השאלות האלה לכיתה עם מועד הגשה ויומן ציונים',
+  'assign.title': 'הקצאה לכיתה',
+  'assign.name': 'שם המטלה:',
+  'assign.opens': 'נפתחת (לא חובה):',
+  'assign.closes': 'נסגרת (לא חובה):',
+  'assign.attempts': 'ניסיונות לכל תלמיד/ה:',
+  'assign.roster': 'רשימת הכיתה (שם אחד בכל שורה):',
+  'assign.rosterPlaceholder': 'Ada Lovelace\nAlan Turing',
+  'assign.code': 'קוד כיתה:',
+  'assign.codePlaceholder': 'למשל BIO7',
+  'assign.accessHint': 'תלמידים צריכים שם מהרשימה, את קוד הכיתה, או את שניהם אם הגדרתם את שניהם.',
+  'assign.create': 'יצירת מטלה',
+  'assign.cancel': 'ביטול',
+  'assign.created': 'שתפו את קישור התלמידים עם הכיתה. את קישור יומן הציונים שמרו לעצמכם: רק דרכו אפשר לראות את הציונים.',
+  'assign.studentLink': 'קישור לתלמידים',
+  'assign.gradebookLink': 'קישור ליומן הציונים',
+  'assign.copy': 'העתקת קישור התלמידים',
+  'assign.close': 'סגירה',
+  'assign.copied': 'קישור התלמידים הועתק: {url}',
+  'assign.copyPrompt': 'שלחו את הקישור הזה לכיתה:',
+  'assign.notOpen': '״{title}״ נפתחת ב-{date}.',
+  'assign.closed': '״{title}״ סגורה.',
+  'assign.namePrompt': '{title} · {count} שאלות · ניסיונות מותרים: {attempts}. הקלידו את שמכם:',
+  'assign.codePrompt': 'קוד כיתה:',
+  'assign.recorded': 'ניסיון {attempt} מתוך {max} ב״{title}״ נרשם עבור {name}.',
+  'assign.attemptsLeft': 'ניסיונות שנותרו: {count}.',
+  'assign.noAttemptsLeft': 'לא נותרו ניסיונות.',
+  'assign.late': 'ההגשה הייתה אחרי המועד.',
+  'assign.fixedSet': 'מטלות משתמשות בסט קבוע של שאלות, אז אי אפשר להוסיף עוד.',
+
+  // stats dashboard
+  'stats.title': 'הסטטיסטיקה שלך',
+  'stats.mode': 'מצב:',
+  'stats.modeTitle': 'השוואת ניסיונות ששוחקו באותו אופן',
+  'stats.allModes': 'כל המצבים',
+  'stats.empty': 'עדיין אין חידונים שהסתיימו. השלימו חידון כדי להתחיל לעקוב אחרי ההתקדמות.',
+  'stats.attempts': 'ניסיונות',
+  'stats.accuracy': 'דיוק',
+  'stats.avgTime': 'ממוצע / שאלה',
+  'stats.dayStreak': 'רצף ימים',
+  'stats.bestStreak': 'שיא ימים / רצף נכונות',
+  'stats.overTime': 'ניסיונות לאורך זמן',
+  'stats.byTopic': 'דיוק לפי נושא',
+  'stats.best': 'הכי טוב:',
+  'stats.worst': 'דורש שיפור:',
+  'stats.colTopic': 'נושא',
+  'stats.colAttempts': 'ניסיונות',
+  'stats.colAccuracy': 'דיוק',
+  'stats.colBest': 'שיא',
+  'stats.sync': 'סנכרון עם השרת',
+  'stats.clear': 'ניקוי היסטוריה',
+  'stats.back': 'חזרה לדף הבית',
+  'stats.confirmClear': 'למחוק את היסטוריית החידונים המקומית?',
+  'stats.syncFailed': 'אין גישה לשרת — הסטטיסטיקה שלך עדיין שמורה בדפדפן הזה.',
+  'stats.untitled': 'ללא שם',
+
+  // spaced repetition
+  'review.dueTitle': '{due} מתוך {total} כרטיסים לחזרה',
+  'review.emptyTitle': 'שאלות שפספסת נוספות לכאן לחזרה',
+  'review.tomorrow': 'מחר',
+  'review.inDays': 'בעוד {days} ימים',
+  'review.inMonths': 'בעוד כ-{months} חודשים',
+  'review.next': 'החזרה הבאה {when}.',
+  'review.nothingDue': 'אין כרגע שום דבר לחזרה.',
+  'review.nextDue': ' הכרטיס הבא יגיע ב-{date}.',
+  'review.deckEmpty': 'חפיסת החזרה ריקה. שאלות שפספסת בחידון נוספות אליה אוטומטית.',
+
+  // setup modal
+  'setup.title': 'הגדרת החידון',
+  'setup.topic': 'נושא:',
+  'setup.topicPlaceholder': 'הזינו נושא לחידון (למשל JavaScript, היסטוריה עולמית)',
+  'setup.count': 'מספר שאלות:',
+  'setup.difficulty': 'רמת קושי:',
+  'setup.adaptive': 'מסתגל — "עוד שאלות" נעשה קשה או קל יותר לפי התשובות שלי',
+  'setup.language': 'שפת החידון:',
+  'setup.languageTitle': 'השאלות, האפשרויות וההסברים נכתבים בשפה הזו',
+  'setup.mode': 'מצב:',
+  'setup.modeTimed': 'על זמן — התשובה מוצגת אחרי כל שאלה',
+  'setup.modePractice': 'תרגול — בלי טיימר, עם הסברים תוך כדי',
+  'setup.modeExam': 'מבחן — מגבלת זמן אחת, תוצאות בסוף',
+  'setup.modeSuddenDeath': 'מוות פתאומי — התשובה השגויה הראשונה מסיימת את הריצה',
+  'setup.secondsPerQuestion': 'שניות לכל שאלה:',
+  'setup.timeLimit': 'מגבלת זמן (דקות):',
+  'setup.source': 'חומר מקור (לא חובה):',
+  'setup.sourcePlaceholder': 'הדביקו סיכומים או Markdown כדי ליצור שאלות רק מהטקסט הזה',
+  'setup.sourceHint': 'או העלו קובץ .txt, .md או PDF מבוסס טקסט. השאירו את הנושא ריק כדי להשתמש בשם הקובץ.',
+  'setup.pastedNotes': 'סיכומים מודבקים',
+  'setup.types': 'סוגי שאלות:',
+  'type.single': 'רב-ברירה',
+  'type.trueFalse': 'נכון / לא נכון',
+  'type.multi': 'בחירה מרובה',
+  'type.short': 'תשובה קצרה',
+  'type.ordering': 'סידור',
+  'setup.start': 'התחלת חידון',
+  'setup.cancel': 'ביטול',
+
+  // report modal
+  'flag.title': 'דיווח על השאלה',
+  'flag.reason': 'מה הבעיה בה?',
+  'flag.wrongAnswer': 'התשובה המסומנת שגויה',
+  'flag.ambiguous': 'היא דו-משמעית או שיש לה כמה תשובות נכונות',
+  'flag.typo': 'שגיאת כתיב או ניסוח לא ברור',
+  'flag.offensive': 'פוגענית או לא הולמת',
+  'flag.other': 'משהו אחר',
+  'flag.details': 'פרטים (לא חובה):',
+  'flag.detailsPlaceholder': 'למשל התשובה הנכונה היא B כי…',
+  'flag.send': 'שליחת דיווח',
+  'flag.cancel': 'ביטול',
+
+  // failed requests; {error} is the server's message
+  'failed.source': 'לא ניתן לקרוא את חומר המקור: {error}',
+  'failed.generate': 'לא ניתן ליצור את החידון: {error}',
+  'failed.report': 'לא ניתן לדווח על השאלה: {error}',
+  'failed.replace': 'לא ניתן להחליף את השאלה: {error}',
+  'failed.answer': 'לא ניתן לשלוח את התשובה: {error}',
+  'failed.finish': 'לא ניתן לסיים את החידון: {error}',
+  'failed.retry': 'לא ניתן להתחיל ניסיון חוזר: {error}',
+  'failed.loadQuiz': 'לא ניתן לטעון את החידון: {error}',
+  'failed.delete': 'לא ניתן למחוק את החידון: {error}',
+  'failed.save': 'לא ניתן לשמור את החידון: {error}',
+  'failed.export': 'לא ניתן לייצא את החידון: {error}',
+  'failed.import': 'הייבוא נכשל: {error}',
+  'failed.reviewCards': 'לא ניתן לטעון כרטיסי חזרה: {error}',
+  'failed.createRoom': 'לא ניתן ליצור חדר: {error}',
+  'failed.challenge': 'לא ניתן ליצור את האתגר: {error}',
+  'failed.openChallenge': 'לא ניתן לפתוח את האתגר: {error}',
+  'failed.assign': 'לא ניתן ליצור את המטלה: {error}',
+  'failed.openAssignment': 'לא ניתן להתחיל את המטלה: {error}',
+  'failed.streamLost': 'החיבור אבד בזמן יצירת השאלות.',
+
+  // network errors
+  'network.source': 'שגיאת רשת בהעלאת החומר.',
+  'network.generate': 'שגיאת רשת ביצירת החידון.',
+  'network.report': 'שגיאת רשת בדיווח על השאלה.',
+  'network.replace': 'שגיאת רשת בהחלפת השאלה.',
+  'network.answer': 'שגיאת רשת בשליחת התשובה.',
+  'network.finish': 'שגיאת רשת בבדיקת החידון.',
+  'network.retry': 'שגיאת רשת בהתחלת הניסיון החוזר.',
+  'network.restart': 'שגיאת רשת בהפעלה מחדש של החידון.',
+  'network.loadQuiz': 'שגיאת רשת בטעינת החידון.',
+  'network.delete': 'שגיאת רשת במחיקת החידון.',
+  'network.save': 'שגיאת רשת בשמירת החידון.',
+  'network.export': 'שגיאת רשת בייצוא החידון.',
+  'network.import': 'שגיאת רשת בייבוא.',
+  'network.reviewCards': 'שגיאת רשת בטעינת כרטיסי החזרה.',
+  'network.createRoom': 'שגיאת רשת ביצירת החדר.',
+  'network.challenge': 'שגיאת רשת ביצירת האתגר.',
+  'network.openChallenge': 'שגיאת רשת בפתיחת האתגר.',
+  'network.assign': 'שגיאת רשת ביצירת המטלה.',
+  'network.openAssignment': 'שגיאת רשת בפתיחת המטלה.'
+};
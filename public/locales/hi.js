@@ -0,0 +1,348 @@
+/* locales/hi.js - Hindi UI messages */
+
+UI_MESSAGES.hi = {
+  'app.title': 'AI Quiz Verse - भविष्य की बुद्धि परीक्षा',
+  'locale.label': 'इंटरफ़ेस की भाषा',
+  'error.server': 'सर्वर त्रुटि',
+
+  // loading overlay and question area
+  'loading.overlay': 'प्रश्न बनाए जा रहे हैं — कृपया प्रतीक्षा करें...',
+  'loading.default': 'लोड हो रहा है...',
+  'loading.material': 'आपकी सामग्री पढ़ी जा रही है…',
+  'loading.questions': 'प्रश्न बनाए जा रहे हैं…',
+  'loading.quiz': 'आपकी क्विज़ बनाई जा रही है...',
+  'loading.replacement': 'बदले में नया प्रश्न बनाया जा रहा है…',
+  'loading.savedQuiz': 'सहेजी गई क्विज़ लोड हो रही है…',
+  'loading.dueCards': 'दोहराने वाले कार्ड लोड हो रहे हैं…',
+  'loading.challenge': 'चुनौती लोड हो रही है…',
+  'loading.assignment': 'असाइनमेंट लोड हो रहा है…',
+
+  // home
+  'home.welcome': 'स्वागत है',
+  'home.future': 'क्विज़ के भविष्य में',
+  'home.description': 'अत्याधुनिक तकनीक और शानदार डिज़ाइन के साथ AI से चलने वाली बुद्धि परीक्षा का अनुभव करें',
+  'home.start': 'क्विज़ शुरू करें',
+  'home.stats': 'आँकड़े देखें',
+  'home.joinRoom': 'लाइव रूम से जुड़ें',
+  'home.review': 'बाकी कार्ड दोहराएँ',
+
+  // saved quiz library
+  'library.title': 'सहेजी गई क्विज़',
+  'library.empty': 'अभी कोई क्विज़ सहेजी नहीं गई है। कोई क्विज़ पूरी करें और बाद में दोबारा खेलने के लिए सहेजें।',
+  'library.needsConnection': 'लाइब्रेरी के लिए कनेक्शन चाहिए। इस डिवाइस पर रखी क्विज़ "ऑफ़लाइन उपलब्ध" में दिखती हैं।',
+  'library.meta': '{count} प्रश्न · {language} · {model} · {date}',
+  'library.unknownModel': 'अज्ञात मॉडल',
+  'library.play': 'खेलें',
+  'library.host': 'लाइव होस्ट करें',
+  'library.assign': 'असाइन करें',
+  'library.saveOffline': 'ऑफ़लाइन सहेजें',
+  'library.storedOffline': '✓ ऑफ़लाइन',
+  'library.saveOfflineTitle': 'बिना कनेक्शन खेलने के लिए यह क्विज़ इस डिवाइस पर रखें',
+  'library.delete': 'हटाएँ',
+  'library.confirmDelete': 'सहेजी गई क्विज़ "{topic}" हटाएँ?',
+
+  // quizzes stored on this device
+  'offline.title': 'ऑफ़लाइन उपलब्ध',
+  'offline.description': 'इस डिवाइस पर रखी गई। बिना कनेक्शन मिले नतीजे ऑनलाइन होने पर सिंक हो जाते हैं।',
+  'offline.metaSaved': '{count} प्रश्न · {date} को ऑफ़लाइन सहेजी',
+  'offline.metaPlayed': '{count} प्रश्न · {date} को खेली',
+  'offline.remove': 'हटाएँ',
+  'offline.confirmRemove': '"{topic}" को इस डिवाइस से हटाएँ?',
+  'offline.banner': 'आप ऑफ़लाइन हैं। इस डिवाइस पर रखी क्विज़ अब भी चलती हैं।',
+  'offline.pendingOne': ' दोबारा कनेक्ट होने पर 1 नतीजा सिंक होगा।',
+  'offline.pendingMany': ' दोबारा कनेक्ट होने पर {count} नतीजे सिंक होंगे।',
+  'offline.moreNeedsNetwork': 'और बनाएँ (नेटवर्क चाहिए)',
+  'offline.moreNeedsNetworkTitle': 'प्रश्न बनाने के लिए नेटवर्क कनेक्शन चाहिए।',
+  'offline.gone': 'यह क्विज़ अब इस डिवाइस पर नहीं है।',
+  'offline.saveFailed': 'क्विज़ इस डिवाइस पर सहेजी नहीं जा सकी: {error}',
+  'offline.storeResultFailed': 'आपका नतीजा इस डिवाइस पर सहेजा नहीं जा सका।',
+
+  // quiz screen
+  'quiz.progress': 'प्रश्न {current} / {total}',
+  'quiz.none': 'कोई प्रश्न लोड नहीं हुआ। प्रश्न बनाने के लिए "क्विज़ शुरू करें" दबाएँ।',
+  'quiz.report': '⚑ प्रश्न की शिकायत करें',
+  'quiz.reportTitle': 'गलत उत्तर कुंजी, अस्पष्ट शब्द, टाइपो…',
+  'quiz.reportedThanks': '⚑ शिकायत भेजी गई — धन्यवाद!',
+  'quiz.replace': '↻ प्रश्न बदलें',
+  'quiz.replaceTitle': 'इसकी जगह कोई दूसरा प्रश्न बनाएँ',
+  'quiz.prev': 'पिछला',
+  'quiz.next': 'अगला प्रश्न',
+  'quiz.more': 'और बनाएँ',
+  'quiz.startFirst': 'पहले एक क्विज़ शुरू करें (कोई विषय चुनें)।',
+  'quiz.reviewNoMore': 'दोहराव सत्र में केवल बाकी कार्ड होते हैं। प्रश्न बनाने के लिए नई क्विज़ शुरू करें।',
+  'quiz.moreNeedsNetwork': '"और बनाएँ" के लिए नेटवर्क कनेक्शन चाहिए: नए प्रश्न सर्वर लिखता है।',
+  'quiz.moreFromDevice': 'यह क्विज़ आपके डिवाइस से चल रही है — और प्रश्नों के लिए ऑनलाइन नई क्विज़ शुरू करें।',
+  'quiz.moreReconnect': 'दोबारा कनेक्ट करके फिर कोशिश करें।',
+  'quiz.moreCount': 'कितने और प्रश्न बनाने हैं? (1-10):',
+  'quiz.moreAdded': 'नए प्रश्न जोड़ दिए गए। वे क्विज़ के अंत में दिखेंगे।',
+  'quiz.difficultyMoved': 'आपके हाल के उत्तरों के आधार पर कठिनाई {from} से {to} कर दी गई।',
+  'quiz.noUnique': 'इस विषय पर कोई नया प्रश्न नहीं बना। कोई दूसरा विषय आज़माएँ।',
+
+  // answering
+  'answer.submit': 'उत्तर भेजें',
+  'answer.selectCount': '{count} सही उत्तर चुनें',
+  'answer.selectAll': 'सभी सही उत्तर चुनें',
+  'answer.partial': 'आंशिक अंक: {percent}%',
+  'answer.placeholder': 'अपना उत्तर लिखें',
+  'answer.accepted': 'स्वीकृत उत्तर: {answers}',
+  'answer.correctOrder': 'सही क्रम: {order}',
+  'answer.moveUp': 'ऊपर ले जाएँ',
+  'answer.moveDown': 'नीचे ले जाएँ',
+  'answer.locked': 'उत्तर दर्ज हो गया — आपका प्रदर्शन अंत में दिखेगा।',
+  'answer.none': 'कोई उत्तर नहीं दिया गया।',
+  'answer.suddenDeath': 'सडन डेथ — यहीं खेल खत्म।',
+
+  // difficulty levels (setup modal and the badge on each question)
+  'difficulty.easy': 'आसान',
+  'difficulty.medium': 'मध्यम',
+  'difficulty.hard': 'कठिन',
+  'difficulty.expert': 'विशेषज्ञ',
+
+  // quiz modes
+  'mode.practice': 'अभ्यास',
+  'mode.exam': 'परीक्षा · {minutes} मिनट',
+  'mode.suddenDeath': 'सडन डेथ · {seconds} सेकंड',
+  'mode.timed': 'समयबद्ध · {seconds} सेकंड',
+  'mode.suddenDeathRun': '{mode} — लगातार {count} सही',
+
+  // results
+  'results.title': 'क्विज़ पूरी हुई!',
+  'results.correct': 'सही',
+  'results.wrong': 'गलत',
+  'results.time': 'समय',
+  'results.reviewTitle': 'उत्तरों की समीक्षा',
+  'results.filterLabel': 'प्रश्न छाँटें',
+  'results.filterAll': 'सभी',
+  'results.filterWrong': 'गलत',
+  'results.filterUnanswered': 'अनुत्तरित',
+  'results.noMatch': 'इस फ़िल्टर से कोई प्रश्न मेल नहीं खाता।',
+  'results.retryMissed': 'केवल छूटे हुए प्रश्न दोबारा करें',
+  'results.sources': 'स्रोत अंश',
+  'results.exportTitle': 'निर्यात और आयात',
+  'results.printSheet': 'प्रिंट शीट',
+  'results.import': 'GIFT / CSV आयात करें',
+  'results.tryAgain': 'फिर से कोशिश करें',
+  'results.save': 'लाइब्रेरी में सहेजें',
+  'results.host': 'लाइव रूम होस्ट करें',
+  'results.home': 'होम पर लौटें',
+  'results.itemLabel': 'प्र{number} · {status}',
+  'results.statusCorrect': 'सही',
+  'results.statusUnanswered': 'अनुत्तरित',
+  'results.statusPartial': 'आंशिक ({percent}%)',
+  'results.statusWrong': 'गलत',
+  'results.yourAnswer': 'आपका उत्तर',
+  'results.correctAnswer': 'सही उत्तर',
+  'results.noAnswer': '— कोई उत्तर नहीं —',
+  'results.reported': '⚑ शिकायत भेजी गई',
+  'results.saved': '"{topic}" आपकी लाइब्रेरी में सहेजी गई।',
+  'results.importTopic': 'आयात की गई क्विज़ का विषय:',
+  'results.imported': '"{topic}" में {count} प्रश्न आयात किए गए।',
+  'results.importSkipped': ' {count} आयात नहीं हो सके।',
+  'results.importFound': ' यह आपको अपनी लाइब्रेरी में मिलेगी।',
+
+  // live rooms
+  'room.joinTitle': 'लाइव रूम से जुड़ें',
+  'room.code': 'जुड़ने का कोड',
+  'room.codePlaceholder': 'जैसे K7QX2M',
+  'room.name': 'आपका नाम',
+  'room.join': 'जुड़ें',
+  'room.back': 'वापस',
+  'room.joinCode': 'जुड़ने का कोड',
+  'room.playersCount': 'खिलाड़ी ({count})',
+  'room.start': 'खेल शुरू करें',
+  'room.end': 'खेल खत्म करें',
+  'room.leave': 'बाहर निकलें',
+  'room.secondsPrompt': 'प्रति प्रश्न सेकंड (5-300):',
+  'room.enterCode': '6 अक्षरों का कोड डालें।',
+  'room.enterName': 'नाम डालें ताकि दूसरे जान सकें कि आप कौन हैं।',
+  'room.disconnected': 'रूम से कनेक्शन टूट गया।',
+  'room.reconnecting': 'कनेक्शन टूटा — दोबारा जोड़ा जा रहा है…',
+  'room.confirmEnd': 'सभी के लिए खेल अभी खत्म करें?',
+  'room.answeredCount': '{expected} में से {count} खिलाड़ियों ने उत्तर दिया',
+  'room.answerLocked': 'उत्तर दर्ज हो गया — दूसरों की प्रतीक्षा…',
+  'room.hosting': 'आप होस्ट कर रहे हैं · {count} प्रश्न',
+  'room.playingAs': '{name} के रूप में खेल रहे हैं · {count} प्रश्न',
+  'room.hostLobby': 'कोड साझा करें। सबके आने पर शुरू करें।',
+  'room.playerLobby': 'आप जुड़ गए! होस्ट के शुरू करने की प्रतीक्षा…',
+  'room.correctCount': '{name} · {count} सही',
+  'room.revealNow': 'अभी उत्तर दिखाएँ',
+  'room.questionCount': 'प्रश्न {current} / {total}',
+  'room.waitingAnswers': 'उत्तरों की प्रतीक्षा…',
+  'room.playersType': 'खिलाड़ी अपना उत्तर लिखते हैं',
+  'room.timeRanOut': 'समय खत्म — इस दौर में कोई अंक नहीं।',
+  'room.correctPoints': 'सही! +{points} अंक',
+  'room.partlyPoints': 'आंशिक रूप से सही! +{points} अंक',
+  'room.noPoints': 'पूरी तरह नहीं — इस दौर में कोई अंक नहीं।',
+  'room.lastQuestion': 'यह आखिरी प्रश्न था।',
+  'room.showStandings': 'स्थिति दिखाएँ, फिर आगे बढ़ें।',
+  'room.finalResults': 'अंतिम नतीजे दिखाएँ',
+  'room.leaderboard': 'लीडरबोर्ड',
+  'room.finalStandings': 'अंतिम स्थिति',
+  'room.gameOverRank': 'खेल खत्म — आप {count} में से #{rank} स्थान पर रहे, {score} अंकों के साथ।',
+  'room.gameOver': 'खेल खत्म!',
+
+  // challenge links
+  'challenge.share': 'किसी को चुनौती दें',
+  'challenge.shareTitle': 'ऐसा लिंक पाएँ जो ठीक यही प्रश्न दोबारा चलाए',
+  'challenge.leaderboard': 'चुनौती लीडरबोर्ड',
+  'challenge.namePrompt': 'चुनौती लीडरबोर्ड के लिए आपका नाम:',
+  'challenge.joinPrompt': '{name} ने आपको चुनौती दी है: {topic} · {count} प्रश्न। लीडरबोर्ड के लिए आपका नाम:',
+  'challenge.copied': 'चुनौती का लिंक कॉपी हुआ: {url}',
+  'challenge.copyPrompt': 'किसी को चुनौती देने के लिए यह लिंक भेजें:',
+  'challenge.rank': 'आप {count} में से #{rank} स्थान पर रहे।',
+  'challenge.plays': 'अब तक {count} बार खेला गया।',
+  'challenge.fixedSet': 'चुनौतियाँ तय प्रश्नों को दोहराती हैं, इसलिए और प्रश्न नहीं जोड़े जा सकते।',
+
+  // classroom assignments
+  'assign.button': 'कक्षा को असाइन करें',
+  'assign.buttonTitle': 'ये प्रश्न समय-सीमा और ग्रेडबुक के साथ किसी कक्षा को दें',
+  'assign.title': 'कक्षा को असाइन करें',
+  'assign.name': 'असाइनमेंट का शीर्षक:',
+  'assign.opens': 'खुलने का समय (वैकल्पिक):',
+  'assign.closes': 'बंद होने का समय (वैकल्पिक):',
+  'assign.attempts': 'प्रति छात्र प्रयास:',
+  'assign.roster': 'छात्र सूची (हर पंक्ति में एक नाम):',
+  'assign.rosterPlaceholder': 'Ada Lovelace\nAlan Turing',
+  'assign.code': 'कक्षा कोड:',
+  'assign.codePlaceholder': 'जैसे BIO7',
+  'assign.accessHint': 'छात्रों को सूची का कोई नाम, कक्षा कोड, या दोनों सेट होने पर दोनों चाहिए।',
+  'assign.create': 'असाइनमेंट बनाएँ',
+  'assign.cancel': 'रद्द करें',
+  'assign.created': 'छात्र लिंक अपनी कक्षा के साथ साझा करें। ग्रेडबुक लिंक अपने पास रखें: अंक देखने का यही एकमात्र तरीका है।',
+  'assign.studentLink': 'छात्र लिंक',
+  'assign.gradebookLink': 'ग्रेडबुक लिंक',
+  'assign.copy': 'छात्र लिंक कॉपी करें',
+  'assign.close': 'बंद करें',
+  'assign.copied': 'छात्र लिंक कॉपी हुआ: {url}',
+  'assign.copyPrompt': 'यह लिंक अपनी कक्षा को भेजें:',
+  'assign.notOpen': '“{title}” {date} को खुलेगा।',
+  'assign.closed': '“{title}” बंद हो चुका है।',
+  'assign.namePrompt': '{title} · {count} प्रश्न · अनुमत प्रयास: {attempts}। अपना नाम लिखें:',
+  'assign.codePrompt': 'कक्षा कोड:',
+  'assign.recorded': '“{title}” पर {name} का प्रयास {attempt}/{max} दर्ज हुआ।',
+  'assign.attemptsLeft': 'बचे प्रयास: {count}।',
+  'assign.noAttemptsLeft': 'कोई प्रयास नहीं बचा।',
+  'assign.late': 'यह समय-सीमा के बाद जमा हुआ।',
+  'assign.fixedSet': 'असाइनमेंट तय प्रश्नों का उपयोग करते हैं, इसलिए और प्रश्न नहीं जोड़े जा सकते।',
+
+  // stats dashboard
+  'stats.title': 'आपके आँकड़े',
+  'stats.mode': 'मोड:',
+  'stats.modeTitle': 'एक ही तरह खेले गए प्रयासों की तुलना करें',
+  'stats.allModes': 'सभी मोड',
+  'stats.empty': 'अभी कोई क्विज़ पूरी नहीं हुई। अपनी प्रगति देखने के लिए एक क्विज़ पूरी करें।',
+  'stats.attempts': 'प्रयास',
+  'stats.accuracy': 'सटीकता',
+  'stats.avgTime': 'औसत / प्रश्न',
+  'stats.dayStreak': 'लगातार दिन',
+  'stats.bestStreak': 'सर्वश्रेष्ठ दिन / सही क्रम',
+  'stats.overTime': 'समय के साथ प्रयास',
+  'stats.byTopic': 'विषय के अनुसार सटीकता',
+  'stats.best': 'सबसे अच्छा:',
+  'stats.worst': 'सुधार चाहिए:',
+  'stats.colTopic': 'विषय',
+  'stats.colAttempts': 'प्रयास',
+  'stats.colAccuracy': 'सटीकता',
+  'stats.colBest': 'सर्वश्रेष्ठ',
+  'stats.sync': 'सर्वर से सिंक करें',
+  'stats.clear': 'इतिहास मिटाएँ',
+  'stats.back': 'होम पर लौटें',
+  'stats.confirmClear': 'अपना स्थानीय क्विज़ इतिहास मिटाएँ?',
+  'stats.syncFailed': 'सर्वर तक नहीं पहुँच सके — आपके आँकड़े इस ब्राउज़र में सुरक्षित हैं।',
+  'stats.untitled': 'बिना शीर्षक',
+
+  // spaced repetition
+  'review.dueTitle': '{total} में से {due} कार्ड बाकी',
+  'review.emptyTitle': 'जिन प्रश्नों में चूक होती है वे दोहराने के लिए यहाँ जुड़ते हैं',
+  'review.tomorrow': 'कल',
+  'review.inDays': '{days} दिन में',
+  'review.inMonths': 'लगभग {months} महीने में',
+  'review.next': 'अगला दोहराव {when}।',
+  'review.nothingDue': 'अभी दोहराने के लिए कुछ बाकी नहीं है।',
+  'review.nextDue': ' अगला कार्ड {date} को बाकी होगा।',
+  'review.deckEmpty': 'आपका दोहराव डेक खाली है। क्विज़ में चूके प्रश्न इसमें अपने-आप जुड़ जाते हैं।',
+
+  // setup modal
+  'setup.title': 'अपनी क्विज़ सेट करें',
+  'setup.topic': 'विषय:',
+  'setup.topicPlaceholder': 'क्विज़ का विषय लिखें (जैसे JavaScript, विश्व इतिहास)',
+  'setup.count': 'प्रश्नों की संख्या:',
+  'setup.difficulty': 'कठिनाई:',
+  'setup.adaptive': 'अनुकूली — मेरे उत्तरों के आधार पर "और बनाएँ" कठिन या आसान होता है',
+  'setup.language': 'क्विज़ की भाषा:',
+  'setup.languageTitle': 'प्रश्न, विकल्प और व्याख्याएँ इसी भाषा में लिखी जाती हैं',
+  'setup.mode': 'मोड:',
+  'setup.modeTimed': 'समयबद्ध — हर प्रश्न के बाद उत्तर दिखता है',
+  'setup.modePractice': 'अभ्यास — कोई टाइमर नहीं, साथ-साथ व्याख्या',
+  'setup.modeExam': 'परीक्षा — एक समय सीमा, नतीजे अंत में',
+  'setup.modeSuddenDeath': 'सडन डेथ — पहला गलत उत्तर खेल खत्म कर देता है',
+  'setup.secondsPerQuestion': 'प्रति प्रश्न सेकंड:',
+  'setup.timeLimit': 'समय सीमा (मिनट):',
+  'setup.source': 'स्रोत सामग्री (वैकल्पिक):',
+  'setup.sourcePlaceholder': 'नोट्स या Markdown चिपकाएँ ताकि प्रश्न सिर्फ़ इसी पाठ से बनें',
+  'setup.sourceHint': 'या .txt, .md या टेक्स्ट वाली PDF अपलोड करें। फ़ाइल का नाम इस्तेमाल करने के लिए विषय खाली छोड़ें।',
+  'setup.pastedNotes': 'चिपकाए गए नोट्स',
+  'setup.types': 'प्रश्नों के प्रकार:',
+  'type.single': 'बहुविकल्पी',
+  'type.trueFalse': 'सही / गलत',
+  'type.multi': 'एक से अधिक चयन',
+  'type.short': 'लघु उत्तर',
+  'type.ordering': 'क्रम लगाना',
+  'setup.start': 'क्विज़ शुरू करें',
+  'setup.cancel': 'रद्द करें',
+
+  // report modal
+  'flag.title': 'इस प्रश्न की शिकायत करें',
+  'flag.reason': 'इसमें क्या गलत है?',
+  'flag.wrongAnswer': 'उत्तर कुंजी गलत है',
+  'flag.ambiguous': 'यह अस्पष्ट है या इसके कई सही उत्तर हैं',
+  'flag.typo': 'टाइपो या अस्पष्ट शब्द',
+  'flag.offensive': 'आपत्तिजनक या अनुचित',
+  'flag.other': 'कुछ और',
+  'flag.details': 'विवरण (वैकल्पिक):',
+  'flag.detailsPlaceholder': 'जैसे सही उत्तर B है क्योंकि…',
+  'flag.send': 'शिकायत भेजें',
+  'flag.cancel': 'रद्द करें',
+
+  // failed requests; {error} is the server's message
+  'failed.source': 'स्रोत सामग्री पढ़ी नहीं जा सकी: {error}',
+  'failed.generate': 'क्विज़ नहीं बन सकी: {error}',
+  'failed.report': 'प्रश्न की शिकायत नहीं भेजी जा सकी: {error}',
+  'failed.replace': 'प्रश्न बदला नहीं जा सका: {error}',
+  'failed.answer': 'उत्तर नहीं भेजा जा सका: {error}',
+  'failed.finish': 'क्विज़ पूरी नहीं हो सकी: {error}',
+  'failed.retry': 'दोबारा प्रयास शुरू नहीं हो सका: {error}',
+  'failed.loadQuiz': 'क्विज़ लोड नहीं हो सकी: {error}',
+  'failed.delete': 'क्विज़ हटाई नहीं जा सकी: {error}',
+  'failed.save': 'क्विज़ सहेजी नहीं जा सकी: {error}',
+  'failed.export': 'क्विज़ निर्यात नहीं हो सकी: {error}',
+  'failed.import': 'आयात नहीं हो सका: {error}',
+  'failed.reviewCards': 'दोहराव कार्ड लोड नहीं हो सके: {error}',
+  'failed.createRoom': 'रूम नहीं बन सका: {error}',
+  'failed.challenge': 'चुनौती नहीं बन सकी: {error}',
+  'failed.openChallenge': 'चुनौती खुल नहीं सकी: {error}',
+  'failed.assign': 'असाइनमेंट नहीं बन सका: {error}',
+  'failed.openAssignment': 'असाइनमेंट शुरू नहीं हो सका: {error}',
+  'failed.streamLost': 'प्रश्न बनाते समय कनेक्शन टूट गया।',
+
+  // network errors
+  'network.source': 'आपकी सामग्री अपलोड करते समय नेटवर्क त्रुटि।',
+  'network.generate': 'क्विज़ बनाते समय नेटवर्क त्रुटि।',
+  'network.report': 'प्रश्न की शिकायत भेजते समय नेटवर्क त्रुटि।',
+  'network.replace': 'प्रश्न बदलते समय नेटवर्क त्रुटि।',
+  'network.answer': 'आपका उत्तर भेजते समय नेटवर्क त्रुटि।',
+  'network.finish': 'आपकी क्विज़ जाँचते समय नेटवर्क त्रुटि।',
+  'network.retry': 'दोबारा प्रयास शुरू करते समय नेटवर्क त्रुटि।',
+  'network.restart': 'क्विज़ फिर से शुरू करते समय नेटवर्क त्रुटि।',
+  'network.loadQuiz': 'क्विज़ लोड करते समय नेटवर्क त्रुटि।',
+  'network.delete': 'क्विज़ हटाते समय नेटवर्क त्रुटि।',
+  'network.save': 'क्विज़ सहेजते समय नेटवर्क त्रुटि।',
+  'network.export': 'क्विज़ निर्यात करते समय नेटवर्क त्रुटि।',
+  'network.import': 'आयात करते समय नेटवर्क त्रुटि।',
+  'network.reviewCards': 'दोहराव कार्ड लोड करते समय नेटवर्क त्रुटि।',
+  'network.createRoom': 'रूम बनाते समय नेटवर्क त्रुटि।',
+  'network.challenge': 'चुनौती बनाते समय नेटवर्क त्रुटि।',
+  'network.openChallenge': 'चुनौती खोलते समय नेटवर्क त्रुटि।',
+  'network.assign': 'असाइनमेंट बनाते समय नेटवर्क त्रुटि।',
+  'network.openAssignment': 'असाइनमेंट खोलते समय नेटवर्क त्रुटि।'
+};
@@ -0,0 +1,443 @@
+/* multiplayer.js - live rooms: host and player views over a WebSocket */
+
+const ROOM_STORAGE_KEY = 'aiQuizVerse.room'; // { code, role, token } for reconnecting after a reload
+const ROOM_RECONNECT_ATTEMPTS = 5;
+
+const liveRoom = {
+  socket: null,
+  role: null,          // 'host' | 'player'
+  code: null,
+  token: null,         // host control token, or the player's rejoin token
+  name: null,
+  question: null,      // current publicView question
+  draft: null,         // in-progress multi / short / ordering answer
+  locked: false,       // answer sent (or time up) for the current question
+  clockOffset: 0,      // server time minus local time
+  timerHandle: null,
+  leaving: false,
+  reconnects: 0
+};
+
+const roomEls = {
+  join: document.getElementById('roomJoin'),
+  stage: document.getElementById('roomStage'),
+  codeInput: document.getElementById('roomCodeInput'),
+  nameInput: document.getElementById('roomNameInput'),
+  code: document.getElementById('roomCode'),
+  topic: document.getElementById('roomTopic'),
+  role: document.getElementById('roomRole'),
+  timer: document.getElementById('roomTimer'),
+  timerText: document.getElementById('roomTimerText'),
+  status: document.getElementById('roomStatus'),
+  question: document.getElementById('roomQuestion'),
+  questionCount: document.getElementById('roomQuestionCount'),
+  questionText: document.getElementById('roomQuestionText'),
+  options: document.getElementById('roomOptions'),
+  explanation: document.getElementById('roomExplanation'),
+  boardTitle: document.getElementById('roomBoardTitle'),
+  leaderboard: document.getElementById('roomLeaderboard'),
+  startBtn: document.getElementById('roomStartBtn'),
+  nextBtn: document.getElementById('roomNextBtn'),
+  endBtn: document.getElementById('roomEndBtn')
+};
+
+function saveRoomAuth() {
+  sessionStorage.setItem(ROOM_STORAGE_KEY, JSON.stringify({ code: liveRoom.code, role: liveRoom.role, token: liveRoom.token }));
+}
+
+function loadRoomAuth() {
+  try {
+    return JSON.parse(sessionStorage.getItem(ROOM_STORAGE_KEY) || 'null');
+  } catch (err) {
+    return null;
+  }
+}
+
+// Create a room from the current session (results screen) or a saved quiz (library)
+async function hostRoom({ sessionId: fromSession, quizId } = {}) {
+  const input = prompt(t('room.secondsPrompt'), '20');
+  if (input === null) return;
+  const seconds = Math.min(300, Math.max(5, parseInt(input, 10) || 20));
+  try {
+    const resp = await fetch('/rooms', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ session_id: fromSession, quiz_id: quizId, seconds })
+    });
+    const data = await resp.json();
+    if (!resp.ok) {
+      alert(t('failed.createRoom', { error: data.error || t('error.server') }));
+      return;
+    }
+    connectRoom({ type: 'host', code: data.code, token: data.host_token });
+  } catch (err) {
+    console.error('Room error', err);
+    alert(t('network.createRoom'));
+  }
+}
+
+function showJoinRoom(code = '') {
+  roomEls.join.hidden = false;
+  roomEls.stage.hidden = true;
+  roomEls.codeInput.value = code;
+  showSection('room');
+  (code ? roomEls.nameInput : roomEls.codeInput).focus();
+}
+
+function joinRoom() {
+  const code = roomEls.codeInput.value.trim().toUpperCase();
+  const name = roomEls.nameInput.value.trim();
+  if (code.length !== 6) {
+    alert(t('room.enterCode'));
+    return;
+  }
+  if (!name) {
+    alert(t('room.enterName'));
+    return;
+  }
+  connectRoom({ type: 'join', code, name });
+}
+
+// Open the socket and authenticate as host or player; reconnects use the stored token
+function connectRoom(hello) {
+  if (liveRoom.socket) {
+    liveRoom.leaving = true;
+    liveRoom.socket.close();
+  }
+  liveRoom.leaving = false;
+  liveRoom.role = null;
+  liveRoom.question = null;
+  if (hello.token) liveRoom.token = hello.token;
+  if (hello.type === 'host') liveRoom.name = null;
+  const protocol = location.protocol === 'https:' ? 'wss' : 'ws';
+  const socket = new WebSocket(`${protocol}://${location.host}/ws`);
+  liveRoom.socket = socket;
+  socket.onopen = () => {
+    liveRoom.reconnects = 0;
+    socket.send(JSON.stringify(hello));
+  };
+  socket.onmessage = (e) => {
+    try {
+      handleRoomMessage(JSON.parse(e.data));
+    } catch (err) {
+      console.error('Bad room message', err);
+    }
+  };
+  socket.onclose = () => {
+    if (liveRoom.socket !== socket || liveRoom.leaving) return;
+    const auth = loadRoomAuth();
+    if (!auth || liveRoom.reconnects >= ROOM_RECONNECT_ATTEMPTS) {
+      roomEls.status.textContent = t('room.disconnected');
+      return;
+    }
+    liveRoom.reconnects++;
+    roomEls.status.textContent = t('room.reconnecting');
+    setTimeout(() => {
+      if (!liveRoom.leaving) connectRoom({ type: auth.role === 'host' ? 'host' : 'join', code: auth.code, token: auth.token });
+    }, 1500);
+  };
+}
+
+function sendRoom(msg) {
+  if (liveRoom.socket && liveRoom.socket.readyState === WebSocket.OPEN) {
+    liveRoom.socket.send(JSON.stringify(msg));
+  }
+}
+
+// Pick a room back up after a page reload, or open the join form for ?room=CODE links
+function resumeRoom() {
+  const auth = loadRoomAuth();
+  if (auth && auth.code && auth.token) {
+    connectRoom({ type: auth.role === 'host' ? 'host' : 'join', code: auth.code, token: auth.token });
+    return;
+  }
+  const code = new URLSearchParams(location.search).get('room');
+  if (code) showJoinRoom(code.toUpperCase());
+}
+
+function endRoom() {
+  if (confirm(t('room.confirmEnd'))) sendRoom({ type: 'end' });
+}
+
+function leaveRoom() {
+  liveRoom.leaving = true;
+  stopRoomTimer();
+  if (liveRoom.socket) liveRoom.socket.close();
+  liveRoom.socket = null;
+  sessionStorage.removeItem(ROOM_STORAGE_KEY);
+  showSection('home');
+}
+
+function handleRoomMessage(msg) {
+  switch (msg.type) {
+    case 'joined':
+      liveRoom.role = msg.role;
+      liveRoom.code = msg.code;
+      if (msg.token) liveRoom.token = msg.token;
+      if (msg.name) liveRoom.name = msg.name;
+      saveRoomAuth();
+      showRoomStage(msg);
+      break;
+    case 'lobby':
+      if (!liveRoom.question) renderRoomPlayers(msg.players);
+      break;
+    case 'question':
+      renderRoomQuestion(msg);
+      break;
+    case 'answered':
+      roomEls.status.textContent = t('room.answeredCount', { count: msg.count, expected: msg.expected });
+      break;
+    case 'answer_ack':
+      liveRoom.locked = true;
+      lockInputs(roomEls.options);
+      roomEls.status.textContent = t('room.answerLocked');
+      break;
+    case 'reveal':
+      renderRoomReveal(msg);
+      break;
+    case 'finished':
+      renderRoomFinished(msg);
+      break;
+    case 'error':
+      roomEls.status.textContent = msg.error;
+      // a bad code or a game that already started: back to the join form
+      if (!liveRoom.role && (msg.status === 404 || msg.status === 409 || msg.status === 403)) {
+        liveRoom.leaving = true;
+        sessionStorage.removeItem(ROOM_STORAGE_KEY);
+        alert(msg.error);
+        showJoinRoom(roomEls.codeInput.value);
+      }
+      break;
+    default:
+      break;
+  }
+}
+
+function showRoomStage(msg) {
+  roomEls.join.hidden = true;
+  roomEls.stage.hidden = false;
+  roomEls.code.textContent = msg.code;
+  roomEls.topic.textContent = msg.topic;
+  roomEls.role.textContent = msg.role === 'host'
+    ? t('room.hosting', { count: msg.total })
+    : t('room.playingAs', { name: liveRoom.name, count: msg.total });
+  roomEls.startBtn.hidden = msg.role !== 'host' || msg.state !== 'lobby';
+  roomEls.endBtn.hidden = msg.role !== 'host';
+  roomEls.nextBtn.hidden = true;
+  roomEls.status.textContent = msg.state === 'lobby'
+    ? (msg.role === 'host' ? t('room.hostLobby') : t('room.playerLobby'))
+    : '';
+  showSection('room');
+}
+
+function renderRoomPlayers(players) {
+  roomEls.boardTitle.textContent = t('room.playersCount', { count: players.length });
+  roomEls.leaderboard.innerHTML = '';
+  players.forEach(p => {
+    const item = document.createElement('li');
+    if (!p.connected) item.classList.add('is-offline');
+    if (p.name === liveRoom.name) item.classList.add('is-you');
+    const name = document.createElement('span');
+    name.className = 'room-player';
+    name.textContent = p.name;
+    item.appendChild(name);
+    roomEls.leaderboard.appendChild(item);
+  });
+}
+
+function renderLeaderboard(board, title) {
+  roomEls.boardTitle.textContent = title;
+  roomEls.leaderboard.innerHTML = '';
+  board.forEach(row => {
+    const item = document.createElement('li');
+    if (row.name === liveRoom.name) item.classList.add('is-you');
+    const rank = document.createElement('span');
+    rank.className = 'room-rank';
+    rank.textContent = `#${row.rank}`;
+    const name = document.createElement('span');
+    name.className = 'room-player';
+    name.textContent = t('room.correctCount', { name: row.name, count: row.correct });
+    const gain = document.createElement('span');
+    gain.className = 'room-gain';
+    gain.textContent = row.last_points ? `+${row.last_points}` : '';
+    const score = document.createElement('span');
+    score.className = 'room-score';
+    score.textContent = String(row.score);
+    item.append(rank, name, gain, score);
+    roomEls.leaderboard.appendChild(item);
+  });
+}
+
+function renderRoomQuestion(msg) {
+  const q = msg.question;
+  liveRoom.question = q;
+  liveRoom.locked = false;
+  liveRoom.draft = q.type === 'ordering' ? q.options.map((_, i) => i) : (q.type === 'multi' ? [] : '');
+  liveRoom.clockOffset = msg.server_now - Date.now();
+  roomEls.startBtn.hidden = true;
+  roomEls.nextBtn.hidden = liveRoom.role !== 'host';
+  roomEls.nextBtn.textContent = t('room.revealNow');
+  roomEls.question.hidden = false;
+  roomEls.questionCount.textContent = t('room.questionCount', { current: msg.index + 1, total: msg.total });
+  roomEls.questionText.textContent = q.question;
+  roomEls.explanation.textContent = '';
+  roomEls.status.textContent = liveRoom.role === 'host' ? t('room.waitingAnswers') : '';
+  renderRoomInputs();
+  startRoomTimer(msg.ends_at);
+}
+
+// Player inputs per question type; the host sees the same question read-only
+function renderRoomInputs() {
+  const q = liveRoom.question;
+  const container = roomEls.options;
+  container.innerHTML = '';
+  const isHost = liveRoom.role === 'host';
+
+  if (q.type === 'short') {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'short-answer-input';
+    input.placeholder = isHost ? t('room.playersType') : t('answer.placeholder');
+    input.value = liveRoom.draft;
+    input.oninput = () => { liveRoom.draft = input.value; };
+    input.onkeydown = (e) => { if (e.key === 'Enter') submitRoomAnswer(); };
+    container.appendChild(input);
+  } else if (q.type === 'ordering') {
+    const list = document.createElement('ol');
+    list.className = 'ordering-list';
+    liveRoom.draft.forEach((optIdx, pos) => {
+      const item = document.createElement('li');
+      item.className = 'ordering-item';
+      const text = document.createElement('span');
+      text.className = 'option-text';
+      text.textContent = q.options[optIdx];
+      item.appendChild(text);
+      [['▲', -1], ['▼', 1]].forEach(([label, dir]) => {
+        const btn = document.createElement('button');
+        btn.className = 'ordering-move';
+        btn.textContent = label;
+        btn.disabled = pos + dir < 0 || pos + dir >= liveRoom.draft.length;
+        btn.onclick = () => {
+          const order = liveRoom.draft;
+          [order[pos], order[pos + dir]] = [order[pos + dir], order[pos]];
+          renderRoomInputs();
+        };
+        item.appendChild(btn);
+      });
+      list.appendChild(item);
+    });
+    container.appendChild(list);
+  } else {
+    q.options.forEach((opt, idx) => {
+      const btn = createOptionButton(idx, opt);
+      if (q.type === 'multi') {
+        btn.classList.add('option-multi');
+        btn.classList.toggle('selected', liveRoom.draft.includes(idx));
+        btn.onclick = () => {
+          liveRoom.draft = liveRoom.draft.includes(idx)
+            ? liveRoom.draft.filter(i => i !== idx)
+            : liveRoom.draft.concat(idx);
+          btn.classList.toggle('selected');
+        };
+      } else {
+        btn.onclick = () => {
+          btn.classList.add('selected');
+          liveRoom.draft = idx;
+          submitRoomAnswer();
+        };
+      }
+      container.appendChild(btn);
+    });
+  }
+
+  if (q.type !== 'single' && q.type !== 'true_false') {
+    const submit = document.createElement('button');
+    submit.className = 'btn btn-primary submit-answer-btn';
+    submit.textContent = t('answer.submit');
+    submit.onclick = submitRoomAnswer;
+    container.appendChild(submit);
+  }
+  if (isHost || liveRoom.locked) lockInputs(container);
+}
+
+function submitRoomAnswer() {
+  if (liveRoom.role !== 'player' || liveRoom.locked || !liveRoom.question) return;
+  const q = liveRoom.question;
+  const answer = q.type === 'ordering' ? liveRoom.draft.slice() : liveRoom.draft;
+  if (q.type === 'multi' && !answer.length) return;
+  if (q.type === 'short' && !String(answer).trim()) return;
+  liveRoom.locked = true;
+  sendRoom({ type: 'answer', answer });
+}
+
+// The countdown follows the server's deadline, corrected for clock skew
+function startRoomTimer(endsAt) {
+  stopRoomTimer();
+  roomEls.timer.hidden = false;
+  const tick = () => {
+    const left = Math.max(0, Math.ceil((endsAt - (Date.now() + liveRoom.clockOffset)) / 1000));
+    roomEls.timerText.textContent = String(left);
+    if (left === 0) {
+      stopRoomTimer();
+      if (!liveRoom.locked) lockInputs(roomEls.options);
+    }
+  };
+  tick();
+  liveRoom.timerHandle = setInterval(tick, 250);
+}
+
+function stopRoomTimer() {
+  clearInterval(liveRoom.timerHandle);
+  liveRoom.timerHandle = null;
+}
+
+function renderRoomReveal(msg) {
+  stopRoomTimer();
+  roomEls.timer.hidden = true;
+  const q = liveRoom.question;
+  if (q && q.id === msg.index) {
+    lockInputs(roomEls.options);
+    const buttons = Array.from(roomEls.options.querySelectorAll('.option-btn'));
+    const correct = Array.isArray(msg.solution) ? msg.solution : [msg.solution];
+    if (q.type === 'short') {
+      appendReveal(roomEls.options, t('answer.accepted', { answers: msg.solution.join(' / ') }), true);
+    } else if (q.type === 'ordering') {
+      appendReveal(roomEls.options, t('answer.correctOrder', { order: msg.solution.map(i => q.options[i]).join(' → ') }), true);
+    } else {
+      buttons.forEach((btn, idx) => {
+        if (correct.includes(idx)) btn.classList.add('correct');
+        else if (btn.classList.contains('selected')) btn.classList.add('incorrect');
+      });
+    }
+  }
+  roomEls.explanation.textContent = msg.explanation;
+  if (msg.you) {
+    const points = { points: msg.you.points };
+    roomEls.status.textContent = !msg.you.answered
+      ? t('room.timeRanOut')
+      : (msg.you.points ? t(msg.you.correct ? 'room.correctPoints' : 'room.partlyPoints', points) : t('room.noPoints'));
+  } else {
+    roomEls.status.textContent = msg.last ? t('room.lastQuestion') : t('room.showStandings');
+  }
+  if (liveRoom.role === 'host') {
+    roomEls.nextBtn.hidden = false;
+    roomEls.nextBtn.textContent = msg.last ? t('room.finalResults') : t('quiz.next');
+  }
+  renderLeaderboard(msg.leaderboard, t('room.leaderboard'));
+}
+
+function renderRoomFinished(msg) {
+  stopRoomTimer();
+  liveRoom.question = null;
+  roomEls.timer.hidden = true;
+  roomEls.question.hidden = true;
+  roomEls.startBtn.hidden = true;
+  roomEls.nextBtn.hidden = true;
+  roomEls.endBtn.hidden = true;
+  const mine = msg.leaderboard.find(row => row.name === liveRoom.name);
+  roomEls.status.textContent = mine
+    ? t('room.gameOverRank', { rank: mine.rank, count: msg.leaderboard.length, score: mine.score })
+    : t('room.gameOver');
+  renderLeaderboard(msg.leaderboard, t('room.finalStandings'));
+  sessionStorage.removeItem(ROOM_STORAGE_KEY);
+}
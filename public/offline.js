@@ -0,0 +1,318 @@
+/* offline.js - installable app, quizzes kept in IndexedDB for offline play, queued result sync */
+
+const OFFLINE_DB_NAME = 'aiQuizVerse';
+const OFFLINE_DB_VERSION = 1;
+const OFFLINE_MAX_PLAYED = 30;   // played quizzes kept; downloaded ones stay until removed
+const OFFLINE_SYNC_BATCH = 50;   // results per /offline/results request
+
+const offlineEls = {
+  library: document.getElementById('offlineLibrary'),
+  list: document.getElementById('offlineList'),
+  banner: document.getElementById('offlineBanner'),
+  moreBtn: document.getElementById('moreBtn')
+};
+
+let offlineDbPromise = null;
+let offlineQuizIds = new Set();  // ids of the quizzes stored on this device
+let offlineSync = null;          // settles when the running outbox sync is done
+
+// Two stores: quizzes { id, kind: played | downloaded, topic, count, stored_at, pack, signature }
+// and outbox { id, pack, signature, answers, duration_ms, finished_at } (results not yet synced)
+function openOfflineDb() {
+  if (!offlineDbPromise) {
+    offlineDbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) return reject(new Error('IndexedDB is not available in this browser.'));
+      const req = indexedDB.open(OFFLINE_DB_NAME, OFFLINE_DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains('quizzes')) db.createObjectStore('quizzes', { keyPath: 'id' });
+        if (!db.objectStoreNames.contains('outbox')) db.createObjectStore('outbox', { keyPath: 'id' });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+  return offlineDbPromise;
+}
+
+// One request in its own transaction, resolved once the transaction has committed
+async function offlineRequest(storeName, mode, makeRequest) {
+  const db = await openOfflineDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const req = makeRequest(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+const offlineDb = {
+  get: (store, id) => offlineRequest(store, 'readonly', s => s.get(id)),
+  all: (store) => offlineRequest(store, 'readonly', s => s.getAll()),
+  put: (store, value) => offlineRequest(store, 'readwrite', s => s.put(value)),
+  remove: (store, id) => offlineRequest(store, 'readwrite', s => s.delete(id))
+};
+
+// Local scoring while offline runs the server's own rules (lib/scoring.js, served
+// as /scoring.js). The server scores the answers again when they are synced.
+function scoreOfflineAnswer(q, id, answer) {
+  return quizScoring.answerRecord(q, id, answer);
+}
+
+async function fetchOfflinePack(url) {
+  const resp = await fetch(url);
+  const data = await resp.json();
+  if (!resp.ok) throw new Error(data.error || t('error.server'));
+  return data;
+}
+
+// Keep a signed pack on this device. A quiz that was downloaded stays downloaded
+// when it is played again; only the newest OFFLINE_MAX_PLAYED played quizzes are kept.
+async function storeOfflinePack({ pack, signature }, kind) {
+  const existing = await offlineDb.get('quizzes', pack.id);
+  await offlineDb.put('quizzes', {
+    id: pack.id,
+    kind: existing && existing.kind === 'downloaded' ? 'downloaded' : kind,
+    topic: pack.topic,
+    count: pack.questions.length,
+    stored_at: new Date().toISOString(),
+    pack,
+    signature
+  });
+  const played = (await offlineDb.all('quizzes'))
+    .filter(entry => entry.kind === 'played')
+    .sort((a, b) => b.stored_at.localeCompare(a.stored_at));
+  await Promise.all(played.slice(OFFLINE_MAX_PLAYED).map(entry => offlineDb.remove('quizzes', entry.id)));
+}
+
+// A finished online session stays playable without a connection
+async function keepPlayedQuiz(finishedSessionId) {
+  try {
+    await storeOfflinePack(await fetchOfflinePack(`/sessions/${encodeURIComponent(finishedSessionId)}/offline`), 'played');
+    renderOfflineQuizzes();
+  } catch (err) {
+    console.warn('Could not keep the quiz for offline play', err);
+  }
+}
+
+// Library "Save Offline" button
+async function downloadQuiz(quizId) {
+  try {
+    await storeOfflinePack(await fetchOfflinePack(`/quizzes/${encodeURIComponent(quizId)}/offline`), 'downloaded');
+  } catch (err) {
+    console.error('Offline download error', err);
+    alert(t('offline.saveFailed', { error: err.message }));
+    return;
+  }
+  await renderOfflineQuizzes();
+  loadLibrary();
+}
+
+async function removeOfflineQuiz(id, topic) {
+  if (!confirm(t('offline.confirmRemove', { topic }))) return;
+  await offlineDb.remove('quizzes', id);
+  await renderOfflineQuizzes();
+  loadLibrary();
+}
+
+// "Available offline" list on the home screen
+async function renderOfflineQuizzes() {
+  let entries = [];
+  try {
+    entries = await offlineDb.all('quizzes');
+  } catch (err) {
+    console.warn('Offline storage unavailable', err);
+  }
+  offlineQuizIds = new Set(entries.map(entry => entry.id));
+  offlineEls.library.hidden = entries.length === 0;
+  offlineEls.list.innerHTML = '';
+  entries
+    .sort((a, b) => b.stored_at.localeCompare(a.stored_at))
+    .forEach(entry => {
+      const item = document.createElement('li');
+      item.className = 'library-item';
+
+      const info = document.createElement('div');
+      info.className = 'library-info';
+      const title = document.createElement('span');
+      title.className = 'library-topic';
+      title.textContent = entry.topic;
+      const meta = document.createElement('span');
+      meta.className = 'library-meta';
+      const vars = { count: entry.count, date: formatDate(entry.stored_at) };
+      meta.textContent = entry.kind === 'downloaded' ? t('offline.metaSaved', vars) : t('offline.metaPlayed', vars);
+      info.append(title, meta);
+
+      const play = document.createElement('button');
+      play.className = 'btn btn-primary btn-small';
+      play.textContent = t('library.play');
+      play.onclick = () => playOfflineQuiz(entry.id);
+
+      const remove = document.createElement('button');
+      remove.className = 'btn btn-outline btn-small';
+      remove.textContent = t('offline.remove');
+      remove.onclick = () => removeOfflineQuiz(entry.id, entry.topic);
+
+      item.append(info, play, remove);
+      offlineEls.list.appendChild(item);
+    });
+}
+
+// Play a stored quiz entirely in the browser
+async function playOfflineQuiz(id) {
+  const entry = await offlineDb.get('quizzes', id).catch(() => null);
+  if (!entry) {
+    alert(t('offline.gone'));
+    renderOfflineQuizzes();
+    return;
+  }
+  playSession({
+    topic: entry.topic,
+    session_id: null,
+    mode: currentMode,
+    language: entry.pack.language || 'en',
+    questions: entry.pack.questions.map(quizScoring.publicView)
+  });
+  offlineQuiz = entry;
+  updateQuestionTools(quizData[currentQuestionIndex]);
+  els.saveQuizBtn.disabled = true;
+}
+
+// Score a quiz played from this device and queue it for the server.
+// Returns what the results screen needs: { id, result, review }.
+async function finishOfflineQuiz() {
+  const questions = offlineQuiz.pack.questions;
+  const records = questions.map((q, i) => answerFeedback[i] || null);
+  const total = questions.length;
+  const correct = records.filter(r => r && r.correct).length;
+  const answered = records.filter(r => r && r.answered).length;
+  const points = records.reduce((sum, r) => sum + (r ? r.score : 0), 0);
+  const finishedAt = new Date().toISOString();
+  const durationMs = Date.now() - quizStartTime.getTime();
+  const id = `offline-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+  await offlineDb.put('outbox', {
+    id,
+    pack: offlineQuiz.pack,
+    signature: offlineQuiz.signature,
+    mode: quizMode,
+    answers: records.filter(Boolean).map(r => ({ question_id: r.question_id, answer: r.selected })),
+    duration_ms: durationMs,
+    finished_at: finishedAt
+  });
+
+  const result = {
+    session_id: null,
+    topic: offlineQuiz.topic,
+    total,
+    correct,
+    wrong: total - correct,
+    unanswered: total - answered,
+    points: Math.round(points * 100) / 100,
+    percent: total ? Math.round((points / total) * 100) : 0,
+    duration_ms: durationMs,
+    finished_at: finishedAt,
+    mode: quizMode,
+    offline: true
+  };
+  const review = questions.map((q, i) => {
+    const r = records[i];
+    return {
+      question_id: i,
+      type: q.type || 'single',
+      answered: Boolean(r && r.answered),
+      selected: r ? r.selected : null,
+      score: r ? r.score : 0,
+      correct: Boolean(r && r.correct),
+      solution: quizScoring.solutionOf(q),
+      explanation: q.explanation || ''
+    };
+  });
+  updateConnectionState();
+  return { id, result, review };
+}
+
+// Send queued offline results; each comes back scored again and signed by the server
+function syncOfflineResults() {
+  if (!offlineSync) offlineSync = sendOfflineResults().finally(() => { offlineSync = null; });
+  return offlineSync;
+}
+
+async function sendOfflineResults() {
+  if (!navigator.onLine) return;
+  let queued;
+  try {
+    queued = await offlineDb.all('outbox');
+  } catch (err) {
+    return;
+  }
+  for (let i = 0; i < queued.length; i += OFFLINE_SYNC_BATCH) {
+    let data;
+    try {
+      const resp = await fetch('/offline/results', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ results: queued.slice(i, i + OFFLINE_SYNC_BATCH) })
+      });
+      data = await resp.json();
+      if (!resp.ok) throw new Error(data.error || t('error.server'));
+    } catch (err) {
+      // still offline or the server is down; try again on the next reconnect
+      console.warn('Offline results not synced yet', err);
+      break;
+    }
+    for (const item of data.results) {
+      if (!item.id) continue;
+      if (item.status === 'ok') {
+        const { result, signature } = item;
+        updateAttempt(item.id, {
+          percent: result.percent,
+          correct: result.correct,
+          wrong: result.wrong,
+          unanswered: result.unanswered,
+          result,
+          signature
+        });
+        addMissedToReviewDeck(result.session_id);
+      } else {
+        // the server can never accept it (e.g. its signing key changed); the local attempt stays
+        console.warn(`Offline result ${item.id} was not accepted: ${item.error}`);
+      }
+      await offlineDb.remove('outbox', item.id);
+    }
+  }
+  updateConnectionState();
+}
+
+// Offline banner, and a "Generate More" button that says it needs the network
+async function updateConnectionState() {
+  const online = navigator.onLine;
+  document.body.classList.toggle('is-offline', !online);
+  offlineEls.moreBtn.disabled = !online;
+  offlineEls.moreBtn.textContent = online ? t('quiz.more') : t('offline.moreNeedsNetwork');
+  offlineEls.moreBtn.title = online ? '' : t('offline.moreNeedsNetworkTitle');
+
+  let pending = 0;
+  try {
+    pending = (await offlineDb.all('outbox')).length;
+  } catch (err) {
+    // no IndexedDB, nothing can be queued
+  }
+  const waiting = !pending ? '' : pending === 1 ? t('offline.pendingOne') : t('offline.pendingMany', { count: pending });
+  offlineEls.banner.hidden = online;
+  offlineEls.banner.textContent = t('offline.banner') + waiting;
+}
+
+window.addEventListener('online', () => {
+  updateConnectionState();
+  syncOfflineResults();
+});
+window.addEventListener('offline', updateConnectionState);
+
+// The service worker caches the app shell so the page itself opens offline
+if ('serviceWorker' in navigator) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch(err => console.warn('Service worker registration failed', err));
+  });
+}
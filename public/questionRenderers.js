@@ -0,0 +1,190 @@
+/* questionRenderers.js - per-type question rendering and answer reveal */
+
+// Each type renders its inputs into the options container and, once the server
+// has scored the answer, reveals the solution. Draft answers for multi-select,
+// short answer and ordering live in draftAnswers (script.js) until submitted.
+
+function createOptionButton(idx, text) {
+  const btn = document.createElement('button');
+  btn.className = 'option-btn';
+  const letter = document.createElement('span');
+  letter.className = 'option-letter';
+  letter.textContent = String.fromCharCode(65 + idx);
+  const label = document.createElement('span');
+  label.className = 'option-text';
+  label.textContent = text;
+  btn.append(letter, label);
+  return btn;
+}
+
+function createSubmitButton(label = t('answer.submit')) {
+  const btn = document.createElement('button');
+  btn.className = 'btn btn-primary submit-answer-btn';
+  btn.textContent = label;
+  btn.onclick = () => submitDraftAnswer();
+  return btn;
+}
+
+function appendReveal(container, text, correct) {
+  const p = document.createElement('p');
+  p.className = `answer-reveal ${correct ? 'is-correct' : 'is-incorrect'}`;
+  p.textContent = text;
+  container.appendChild(p);
+}
+
+function lockInputs(container) {
+  container.querySelectorAll('button, input').forEach(el => {
+    el.disabled = true;
+    el.style.pointerEvents = 'none';
+  });
+}
+
+const questionRenderers = {
+  single: {
+    render(q, container) {
+      q.options.forEach((opt, idx) => {
+        const btn = createOptionButton(idx, opt);
+        btn.onclick = () => onOptionClicked(idx);
+        container.appendChild(btn);
+      });
+    },
+    reveal(q, feedback, container) {
+      const buttons = Array.from(container.querySelectorAll('.option-btn'));
+      // show correct
+      if (buttons[feedback.solution]) buttons[feedback.solution].classList.add('correct');
+      // show incorrect selection
+      if (!feedback.correct && feedback.answered && buttons[feedback.selected]) {
+        buttons[feedback.selected].classList.add('incorrect');
+      }
+      lockInputs(container);
+    }
+  },
+
+  multi: {
+    render(q, container, draft) {
+      const hint = document.createElement('p');
+      hint.className = 'question-hint';
+      hint.textContent = q.select_count ? t('answer.selectCount', { count: q.select_count }) : t('answer.selectAll');
+      container.appendChild(hint);
+      q.options.forEach((opt, idx) => {
+        const btn = createOptionButton(idx, opt);
+        btn.classList.add('option-multi');
+        if (draft && draft.includes(idx)) btn.classList.add('selected');
+        btn.onclick = () => onOptionClicked(idx);
+        container.appendChild(btn);
+      });
+      container.appendChild(createSubmitButton());
+    },
+    reveal(q, feedback, container) {
+      const buttons = Array.from(container.querySelectorAll('.option-btn'));
+      const selected = feedback.selected || [];
+      buttons.forEach((btn, idx) => {
+        btn.classList.toggle('selected', selected.includes(idx));
+        if (feedback.solution.includes(idx)) btn.classList.add('correct');
+        else if (selected.includes(idx)) btn.classList.add('incorrect');
+      });
+      if (!feedback.correct && feedback.score > 0) {
+        appendReveal(container, t('answer.partial', { percent: Math.round(feedback.score * 100) }), false);
+      }
+      lockInputs(container);
+    }
+  },
+
+  short: {
+    render(q, container, draft) {
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.className = 'short-answer-input';
+      input.placeholder = t('answer.placeholder');
+      input.value = draft || '';
+      input.oninput = () => { draftAnswers[currentQuestionIndex] = input.value; };
+      input.onkeydown = (e) => {
+        if (e.key === 'Enter') submitDraftAnswer();
+      };
+      container.append(input, createSubmitButton());
+      setTimeout(() => input.focus(), 0);
+    },
+    reveal(q, feedback, container) {
+      const input = container.querySelector('.short-answer-input');
+      if (input) {
+        input.value = feedback.selected || '';
+        input.classList.add(feedback.correct ? 'correct' : 'incorrect');
+      }
+      if (!feedback.correct) appendReveal(container, t('answer.accepted', { answers: feedback.solution.join(' / ') }), false);
+      lockInputs(container);
+    }
+  },
+
+  ordering: {
+    render(q, container, draft) {
+      const order = draft || q.options.map((_, i) => i);
+      draftAnswers[currentQuestionIndex] = order;
+      const list = document.createElement('ol');
+      list.className = 'ordering-list';
+      order.forEach((optIdx, pos) => {
+        const item = document.createElement('li');
+        item.className = 'ordering-item';
+        const text = document.createElement('span');
+        text.className = 'option-text';
+        text.textContent = q.options[optIdx];
+        const up = document.createElement('button');
+        up.className = 'ordering-move';
+        up.textContent = '▲';
+        up.title = t('answer.moveUp');
+        up.disabled = pos === 0;
+        up.onclick = () => moveOrderingItem(pos, -1);
+        const down = document.createElement('button');
+        down.className = 'ordering-move';
+        down.textContent = '▼';
+        down.title = t('answer.moveDown');
+        down.disabled = pos === order.length - 1;
+        down.onclick = () => moveOrderingItem(pos, 1);
+        item.append(text, up, down);
+        list.appendChild(item);
+      });
+      container.append(list, createSubmitButton());
+    },
+    reveal(q, feedback, container) {
+      const items = Array.from(container.querySelectorAll('.ordering-item'));
+      const order = feedback.selected || q.options.map((_, i) => i);
+      items.forEach((item, pos) => {
+        item.classList.add(order[pos] === feedback.solution[pos] ? 'correct' : 'incorrect');
+      });
+      if (!feedback.correct) {
+        appendReveal(container, t('answer.correctOrder', { order: feedback.solution.map(i => q.options[i]).join(' → ') }), false);
+      }
+      lockInputs(container);
+    }
+  }
+};
+questionRenderers.true_false = questionRenderers.single;
+
+// Readable form of an answer or solution, e.g. for the results review list
+function answerText(q, value) {
+  const option = i => `${String.fromCharCode(65 + i)}) ${q.options[i]}`;
+  switch (q.type) {
+    case 'multi':
+      return value.map(option).join(', ');
+    case 'short':
+      return Array.isArray(value) ? value.join(' / ') : value;
+    case 'ordering':
+      return value.map(i => q.options[i]).join(' → ');
+    default:
+      return option(value);
+  }
+}
+
+function rendererFor(q) {
+  return questionRenderers[q.type] || questionRenderers.single;
+}
+
+// Reorder the current ordering draft and redraw
+function moveOrderingItem(pos, delta) {
+  const order = draftAnswers[currentQuestionIndex].slice();
+  const target = pos + delta;
+  if (target < 0 || target >= order.length) return;
+  [order[pos], order[target]] = [order[target], order[pos]];
+  draftAnswers[currentQuestionIndex] = order;
+  els.optionsContainer.innerHTML = '';
+  rendererFor(quizData[currentQuestionIndex]).render(quizData[currentQuestionIndex], els.optionsContainer, order);
+}
@@ -0,0 +1,86 @@
+/* review.js - spaced-repetition review deck of missed questions (scheduled on the server) */
+
+const reviewEls = {
+  button: document.getElementById('reviewBtn'),
+  count: document.getElementById('reviewDueCount')
+};
+
+function updateReviewButton(summary) {
+  if (!summary) return;
+  reviewEls.count.textContent = String(summary.due);
+  reviewEls.count.hidden = !summary.due;
+  reviewEls.button.title = summary.total
+    ? t('review.dueTitle', { due: summary.due, total: summary.total })
+    : t('review.emptyTitle');
+}
+
+async function refreshReviewSummary() {
+  try {
+    const resp = await fetch(`/review/summary?client_id=${encodeURIComponent(getStatsClientId())}`);
+    const data = await resp.json();
+    if (!resp.ok) throw new Error(data.error || t('error.server'));
+    updateReviewButton(data);
+  } catch (err) {
+    console.warn('Review summary failed', err);
+  }
+}
+
+// Put every missed or timed-out question of a finished session into the deck
+async function addMissedToReviewDeck(finishedSessionId) {
+  try {
+    const resp = await fetch('/review/cards', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ client_id: getStatsClientId(), session_id: finishedSessionId })
+    });
+    const data = await resp.json();
+    if (!resp.ok) throw new Error(data.error || t('error.server'));
+    updateReviewButton(data);
+  } catch (err) {
+    console.warn('Could not add missed questions to the review deck', err);
+  }
+}
+
+function describeInterval(days) {
+  if (days <= 1) return t('review.tomorrow');
+  if (days < 60) return t('review.inDays', { days });
+  return t('review.inMonths', { months: Math.round(days / 30) });
+}
+
+// Shown under the answer in review sessions
+function describeNextReview(review) {
+  return t('review.next', { when: describeInterval(review.interval_days) });
+}
+
+// Serve the cards whose interval has come due
+async function startReview() {
+  showLoading(true, t('loading.dueCards'));
+  try {
+    const resp = await fetch('/review/session', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ client_id: getStatsClientId() })
+    });
+    const data = await resp.json();
+    showLoading(false);
+    if (!resp.ok) {
+      alert(t('failed.reviewCards', { error: data.error || t('error.server') }));
+      return;
+    }
+    if (!data.questions.length) {
+      updateReviewButton(data);
+      const next = data.next_due_at ? t('review.nextDue', { date: formatDateTime(data.next_due_at) }) : '';
+      alert(data.total ? t('review.nothingDue') + next : t('review.deckEmpty'));
+      return;
+    }
+    playSession(data);
+    reviewMode = true;
+    updateQuestionTools(quizData[currentQuestionIndex]);
+    // cards come from many quizzes, nothing to save
+    els.saveQuizBtn.disabled = true;
+  } catch (err) {
+    console.error('Review load error', err);
+    showLoading(false);
+    alert(t('network.reviewCards'));
+  }
+}
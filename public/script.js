@@ -1,22 +1,45 @@
 /* script.js - frontend integration with /generate-quiz backend */
 
-let quizData = [];               // array of {question, options[], answer_index, explanation}
+let quizData = [];               // array of {id, type, question, options[]} — answers stay on the server
 let currentQuestionIndex = 0;
-let selectedAnswers = [];        // store selected option index
-let score = 0;
+let selectedAnswers = [];        // submitted answer per question (null when time ran out)
+let draftAnswers = [];           // in-progress answers for multi-select, short answer and ordering
+let answerFeedback = [];         // server feedback per question: {correct, score, selected, solution, explanation}
+let sessionId = null;            // server-side quiz session holding the answer key
+let lastResult = null;           // signed result returned by /sessions/:id/finish
+let resultReview = [];           // per-question answers and solutions of the finished session
+let reviewFilter = 'all';        // all | wrong | unanswered
+let questionTimes = [];          // ms spent on each question before answering
+let questionShownAt = 0;
 let timeLeft = 30;
 let timerHandle = null;
 let quizStartTime = null;
 
-let previousQuestions = [];      // store question texts to avoid duplicates
 let currentTopic = '';
 let currentCount = 5;
+let currentTypes = ['single'];
+let currentSourceId = null;      // uploaded source material the quiz is grounded in
+let currentDifficulty = 'medium'; // easy | medium | hard | expert
+let adaptiveMode = false;        // let "Generate More" step difficulty from recent accuracy
+let currentMode = DEFAULT_QUIZ_MODE; // mode chosen in the setup modal (see lib/quizModes.js)
+let currentLanguage = null;      // quiz language chosen in the setup modal (see lib/languages.js)
+let quizLanguage = 'en';         // language the questions on screen are written in
+let quizLanguages = [];          // [{code, name, native, dir}] from /languages
+let quizMode = currentMode;      // mode of the quiz being played: timer, feedback, sudden death
+let pendingQuestions = null;     // settles when the current question stream has finished
+let streamGeneration = 0;        // bumped on reset so a stale stream stops appending
+let reviewMode = false;          // playing due cards from the review deck
+let flaggedQuestions = new Set(); // question ids reported in this session
+let flagTarget = null;           // question id the report modal is open for
+let offlineQuiz = null;          // stored quiz being played in the browser, scored locally
 
 // DOM refs
 const sections = {
   home: document.getElementById('home'),
   quiz: document.getElementById('quiz'),
-  results: document.getElementById('results')
+  results: document.getElementById('results'),
+  stats: document.getElementById('stats'),
+  room: document.getElementById('room')
 };
 
 // Modal refs
@@ -24,6 +47,16 @@ const modal = {
   container: document.getElementById('quizSetupModal'),
   topic: document.getElementById('quizTopic'),
   count: document.getElementById('questionCount'),
+  types: document.querySelectorAll('#questionTypes input[type="checkbox"]'),
+  difficulty: document.getElementById('quizDifficulty'),
+  adaptive: document.getElementById('adaptiveDifficulty'),
+  language: document.getElementById('quizLanguage'),
+  mode: document.getElementById('quizMode'),
+  modeTime: document.getElementById('modeTime'),
+  modeSeconds: document.getElementById('modeSeconds'),
+  modeSecondsLabel: document.getElementById('modeSecondsLabel'),
+  sourceText: document.getElementById('sourceText'),
+  sourceFile: document.getElementById('sourceFile'),
   startBtn: document.getElementById('startQuizBtn'),
   cancelBtn: document.getElementById('cancelQuizBtn'),
   numberUp: document.querySelector('.number-up'),
@@ -31,16 +64,35 @@ const modal = {
 };
 
 const els = {
+  questionCard: document.querySelector('#quiz .question-card'),
   questionText: document.getElementById('question-text'),
   optionsContainer: document.getElementById('options-container'),
   currentQuestion: document.getElementById('current-question'),
   totalQuestions: document.getElementById('total-questions'),
+  difficultyBadge: document.getElementById('difficulty-badge'),
   progressFill: document.querySelector('.progress-fill'),
+  timer: document.querySelector('#quiz .timer'),
   timerText: document.getElementById('timer-text'),
   finalScore: document.getElementById('final-score'),
+  resultMode: document.getElementById('resultMode'),
   correctAnswers: document.getElementById('correct-answers'),
   wrongAnswers: document.getElementById('wrong-answers'),
-  timeTaken: document.getElementById('time-taken')
+  timeTaken: document.getElementById('time-taken'),
+  resultsSources: document.getElementById('resultsSources'),
+  resultsSourcesList: document.getElementById('resultsSourcesList'),
+  resultsReviewList: document.getElementById('resultsReviewList'),
+  resultsReviewEmpty: document.getElementById('resultsReviewEmpty'),
+  retryMissedBtn: document.getElementById('retryMissedBtn'),
+  libraryList: document.getElementById('libraryList'),
+  libraryEmpty: document.getElementById('libraryEmpty'),
+  saveQuizBtn: document.getElementById('saveQuizBtn'),
+  flagQuestionBtn: document.getElementById('flagQuestionBtn'),
+  replaceQuestionBtn: document.getElementById('replaceQuestionBtn'),
+  flagModal: document.getElementById('flagModal'),
+  flagQuestionText: document.getElementById('flagQuestionText'),
+  flagReason: document.getElementById('flagReason'),
+  flagComment: document.getElementById('flagComment'),
+  importQuizFile: document.getElementById('importQuizFile')
 };
 
 function showSection(name) {
@@ -58,13 +110,154 @@ document.getElementById('prevBtn').addEventListener('click', previousQuestion);
 document.getElementById('nextBtn').addEventListener('click', nextQuestion);
 document.getElementById('moreBtn').addEventListener('click', generateMoreQuestions);
 document.getElementById('tryAgainBtn').addEventListener('click', restartQuiz);
-document.getElementById('backHomeBtn').addEventListener('click', () => showSection('home'));
+document.getElementById('backHomeBtn').addEventListener('click', () => {
+  showSection('home');
+  renderOfflineQuizzes();
+  loadLibrary();
+  refreshReviewSummary();
+});
+els.saveQuizBtn.addEventListener('click', saveCurrentQuiz);
+document.querySelectorAll('[data-review-filter]').forEach(btn => {
+  btn.addEventListener('click', () => {
+    reviewFilter = btn.dataset.reviewFilter;
+    renderAnswerReview();
+  });
+});
+els.retryMissedBtn.addEventListener('click', retryMissedQuestions);
+els.flagQuestionBtn.addEventListener('click', () => {
+  if (quizData[currentQuestionIndex]) openFlagModal(quizData[currentQuestionIndex].id);
+});
+els.replaceQuestionBtn.addEventListener('click', replaceCurrentQuestion);
+document.getElementById('flagSubmitBtn').addEventListener('click', submitFlag);
+document.getElementById('flagCancelBtn').addEventListener('click', hideFlagModal);
+document.querySelectorAll('[data-export]').forEach(btn => {
+  btn.addEventListener('click', () => exportCurrentQuiz(btn.dataset.export));
+});
+document.getElementById('importQuizBtn').addEventListener('click', () => els.importQuizFile.click());
+els.importQuizFile.addEventListener('change', importQuizFile);
+document.getElementById('viewStatsBtn').addEventListener('click', showStats);
+document.getElementById('reviewBtn').addEventListener('click', startReview);
+document.getElementById('joinRoomBtn').addEventListener('click', () => showJoinRoom());
+document.getElementById('hostRoomBtn').addEventListener('click', () => hostRoom({ sessionId }));
+document.getElementById('challengeBtn').addEventListener('click', shareChallenge);
+document.getElementById('assignBtn').addEventListener('click', () => openAssignModal({ sessionId }, currentTopic));
+document.getElementById('assignCreateBtn').addEventListener('click', createAssignment);
+document.getElementById('assignCancelBtn').addEventListener('click', hideAssignModal);
+document.getElementById('assignCopyBtn').addEventListener('click', copyAssignmentLink);
+document.getElementById('assignCloseBtn').addEventListener('click', hideAssignModal);
+document.getElementById('roomJoinBtn').addEventListener('click', joinRoom);
+document.getElementById('roomCancelBtn').addEventListener('click', () => showSection('home'));
+document.getElementById('roomStartBtn').addEventListener('click', () => sendRoom({ type: 'start' }));
+document.getElementById('roomNextBtn').addEventListener('click', () => sendRoom({ type: 'next' }));
+document.getElementById('roomEndBtn').addEventListener('click', endRoom);
+document.getElementById('roomLeaveBtn').addEventListener('click', leaveRoom);
+document.getElementById('roomNameInput').addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') joinRoom();
+});
+document.getElementById('statsMode').addEventListener('change', (e) => setStatsModeFilter(e.target.value));
+document.getElementById('statsBackBtn').addEventListener('click', () => showSection('home'));
+document.getElementById('statsClearBtn').addEventListener('click', clearStats);
+document.getElementById('statsSyncToggle').addEventListener('change', async (e) => {
+  setStatsSyncEnabled(e.target.checked);
+  if (e.target.checked) {
+    const ok = await syncAttempts();
+    if (!ok) alert(t('stats.syncFailed'));
+    renderStats();
+  }
+});
 
 // Modal control functions
 function showModal() {
   modal.container.classList.add('active');
   modal.topic.value = currentTopic || '';
   modal.count.value = currentCount || 5;
+  modal.types.forEach(box => { box.checked = currentTypes.includes(box.value); });
+  modal.difficulty.value = currentDifficulty;
+  modal.adaptive.checked = adaptiveMode;
+  modal.language.value = currentLanguage || defaultQuizLanguage();
+  if (!modal.language.value) modal.language.value = 'en';
+  modal.mode.value = currentMode.name;
+  syncModeTime();
+}
+
+// Exams take a total limit in minutes, timed and sudden death seconds per question
+function syncModeTime() {
+  const name = modal.mode.value;
+  const exam = name === 'exam';
+  modal.modeTime.hidden = name === 'practice';
+  syncModeTimeLabel();
+  modal.modeSeconds.min = exam ? 1 : 5;
+  modal.modeSeconds.max = exam ? 240 : 600;
+  if (exam) modal.modeSeconds.value = currentMode.name === 'exam' ? currentMode.time_limit_seconds / 60 : 10;
+  else modal.modeSeconds.value = currentMode.question_seconds || 30;
+}
+
+function syncModeTimeLabel() {
+  modal.modeSecondsLabel.textContent = modal.mode.value === 'exam' ? t('setup.timeLimit') : t('setup.secondsPerQuestion');
+}
+
+// Quiz languages come from the server (lib/languages.js). The interface language is
+// the default when the server can write quizzes in it.
+async function loadQuizLanguages() {
+  try {
+    const resp = await fetch('/languages');
+    const data = await resp.json();
+    if (!resp.ok) throw new Error(data.error || t('error.server'));
+    quizLanguages = data.languages || [];
+  } catch (err) {
+    console.warn('Quiz languages unavailable', err);
+  }
+  renderQuizLanguageOptions();
+}
+
+function renderQuizLanguageOptions() {
+  if (!quizLanguages.length) return;
+  const selected = modal.language.value;
+  modal.language.innerHTML = '';
+  quizLanguages.forEach(l => {
+    const option = document.createElement('option');
+    option.value = l.code;
+    const name = languageName(l.code);
+    option.textContent = name === l.native ? l.native : `${l.native} · ${name}`;
+    modal.language.appendChild(option);
+  });
+  modal.language.value = selected || defaultQuizLanguage();
+}
+
+function defaultQuizLanguage() {
+  return quizLanguages.some(l => l.code === uiLocale) ? uiLocale : 'en';
+}
+
+// Name of a language in the interface language, e.g. "Spanish" or "Spanisch"
+function languageName(code) {
+  try {
+    return new Intl.DisplayNames([uiLocale], { type: 'language' }).of(code) || code;
+  } catch (err) {
+    const entry = quizLanguages.find(l => l.code === code);
+    return entry ? entry.native : code;
+  }
+}
+
+// Questions keep their own language and direction whatever the interface is in
+function markQuizLanguage(el) {
+  const entry = quizLanguages.find(l => l.code === quizLanguage);
+  el.lang = quizLanguage;
+  el.dir = entry ? entry.dir : localeDirection(quizLanguage);
+}
+
+function setQuizLanguage(code) {
+  quizLanguage = code || 'en';
+  markQuizLanguage(els.questionText);
+  markQuizLanguage(els.optionsContainer);
+}
+
+// The mode from the form, or null when its time is out of range
+function readModeInput() {
+  const name = modal.mode.value;
+  if (name === 'practice') return { name };
+  const value = parseInt(modal.modeSeconds.value, 10);
+  if (!(value >= Number(modal.modeSeconds.min) && value <= Number(modal.modeSeconds.max))) return null;
+  return name === 'exam' ? { name, time_limit_seconds: value * 60 } : { name, question_seconds: value };
 }
 
 function hideModal() {
@@ -82,12 +275,19 @@ modal.numberDown.addEventListener('click', () => {
   modal.count.value = Math.max(1, val - 1);
 });
 
+modal.mode.addEventListener('change', syncModeTime);
+
 // Handle modal buttons
 modal.startBtn.addEventListener('click', async () => {
   const topic = modal.topic.value.trim();
   const count = parseInt(modal.count.value, 10) || 5;
+  const types = Array.from(modal.types).filter(box => box.checked).map(box => box.value);
+  const sourceFile = modal.sourceFile.files[0] || null;
+  const sourceText = modal.sourceText.value.trim();
+  const hasSource = Boolean(sourceFile || sourceText);
   
-  if (!topic) {
+  // the topic is optional when generating from uploaded material
+  if (!topic && !hasSource) {
     modal.topic.focus();
     return;
   }
@@ -96,8 +296,23 @@ modal.startBtn.addEventListener('click', async () => {
     return;
   }
   
+  if (!types.length) {
+    modal.types[0].focus();
+    return;
+  }
+  const mode = readModeInput();
+  if (!mode) {
+    modal.modeSeconds.focus();
+    return;
+  }
+  
   hideModal();
-  await initQuiz(topic, count);
+  currentMode = mode;
+  currentLanguage = modal.language.value;
+  currentTypes = types;
+  currentDifficulty = modal.difficulty.value;
+  adaptiveMode = modal.adaptive.checked;
+  await initQuiz(topic, count, hasSource ? { file: sourceFile, text: sourceText } : null);
 });
 
 modal.cancelBtn.addEventListener('click', hideModal);
@@ -107,22 +322,94 @@ function startQuiz() {
   showModal();
 }
 
-// Initialize quiz with given topic and count
-async function initQuiz(topic, count) {
-
-  // reset state
+// Clear all per-quiz state for a new topic
+function resetQuizState(topic, count) {
   currentTopic = topic;
   currentCount = count;
-  previousQuestions = [];
   quizData = [];
   currentQuestionIndex = 0;
   selectedAnswers = [];
+  draftAnswers = [];
+  answerFeedback = [];
+  questionTimes = [];
+  sessionId = null;
+  currentSourceId = null;
+  lastResult = null;
+  resultReview = [];
+  quizStartTime = null;
+  pendingQuestions = null;
+  streamGeneration++;
+  reviewMode = false;
+  offlineQuiz = null;
+  currentChallenge = null;
+  challengeBoard = null;
+  currentAssignment = null;
+  assignmentOutcome = null;
+  quizMode = currentMode;
+  setQuizLanguage(currentLanguage || defaultQuizLanguage());
+  flaggedQuestions = new Set();
+  els.saveQuizBtn.disabled = false;
+}
+
+// Read a file as base64 (for PDFs) without blowing the call stack on large files
+async function fileToBase64(file) {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+// Upload pasted text or a file; resolves to {id, name, ...} or null on failure
+async function uploadSource({ file, text }) {
+  showLoading(true, t('loading.material'));
+  try {
+    let payload;
+    if (file) {
+      const isPdf = /\.pdf$/i.test(file.name) || file.type === 'application/pdf';
+      payload = { name: file.name, content: isPdf ? await fileToBase64(file) : await file.text() };
+      if (isPdf) payload.kind = 'pdf';
+    } else {
+      payload = { name: t('setup.pastedNotes'), kind: 'markdown', content: text };
+    }
+    const resp = await fetch('/sources', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload)
+    });
+    const data = await resp.json();
+    if (!resp.ok) {
+      alert(t('failed.source', { error: data.error || t('error.server') }));
+      return null;
+    }
+    return data.source;
+  } catch (err) {
+    console.error('Source upload error', err);
+    alert(t('network.source'));
+    return null;
+  } finally {
+    showLoading(false);
+  }
+}
+
+// Initialize quiz with given topic and count, optionally grounded in uploaded material
+async function initQuiz(topic, count, source = null) {
+
+  // reset state
+  resetQuizState(topic, count);
   
   // Show loading state
   showSection('quiz');
-  els.questionText.textContent = 'Generating your quiz...';
+  els.questionText.textContent = t('loading.quiz');
   els.optionsContainer.innerHTML = '';
-  score = 0;
+
+  if (source) {
+    const uploaded = await uploadSource(source);
+    if (!uploaded) return;
+    currentSourceId = uploaded.id;
+    currentTopic = topic || uploaded.name;
+  }
 
   // fetch and start
   const ok = await fetchAndAppendQuestions(currentTopic, currentCount);
@@ -133,94 +420,156 @@ async function initQuiz(topic, count) {
   startTimer();
 }
 
-// Build usedQuestionsText from previousQuestions to send to server to avoid duplicates
-function buildUsedQuestionsText() {
-  if (!previousQuestions.length) return '';
-  // Sent in a sentence to the model
-  return 'Do NOT repeat these exact questions: ' + previousQuestions.map(q => q.replace(/\n/g, ' ')).join(' || ');
+// Add one question sent by the server; ids index into the server's answer key
+function appendQuestion(q) {
+  const qtext = (q && q.question || '').trim();
+  if (!qtext || typeof q.id !== 'number') return false;
+  quizData.push({
+    id: q.id,
+    type: q.type || 'single',
+    question: qtext,
+    options: Array.isArray(q.options) ? q.options : [],
+    select_count: q.select_count,
+    difficulty: q.difficulty
+  });
+  return true;
+}
+
+// Read an NDJSON response line by line. onMessage may return false to stop reading.
+async function readNdjson(resp, onMessage) {
+  if (!resp.body || typeof resp.body.getReader !== 'function') {
+    // no streaming support: handle the whole body once it has arrived
+    const text = await resp.text();
+    for (const line of text.split('\n')) {
+      if (line.trim() && onMessage(JSON.parse(line)) === false) return;
+    }
+    return;
+  }
+  const reader = resp.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  while (true) {
+    const { done, value } = await reader.read();
+    if (value) buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = done ? '' : lines.pop();
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      if (onMessage(JSON.parse(line)) === false) {
+        reader.cancel();
+        return;
+      }
+    }
+    if (done) return;
+  }
 }
 
-// fetch questions from server and append unique ones
+// fetch questions from server and append unique ones.
+// Questions stream in as they are generated: this resolves as soon as the first one
+// arrives and the rest keep appending in the background (see pendingQuestions).
 async function fetchAndAppendQuestions(topic, count) {
-  showLoading(true, 'Generating questions…');
+  showLoading(true, t('loading.questions'));
+  const generation = streamGeneration;
+  let resp;
   try {
     const payload = {
       topic,
       count,
-      usedQuestionsText: buildUsedQuestionsText()
+      clientId: getStatsClientId(),
+      types: currentTypes,
+      sourceId: currentSourceId,
+      difficulty: currentDifficulty,
+      adaptive: adaptiveMode,
+      mode: currentMode,
+      language: currentLanguage || defaultQuizLanguage(),
+      sessionId
     };
-    const resp = await fetch('/generate-quiz', {
+    resp = await fetch('/generate-quiz/stream', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(payload)
     });
-    const data = await resp.json();
     if (!resp.ok) {
-      const err = data && (data.error || data.message) ? (data.error || data.message) : 'Server error';
-      alert('Failed to generate quiz: ' + err);
-      showLoading(false);
-      return false;
-    }
-
-    const arr = data.questions || data.quiz || [];
-    if (!Array.isArray(arr) || arr.length === 0) {
-      alert('Server returned no questions.');
+      const data = await resp.json().catch(() => null);
+      const err = data && (data.error || data.message) ? (data.error || data.message) : t('error.server');
+      alert(t('failed.generate', { error: err }));
       showLoading(false);
       return false;
     }
+  } catch (err) {
+    console.error('Fetch error', err);
+    alert(t('network.generate'));
+    showLoading(false);
+    return false;
+  }
 
-    // Append only new ones (by question text)
+  return new Promise(resolve => {
     let added = 0;
-    for (const q of arr) {
-      const qtext = (q.question || '').trim();
-      if (!qtext) continue;
-      const dup = quizData.some(existing => existing.question.trim() === qtext) || previousQuestions.includes(qtext);
-      if (dup) continue;
-      // normalize fields
-      const options = Array.isArray(q.options) ? q.options.slice(0, 4) : [];
-      const answer_index = typeof q.answer_index === 'number' ? q.answer_index : (typeof q.answerIndex === 'number' ? q.answerIndex : (typeof q.correct === 'number' ? q.correct : 0));
-      quizData.push({
-        question: qtext,
-        options,
-        answer_index: Math.max(0, Math.min(3, answer_index)),
-        explanation: q.explanation || ''
-      });
-      previousQuestions.push(qtext);
-      added++;
-    }
+    let streamError = null;
+    const ready = () => {
+      if (!resolve) return;
+      showLoading(false);
+      resolve(true);
+      resolve = null;
+    };
 
-    if (added === 0) {
-      // As fallback, if server returned duplicates only, but we still have some quizData (maybe initial),
-      // let it be; otherwise inform user.
-      if (quizData.length === 0) {
-        alert('No new unique questions were generated for that topic. Try a different topic.');
-        showLoading(false);
-        return false;
+    const reading = readNdjson(resp, msg => {
+      // the quiz was restarted or replaced: stop appending to it
+      if (generation !== streamGeneration) return false;
+      if (msg.type === 'session') {
+        sessionId = msg.session_id || sessionId;
+        if (msg.difficulty) currentDifficulty = msg.difficulty;
+        if (msg.mode) quizMode = msg.mode;
+        if (msg.language) setQuizLanguage(msg.language);
+      } else if (msg.type === 'question') {
+        if (!appendQuestion(msg.question)) return true;
+        added++;
+        document.getElementById('total-questions').textContent = String(quizData.length);
+        ready();
+      } else if (msg.type === 'error') {
+        streamError = msg.error;
+      }
+      return true;
+    }).catch(err => {
+      console.error('Stream error', err);
+      streamError = streamError || t('failed.streamLost');
+    }).then(() => {
+      if (pendingQuestions === reading) pendingQuestions = null;
+      if (generation !== streamGeneration) return;
+      if (streamError) console.warn('Question generation ended early:', streamError);
+      if (!resolve) return;
+      showLoading(false);
+      if (streamError && quizData.length === 0) {
+        alert(t('failed.generate', { error: streamError }));
+        resolve(false);
+      } else if (added === 0 && quizData.length === 0) {
+        alert(t('quiz.noUnique'));
+        resolve(false);
       } else {
         console.warn('Server returned duplicates; no new questions added.');
+        resolve(true);
       }
-    }
+      resolve = null;
+    });
+    pendingQuestions = reading;
+  });
+}
 
-    // update total in UI
-    document.getElementById('total-questions').textContent = String(quizData.length);
-    showLoading(false);
-    return true;
-  } catch (err) {
-    console.error('Fetch error', err);
-    alert('Network error while generating quiz.');
-    showLoading(false);
-    return false;
-  }
+// Wait until question `index` has streamed in, or generation has finished without it
+function waitForQuestion(index) {
+  return new Promise(resolve => {
+    const check = () => (quizData.length > index || !pendingQuestions) ? resolve() : setTimeout(check, 100);
+    check();
+  });
 }
 
-// Show loading overlay or message (simple)
 function showLoading(on, message='') {
   const overlay = document.getElementById('loadingOverlay');
   if (!overlay) return;
   if (on) {
     overlay.setAttribute('aria-hidden', 'false');
     overlay.classList.add('active');
-    els.questionText.textContent = message || 'Loading...';
+    els.questionText.textContent = message || t('loading.default');
     els.optionsContainer.innerHTML = '';
   } else {
     overlay.setAttribute('aria-hidden', 'true');
@@ -231,7 +580,7 @@ function showLoading(on, message='') {
 // Render the current question
 function renderQuestion() {
   if (!quizData || quizData.length === 0) {
-    els.questionText.textContent = 'No questions loaded. Click Start Quiz to generate.';
+    els.questionText.textContent = t('quiz.none');
     els.optionsContainer.innerHTML = '';
     return;
   }
@@ -239,14 +588,12 @@ function renderQuestion() {
   const q = quizData[currentQuestionIndex];
   els.questionText.textContent = q.question;
   els.optionsContainer.innerHTML = '';
+  els.difficultyBadge.textContent = q.difficulty ? t(`difficulty.${q.difficulty}`) : '';
+  els.difficultyBadge.dataset.level = q.difficulty || '';
 
-  q.options.forEach((opt, idx) => {
-    const btn = document.createElement('button');
-    btn.className = 'option-btn';
-    btn.innerHTML = `<span class="option-letter">${String.fromCharCode(65 + idx)}</span><span class="option-text">${opt}</span>`;
-    btn.onclick = () => onOptionClicked(idx);
-    els.optionsContainer.appendChild(btn);
-  });
+  const feedback = answerFeedback[currentQuestionIndex];
+  const draft = feedback ? feedback.selected : draftAnswers[currentQuestionIndex];
+  rendererFor(q).render(q, els.optionsContainer, draft);
 
   // progress & counters
   els.currentQuestion.textContent = String(currentQuestionIndex + 1);
@@ -254,15 +601,124 @@ function renderQuestion() {
   const progress = ((currentQuestionIndex + 1) / quizData.length) * 100;
   els.progressFill.style.width = `${progress}%`;
 
+  // Re-apply feedback when revisiting an answered question
+  if (feedback) markAnswer(feedback);
+  else questionShownAt = Date.now();
+
+  updateQuestionTools(q);
+
   // Reset timer
   resetTimer();
 }
 
+// Report / replace links under the question
+function updateQuestionTools(q) {
+  const flagged = flaggedQuestions.has(q.id);
+  els.flagQuestionBtn.disabled = flagged;
+  els.flagQuestionBtn.textContent = flagged ? t('quiz.reportedThanks') : t('quiz.report');
+  // quizzes played from this device have no server session to report to
+  els.flagQuestionBtn.hidden = Boolean(offlineQuiz);
+  // review cards are tied to their question, challenges and assignments to their question set;
+  // an answered question stays as it was answered
+  els.replaceQuestionBtn.hidden = reviewMode || Boolean(offlineQuiz) || Boolean(currentChallenge) || Boolean(currentAssignment) ||
+    Boolean(answerFeedback[currentQuestionIndex]);
+}
+
+function openFlagModal(questionId) {
+  const q = quizData.find(item => item.id === questionId);
+  if (!q || !sessionId) return;
+  flagTarget = questionId;
+  els.flagQuestionText.textContent = q.question;
+  els.flagReason.value = 'wrong_answer';
+  els.flagComment.value = '';
+  els.flagModal.classList.add('active');
+}
+
+function hideFlagModal() {
+  els.flagModal.classList.remove('active');
+  flagTarget = null;
+}
+
+// Send the report; an admin reviews it on the /admin page
+async function submitFlag() {
+  const questionId = flagTarget;
+  if (questionId === null) return;
+  try {
+    const resp = await fetch(`/sessions/${encodeURIComponent(sessionId)}/questions/${questionId}/flag`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ reason: els.flagReason.value, comment: els.flagComment.value })
+    });
+    const data = await resp.json();
+    if (!resp.ok) {
+      alert(t('failed.report', { error: data.error || t('error.server') }));
+      return;
+    }
+  } catch (err) {
+    console.error('Flag error', err);
+    alert(t('network.report'));
+    return;
+  }
+  flaggedQuestions.add(questionId);
+  hideFlagModal();
+  if (quizData[currentQuestionIndex]) updateQuestionTools(quizData[currentQuestionIndex]);
+  if (sections.results.classList.contains('active')) renderAnswerReview();
+}
+
+// Swap the current question for a newly generated one on the same topic
+async function replaceCurrentQuestion() {
+  const index = currentQuestionIndex;
+  const q = quizData[index];
+  if (!q || !sessionId || selectedAnswers[index] !== undefined || answerFeedback[index]) return;
+  stopTimer();
+  showLoading(true, t('loading.replacement'));
+  try {
+    const resp = await fetch(`/sessions/${encodeURIComponent(sessionId)}/questions/${q.id}/regenerate`, { method: 'POST' });
+    const data = await resp.json();
+    showLoading(false);
+    if (!resp.ok) {
+      alert(t('failed.replace', { error: data.error || t('error.server') }));
+    } else {
+      const fresh = data.question;
+      quizData[index] = {
+        id: fresh.id,
+        type: fresh.type || 'single',
+        question: fresh.question,
+        options: fresh.options,
+        select_count: fresh.select_count,
+        difficulty: fresh.difficulty
+      };
+      draftAnswers[index] = undefined;
+      questionTimes[index] = undefined;
+      flaggedQuestions.delete(fresh.id);
+    }
+  } catch (err) {
+    console.error('Replace error', err);
+    showLoading(false);
+    alert(t('network.replace'));
+  }
+  if (index !== currentQuestionIndex) return;
+  renderQuestion();
+  if (!answerFeedback[index]) startTimer();
+}
+
 // Option clicked handler
 function onOptionClicked(index) {
-  // prevent multiple clicks
+  // prevent multiple clicks and re-answering
+  if (selectedAnswers[currentQuestionIndex] !== undefined) return;
   const buttons = Array.from(document.querySelectorAll('.option-btn'));
-  if (buttons.length === 0) return;
+  if (buttons.length === 0 || !buttons[index]) return;
+
+  // multi-select toggles options until the answer is submitted
+  if (quizData[currentQuestionIndex].type === 'multi') {
+    const draft = new Set(draftAnswers[currentQuestionIndex] || []);
+    if (draft.has(index)) draft.delete(index);
+    else draft.add(index);
+    draftAnswers[currentQuestionIndex] = Array.from(draft).sort((a, b) => a - b);
+    buttons[index].classList.toggle('selected', draft.has(index));
+    return;
+  }
+
   // mark selection visually
   buttons.forEach(b => b.classList.remove('selected'));
   const selectedBtn = buttons[index];
@@ -270,37 +726,129 @@ function onOptionClicked(index) {
 
   // store choice
   selectedAnswers[currentQuestionIndex] = index;
+  stopTimer();
 
   // show feedback
   setTimeout(() => showAnswerFeedback(index), 400);
 }
 
-// Show correct/incorrect feedback for the current question
-function showAnswerFeedback(selectedIndex) {
-  const q = quizData[currentQuestionIndex];
-  const buttons = Array.from(document.querySelectorAll('.option-btn'));
-  // show correct
-  if (q.answer_index >= 0 && buttons[q.answer_index]) {
-    buttons[q.answer_index].classList.add('correct');
+// Current draft for multi-select, short answer and ordering questions (null if empty)
+function currentDraftAnswer() {
+  const draft = draftAnswers[currentQuestionIndex];
+  if (Array.isArray(draft)) return draft.length ? draft : null;
+  if (typeof draft === 'string') return draft.trim() || null;
+  return null;
+}
+
+// Submit button for question types that are not answered with a single click
+function submitDraftAnswer() {
+  if (selectedAnswers[currentQuestionIndex] !== undefined) return;
+  const answer = currentDraftAnswer();
+  if (answer === null) return;
+  showAnswerFeedback(answer);
+}
+
+// Score one answer on the server, or locally for a quiz stored on this device.
+// Returns the feedback, or null after telling the player what went wrong.
+async function scoreAnswer(q, answer) {
+  if (offlineQuiz) {
+    const feedback = scoreOfflineAnswer(offlineQuiz.pack.questions[q.id], q.id, answer);
+    // the server withholds exam feedback; do the same when scoring locally
+    return quizMode.name === 'exam' ? { ...feedback, withheld: true } : feedback;
+  }
+  try {
+    const resp = await fetch(`/sessions/${encodeURIComponent(sessionId)}/answers`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ question_id: q.id, answer })
+    });
+    const feedback = await resp.json();
+    if (!resp.ok) {
+      alert(t('failed.answer', { error: feedback.error || t('error.server') }));
+      return null;
+    }
+    return feedback;
+  } catch (err) {
+    console.error('Answer submit error', err);
+    alert(t('network.answer'));
+    return null;
   }
-  // show incorrect selection
-  if (selectedIndex !== q.answer_index && selectedIndex >= 0 && buttons[selectedIndex]) {
-    buttons[selectedIndex].classList.add('incorrect');
-  } else if (selectedIndex === q.answer_index) {
-    score++;
+}
+
+// Submit the answer and show correct/incorrect feedback, then move on as the mode says.
+// `answer` is an option index, index list, text or order depending on the type; null when time ran out.
+async function showAnswerFeedback(answer, { advance = true } = {}) {
+  const questionIndex = currentQuestionIndex;
+  const q = quizData[questionIndex];
+  stopTimer();
+  if (answerFeedback[questionIndex]) return; // already scored
+  selectedAnswers[questionIndex] = answer;
+  questionTimes[questionIndex] = Date.now() - questionShownAt;
+
+  const feedback = await scoreAnswer(q, answer);
+  if (!feedback) {
+    selectedAnswers[questionIndex] = undefined;
+    return;
   }
-  // disable further clicks
-  buttons.forEach(b => (b.style.pointerEvents = 'none'));
 
+  answerFeedback[questionIndex] = feedback;
+  // the player may have navigated away while the request was in flight
+  if (questionIndex !== currentQuestionIndex) return;
+  markAnswer(feedback);
+  updateQuestionTools(q);
+  if (!advance) return;
+
+  // practice waits for the player to read the explanation and press Next
+  if (quizMode.name === 'practice') return;
+  if (suddenDeathOver()) {
+    setTimeout(() => {
+      if (sections.quiz.classList.contains('active')) finishQuiz();
+    }, 1500);
+    return;
+  }
   // move to next question automatically after a short delay
   setTimeout(() => {
-    nextQuestion();
-  }, 1200);
+    if (questionIndex === currentQuestionIndex) nextQuestion();
+  }, quizMode.name === 'exam' ? 400 : 1200);
+}
+
+// Sudden death: a wrong or missing answer has ended the run
+function suddenDeathOver() {
+  return quizMode.name === 'sudden_death' && answerFeedback.some(f => f && !f.correct);
+}
+
+// Reveal the solution for the current question and lock its inputs.
+// Exam answers only show what was picked; the solutions come with the result.
+function markAnswer(feedback) {
+  const q = quizData[currentQuestionIndex];
+  const container = els.optionsContainer;
+  if (feedback.withheld) {
+    const buttons = container.querySelectorAll('.option-btn');
+    if (typeof feedback.selected === 'number' && buttons[feedback.selected]) buttons[feedback.selected].classList.add('selected');
+    lockInputs(container);
+    const note = document.createElement('p');
+    note.className = 'answer-reveal';
+    note.textContent = feedback.answered ? t('answer.locked') : t('answer.none');
+    container.appendChild(note);
+    return;
+  }
+  rendererFor(q).reveal(q, feedback, container);
+  if (quizMode.name === 'practice' && feedback.explanation) appendReveal(container, feedback.explanation, feedback.correct);
+  if (quizMode.name === 'sudden_death' && !feedback.correct) appendReveal(container, t('answer.suddenDeath'), false);
+  if (feedback.review) appendReveal(container, describeNextReview(feedback.review), feedback.correct);
 }
 
 // Next/previous functions
-function nextQuestion() {
+async function nextQuestion() {
+  // sudden death has no skipping, and after a miss the run is being scored already
+  if (quizMode.name === 'sudden_death' && (!answerFeedback[currentQuestionIndex] || suddenDeathOver())) return;
   stopTimer();
+  if (currentQuestionIndex >= quizData.length - 1 && pendingQuestions) {
+    // the next question is still being generated
+    showLoading(true, t('loading.questions'));
+    await waitForQuestion(currentQuestionIndex + 1);
+    showLoading(false);
+  }
   if (currentQuestionIndex < quizData.length - 1) {
     currentQuestionIndex++;
     renderQuestion();
@@ -319,43 +867,263 @@ function previousQuestion() {
   }
 }
 
-// Finish quiz and show results
-function finishQuiz() {
+// Finish quiz: the server scores the session and signs the result. Quizzes played
+// from this device are scored locally and queued until the server can sign them.
+async function finishQuiz() {
   stopTimer();
-  const endTime = new Date();
-  const totalSecs = Math.max(1, Math.floor((endTime - quizStartTime) / 1000));
+  let attemptId = null;
+  if (offlineQuiz) {
+    try {
+      const played = await finishOfflineQuiz();
+      lastResult = { result: played.result, signature: null };
+      resultReview = played.review;
+      attemptId = played.id;
+    } catch (err) {
+      console.error('Offline finish error', err);
+      alert(t('offline.storeResultFailed'));
+      return;
+    }
+  } else {
+    try {
+      const resp = await fetch(`/sessions/${encodeURIComponent(sessionId)}/finish`, { method: 'POST' });
+      const data = await resp.json();
+      if (!resp.ok) {
+        alert(t('failed.finish', { error: data.error || t('error.server') }));
+        return;
+      }
+      lastResult = { result: data.result, signature: data.signature };
+      resultReview = data.review || [];
+      if (data.challenge) challengeBoard = data.challenge;
+      if (data.assignment) assignmentOutcome = data.assignment;
+    } catch (err) {
+      console.error('Finish error', err);
+      alert(t('network.finish'));
+      return;
+    }
+  }
+
+  const { result } = lastResult;
+  // exam answers were scored without telling the player; now the review has it all
+  resultReview.forEach(r => {
+    if (answerFeedback[r.question_id]) answerFeedback[r.question_id] = { ...answerFeedback[r.question_id], ...r, withheld: false };
+  });
+  const mode = result.mode || quizMode;
+  const totalSecs = Math.max(1, Math.floor(result.duration_ms / 1000));
   const mins = Math.floor(totalSecs / 60);
   const secs = totalSecs % 60;
 
-  const correct = score;
-  const wrong = quizData.length - score;
-  const percent = Math.round((score / quizData.length) * 100);
-
-  els.finalScore.textContent = String(percent);
-  els.correctAnswers.textContent = String(correct);
-  els.wrongAnswers.textContent = String(wrong);
+  els.finalScore.textContent = String(result.percent);
+  els.correctAnswers.textContent = String(result.correct);
+  els.wrongAnswers.textContent = String(result.wrong);
   els.timeTaken.textContent = `${mins}:${secs.toString().padStart(2, '0')}`;
+  renderResultMode();
+
+  renderResultSources();
+  reviewFilter = 'all';
+  renderAnswerReview();
+  renderChallengeBoard();
+  renderAssignmentStatus();
+  // exporting, hosting, sharing and retrying need the server session
+  document.querySelectorAll('[data-export]').forEach(btn => { btn.disabled = Boolean(offlineQuiz); });
+  // rooms reveal every answer, so frozen question sets stay out of them
+  document.getElementById('hostRoomBtn').disabled = Boolean(offlineQuiz) || reviewMode || Boolean(currentAssignment) || Boolean(currentChallenge);
+  challengeEls.button.disabled = Boolean(offlineQuiz) || reviewMode || Boolean(currentAssignment);
+  assignEls.button.disabled = Boolean(offlineQuiz) || reviewMode || Boolean(currentAssignment) || Boolean(currentChallenge);
+  if (!reviewMode && !offlineQuiz && !currentAssignment) {
+    addMissedToReviewDeck(sessionId);
+    keepPlayedQuiz(sessionId);
+  }
+
+  recordAttempt({
+    id: attemptId || `${result.session_id}:${result.finished_at}`,
+    topic: currentTopic,
+    date: result.finished_at,
+    percent: result.percent,
+    correct: result.correct,
+    wrong: result.wrong,
+    unanswered: result.unanswered,
+    total: result.total,
+    duration_ms: result.duration_ms,
+    mode,
+    questions: quizData.map((q, i) => ({
+      type: q.type,
+      correct: Boolean(answerFeedback[i] && answerFeedback[i].correct),
+      score: answerFeedback[i] ? answerFeedback[i].score : 0,
+      answered: Boolean(answerFeedback[i] && answerFeedback[i].answered),
+      time_ms: questionTimes[i]
+    })),
+    result,
+    signature: lastResult.signature
+  });
+  if (offlineQuiz) syncOfflineResults();
 
   showSection('results');
 }
 
-// Timer functions
+function renderResultMode() {
+  const { result } = lastResult;
+  const mode = result.mode || quizMode;
+  els.resultMode.textContent = mode.name === 'sudden_death'
+    ? t('mode.suddenDeathRun', { mode: describeMode(mode), count: result.correct })
+    : describeMode(mode);
+}
+
+// List the passages that support each answer when the quiz came from uploaded material
+function renderResultSources() {
+  els.resultsSourcesList.innerHTML = '';
+  const withSource = quizData
+    .map((q, i) => ({ q, source: answerFeedback[i] && answerFeedback[i].source }))
+    .filter(item => item.source);
+  els.resultsSources.hidden = withSource.length === 0;
+  withSource.forEach(({ q, source }) => {
+    const item = document.createElement('li');
+    item.className = 'source-item';
+    const question = document.createElement('p');
+    question.className = 'source-question';
+    question.textContent = q.question;
+    const passage = document.createElement('blockquote');
+    passage.className = 'source-passage';
+    passage.textContent = `[${source.ref}] ${source.text}`;
+    item.append(question, passage);
+    els.resultsSourcesList.appendChild(item);
+  });
+}
+
+// Each question with the player's answer, the solution, the explanation and time spent
+function renderAnswerReview() {
+  document.querySelectorAll('[data-review-filter]').forEach(btn => {
+    btn.classList.toggle('active', btn.dataset.reviewFilter === reviewFilter);
+  });
+  els.resultsReviewList.innerHTML = '';
+  const shown = resultReview.filter(r => {
+    if (reviewFilter === 'wrong') return r.answered && !r.correct;
+    if (reviewFilter === 'unanswered') return !r.answered;
+    return true;
+  });
+  els.resultsReviewEmpty.hidden = shown.length > 0;
+  els.retryMissedBtn.disabled = Boolean(offlineQuiz) || !resultReview.some(r => !r.correct);
+
+  shown.forEach(r => {
+    const q = quizData[r.question_id];
+    if (!q) return;
+    const item = document.createElement('li');
+    const status = r.correct ? 'correct' : r.answered ? 'wrong' : 'unanswered';
+    item.className = `review-item is-${status}`;
+
+    const head = document.createElement('div');
+    head.className = 'review-item-head';
+    const label = document.createElement('span');
+    const statusText = r.correct ? t('results.statusCorrect')
+      : !r.answered ? t('results.statusUnanswered')
+        : r.score > 0 ? t('results.statusPartial', { percent: Math.round(r.score * 100) })
+          : t('results.statusWrong');
+    label.textContent = t('results.itemLabel', { number: r.question_id + 1, status: statusText });
+    const time = document.createElement('span');
+    const ms = questionTimes[r.question_id];
+    time.textContent = typeof ms === 'number' ? `${(ms / 1000).toFixed(1)}s` : '';
+    head.append(label, time);
+
+    const question = document.createElement('p');
+    question.className = 'review-question';
+    markQuizLanguage(question);
+    question.textContent = q.question;
+    item.append(head, question);
+
+    const line = (title, text) => {
+      const p = document.createElement('p');
+      p.className = 'review-line';
+      const strong = document.createElement('strong');
+      strong.textContent = `${title}: `;
+      p.append(strong, text);
+      item.appendChild(p);
+    };
+    line(t('results.yourAnswer'), r.answered ? answerText(q, r.selected) : t('results.noAnswer'));
+    if (!r.correct) line(t('results.correctAnswer'), answerText(q, r.solution));
+
+    if (r.explanation) {
+      const explanation = document.createElement('p');
+      explanation.className = 'review-explanation';
+      markQuizLanguage(explanation);
+      explanation.textContent = r.explanation;
+      item.appendChild(explanation);
+    }
+
+    if (!offlineQuiz) {
+      const flag = document.createElement('button');
+      flag.className = 'link-btn';
+      const flagged = flaggedQuestions.has(q.id);
+      flag.textContent = flagged ? t('results.reported') : t('quiz.report');
+      flag.disabled = flagged;
+      flag.onclick = () => openFlagModal(q.id);
+      item.appendChild(flag);
+    }
+    els.resultsReviewList.appendChild(item);
+  });
+}
+
+// Start a new session with only the wrong and unanswered questions
+async function retryMissedQuestions() {
+  if (!sessionId) return;
+  try {
+    const resp = await fetch(`/sessions/${encodeURIComponent(sessionId)}/retry`, { method: 'POST' });
+    const data = await resp.json();
+    if (!resp.ok) {
+      alert(t('failed.retry', { error: data.error || t('error.server') }));
+      return;
+    }
+    playSession(data);
+  } catch (err) {
+    console.error('Retry error', err);
+    alert(t('network.retry'));
+  }
+}
+
+// Stats dashboard
+async function showStats() {
+  renderStats();
+  showSection('stats');
+  if (isStatsSyncEnabled() && await syncAttempts()) renderStats();
+}
+
+// Timer functions. Timed and sudden death count down per question, an exam counts
+// down its whole time limit across questions, practice has no clock.
+function timerSeconds() {
+  if (quizMode.name !== 'exam') return quizMode.question_seconds || 0;
+  if (!quizStartTime) return quizMode.time_limit_seconds;
+  const endsAt = quizStartTime.getTime() + quizMode.time_limit_seconds * 1000;
+  return Math.max(0, Math.ceil((endsAt - Date.now()) / 1000));
+}
+
 function startTimer() {
   // initialize
-  timeLeft = 30;
   quizStartTime = quizStartTime || new Date();
-  updateTimerDisplay();
   if (timerHandle) clearInterval(timerHandle);
+  timerHandle = null;
+  timeLeft = timerSeconds();
+  updateTimerDisplay();
+  if (quizMode.name === 'practice') return;
   timerHandle = setInterval(() => {
-    timeLeft--;
+    timeLeft = quizMode.name === 'exam' ? timerSeconds() : timeLeft - 1;
     updateTimerDisplay();
-    if (timeLeft <= 0) {
-      // auto mark as no selection (selectedIndex undefined)
-      showAnswerFeedback(-1);
+    if (timeLeft > 0) return;
+    if (quizMode.name === 'exam') {
+      examTimeUp();
+    } else {
+      // submit whatever was drafted, or mark as no selection
+      showAnswerFeedback(currentDraftAnswer());
     }
   }, 1000);
 }
 
+// The exam clock ran out: hand in the current draft along with everything answered so far
+async function examTimeUp() {
+  stopTimer();
+  if (selectedAnswers[currentQuestionIndex] === undefined) {
+    await showAnswerFeedback(currentDraftAnswer(), { advance: false });
+  }
+  finishQuiz();
+}
+
 function stopTimer() {
   if (timerHandle) {
     clearInterval(timerHandle);
@@ -364,18 +1132,24 @@ function stopTimer() {
 }
 
 function resetTimer() {
-  timeLeft = 30;
+  timeLeft = timerSeconds();
   updateTimerDisplay();
 }
 
 function updateTimerDisplay() {
-  els.timerText.textContent = String(timeLeft);
-  const circle = document.querySelector('.timer-circle');
+  els.timer.hidden = quizMode.name === 'practice';
+  els.timerText.textContent = timeLeft >= 60
+    ? `${Math.floor(timeLeft / 60)}:${String(timeLeft % 60).padStart(2, '0')}`
+    : String(timeLeft);
+  const circle = els.timer.querySelector('.timer-circle');
   if (!circle) return;
-  if (timeLeft <= 10) {
+  circle.classList.toggle('is-long', timeLeft >= 60);
+  // colours change at the last two thirds and the last third of the time
+  const full = quizMode.name === 'exam' ? quizMode.time_limit_seconds : quizMode.question_seconds || 30;
+  if (timeLeft <= full / 3) {
     circle.style.borderColor = 'var(--neon-pink)';
     circle.style.color = 'var(--neon-pink)';
-  } else if (timeLeft <= 20) {
+  } else if (timeLeft <= (full * 2) / 3) {
     circle.style.borderColor = 'var(--neon-yellow)';
     circle.style.color = 'var(--neon-yellow)';
   } else {
@@ -387,42 +1161,308 @@ function updateTimerDisplay() {
 // Generate more questions (append to quizData, avoiding duplicates)
 async function generateMoreQuestions() {
   if (!currentTopic) {
-    alert('Start a quiz first (choose a topic).');
+    alert(t('quiz.startFirst'));
+    return;
+  }
+  if (reviewMode) {
+    alert(t('quiz.reviewNoMore'));
+    return;
+  }
+  if (currentChallenge) {
+    alert(t('challenge.fixedSet'));
     return;
   }
-  const countInput = prompt('How many additional questions to generate? (1-10):', '5');
+  if (currentAssignment) {
+    alert(t('assign.fixedSet'));
+    return;
+  }
+  if (!navigator.onLine || offlineQuiz) {
+    alert(`${t('quiz.moreNeedsNetwork')} ${offlineQuiz ? t('quiz.moreFromDevice') : t('quiz.moreReconnect')}`);
+    return;
+  }
+  const countInput = prompt(t('quiz.moreCount'), '5');
   const count = Math.min(20, Math.max(1, parseInt(countInput, 10) || 5));
+  const previousDifficulty = currentDifficulty;
   const ok = await fetchAndAppendQuestions(currentTopic, count);
   if (ok) {
-    alert('New questions added. They will appear at the end of the quiz.');
+    const change = currentDifficulty === previousDifficulty
+      ? ''
+      : ' ' + t('quiz.difficultyMoved', { from: t(`difficulty.${previousDifficulty}`), to: t(`difficulty.${currentDifficulty}`) });
+    alert(t('quiz.moreAdded') + change);
     // update totals
     document.getElementById('total-questions').textContent = String(quizData.length);
   }
 }
 
 // Restart quiz (start over with same topic)
-function restartQuiz() {
-  // reset but keep topic and previousQuestions so new generation avoids duplicates
-  currentQuestionIndex = 0;
-  selectedAnswers = [];
-  score = 0;
-  quizStartTime = new Date();
+async function restartQuiz() {
+  // replaying a review would grade the same cards twice; fetch whatever is due instead
+  if (reviewMode) {
+    startReview();
+    return;
+  }
+  if (offlineQuiz) {
+    playOfflineQuiz(offlineQuiz.id);
+    return;
+  }
+  // every assignment attempt counts, so trying again starts the next one
+  if (currentAssignment) {
+    retakeAssignment();
+    return;
+  }
   // if no questions loaded, fetch initial questions
-  if (!quizData || quizData.length === 0) {
+  if (!quizData || quizData.length === 0 || !sessionId) {
     startQuiz();
     return;
   }
+  // reset the server session but keep its questions so new generation avoids duplicates
+  try {
+    const resp = await fetch(`/sessions/${encodeURIComponent(sessionId)}/reset`, { method: 'POST' });
+    if (!resp.ok) {
+      // session expired — generate a fresh quiz instead
+      startQuiz();
+      return;
+    }
+  } catch (err) {
+    console.error('Reset error', err);
+    alert(t('network.restart'));
+    return;
+  }
+  currentQuestionIndex = 0;
+  selectedAnswers = [];
+  draftAnswers = [];
+  answerFeedback = [];
+  questionTimes = [];
+  lastResult = null;
+  quizStartTime = new Date();
   showSection('quiz');
   renderQuestion();
   startTimer();
 }
 
-// keyboard support (1-4 select, arrows nav)
+// Saved quiz library
+async function loadLibrary() {
+  try {
+    const resp = await fetch('/quizzes');
+    const data = await resp.json();
+    if (!resp.ok) throw new Error(data.error || t('error.server'));
+    renderLibrary(data.quizzes || []);
+  } catch (err) {
+    console.error('Library load error', err);
+    renderLibrary([], t('library.needsConnection'));
+  }
+}
+
+function renderLibrary(quizzes, emptyText = t('library.empty')) {
+  els.libraryList.innerHTML = '';
+  els.libraryEmpty.textContent = emptyText;
+  els.libraryEmpty.style.display = quizzes.length ? 'none' : '';
+  quizzes.forEach(quiz => {
+    const item = document.createElement('li');
+    item.className = 'library-item';
+
+    const info = document.createElement('div');
+    info.className = 'library-info';
+    const title = document.createElement('span');
+    title.className = 'library-topic';
+    title.textContent = quiz.topic;
+    const meta = document.createElement('span');
+    meta.className = 'library-meta';
+    meta.textContent = t('library.meta', {
+      count: quiz.count,
+      language: languageName(quiz.language || 'en'),
+      model: quiz.model || t('library.unknownModel'),
+      date: formatDate(quiz.created_at)
+    });
+    info.append(title, meta);
+
+    const play = document.createElement('button');
+    play.className = 'btn btn-primary btn-small';
+    play.textContent = t('library.play');
+    play.onclick = () => playSavedQuiz(quiz.id);
+
+    const host = document.createElement('button');
+    host.className = 'btn btn-secondary btn-small';
+    host.textContent = t('library.host');
+    host.onclick = () => hostRoom({ quizId: quiz.id });
+
+    const assign = document.createElement('button');
+    assign.className = 'btn btn-secondary btn-small';
+    assign.textContent = t('library.assign');
+    assign.onclick = () => openAssignModal({ quizId: quiz.id }, quiz.topic);
+
+    const offline = document.createElement('button');
+    offline.className = 'btn btn-outline btn-small';
+    const stored = offlineQuizIds.has(`quiz-${quiz.id}`);
+    offline.textContent = stored ? t('library.storedOffline') : t('library.saveOffline');
+    offline.title = t('library.saveOfflineTitle');
+    offline.disabled = stored;
+    offline.onclick = () => downloadQuiz(quiz.id);
+
+    const del = document.createElement('button');
+    del.className = 'btn btn-outline btn-small';
+    del.textContent = t('library.delete');
+    del.onclick = () => deleteSavedQuiz(quiz.id, quiz.topic);
+
+    item.append(info, play, host, assign, offline, del);
+    els.libraryList.appendChild(item);
+  });
+}
+
+// Start playing a session the server has already created
+function playSession(data) {
+  resetQuizState(data.topic, data.questions.length);
+  sessionId = data.session_id;
+  currentChallenge = data.challenge || null;
+  currentAssignment = data.assignment || null;
+  // review sessions have no mode of their own and play timed
+  quizMode = data.mode || DEFAULT_QUIZ_MODE;
+  // review decks can mix languages; their cards are shown as the interface language
+  setQuizLanguage(data.language || uiLocale);
+  quizData = data.questions.map(q => ({
+    id: q.id,
+    type: q.type || 'single',
+    question: q.question,
+    options: q.options,
+    select_count: q.select_count,
+    difficulty: q.difficulty
+  }));
+  quizStartTime = new Date();
+  showSection('quiz');
+  renderQuestion();
+  startTimer();
+}
+
+// Replay a saved quiz without calling the model
+async function playSavedQuiz(id) {
+  showLoading(true, t('loading.savedQuiz'));
+  try {
+    const resp = await fetch(`/quizzes/${encodeURIComponent(id)}/play`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ mode: currentMode })
+    });
+    const data = await resp.json();
+    showLoading(false);
+    if (!resp.ok) {
+      alert(t('failed.loadQuiz', { error: data.error || t('error.server') }));
+      return;
+    }
+    playSession(data);
+    // already in the library, nothing to save
+    els.saveQuizBtn.disabled = true;
+  } catch (err) {
+    console.error('Saved quiz load error', err);
+    showLoading(false);
+    alert(t('network.loadQuiz'));
+  }
+}
+
+async function deleteSavedQuiz(id, topic) {
+  if (!confirm(t('library.confirmDelete', { topic }))) return;
+  try {
+    const resp = await fetch(`/quizzes/${encodeURIComponent(id)}`, { method: 'DELETE' });
+    if (!resp.ok) {
+      const data = await resp.json().catch(() => ({}));
+      alert(t('failed.delete', { error: data.error || t('error.server') }));
+    }
+  } catch (err) {
+    console.error('Delete error', err);
+    alert(t('network.delete'));
+  }
+  loadLibrary();
+}
+
+// Save the questions of the current session to the library
+async function saveCurrentQuiz() {
+  if (!sessionId) return;
+  try {
+    const resp = await fetch('/quizzes', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ session_id: sessionId })
+    });
+    const data = await resp.json();
+    if (!resp.ok) {
+      alert(t('failed.save', { error: data.error || t('error.server') }));
+      return;
+    }
+    els.saveQuizBtn.disabled = true;
+    alert(t('results.saved', { topic: data.quiz.topic }));
+  } catch (err) {
+    console.error('Save error', err);
+    alert(t('network.save'));
+  }
+}
+
+// Download the finished quiz in an LMS format; the printable sheet opens in a new tab
+async function exportCurrentQuiz(format) {
+  if (!sessionId) return;
+  try {
+    const resp = await fetch(`/sessions/${encodeURIComponent(sessionId)}/export?format=${encodeURIComponent(format)}`);
+    if (!resp.ok) {
+      const data = await resp.json().catch(() => ({}));
+      alert(t('failed.export', { error: data.error || t('error.server') }));
+      return;
+    }
+    const url = URL.createObjectURL(await resp.blob());
+    if (format === 'html') {
+      window.open(url, '_blank');
+    } else {
+      const match = /filename="([^"]+)"/.exec(resp.headers.get('Content-Disposition') || '');
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = match ? match[1] : `quiz.${format}`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+    }
+    setTimeout(() => URL.revokeObjectURL(url), 60_000);
+  } catch (err) {
+    console.error('Export error', err);
+    alert(t('network.export'));
+  }
+}
+
+// Import a GIFT or CSV question bank into the library
+async function importQuizFile(e) {
+  const file = e.target.files[0];
+  e.target.value = '';
+  if (!file) return;
+  const format = /\.csv$/i.test(file.name) ? 'csv' : 'gift';
+  const topic = prompt(t('results.importTopic'), file.name.replace(/\.(gift|txt|csv)$/i, ''));
+  if (!topic) return;
+  try {
+    const resp = await fetch('/quizzes/import', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ format, topic, language: currentLanguage || defaultQuizLanguage(), content: await file.text() })
+    });
+    const data = await resp.json();
+    if (!resp.ok) {
+      alert(t('failed.import', { error: data.error || t('error.server') }));
+      return;
+    }
+    const skipped = data.skipped.length ? t('results.importSkipped', { count: data.skipped.length }) : '';
+    alert(t('results.imported', { count: data.imported, topic: data.quiz.topic }) + skipped + t('results.importFound'));
+    loadLibrary();
+  } catch (err) {
+    console.error('Import error', err);
+    alert(t('network.import'));
+  }
+}
+
+// keyboard support (number keys select/toggle, Enter submits or advances, arrows nav)
 document.addEventListener('keydown', (e) => {
   if (!sections.quiz.classList.contains('active')) return;
-  if (['1','2','3','4'].includes(e.key)) {
+  // typing a short answer — the input handles its own Enter
+  if (e.target && e.target.tagName === 'INPUT') return;
+  const q = quizData[currentQuestionIndex];
+  if (/^[1-9]$/.test(e.key)) {
     const num = parseInt(e.key, 10) - 1;
-    onOptionClicked(num);
+    if (q && num < q.options.length) onOptionClicked(num);
+  } else if (e.key === 'Enter' && q && selectedAnswers[currentQuestionIndex] === undefined && q.type !== 'single' && q.type !== 'true_false') {
+    submitDraftAnswer();
   } else if (e.key === 'ArrowRight' || e.key === 'Enter') {
     nextQuestion();
   } else if (e.key === 'ArrowLeft') {
@@ -430,12 +1470,47 @@ document.addEventListener('keydown', (e) => {
   }
 });
 
+// Redraw the text scripts build at runtime when the interface language changes
+function onLocaleChange() {
+  renderQuizLanguageOptions();
+  syncModeTimeLabel();
+  renderOfflineQuizzes().then(loadLibrary);
+  refreshReviewSummary();
+  updateConnectionState();
+  const q = quizData[currentQuestionIndex];
+  if (q) {
+    els.difficultyBadge.textContent = q.difficulty ? t(`difficulty.${q.difficulty}`) : '';
+    updateQuestionTools(q);
+  }
+  if (lastResult) {
+    renderResultMode();
+    renderAnswerReview();
+    renderChallengeBoard();
+    renderAssignmentStatus();
+  }
+  if (sections.stats.classList.contains('active')) renderStats();
+}
+
 // initialize UI: attach listeners, create particles etc.
 function initializeUI() {
+  initLocaleSelect();
+  setLocale(detectLocale(), { save: false });
+  document.addEventListener('localechange', onLocaleChange);
+  loadQuizLanguages();
   // attach start button already done; just init particle visuals if desired
   // you already have CSS-based particles
   // set initial totals
   document.getElementById('total-questions').textContent = '0';
+  // stored quizzes first, so library items know which ones are already offline
+  renderOfflineQuizzes().then(loadLibrary);
+  refreshReviewSummary();
+  resumeRoom();
+  updateConnectionState();
+  syncOfflineResults();
+  const challengeSlug = challengeSlugFromPath();
+  if (challengeSlug) playChallenge(challengeSlug);
+  const assignmentId = assignmentIdFromPath();
+  if (assignmentId) takeAssignment(assignmentId);
 }
 
 // run init
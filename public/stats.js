@@ -0,0 +1,255 @@
+/* stats.js - attempt history (localStorage), aggregation and the stats dashboard */
+
+const STATS_STORAGE_KEY = 'aiQuizVerse.attempts';
+const STATS_SYNC_KEY = 'aiQuizVerse.statsSync';
+const STATS_CLIENT_KEY = 'aiQuizVerse.clientId';
+const STATS_MAX_ATTEMPTS = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// attempts recorded before quiz modes existed were all played this way
+const DEFAULT_QUIZ_MODE = { name: 'timed', question_seconds: 30 };
+
+let statsModeFilter = ''; // modeKey() of the shown attempts, or '' for every mode
+
+// Attempts with the same key were played the same way and are comparable
+function modeKey(mode) {
+  const m = mode || DEFAULT_QUIZ_MODE;
+  if (m.name === 'practice') return m.name;
+  return `${m.name}:${m.name === 'exam' ? m.time_limit_seconds : m.question_seconds}`;
+}
+
+// Short label for a quiz mode in the interface language
+function describeMode(mode) {
+  const m = mode || DEFAULT_QUIZ_MODE;
+  switch (m.name) {
+    case 'practice':
+      return t('mode.practice');
+    case 'exam':
+      return t('mode.exam', { minutes: Math.round(m.time_limit_seconds / 60) });
+    case 'sudden_death':
+      return t('mode.suddenDeath', { seconds: m.question_seconds });
+    default:
+      return t('mode.timed', { seconds: m.question_seconds });
+  }
+}
+
+function attemptMode(attempt) {
+  return attempt.mode || (attempt.result && attempt.result.mode) || DEFAULT_QUIZ_MODE;
+}
+
+function loadAttempts() {
+  try {
+    const arr = JSON.parse(localStorage.getItem(STATS_STORAGE_KEY) || '[]');
+    return Array.isArray(arr) ? arr : [];
+  } catch (err) {
+    console.warn('Corrupt attempt history, starting fresh', err);
+    return [];
+  }
+}
+
+function saveAttempts(attempts) {
+  const sorted = attempts.slice().sort((a, b) => String(a.date).localeCompare(String(b.date)));
+  localStorage.setItem(STATS_STORAGE_KEY, JSON.stringify(sorted.slice(-STATS_MAX_ATTEMPTS)));
+}
+
+// Stable anonymous id used to group this browser's attempts on the server
+function getStatsClientId() {
+  let id = localStorage.getItem(STATS_CLIENT_KEY);
+  if (!id) {
+    id = Array.from(crypto.getRandomValues(new Uint8Array(12)), b => b.toString(16).padStart(2, '0')).join('');
+    localStorage.setItem(STATS_CLIENT_KEY, id);
+  }
+  return id;
+}
+
+function isStatsSyncEnabled() {
+  return localStorage.getItem(STATS_SYNC_KEY) === 'on';
+}
+
+function setStatsSyncEnabled(on) {
+  localStorage.setItem(STATS_SYNC_KEY, on ? 'on' : 'off');
+}
+
+// Store a finished attempt locally and push it to the server when sync is on
+function recordAttempt(attempt) {
+  const attempts = loadAttempts();
+  attempts.push(attempt);
+  saveAttempts(attempts);
+  if (isStatsSyncEnabled()) syncAttempts([attempt]);
+}
+
+// Merge `changes` into a stored attempt (e.g. the signed result of an offline attempt)
+function updateAttempt(id, changes) {
+  const attempts = loadAttempts();
+  const attempt = attempts.find(a => a.id === id);
+  if (!attempt) return null;
+  Object.assign(attempt, changes);
+  saveAttempts(attempts);
+  if (isStatsSyncEnabled()) syncAttempts([attempt]);
+  return attempt;
+}
+
+// Push attempts to the server and merge back whatever it has for this client
+async function syncAttempts(attempts = loadAttempts()) {
+  try {
+    const resp = await fetch('/stats/attempts', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ client_id: getStatsClientId(), attempts })
+    });
+    const data = await resp.json();
+    if (!resp.ok) throw new Error(data.error || t('error.server'));
+    const byId = new Map(loadAttempts().map(a => [a.id, a]));
+    (data.attempts || []).forEach(a => byId.set(a.id, { ...byId.get(a.id), ...a }));
+    saveAttempts(Array.from(byId.values()));
+    return true;
+  } catch (err) {
+    console.warn('Stats sync failed', err);
+    return false;
+  }
+}
+
+function dayKey(date) {
+  const d = new Date(date);
+  return new Date(d.getFullYear(), d.getMonth(), d.getDate()).getTime();
+}
+
+// Consecutive calendar days with at least one attempt
+function computeDayStreaks(attempts, now = Date.now()) {
+  const days = Array.from(new Set(attempts.map(a => dayKey(a.date)))).sort((a, b) => a - b);
+  let best = 0;
+  let run = 0;
+  for (let i = 0; i < days.length; i++) {
+    // DST shifts make a day 23-25h long, so compare rounded day counts
+    run = i > 0 && Math.round((days[i] - days[i - 1]) / DAY_MS) === 1 ? run + 1 : 1;
+    best = Math.max(best, run);
+  }
+  const today = dayKey(now);
+  const last = days[days.length - 1];
+  const current = last !== undefined && Math.round((today - last) / DAY_MS) <= 1 ? run : 0;
+  return { current, best };
+}
+
+// Longest run of correct answers across all attempts, in order
+function computeAnswerStreak(attempts) {
+  let best = 0;
+  let run = 0;
+  attempts.forEach(a => (a.questions || []).forEach(q => {
+    run = q.correct ? run + 1 : 0;
+    best = Math.max(best, run);
+  }));
+  return best;
+}
+
+function computeStats(attempts) {
+  const topics = new Map();
+  let questionCount = 0;
+  let correctCount = 0;
+  let timedCount = 0;
+  let timeTotal = 0;
+
+  attempts.forEach(a => {
+    const key = (a.topic || t('stats.untitled')).trim();
+    const t = topics.get(key.toLowerCase()) || { topic: key, attempts: 0, correct: 0, total: 0, bestPercent: 0 };
+    t.attempts++;
+    t.correct += a.correct;
+    t.total += a.total;
+    t.bestPercent = Math.max(t.bestPercent, a.percent);
+    topics.set(key.toLowerCase(), t);
+
+    questionCount += a.total;
+    correctCount += a.correct;
+    (a.questions || []).forEach(q => {
+      if (typeof q.time_ms === 'number') {
+        timedCount++;
+        timeTotal += q.time_ms;
+      }
+    });
+  });
+
+  const byTopic = Array.from(topics.values())
+    .map(t => ({ ...t, accuracy: t.total ? Math.round((t.correct / t.total) * 100) : 0 }))
+    .sort((a, b) => b.accuracy - a.accuracy || b.attempts - a.attempts);
+
+  return {
+    attempts: attempts.length,
+    accuracy: questionCount ? Math.round((correctCount / questionCount) * 100) : 0,
+    avgSecondsPerQuestion: timedCount ? timeTotal / timedCount / 1000 : 0,
+    byTopic,
+    best: byTopic[0] || null,
+    worst: byTopic.length > 1 ? byTopic[byTopic.length - 1] : null,
+    dayStreak: computeDayStreaks(attempts),
+    answerStreak: computeAnswerStreak(attempts)
+  };
+}
+
+// Offer every mode that has attempts; a filter whose attempts are gone falls back to all
+function renderModeFilter(all) {
+  const select = document.getElementById('statsMode');
+  const modes = new Map();
+  all.forEach(a => {
+    const mode = attemptMode(a);
+    modes.set(modeKey(mode), describeMode(mode));
+  });
+  if (!modes.has(statsModeFilter)) statsModeFilter = '';
+  select.innerHTML = '';
+  [['', t('stats.allModes')]].concat(Array.from(modes).sort((a, b) => a[1].localeCompare(b[1]))).forEach(([key, label]) => {
+    const option = document.createElement('option');
+    option.value = key;
+    option.textContent = label;
+    select.appendChild(option);
+  });
+  select.value = statsModeFilter;
+}
+
+function renderStats() {
+  const all = loadAttempts();
+  renderModeFilter(all);
+  const attempts = statsModeFilter ? all.filter(a => modeKey(attemptMode(a)) === statsModeFilter) : all;
+  const stats = computeStats(attempts);
+  const $ = id => document.getElementById(id);
+
+  $('stats-attempts').textContent = String(stats.attempts);
+  $('stats-accuracy').textContent = `${stats.accuracy}%`;
+  $('stats-avg-time').textContent = `${stats.avgSecondsPerQuestion.toFixed(1)}s`;
+  $('stats-streak').textContent = `${stats.dayStreak.current}d`;
+  $('stats-best-streak').textContent = `${stats.dayStreak.best}d / ${stats.answerStreak}`;
+  $('stats-empty').style.display = attempts.length ? 'none' : '';
+  $('statsSyncToggle').checked = isStatsSyncEnabled();
+
+  // Attempts over time: one bar per attempt, most recent 30
+  const chart = $('stats-chart');
+  chart.innerHTML = '';
+  attempts.slice(-30).forEach(a => {
+    const bar = document.createElement('div');
+    bar.className = 'stats-bar';
+    bar.style.height = `${Math.max(4, a.percent)}%`;
+    bar.title = `${formatDateTime(a.date)} · ${a.topic} · ${describeMode(attemptMode(a))} · ${a.percent}%`;
+    chart.appendChild(bar);
+  });
+
+  const table = $('stats-topics');
+  table.innerHTML = '';
+  stats.byTopic.forEach(t => {
+    const row = document.createElement('tr');
+    [t.topic, String(t.attempts), `${t.accuracy}%`, `${t.bestPercent}%`].forEach(text => {
+      const cell = document.createElement('td');
+      cell.textContent = text;
+      row.appendChild(cell);
+    });
+    table.appendChild(row);
+  });
+
+  $('stats-best-topic').textContent = stats.best ? `${stats.best.topic} (${stats.best.accuracy}%)` : '—';
+  $('stats-worst-topic').textContent = stats.worst ? `${stats.worst.topic} (${stats.worst.accuracy}%)` : '—';
+}
+
+function setStatsModeFilter(key) {
+  statsModeFilter = key;
+  renderStats();
+}
+
+function clearStats() {
+  if (!confirm(t('stats.confirmClear'))) return;
+  localStorage.removeItem(STATS_STORAGE_KEY);
+  renderStats();
+}
@@ -0,0 +1,72 @@
+/* sw.js - service worker: caches the app shell so the app opens without a connection */
+
+const SHELL_CACHE = 'quiz-verse-shell-v5';
+const SHELL_FILES = [
+  '/',
+  '/index.html',
+  '/styles.css',
+  '/i18n.js',
+  '/locales/en.js',
+  '/locales/es.js',
+  '/locales/de.js',
+  '/locales/hi.js',
+  '/locales/ar.js',
+  '/locales/he.js',
+  '/stats.js',
+  '/questionRenderers.js',
+  '/multiplayer.js',
+  '/review.js',
+  '/scoring.js',
+  '/offline.js',
+  '/challenge.js',
+  '/assignment.js',
+  '/script.js',
+  '/manifest.webmanifest',
+  '/icons/icon-192.png',
+  '/icons/icon-512.png'
+];
+const NETWORK_TIMEOUT_MS = 3000;
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(k => k !== SHELL_CACHE).map(k => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Network first so a deploy shows up on the next load; the cached copy is used
+// when the network fails or is too slow to be worth waiting for
+async function shellResponse(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const response = await Promise.race([
+      fetch(request),
+      new Promise((_, reject) => setTimeout(() => reject(new Error('timeout')), NETWORK_TIMEOUT_MS))
+    ]);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+  } catch (err) {
+    const cached = await cache.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+// Only the shell is cached; API calls (quizzes, sessions, stats) and /admin always
+// go to the network, offline play reads its quizzes from IndexedDB instead
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin || !SHELL_FILES.includes(url.pathname)) return;
+  event.respondWith(shellResponse(request));
+});
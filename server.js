@@ -2,264 +2,1311 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const fs = require('fs/promises');
+const { createProvider, withCallTiming } = require('./lib/providers');
+const { logger, requestLogger } = require('./lib/logger');
+const { createMetrics } = require('./lib/metrics');
+const { createSessionStore } = require('./lib/sessions');
+const { createQuizStore } = require('./lib/quizStore');
+const { createChallengeStore, cleanPlayerName, SLUG_PATTERN } = require('./lib/challengeStore');
+const { createAttemptStore, isClientId } = require('./lib/attemptStore');
+const { createAssignmentStore, parseAssignmentSettings } = require('./lib/assignmentStore');
+const { buildGradebook, gradebookCsv } = require('./lib/gradebook');
+const { createQuestionBank } = require('./lib/questionBank');
+const { createSimilarityIndex } = require('./lib/similarity');
+const { createFlagStore, REASONS: FLAG_REASONS } = require('./lib/flagStore');
+const { createAdminAuth } = require('./lib/adminAuth');
+const { createSafetyPolicy, parseTermList, cleanInput, sanitizeItem } = require('./lib/safety');
+const { createReviewDeck, reviewQuality } = require('./lib/reviewDeck');
+const { normalizeQuestion, validateQuestion, publicView, parseTypes } = require('./lib/questionTypes');
+const { extractText, selectChunks, createSourceStore } = require('./lib/sourceMaterial');
+const { DEFAULT_LEVEL, parseDifficulty, nextDifficulty } = require('./lib/difficulty');
+const { DEFAULT_MODE, parseMode, modeError } = require('./lib/quizModes');
+const { DEFAULT_LANGUAGE, parseLanguage, localizeQuestion, listLanguages } = require('./lib/languages');
+const { createItemStreamParser } = require('./lib/jsonStream');
+const { createGenerator, buildPrompt, validateItems, describeProblems } = require('./lib/generator');
+const { exportQuiz, importQuestions } = require('./lib/formats');
+const { slugify } = require('./lib/formats/common');
+const { createRoomManager } = require('./lib/rooms');
+const { createRateLimiter, createRateLimitStore, parseLimit, parseTrustProxy } = require('./lib/rateLimit');
+const { ID_PATTERN, httpError } = require('./lib/util');
+const { WebSocketServer } = require('ws');
 
-// Gemini SDK
-let genAI = null;
-const GEMINI_API_KEY = process.env.GOOGLE_API_KEY;
-// Try the most commonly available model by default
-const GEMINI_MODEL = process.env.GEMINI_MODEL || process.env.MODEL_NAME || 'gemini-pro';
+// Prometheus metrics, scraped from GET /metrics
+const metrics = createMetrics();
+const httpRequests = metrics.counter('quiz_http_requests_total', 'HTTP requests by method, route and status.', ['method', 'route', 'status']);
+const httpSeconds = metrics.histogram('quiz_http_request_duration_seconds', 'HTTP response time by method and route.', {
+  labelNames: ['method', 'route'],
+  buckets: [0.005, 0.01, 0.05, 0.1, 0.5, 1, 5, 30]
+});
+const generationSeconds = metrics.histogram('quiz_generation_duration_seconds', 'Model call latency by provider, model, mode (generate | stream) and outcome (ok | error).', {
+  labelNames: ['provider', 'model', 'mode', 'outcome']
+});
+const parseFailures = metrics.counter('quiz_generation_parse_failures_total', 'Unusable model output by reason: json (no questions array), schema (invalid question) or repeat.', ['provider', 'model', 'reason']);
+const rateLimitRejections = metrics.counter('quiz_rate_limit_rejections_total', 'Requests answered with 429, by limit.', ['limit']);
+const questionsServed = metrics.counter('quiz_questions_served_total', 'Questions handed out by the generation routes, by origin (model | bank).', ['origin']);
+metrics.gauge('quiz_process_uptime_seconds', 'Seconds since the server process started.', () => Math.round(process.uptime()));
+metrics.gauge('quiz_process_resident_memory_bytes', 'Resident memory of the server process.', () => process.memoryUsage().rss);
+
+// LLM provider, chosen by LLM_PROVIDER (gemini | openai | mock). Every model call is timed.
+const provider = withCallTiming(createProvider(), ({ mode, model, outcome, seconds }) => {
+  generationSeconds.observe({ provider: provider.name, model, mode, outcome }, seconds);
+});
+metrics.gauge('quiz_model_circuit_open', 'Models skipped by the circuit breaker (1) or called (0), by provider and model.', () =>
+  provider.registry.state().models.map(m => ({ labels: { provider: provider.name, model: m.name }, value: m.circuit === 'open' ? 1 : 0 })));
+
+// Follow-up requests when model output fails validation
+const GENERATION_RETRIES = Number.isInteger(parseInt(process.env.GENERATION_RETRIES, 10))
+  ? parseInt(process.env.GENERATION_RETRIES, 10)
+  : 2;
+
+// Quiz sessions hold the answer key server-side; results are HMAC-signed
+const sessions = createSessionStore({ secret: process.env.SESSION_SECRET });
+
+// Live multiplayer rooms, played over WebSockets at /ws
+const rooms = createRoomManager({
+  questionMs: (parseInt(process.env.ROOM_QUESTION_SECONDS, 10) || 20) * 1000,
+  maxRooms: parseInt(process.env.MAX_ROOMS, 10) || 200
+});
+
+// Saved quiz library (JSON files on disk)
+const DATA_DIR = path.resolve(process.env.DATA_DIR || path.join(__dirname, 'data'));
+const quizStore = createQuizStore({ dir: path.join(DATA_DIR, 'quizzes') });
+const attemptStore = createAttemptStore({ dir: path.join(DATA_DIR, 'attempts') });
+const sourceStore = createSourceStore({ dir: path.join(DATA_DIR, 'sources') });
+const reviewDeck = createReviewDeck({ dir: path.join(DATA_DIR, 'review') });
+// Shared challenge links: frozen question sets with a leaderboard each
+const challengeStore = createChallengeStore({ dir: path.join(DATA_DIR, 'challenges') });
+// Classroom assignments: a frozen quiz with a deadline, attempt limit and gradebook
+const assignmentStore = createAssignmentStore({ dir: path.join(DATA_DIR, 'assignments') });
+
+// Topic policy: comma-separated words or /regex/ entries. Rejected topics are
+// logged to data/safety/rejections.jsonl for review.
+const safetyPolicy = createSafetyPolicy({
+  allow: parseTermList(process.env.TOPIC_ALLOWLIST),
+  deny: parseTermList(process.env.TOPIC_DENYLIST),
+  logFile: path.join(DATA_DIR, 'safety', 'rejections.jsonl')
+});
+
+// Question bank: generated questions are kept per topic and a share of each new
+// quiz (QUESTION_BANK_REUSE, 0-1) is served from it before the model is called.
+// QUESTION_SIMILARITY is the cosine score above which two questions count as the same.
+const BANK_REUSE = Math.min(1, Math.max(0, parseFloat(process.env.QUESTION_BANK_REUSE || '0.5') || 0));
+const SIMILARITY_THRESHOLD = parseFloat(process.env.QUESTION_SIMILARITY) || 0.6;
+const questionBank = createQuestionBank({ dir: path.join(DATA_DIR, 'bank'), threshold: SIMILARITY_THRESHOLD });
+
+// Prompting, validation and retries of model output (see lib/generator.js)
+const { generateQuestions } = createGenerator({
+  provider,
+  retries: GENERATION_RETRIES,
+  similarityThreshold: SIMILARITY_THRESHOLD,
+  onParseFailure(model, reason, n) {
+    parseFailures.inc({ provider: provider.name, model, reason }, n);
+  }
+});
+
+// Questions reported by players, reviewed on the password-protected /admin page
+const flagStore = createFlagStore({ dir: path.join(DATA_DIR, 'flags') });
+const requireAdmin = createAdminAuth({ password: process.env.ADMIN_PASSWORD });
 
 const app = express();
 let PORT = parseInt(process.env.PORT, 10) || 3002;
 
+// Behind a reverse proxy, set TRUST_PROXY so req.ip is the client and not the proxy
+const trustProxy = parseTrustProxy(process.env.TRUST_PROXY);
+if (trustProxy !== undefined) app.set('trust proxy', trustProxy);
+
+// JSON request log with a request id per request (X-Request-Id), plus HTTP metrics
+app.use(requestLogger(logger, {
+  quiet: ['/healthz', '/readyz', '/metrics'],
+  onFinish(req, res, seconds) {
+    const route = req.route ? req.baseUrl + req.route.path : 'other';
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    httpSeconds.observe({ method: req.method, route }, seconds);
+  }
+}));
+
+// GET /healthz - liveness: the process is up and answering
+app.get('/healthz', (req, res) => {
+  res.json({
+    status: 'ok',
+    provider: provider.name,
+    provider_configured: provider.isConfigured(),
+    uptime_seconds: Math.round(process.uptime())
+  });
+});
+
+// GET /readyz - readiness: 503 until the provider is configured and DATA_DIR is writable
+app.get('/readyz', async (req, res) => {
+  const checks = {
+    provider: provider.isConfigured() ? 'ok' : `${provider.missingConfig} is not set`,
+    data_dir: 'ok'
+  };
+  try {
+    await fs.mkdir(DATA_DIR, { recursive: true });
+    await fs.access(DATA_DIR, fs.constants.W_OK);
+  } catch (err) {
+    checks.data_dir = err.message;
+  }
+  const ready = Object.values(checks).every(v => v === 'ok');
+  res.status(ready ? 200 : 503).json({ status: ready ? 'ok' : 'unavailable', checks });
+});
+
+// GET /metrics - Prometheus text format
+app.get('/metrics', (req, res) => {
+  res.type(metrics.contentType).send(metrics.render());
+});
+
 app.use(cors());
+// Uploaded source material can be large (PDFs arrive base64-encoded)
+app.use('/sources', express.json({ limit: process.env.SOURCE_MAX_BYTES || '15mb' }));
+app.use('/quizzes/import', express.json({ limit: '5mb' }));
+// offline results bring their whole question pack back with them
+app.use('/offline/results', express.json({ limit: '5mb' }));
 app.use(express.json());
+app.use('/admin', requireAdmin); // public/admin and /admin/api need the admin password
 app.use(express.static('public')); // serve frontend files from /public
+// answer scoring, shared with the offline player
+app.get('/scoring.js', (req, res) => res.sendFile(path.join(__dirname, 'lib', 'scoring.js')));
 
-// Simple in-memory rate limiter (per IP)
-const requests = new Map();
-const RATE_LIMIT = 12; // requests
-const RATE_WINDOW_MS = 60_000; // per minute
-
-function checkRateLimit(ip) {
-  const now = Date.now();
-  const timestamps = requests.get(ip) || [];
-  const fresh = timestamps.filter(t => now - t < RATE_WINDOW_MS);
-  fresh.push(now);
-  requests.set(ip, fresh);
-  return fresh.length <= RATE_LIMIT;
-}
+// Token-bucket rate limits per client IP (see lib/rateLimit). Generation costs
+// one token per requested question; uploads and imports one per request.
+const limiter = createRateLimiter({
+  store: createRateLimitStore(),
+  onReject(name, req, weight) {
+    rateLimitRejections.inc({ limit: name });
+    req.log.info('rate limited', { limit: name, cost: weight });
+  }
+});
+const generateLimit = limiter.limit('generate', {
+  ...parseLimit(process.env.RATE_LIMIT_GENERATE, '60/60'),
+  cost: req => parseInt(req.body && req.body.count, 10) || 1
+});
+const uploadLimit = limiter.limit('upload', parseLimit(process.env.RATE_LIMIT_UPLOAD, '10/60'));
+const roomLimit = limiter.limit('rooms', parseLimit(process.env.RATE_LIMIT_ROOMS, '10/60'));
 
-// Normalize and validate questions into the desired shape
+// Normalize and validate questions into the typed shape (see lib/questionTypes.js)
 function normalizeQuestions(items, count) {
   if (!Array.isArray(items)) return [];
-  const questions = items.map((it) => {
-    const question = (it.question || it.q || it.Q || '').toString().trim();
-    let options = Array.isArray(it.options)
-      ? it.options.map(String)
-      : (Array.isArray(it.choices) ? it.choices.map(String) : []);
-
-    // ensure options length 4 — if not, pad or truncate
-    if (options.length < 4) {
-      const o = options.slice();
-      while (o.length < 4) o.push('Option');
-      options = o.slice(0, 4);
-    } else if (options.length > 4) {
-      options = options.slice(0, 4);
-    }
-
-    const answer_index = typeof it.answer_index === 'number'
-      ? it.answer_index
-      : (typeof it.answerIndex === 'number'
-        ? it.answerIndex
-        : (typeof it.answer === 'string'
-          ? (options.indexOf(it.answer) >= 0 ? options.indexOf(it.answer) : 0)
-          : 0));
-
-    const explanation = it.explanation ? String(it.explanation) : '';
-    return { question, options, answer_index, explanation };
-  }).filter(q => q.question && Array.isArray(q.options) && q.options.length >= 2);
-
+  const questions = items.map(normalizeQuestion).filter(Boolean);
   return questions.slice(0, count);
 }
 
-// Helper: safe extraction and parsing of JSON from text
-function extractJsonFromText(rawText) {
-    if (!rawText || typeof rawText !== 'string') return null;
-    const start = rawText.indexOf('```json');
-    const end = rawText.lastIndexOf('```');
-    if (start === -1 || end === -1) return null;
-    let jsonString = rawText.slice(start + 7, end).trim();
+function badRequest(message) {
+  return httpError(400, message);
+}
 
-    try {
-        const parsed = JSON.parse(jsonString);
-        return parsed;
-    } catch (err) {
-        return null;
-    }
+// Everyone who plays a challenge link or an assignment must get the same questions
+function lockedQuestions(session) {
+  const kind = session.meta.assignment ? 'Assignments' : 'Challenges';
+  return httpError(409, `${kind} use a fixed set of questions; it cannot be changed.`);
 }
 
+function isLocked(session) {
+  return Boolean(session.meta.challenge || session.meta.assignment);
+}
+
+// Validate a generation request body and resolve its session, source and difficulty
+// `context` ({ ip, route }) is recorded when the safety policy rejects the topic.
+async function resolveGenerationRequest(body = {}, context = {}) {
+  const { count = 5, sessionId, adaptive = false } = body;
+  // older clients also send usedQuestionsText, the text of every earlier question. It is
+  // ignored: the session already knows them, and the free text would reach the prompt unscreened.
+  const clientId = isClientId(body.clientId) ? body.clientId : null;
+  let { topic, sourceId } = body;
+  const types = parseTypes(body.types);
+  const existing = sessionId ? sessions.get(sessionId) : null;
+  if (existing && isLocked(existing)) throw lockedQuestions(existing);
+  // "Generate More" keeps drawing from the session's source material
+  if (existing && existing.meta.sourceId) sourceId = existing.meta.sourceId;
+  const source = sourceId ? await sourceStore.get(sourceId) : null;
+  if (source && (!topic || !String(topic).trim())) topic = source.name;
+  if (!topic || typeof topic !== 'string' || cleanInput(topic).length < 3) {
+    throw badRequest('Invalid topic (min 3 chars).');
+  }
+  topic = await safetyPolicy.checkTopic(topic, context);
+  if (!Number.isInteger(count) || count < 1 || count > 20) {
+    throw badRequest('Count must be integer between 1 and 20.');
+  }
+  if (!types) {
+    throw badRequest('Unknown question type requested.');
+  }
+  let difficulty = parseDifficulty(body.difficulty);
+  if (!difficulty) {
+    throw badRequest('Difficulty must be one of easy, medium, hard or expert.');
+  }
+  // only a new session takes the mode; "Generate More" keeps the one it was started with
+  const mode = parseMode(body.mode);
+  if (!mode) {
+    throw badRequest(modeError());
+  }
+  // the same goes for the language, so one quiz never mixes languages
+  const language = existing ? existing.meta.language || DEFAULT_LANGUAGE : parseLanguage(body.language);
+  if (!language) {
+    throw badRequest(`Unsupported language. Use one of: ${listLanguages().map(l => l.code).join(', ')}.`);
+  }
+  // Adaptive mode steps the session's level up or down from the player's recent accuracy
+  if (existing && adaptive) {
+    const chronological = existing.answers.filter(Boolean).sort((a, b) => a.answered_at - b.answered_at);
+    difficulty = nextDifficulty(existing.meta.difficulty || difficulty, chronological);
+  }
 
-// Initialize Gemini
-function ensureGemini() {
-  if (genAI) return;
+  const usedPassages = existing ? existing.meta.usedPassages || [] : [];
+  const passages = source ? selectChunks(source.chunks, usedPassages) : null;
+  const avoid = existing ? existing.questions.slice() : [];
+  return { topic, count, avoid, clientId, types, difficulty, mode, language, existing, source, passages, usedPassages };
+}
+
+// Serve part of a quiz from the question bank. Quizzes grounded in uploaded
+// material are never served from or added to the bank.
+async function drawFromBank(params, log = logger) {
+  const { topic, count, types, difficulty, clientId, avoid, source, language } = params;
+  if (source || BANK_REUSE <= 0) return [];
   try {
-    if (!GEMINI_API_KEY) {
-      throw new Error('GOOGLE_API_KEY is not set in .env file. Please set it before using the application.');
-    }
-    genAI = new GoogleGenerativeAI(GEMINI_API_KEY);
-    console.log('Gemini API initialized successfully');
-  } catch (e) {
-    console.error('Failed to initialize Gemini API:', e.message);
-    throw e;
+    return await questionBank.draw(topic, { count: Math.floor(count * BANK_REUSE), types, difficulty, clientId, avoid, language });
+  } catch (err) {
+    log.warn('question bank unavailable', { err });
+    return [];
+  }
+}
+
+// Keep newly generated questions for later quizzes on the same topic
+function bankQuestions(params, questions, model, log = logger) {
+  if (params.source || !questions.length) return;
+  questionBank.add(params.topic, questions, { model, clientId: params.clientId, language: params.language })
+    .catch(err => log.warn('could not update the question bank', { err }));
+}
+
+// Append to an existing session ("Generate More") or start a new one
+function commitQuestions(params, questions, model) {
+  const { topic, existing, source, passages, usedPassages, difficulty, mode, language } = params;
+  let session;
+  let from = 0;
+  if (existing) {
+    session = existing;
+    from = sessions.append(session.id, questions);
+  } else {
+    session = sessions.create(questions, { topic, model, mode, language, sourceId: source ? source.id : null });
+  }
+  session.meta.difficulty = difficulty;
+  if (passages) session.meta.usedPassages = usedPassages.concat(passages.map(p => p.id));
+  return { session, from };
+}
+
+// Shared error response for the generation routes
+function sendGenerationError(res, err, route) {
+  // invalid request, unknown session or source, topic rejected by the safety policy
+  if (err.status >= 400 && err.status < 500) return res.status(err.status).json({ error: err.message });
+  res.req.log.error('generation failed', { route, err, problems: err.problems, tried_models: err.triedModels });
+  const payload = { error: 'Server error', details: err.message };
+  if (err.raw) payload.raw = err.raw;
+  if (err.providerError) payload.provider = err.providerError;
+  if (err.problems !== undefined) {
+    // every attempt came back invalid
+    return res.status(502).json({ error: err.message, details: err.problems, raw: err.raw });
+  }
+  if (err.triedModels) {
+    // 503: every model's circuit breaker is open
+    return res.status(err.status === 503 ? 503 : 502).json({
+      error: err.status === 503 ? 'All models are temporarily unavailable' : 'No supported models available',
+      details: err.message,
+      tried_models: err.triedModels,
+      skipped_models: err.skippedModels,
+      configured_model: provider.model
+    });
   }
+  return res.status(500).json(payload);
 }
 
-// Try multiple models until one works
-async function tryGenerateWithModel(modelName, prompt) {
-  const model = genAI.getGenerativeModel({ model: modelName });
+// POST /generate-quiz
+app.post('/generate-quiz', generateLimit, async (req, res) => {
   try {
-    console.log(`🤖 Trying model: ${modelName}...`);
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    console.log(`✅ Success with model: ${modelName}`);
-    return response.text();
+    const params = await resolveGenerationRequest(req.body || {}, { ip: req.ip, route: '/generate-quiz' });
+    if (!provider.isConfigured()) {
+      return res.status(500).json({ error: `Server not configured with ${provider.missingConfig}.` });
+    }
+    const cached = await drawFromBank(params, req.log);
+    const have = cached.map(c => c.question);
+    const { questions, model } = await generateQuestions(params, { have, log: req.log });
+    bankQuestions(params, questions, model, req.log);
+    questionsServed.inc({ origin: 'bank' }, have.length);
+    questionsServed.inc({ origin: 'model' }, questions.length);
+
+    const { session, from } = commitQuestions(params, have.concat(questions), model || (cached[0] && cached[0].model));
+    return res.json({
+      status: 'ok',
+      session_id: session.id,
+      difficulty: params.difficulty,
+      mode: session.meta.mode,
+      language: session.meta.language,
+      cached: cached.length,
+      questions: sessions.publicQuestions(session, from)
+    });
   } catch (err) {
-    if (err.status === 404 || /not found/i.test(String(err.message || ''))) {
-      console.log(`❌ Model ${modelName} not found or unsupported`);
-      return null;
+    return sendGenerationError(res, err, '/generate-quiz');
+  }
+});
+
+// POST /generate-quiz/stream - same body as /generate-quiz, answered as NDJSON:
+//   {"type":"session", session_id, difficulty, mode, language}  once, before the first question
+//   {"type":"question", question}              as soon as each question is complete
+//   {"type":"done", count} | {"type":"error", error}
+app.post('/generate-quiz/stream', generateLimit, async (req, res) => {
+  let started = false;
+  try {
+    const params = await resolveGenerationRequest(req.body || {}, { ip: req.ip, route: '/generate-quiz/stream' });
+    if (!provider.isConfigured()) {
+      return res.status(500).json({ error: `Server not configured with ${provider.missingConfig}.` });
     }
-    // For other errors, throw them
-    throw err;
+
+    let aborted = false;
+    req.on('close', () => { aborted = true; });
+    const send = (obj) => res.write(`${JSON.stringify(obj)}\n`);
+    const parser = createItemStreamParser();
+    const { topic, count, types, passages } = params;
+    let session = null;
+    const streamed = [];
+    const problems = [];
+    const index = createSimilarityIndex(params.avoid, { threshold: SIMILARITY_THRESHOLD });
+
+    // Commit one validated question to the session and send it; false for duplicates
+    const emit = (question, model) => {
+      if (index.isDuplicate(question)) return false;
+      if (!started) {
+        res.status(200).set({ 'Content-Type': 'application/x-ndjson', 'Cache-Control': 'no-cache' });
+        started = true;
+      }
+      let from;
+      if (!session) {
+        ({ session, from } = commitQuestions(params, [question], model));
+        send({ type: 'session', session_id: session.id, difficulty: params.difficulty, mode: session.meta.mode, language: session.meta.language });
+      } else {
+        from = sessions.append(session.id, [question]);
+      }
+      // the session silently drops duplicates
+      if (session.questions.length === from) return false;
+      send({ type: 'question', question: sessions.publicQuestions(session, from)[0] });
+      index.add(question);
+      streamed.push(question);
+      return true;
+    };
+
+    // Unseen bank questions go out first; the model only writes the rest
+    const cached = await drawFromBank(params, req.log);
+    cached.forEach(c => emit(c.question, c.model));
+    const fromBank = streamed.length;
+    const missing = count - fromBank;
+    const prompt = buildPrompt({ ...params, count: missing, keep: streamed });
+
+    let itemNumber = 0;
+    let generatedBy = null;
+    const stream = missing > 0 ? provider.streamText(prompt, { topic, count: missing, types, passages }) : [];
+    for await (const { text, model } of stream) {
+      if (aborted) break;
+      generatedBy = model;
+      for (const item of parser.push(text)) {
+        if (streamed.length >= count) break;
+        const { questions: [question], problems: rejected } = validateItems([item], params);
+        itemNumber++;
+        rejected.forEach(p => problems.push({ ...p, item: itemNumber }));
+        if (rejected.length) parseFailures.inc({ provider: provider.name, model, reason: 'schema' }, rejected.length);
+        if (question && !emit(question, model)) {
+          parseFailures.inc({ provider: provider.name, model, reason: 'repeat' });
+          problems.push({ item: itemNumber, question: question.question, errors: ['repeats an earlier question'] });
+        }
+      }
+      if (streamed.length >= count) break;
+    }
+
+    // Ask again, with feedback, for whatever was rejected or never arrived
+    if (!aborted && streamed.length < count) {
+      if (problems.length) {
+        req.log.warn('rejected streamed questions', { provider: provider.name, model: generatedBy, rejected: problems.length, problems: describeProblems(problems) });
+      }
+      const feedback = problems.length
+        ? describeProblems(problems)
+        : `- Only ${streamed.length} of the ${count} requested questions were returned.`;
+      const { questions, model } = await generateQuestions(params, { have: streamed, feedback, log: req.log });
+      generatedBy = model || generatedBy;
+      for (const question of questions) {
+        if (aborted || streamed.length >= count) break;
+        emit(question, model);
+      }
+    }
+    bankQuestions(params, streamed.slice(fromBank), generatedBy, req.log);
+    questionsServed.inc({ origin: 'bank' }, fromBank);
+    questionsServed.inc({ origin: 'model' }, streamed.length - fromBank);
+
+    if (!started) {
+      return res.status(502).json({ error: `No valid questions were streamed by ${provider.name}.` });
+    }
+    send({ type: 'done', count: streamed.length, cached: fromBank });
+    return res.end();
+  } catch (err) {
+    if (!started) return sendGenerationError(res, err, '/generate-quiz/stream');
+    req.log.error('stream failed', { route: '/generate-quiz/stream', err });
+    res.write(`${JSON.stringify({ type: 'error', error: err.message || 'Stream failed' })}\n`);
+    return res.end();
   }
+});
+
+// POST /sources - upload pasted text, Markdown, a text file or a PDF to generate from
+app.post('/sources', uploadLimit, async (req, res) => {
+  try {
+    const { name, kind, content } = req.body || {};
+    const { type, text } = await extractText({ name, kind, content });
+    const source = await sourceStore.save({ name, type, text });
+    return res.status(201).json({
+      status: 'ok',
+      source: { id: source.id, name: source.name, type: source.type, chars: source.chars, passages: source.chunks.length }
+    });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+// Shared error response for session and library routes
+function sendError(res, err) {
+  if (err.status && err.status < 500) {
+    return res.status(err.status).json({ error: err.message });
+  }
+  res.req.log.error('request failed', { err });
+  return res.status(500).json({ error: 'Server error', details: err.message });
 }
 
-// Provider implementations
-async function generateWithGemini({ topic, count, usedQuestionsText }) {
-  ensureGemini();
-  
-  // List of models to try, in order of preference
-  const modelCandidates = [
-    GEMINI_MODEL,           // try configured model first
-    'gemini-pro',          // most common model name
-    'gemini-1.0-pro',      // older version
-    'gemini-pro-latest',   // potential latest version
-    'gemini-1.0',          // basic model
-    'gemini-pro-vision'    // vision model (fallback)
-  ];
-
-  const prompt = `
-You are an assistant that generates multiple-choice questions in strict JSON only.
-Generate exactly ${count} unique multiple-choice questions on the topic: "${topic}".
-Each question must have 4 options (array length 4) and exactly one correct answer.
-Return ONLY a JSON object and nothing else. The JSON object must follow this schema:
-
-{
-  "questions": [
-    {
-      "question": "string",
-      "options": ["string","string","string","string"],
-      "answer_index": 0,
-      "explanation": "short explanation (optional)"
-    }
-  ]
+// Reschedule the review card behind an answer given in a review session
+async function gradeReviewCard(session, record) {
+  const { clientId, cardIds } = session.meta.review;
+  // time since the previous answer (or the start) approximates time spent on this question
+  const previous = session.answers
+    .filter(a => a && a !== record)
+    .reduce((latest, a) => Math.max(latest, a.answered_at), session.startedAt);
+  const card = await reviewDeck.grade(clientId, cardIds[record.question_id], reviewQuality(record, record.answered_at - previous));
+  return card && { ease: card.ease, interval_days: card.interval_days, due_at: card.due_at };
 }
 
-Do NOT include any explanatory text, markdown, or backticks. Ensure the output is valid JSON.
-${usedQuestionsText ? `Avoid repeating these exact question texts: ${usedQuestionsText}` : ''}
-`;
+// POST /sessions/:id/answers - submit one answer, get correctness and explanation back
+app.post('/sessions/:id/answers', async (req, res) => {
+  try {
+    const { question_id, answer, answer_index } = req.body || {};
+    if (!Number.isInteger(question_id) || question_id < 0) {
+      return res.status(400).json({ error: 'question_id must be a non-negative integer.' });
+    }
+    // answer_index is accepted for single-choice clients that predate question types
+    const record = sessions.answer(req.params.id, question_id, answer !== undefined ? answer : answer_index);
+    const session = sessions.get(req.params.id);
+    if (session.meta.review && !record.already_answered) {
+      try {
+        return res.json({ status: 'ok', ...record, review: await gradeReviewCard(session, record) });
+      } catch (err) {
+        req.log.warn('could not update review card', { err });
+      }
+    }
+    return res.json({ status: 'ok', ...record });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
 
-  let responseText = null;
-  let lastError = null;
+// Put a finished run on its challenge's leaderboard
+async function recordChallengeResult(slug, name, result) {
+  const entry = {
+    id: `${result.session_id}:${result.finished_at}`,
+    name,
+    points: result.points,
+    percent: result.percent,
+    correct: result.correct,
+    total: result.total,
+    duration_ms: result.duration_ms,
+    finished_at: result.finished_at
+  };
+  const challenge = await challengeStore.record(slug, entry);
+  return challengeStore.leaderboard(challenge, { entryId: entry.id });
+}
 
-  // Try each model in sequence until one works
-  for (const modelName of modelCandidates) {
-    try {
-      responseText = await tryGenerateWithModel(modelName, prompt);
-      if (responseText) {
-        // If we got here with a non-null response, we succeeded
-        break;
+// POST /sessions/:id/finish - compute and sign the final result.
+// Runs of a challenge link come back with the challenge's leaderboard,
+// assignment attempts are recorded in the assignment's gradebook.
+app.post('/sessions/:id/finish', async (req, res) => {
+  try {
+    const session = sessions.get(req.params.id);
+    const { result, signature } = sessions.finish(req.params.id);
+    const payload = { status: 'ok', result, signature, review: sessions.review(req.params.id) };
+    const { challenge } = session.meta;
+    if (challenge) {
+      try {
+        payload.challenge = await recordChallengeResult(challenge.slug, challenge.name, result);
+      } catch (err) {
+        req.log.warn('could not record the challenge result', { err, slug: challenge.slug });
       }
-    } catch (err) {
-      console.log(`❌ Error with model ${modelName}:`, err.message || err);
-      lastError = err;
-      // Continue to next model unless it's a non-404 error
-      if (err.status !== 404 && !/not found/i.test(String(err.message || ''))) {
-        throw err; // Non-404 errors might indicate bigger problems
+    }
+    const { assignment } = session.meta;
+    if (assignment) {
+      try {
+        payload.assignment = await assignmentStore.completeAttempt(assignment.id, assignment.attemptId, payload);
+      } catch (err) {
+        req.log.warn('could not record the assignment attempt', { err, assignment: assignment.id });
       }
     }
+    return res.json(payload);
+  } catch (err) {
+    return sendError(res, err);
   }
+});
 
-  // If we tried all models and none worked
-  if (!responseText) {
-    const messageParts = [];
-    messageParts.push(`Failed to generate content with any available model.`);
-    messageParts.push(`Tried models: ${modelCandidates.join(', ')}`);
-    if (lastError) {
-      messageParts.push(`Last error: ${lastError.message || String(lastError)}`);
+// GET /sessions/:id/review - per-question answers and solutions of a finished session
+app.get('/sessions/:id/review', (req, res) => {
+  try {
+    return res.json({ status: 'ok', review: sessions.review(req.params.id) });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+// POST /sessions/:id/retry - new session with only the questions that were missed
+app.post('/sessions/:id/retry', (req, res) => {
+  try {
+    const review = sessions.review(req.params.id);
+    const session = sessions.get(req.params.id);
+    const missed = session.questions.filter((q, i) => !review[i].correct);
+    if (missed.length === 0) return res.status(409).json({ error: 'Every question was answered correctly.' });
+    // a retry is practice: it must not reschedule review cards a second time
+    // or put a run of only the missed questions on a challenge leaderboard or in a gradebook
+    const { review: _review, challenge: _challenge, assignment: _assignment, ...meta } = session.meta;
+    const retry = sessions.create(missed, { ...meta, retryOf: session.id });
+    return res.json({
+      status: 'ok',
+      session_id: retry.id,
+      topic: meta.topic || '',
+      mode: meta.mode,
+      language: meta.language,
+      questions: sessions.publicQuestions(retry)
+    });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+// GET /sessions/:id/offline - signed pack of a finished session, playable without a connection
+app.get('/sessions/:id/offline', (req, res) => {
+  try {
+    const session = sessions.get(req.params.id);
+    if (!session.result) return res.status(409).json({ error: 'Finish the quiz before storing it for offline play.' });
+    if (session.meta.review) return res.status(409).json({ error: 'Review sessions are scheduled on the server and cannot be played offline.' });
+    if (session.meta.assignment) return res.status(409).json({ error: 'Assignments can only be taken online.' });
+    const { meta } = session;
+    return res.json({ status: 'ok', ...sessions.pack(session.questions, { ...meta, id: meta.quizId ? `quiz-${meta.quizId}` : `session-${session.id}` }) });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+// POST /sessions/:id/reset - replay the same questions from the start
+app.post('/sessions/:id/reset', (req, res) => {
+  try {
+    const { meta } = sessions.get(req.params.id);
+    // every assignment attempt is counted, so a replay has to start a new one
+    if (meta.assignment) {
+      return res.status(409).json({ error: 'Start a new attempt to take the assignment again.' });
     }
-    const e = new Error(messageParts.join(' '));
-    e.triedModels = modelCandidates;
-    e.lastError = lastError;
-    e.status = 502;
-    throw e;
+    // replaying would grade the same review cards a second time
+    if (meta.review) return res.status(409).json({ error: 'Start a new review session to review again.' });
+    const session = sessions.reset(req.params.id);
+    return res.json({ status: 'ok', session_id: session.id, questions: sessions.publicQuestions(session) });
+  } catch (err) {
+    return sendError(res, err);
   }
+});
 
-  const text = responseText;
-  let parsed = extractJsonFromText(text);
+// Session question from the URL, e.g. /sessions/:id/questions/:qid/flag
+function sessionQuestion(req) {
+  const session = sessions.get(req.params.id);
+  const questionId = Number(req.params.qid);
+  const question = Number.isInteger(questionId) ? session.questions[questionId] : null;
+  if (!question) throw badRequest('Unknown question id for this session.');
+  return { session, questionId, question };
+}
 
-  if (!parsed) {
-      try {
-          parsed = JSON.parse(text);
-      } catch(e) {
-        // ignore
+// POST /sessions/:id/questions/:qid/flag - report a wrong key, ambiguity, typo...
+app.post('/sessions/:id/questions/:qid/flag', async (req, res) => {
+  try {
+    const { session, question } = sessionQuestion(req);
+    const { reason, comment } = req.body || {};
+    const flag = await flagStore.add({
+      question,
+      topic: session.meta.topic || '',
+      language: session.meta.language || DEFAULT_LANGUAGE,
+      quizId: session.meta.quizId || null,
+      sourceId: session.meta.sourceId || null,
+      reason,
+      comment
+    });
+    // keep it out of new quizzes until an admin has looked at it
+    if (!session.meta.sourceId) {
+      questionBank.revise(session.meta.topic, question.question, { flagged: true }, { language: session.meta.language })
+        .catch(err => req.log.warn('could not hold back the flagged question', { err }));
+    }
+    return res.status(201).json({ status: 'ok', flag_id: flag.id, reports: flag.reports.length });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+// POST /sessions/:id/questions/:qid/regenerate - replace one question in place,
+// same topic, type and difficulty, avoiding every other question in the session
+app.post('/sessions/:id/questions/:qid/regenerate', generateLimit, async (req, res) => {
+  try {
+    const { session, questionId, question } = sessionQuestion(req);
+    if (session.result) return res.status(409).json({ error: 'This session is already finished.' });
+    // replacing an answered question would erase the answer (and a sudden death miss)
+    if (session.answers[questionId]) return res.status(409).json({ error: 'This question has already been answered.' });
+    if (isLocked(session)) throw lockedQuestions(session);
+    // review answers are graded against the card at the same position
+    if (session.meta.review) return res.status(409).json({ error: 'Review sessions cannot replace their questions.' });
+    if (!provider.isConfigured()) {
+      return res.status(500).json({ error: `Server not configured with ${provider.missingConfig}.` });
+    }
+    const source = session.meta.sourceId ? await sourceStore.get(session.meta.sourceId) : null;
+    const params = {
+      topic: session.meta.topic,
+      count: 1,
+      avoid: session.questions.slice(),
+      clientId: null,
+      types: [question.type || 'single'],
+      difficulty: question.difficulty || session.meta.difficulty || DEFAULT_LEVEL,
+      language: session.meta.language || DEFAULT_LANGUAGE,
+      source,
+      passages: source ? selectChunks(source.chunks) : null
+    };
+    const { questions: [replacement], model } = await generateQuestions(params, { log: req.log });
+    bankQuestions(params, [replacement], model, req.log);
+    questionsServed.inc({ origin: 'model' });
+    return res.json({ status: 'ok', question: sessions.replace(session.id, questionId, replacement) });
+  } catch (err) {
+    return sendGenerationError(res, err, '/sessions/:id/questions/:qid/regenerate');
+  }
+});
+
+// POST /results/verify - check that a result was issued by this server
+app.post('/results/verify', (req, res) => {
+  const { result, signature } = req.body || {};
+  return res.json({ status: 'ok', valid: sessions.verify(result, signature) });
+});
+
+// GET /quizzes - saved quiz library (summaries only)
+app.get('/quizzes', async (req, res) => {
+  try {
+    return res.json({ status: 'ok', quizzes: await quizStore.list() });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+// POST /quizzes - save a played session's questions, or a raw question set
+app.post('/quizzes', async (req, res) => {
+  try {
+    const { session_id, topic, questions, model } = req.body || {};
+    const language = parseLanguage(req.body && req.body.language);
+    if (!language) return res.status(400).json({ error: 'Unsupported language.' });
+    let quiz;
+    if (session_id) {
+      const session = sessions.get(session_id);
+      // a saved quiz can be exported with its answer key, so only finished sessions of
+      // the player's own quizzes qualify (not frozen challenge or assignment question sets)
+      if (!session.result) return res.status(409).json({ error: 'Finish the quiz before saving it.' });
+      if (session.meta.assignment) return res.status(409).json({ error: 'Assignments cannot be saved to the library.' });
+      if (session.meta.challenge) return res.status(409).json({ error: 'Challenges cannot be saved to the library.' });
+      quiz = await quizStore.save({
+        topic: session.meta.topic,
+        model: session.meta.model,
+        language: session.meta.language || DEFAULT_LANGUAGE,
+        questions: session.questions
+      });
+    } else {
+      if (!topic || typeof topic !== 'string') {
+        return res.status(400).json({ error: 'Provide a session_id, or a topic and questions.' });
+      }
+      const normalized = normalizeQuestions(questions, 100);
+      if (!normalized.length) {
+        return res.status(400).json({ error: 'No valid questions to save.' });
       }
+      quiz = await quizStore.save({
+        topic: topic.trim(),
+        model: model || null,
+        language,
+        questions: normalized.map(q => localizeQuestion(q, language))
+      });
+    }
+    return res.status(201).json({ status: 'ok', quiz: quizStore.summary(quiz) });
+  } catch (err) {
+    return sendError(res, err);
   }
+});
 
-  const questions = Array.isArray(parsed) ? parsed : parsed?.questions;
+// GET /quizzes/:id - metadata and questions, without the answer key
+app.get('/quizzes/:id', async (req, res) => {
+  try {
+    const quiz = await quizStore.get(req.params.id);
+    const questions = quiz.questions.map(publicView);
+    return res.json({ status: 'ok', quiz: { ...quizStore.summary(quiz), questions } });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
 
-  if (!questions || !Array.isArray(questions)) {
-    const err = new Error('Failed to parse Gemini JSON.');
-    err.raw = typeof text === 'string' ? text.slice(0, 2000) : null;
-    throw err;
+// POST /quizzes/:id/play - start a new session from a saved quiz (no model call)
+app.post('/quizzes/:id/play', async (req, res) => {
+  try {
+    const mode = parseMode(req.body && req.body.mode);
+    if (!mode) return res.status(400).json({ error: modeError() });
+    const quiz = await quizStore.get(req.params.id);
+    const language = quiz.language || DEFAULT_LANGUAGE;
+    const session = sessions.create(quiz.questions, { topic: quiz.topic, model: quiz.model, quizId: quiz.id, mode, language });
+    return res.json({
+      status: 'ok',
+      session_id: session.id,
+      topic: quiz.topic,
+      mode,
+      language,
+      questions: sessions.publicQuestions(session)
+    });
+  } catch (err) {
+    return sendError(res, err);
   }
+});
+
+// GET /quizzes/:id/offline - signed pack of a saved quiz, answer key included, for offline play
+app.get('/quizzes/:id/offline', async (req, res) => {
+  try {
+    const quiz = await quizStore.get(req.params.id);
+    return res.json({
+      status: 'ok',
+      ...sessions.pack(quiz.questions, { id: `quiz-${quiz.id}`, topic: quiz.topic, model: quiz.model, language: quiz.language, quizId: quiz.id })
+    });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+// DELETE /quizzes/:id
+app.delete('/quizzes/:id', async (req, res) => {
+  try {
+    await quizStore.remove(req.params.id);
+    return res.json({ status: 'ok' });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
 
-  return normalizeQuestions(questions, count);
+// Send a quiz as a file in one of the export formats (see lib/formats)
+function sendExport(res, quiz, format) {
+  const { filename, contentType, body } = exportQuiz(quiz, format || 'gift');
+  // the answer sheet opens in the browser so it can be printed
+  const disposition = contentType.startsWith('text/html') ? 'inline' : 'attachment';
+  res.set('Content-Type', contentType);
+  res.set('Content-Disposition', `${disposition}; filename="${filename}"`);
+  return res.send(body);
 }
 
-// POST /generate-quiz
-app.post('/generate-quiz', async (req, res) => {
+// GET /quizzes/:id/export?format=gift|moodle_xml|qti|csv|html
+app.get('/quizzes/:id/export', async (req, res) => {
+  try {
+    const quiz = await quizStore.get(req.params.id);
+    return sendExport(res, quiz, req.query.format);
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+// GET /sessions/:id/export?format=... - the answer key is only released once the quiz is finished
+app.get('/sessions/:id/export', (req, res) => {
   try {
-    const ip = req.ip || req.connection?.remoteAddress;
-    if (!checkRateLimit(ip || 'global')) {
-      return res.status(429).json({ error: 'Too many requests — slow down.' });
+    const session = sessions.get(req.params.id);
+    if (!session.result) {
+      return res.status(409).json({ error: 'Finish the quiz before exporting it.' });
     }
+    const { topic, language } = session.meta;
+    return sendExport(res, { topic, language, questions: session.questions }, req.query.format);
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
 
-    const { topic, count = 5, usedQuestionsText = '' } = req.body || {};
-    if (!topic || typeof topic !== 'string' || topic.trim().length < 3) {
-      return res.status(400).json({ error: 'Invalid topic (min 3 chars).' });
+// POST /quizzes/import - { format: 'gift' | 'csv', topic, content } into the library
+app.post('/quizzes/import', uploadLimit, async (req, res) => {
+  try {
+    const { format, topic, content } = req.body || {};
+    const language = parseLanguage(req.body && req.body.language);
+    if (!topic || typeof topic !== 'string' || !topic.trim()) {
+      return res.status(400).json({ error: 'Provide a topic for the imported quiz.' });
+    }
+    if (!language) {
+      return res.status(400).json({ error: 'Unsupported language.' });
+    }
+    if (typeof content !== 'string' || !content.trim()) {
+      return res.status(400).json({ error: 'Provide the file content to import.' });
+    }
+    const { questions, skipped } = importQuestions(content, format);
+    if (!questions.length) {
+      return res.status(400).json({ error: 'No importable questions found.', skipped });
+    }
+    const quiz = await quizStore.save({
+      topic: topic.trim(),
+      model: `import:${String(format).toLowerCase()}`,
+      language,
+      questions: questions.map(q => localizeQuestion(q, language))
+    });
+    return res.status(201).json({ status: 'ok', quiz: quizStore.summary(quiz), imported: questions.length, skipped });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+// Challenge links: POST /challenges freezes a finished session's questions under a
+// short slug; everyone who opens /c/<slug> plays them in the same order and mode.
+//   { session_id, name } -> { url, challenge, leaderboard }, the creator's run already on it
+app.post('/challenges', async (req, res) => {
+  try {
+    const session = sessions.get(String((req.body && req.body.session_id) || ''));
+    if (!session.result) return res.status(409).json({ error: 'Finish the quiz before sharing it as a challenge.' });
+    if (session.meta.review) return res.status(409).json({ error: 'Review sessions cannot be shared as a challenge.' });
+    if (session.meta.assignment) return res.status(409).json({ error: 'Assignments cannot be shared as a challenge.' });
+    const name = cleanPlayerName(req.body.name);
+    if (!name) return res.status(400).json({ error: 'Enter a name for the leaderboard.' });
+    // a run of a challenge shares the link it came from
+    if (session.meta.challenge) {
+      const challenge = await challengeStore.get(session.meta.challenge.slug);
+      return res.json({
+        status: 'ok',
+        url: `/c/${challenge.slug}`,
+        challenge: challengeStore.summary(challenge),
+        leaderboard: challengeStore.leaderboard(challenge)
+      });
     }
-    if (!Number.isInteger(count) || count < 1 || count > 20) {
-      return res.status(400).json({ error: 'Count must be integer between 1 and 20.' });
+    const { meta } = session;
+    const challenge = await challengeStore.create({
+      topic: meta.topic || '',
+      model: meta.model || null,
+      language: meta.language || DEFAULT_LANGUAGE,
+      mode: meta.mode || DEFAULT_MODE,
+      questions: session.questions,
+      createdBy: name
+    });
+    // replays of this session now count towards the challenge too
+    meta.challenge = { slug: challenge.slug, name };
+    const leaderboard = await recordChallengeResult(challenge.slug, name, session.result.result);
+    return res.status(201).json({ status: 'ok', url: `/c/${challenge.slug}`, challenge: challengeStore.summary(challenge), leaderboard });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+// GET /challenges/:slug - what the challenge is and who has played it
+app.get('/challenges/:slug', async (req, res) => {
+  try {
+    const challenge = await challengeStore.get(req.params.slug);
+    return res.json({ status: 'ok', challenge: challengeStore.summary(challenge), leaderboard: challengeStore.leaderboard(challenge) });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+// POST /challenges/:slug/play - { name } -> a new session with the challenge's questions, in order
+app.post('/challenges/:slug/play', async (req, res) => {
+  try {
+    const name = cleanPlayerName(req.body && req.body.name);
+    if (!name) return res.status(400).json({ error: 'Enter a name for the leaderboard.' });
+    const challenge = await challengeStore.get(req.params.slug);
+    const { topic, model, mode, language } = challenge;
+    const session = sessions.create(challenge.questions, { topic, model, mode, language, challenge: { slug: challenge.slug, name } });
+    return res.json({
+      status: 'ok',
+      session_id: session.id,
+      topic,
+      mode,
+      language,
+      challenge: challengeStore.summary(challenge),
+      questions: sessions.publicQuestions(session)
+    });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+// Assignments: POST /assignments freezes a generated session or a saved quiz for a class.
+//   { session_id | quiz_id, title, opens_at, closes_at, max_attempts, roster, class_code }
+//   -> { assignment, teacher_token, student_url, gradebook_url }
+// The teacher token is shown once; it is the only way into the gradebook.
+app.post('/assignments', async (req, res) => {
+  try {
+    const { session_id, quiz_id } = req.body || {};
+    let source;
+    if (session_id) {
+      const session = sessions.get(session_id);
+      // students must not be handed someone else's frozen questions, nor a quiz still being played
+      if (!session.result) return res.status(409).json({ error: 'Finish the quiz before assigning it.' });
+      if (session.meta.review) return res.status(409).json({ error: 'Review sessions cannot be assigned.' });
+      if (session.meta.assignment) return res.status(409).json({ error: 'Assignments cannot be assigned again.' });
+      if (session.meta.challenge) return res.status(409).json({ error: 'Challenges cannot be assigned.' });
+      const { meta } = session;
+      source = { topic: meta.topic || '', model: meta.model, language: meta.language, mode: meta.mode, questions: session.questions };
+    } else if (quiz_id) {
+      source = await quizStore.get(quiz_id);
+    } else {
+      return res.status(400).json({ error: 'Provide a session_id or quiz_id to assign.' });
     }
+    const settings = parseAssignmentSettings(req.body);
+    const assignment = await assignmentStore.create({
+      ...settings,
+      topic: source.topic,
+      model: source.model || null,
+      language: source.language || DEFAULT_LANGUAGE,
+      mode: source.mode || DEFAULT_MODE,
+      questions: source.questions
+    });
+    const token = assignment.teacher_token;
+    return res.status(201).json({
+      status: 'ok',
+      assignment: assignmentStore.summary(assignment),
+      teacher_token: token,
+      student_url: `/a/${assignment.id}`,
+      gradebook_url: `/gradebook/?id=${assignment.id}&token=${token}`
+    });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
 
-    if (!GEMINI_API_KEY) {
-      return res.status(500).json({ error: 'Server not configured with GEMINI_API_KEY.' });
+// GET /assignments/:id - what a student sees before starting
+app.get('/assignments/:id', async (req, res) => {
+  try {
+    const assignment = await assignmentStore.get(req.params.id);
+    return res.json({ status: 'ok', assignment: assignmentStore.studentView(assignment) });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+// POST /assignments/:id/start - { name, code } -> a new session for one counted attempt
+app.post('/assignments/:id/start', async (req, res) => {
+  try {
+    const { name, code } = req.body || {};
+    const { assignment, attempt, attemptsLeft } = await assignmentStore.startAttempt(req.params.id, { name, code });
+    const { topic, model, mode, language } = assignment;
+    const session = sessions.create(assignment.questions, {
+      topic, model, mode, language,
+      assignment: { id: assignment.id, attemptId: attempt.id }
+    });
+    return res.json({
+      status: 'ok',
+      session_id: session.id,
+      topic,
+      mode,
+      language,
+      assignment: { ...assignmentStore.studentView(assignment), student: attempt.student, attempt: attempt.number, attempts_left: attemptsLeft },
+      questions: sessions.publicQuestions(session)
+    });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+// GET /assignments/:id/gradebook[?format=csv] - per-student scores and per-question
+// percent correct. Needs the teacher token, as X-Teacher-Token or ?token=.
+app.get('/assignments/:id/gradebook', async (req, res) => {
+  try {
+    const assignment = await assignmentStore.get(req.params.id);
+    const token = req.get('X-Teacher-Token') || req.query.token;
+    if (!assignmentStore.checkToken(assignment, typeof token === 'string' ? token : '')) {
+      return res.status(403).json({ error: 'This gradebook needs the teacher link.' });
+    }
+    if (req.query.format === 'csv') {
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="gradebook-${slugify(assignment.title)}.csv"`);
+      return res.send(gradebookCsv(assignment));
     }
-    const questions = await generateWithGemini({ topic, count, usedQuestionsText });
+    return res.json({ status: 'ok', assignment: assignmentStore.summary(assignment), ...buildGradebook(assignment) });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
 
-    return res.json({ status: 'ok', questions });
+// POST /rooms - host a live room from a generated session or a saved quiz
+//   { session_id | quiz_id, seconds } -> join code plus the host's control token
+app.post('/rooms', roomLimit, async (req, res) => {
+  try {
+    const { session_id, quiz_id, seconds } = req.body || {};
+    let source;
+    if (session_id) {
+      const session = sessions.get(session_id);
+      // every reveal broadcasts the answer key, so only finished sessions of the player's own quizzes qualify
+      if (!session.result) return res.status(409).json({ error: 'Finish the quiz before hosting it.' });
+      if (session.meta.review) return res.status(409).json({ error: 'Review sessions cannot be hosted.' });
+      if (session.meta.assignment) return res.status(409).json({ error: 'Assignments cannot be hosted.' });
+      if (session.meta.challenge) return res.status(409).json({ error: 'Challenges cannot be hosted.' });
+      source = { topic: session.meta.topic, questions: session.questions };
+    } else if (quiz_id) {
+      source = await quizStore.get(quiz_id);
+    } else {
+      return res.status(400).json({ error: 'Provide a session_id or quiz_id to host.' });
+    }
+    const room = rooms.create({ topic: source.topic, questions: source.questions, seconds });
+    return res.status(201).json({
+      status: 'ok',
+      code: room.code,
+      host_token: room.hostToken,
+      topic: room.topic,
+      total: room.questions.length,
+      seconds: room.durationMs / 1000
+    });
   } catch (err) {
-    console.error('Server error in /generate-quiz:', err);
-    const payload = { error: 'Server error', details: err.message };
-    if (err.raw) payload.raw = err.raw;
-    if (err.providerError) payload.provider = err.providerError;
-    if (err.triedModels) {
-      payload.tried_models = err.triedModels;
-      return res.status(502).json({
-        error: 'No supported models available',
-        details: err.message,
-        tried_models: err.triedModels,
-        configured_model: GEMINI_MODEL
+    return sendError(res, err);
+  }
+});
+
+// GET /rooms/:code - check a join code before connecting
+app.get('/rooms/:code', (req, res) => {
+  try {
+    const room = rooms.get(req.params.code);
+    return res.json({ status: 'ok', code: room.code, topic: room.topic, state: room.state, players: room.players.size });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+// Keep only the fields the stats dashboard uses, and flag server-signed results
+function sanitizeAttempt(a) {
+  if (!a || typeof a.id !== 'string' || !a.id || a.id.length > 200) return null;
+  const num = v => (Number.isFinite(v) ? v : 0);
+  const date = new Date(a.date);
+  return {
+    id: a.id,
+    topic: String(a.topic || '').slice(0, 200),
+    date: Number.isNaN(date.getTime()) ? new Date().toISOString() : date.toISOString(),
+    percent: num(a.percent),
+    correct: num(a.correct),
+    wrong: num(a.wrong),
+    unanswered: num(a.unanswered),
+    total: num(a.total),
+    duration_ms: num(a.duration_ms),
+    // attempts from before quiz modes were all timed at 30 seconds a question
+    mode: parseMode(a.mode) || DEFAULT_MODE,
+    questions: Array.isArray(a.questions)
+      ? a.questions.slice(0, 200).map(q => ({
+        correct: Boolean(q && q.correct),
+        answered: Boolean(q && q.answered),
+        time_ms: q && Number.isFinite(q.time_ms) ? q.time_ms : undefined
+      }))
+      : [],
+    result: a.result || null,
+    signature: typeof a.signature === 'string' ? a.signature : null,
+    verified: sessions.verify(a.result, a.signature)
+  };
+}
+
+// GET /stats/attempts?client_id=... - synced attempt history for one browser
+app.get('/stats/attempts', async (req, res) => {
+  try {
+    return res.json({ status: 'ok', attempts: await attemptStore.list(req.query.client_id) });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+// POST /stats/attempts - upload attempts and receive the merged history
+app.post('/stats/attempts', async (req, res) => {
+  try {
+    const { client_id, attempts } = req.body || {};
+    if (!Array.isArray(attempts) || attempts.length > 500) {
+      return res.status(400).json({ error: 'attempts must be an array of at most 500 items.' });
+    }
+    const clean = attempts.map(sanitizeAttempt).filter(Boolean);
+    return res.json({ status: 'ok', attempts: await attemptStore.merge(client_id, clean) });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+// POST /offline/results - answers recorded offline, queued in the browser:
+//   { results: [{ id, pack, signature, mode, answers: [{ question_id, answer }], duration_ms, finished_at }] }
+// Each is scored again against its signed pack and comes back with a signed result,
+// or with an error when it can never be accepted (retrying will not help).
+app.post('/offline/results', (req, res) => {
+  const { results } = req.body || {};
+  if (!Array.isArray(results) || results.length > 50) {
+    return res.status(400).json({ error: 'results must be an array of at most 50 items.' });
+  }
+  const scored = results.map(item => {
+    const { pack, signature: packSignature, answers, duration_ms, finished_at } = item || {};
+    const id = item && typeof item.id === 'string' ? item.id.slice(0, 100) : null;
+    const mode = parseMode(item && item.mode);
+    if (!mode) return { id, status: 'error', error: modeError() };
+    try {
+      const { session, result, signature } = sessions.scoreOffline(pack, packSignature, {
+        answers,
+        durationMs: duration_ms,
+        finishedAt: finished_at,
+        mode
       });
+      return { id, status: 'ok', result, signature, review: sessions.review(session.id) };
+    } catch (err) {
+      if (!err.status) req.log.error('could not score offline result', { err });
+      return { id, status: 'error', error: err.status ? err.message : 'Server error' };
     }
-    return res.status(500).json(payload);
+  });
+  req.log.info('offline results synced', { received: results.length, accepted: scored.filter(r => r.status === 'ok').length });
+  return res.json({ status: 'ok', results: scored });
+});
+
+// GET /review/summary?client_id=... - deck size and how many cards are due
+app.get('/review/summary', async (req, res) => {
+  try {
+    return res.json({ status: 'ok', ...(await reviewDeck.summary(req.query.client_id)) });
+  } catch (err) {
+    return sendError(res, err);
   }
 });
 
-// GET /list-models - helpful for debugging which models are available/allowed
-app.get('/list-models', async (req, res) => {
+// POST /review/cards - add the questions missed in a finished session to the deck
+app.post('/review/cards', async (req, res) => {
   try {
-    ensureGemini();
-    if (typeof genAI.listModels === 'function') {
-      const models = await genAI.listModels();
-      return res.json({ status: 'ok', models });
+    const { client_id, session_id } = req.body || {};
+    const session = sessions.get(String(session_id || ''));
+    if (!session.result) return res.status(409).json({ error: 'Finish the quiz before adding its questions to the review deck.' });
+    // review sessions reschedule their cards as they are answered, and a session
+    // already added must not relapse the same cards again
+    if (session.meta.review || session.meta.reviewAdded) {
+      return res.json({ status: 'ok', added: 0, relapsed: 0, ...(await reviewDeck.summary(client_id)) });
     }
-    return res.status(501).json({ error: 'listModels not supported by SDK in this version. Check provider docs or upgrade SDK.' });
+    const missed = session.questions
+      .filter((q, i) => !(session.answers[i] && session.answers[i].correct))
+      .map(question => ({ question, topic: session.meta.topic }));
+    session.meta.reviewAdded = true;
+    let counts;
+    try {
+      counts = await reviewDeck.add(client_id, missed);
+    } catch (err) {
+      session.meta.reviewAdded = false;
+      throw err;
+    }
+    return res.json({ status: 'ok', ...counts, ...(await reviewDeck.summary(client_id)) });
   } catch (err) {
-    console.error('Error in /list-models:', err);
-    return res.status(500).json({ error: 'Failed to list models', details: err.message || String(err) });
+    return sendError(res, err);
+  }
+});
+
+// POST /review/session - start a session with the cards that are due
+app.post('/review/session', async (req, res) => {
+  try {
+    const { client_id } = req.body || {};
+    const limit = Math.min(50, Math.max(1, parseInt(req.body && req.body.limit, 10) || 20));
+    const cards = await reviewDeck.due(client_id, { limit });
+    if (cards.length === 0) {
+      return res.json({ status: 'ok', session_id: null, questions: [], ...(await reviewDeck.summary(client_id)) });
+    }
+    const session = sessions.create(cards.map(c => c.question), {
+      topic: 'Review',
+      review: { clientId: client_id, cardIds: cards.map(c => c.id) }
+    });
+    return res.json({
+      status: 'ok',
+      session_id: session.id,
+      topic: 'Review',
+      questions: sessions.publicQuestions(session).map((q, i) => ({ ...q, topic: cards[i].topic }))
+    });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+// GET /admin/api/flags?status=open - the review queue
+app.get('/admin/api/flags', async (req, res) => {
+  try {
+    const flags = await flagStore.list({ status: req.query.status || null });
+    return res.json({ status: 'ok', reasons: FLAG_REASONS, flags });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+// Apply an admin decision to the saved quiz the flagged question came from
+async function reviseSavedQuiz(quizId, questionText, replacement) {
+  if (!quizId) return;
+  const key = questionText.trim().toLowerCase();
+  try {
+    await quizStore.updateQuestions(quizId, questions => (replacement
+      ? questions.map(q => (q.question.trim().toLowerCase() === key ? replacement : q))
+      : questions.filter(q => q.question.trim().toLowerCase() !== key)));
+  } catch (err) {
+    // the quiz may have been deleted since
+    if (err.status !== 404) throw err;
+  }
+}
+
+// POST /admin/api/flags/:id/:action - approve | delete | fix ({ question })
+app.post('/admin/api/flags/:id/:action', async (req, res) => {
+  try {
+    const { action } = req.params;
+    if (!['approve', 'delete', 'fix'].includes(action)) {
+      return res.status(400).json({ error: 'action must be approve, delete or fix.' });
+    }
+    let fixed = null;
+    if (action === 'fix') {
+      const { question, errors } = validateQuestion(sanitizeItem((req.body || {}).question));
+      if (!question) return res.status(400).json({ error: 'The corrected question is invalid.', details: errors });
+      fixed = question;
+    }
+    const status = { approve: 'approved', delete: 'deleted', fix: 'fixed' }[action];
+    // the editor only sends the question itself; keep its difficulty and source passage
+    const revise = fixed && ((previous, flag) => localizeQuestion(
+      { difficulty: previous.difficulty, source: previous.source, ...fixed },
+      flag.language || DEFAULT_LANGUAGE
+    ));
+    const { flag, previous } = await flagStore.resolve(req.params.id, status, { revise });
+    fixed = fixed && flag.question;
+    const banked = !flag.source_id;
+    const bank = { language: flag.language };
+
+    if (action === 'approve') {
+      if (banked) await questionBank.trust(flag.topic, previous, bank);
+    } else if (action === 'delete') {
+      if (banked) await questionBank.revise(flag.topic, previous.question, null, bank);
+      await reviseSavedQuiz(flag.quiz_id, previous.question, null);
+    } else {
+      if (banked) {
+        await questionBank.revise(flag.topic, previous.question, null, bank);
+        await questionBank.trust(flag.topic, fixed, bank);
+      }
+      await reviseSavedQuiz(flag.quiz_id, previous.question, fixed);
+    }
+    req.log.info('flag resolved', { flag_id: flag.id, status, question: previous.question.slice(0, 80) });
+    return res.json({ status: 'ok', flag });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+// GET /languages - languages quizzes can be generated in, for the setup modal
+app.get('/languages', (req, res) => {
+  return res.json({ status: 'ok', default: DEFAULT_LANGUAGE, languages: listLanguages() });
+});
+
+// GET /list-models - models the provider reports, and the registry's order,
+// limits and circuit breaker state for each configured model
+app.get('/list-models', async (req, res) => {
+  const registry = provider.registry.state();
+  try {
+    const models = await provider.listModels();
+    const names = new Set(models.map(m => m.name || m.id));
+    // configured models the backend does not list are retired or misspelled
+    registry.models.forEach(m => { m.listed = names.has(m.name); });
+    return res.json({ status: 'ok', provider: provider.name, models, registry });
+  } catch (err) {
+    if (err.status === 501) {
+      return res.status(501).json({ error: err.message, registry });
+    }
+    req.log.error('could not list models', { err });
+    return res.status(500).json({ error: 'Failed to list models', details: err.message || String(err), registry });
   }
 });
 
@@ -268,8 +1315,41 @@ app.get('/', (req, res) => {
   res.sendFile(path.resolve(__dirname, 'public', 'index.html'));
 });
 
+// Challenge links open the app, which starts the challenge from the URL
+app.get('/c/:slug', (req, res, next) => {
+  if (!SLUG_PATTERN.test(req.params.slug)) return next();
+  res.sendFile(path.resolve(__dirname, 'public', 'index.html'));
+});
+
+// Assignment links open the app, which asks for the student's name
+app.get('/a/:id', (req, res, next) => {
+  if (!ID_PATTERN.test(req.params.id)) return next();
+  res.sendFile(path.resolve(__dirname, 'public', 'index.html'));
+});
+
 app.get('/favicon.ico', (req, res) => res.status(204));
 
+// WebSocket endpoint for live rooms; dead connections are dropped by a ping sweep
+function attachRoomSockets(server) {
+  const wss = new WebSocketServer({ server, path: '/ws', maxPayload: 64 * 1024 });
+  wss.on('connection', (socket) => {
+    socket.isAlive = true;
+    socket.on('pong', () => { socket.isAlive = true; });
+    socket.on('message', (data) => rooms.handleMessage(socket, data.toString()));
+    socket.on('close', () => rooms.disconnect(socket));
+  });
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach((socket) => {
+      if (!socket.isAlive) return socket.terminate();
+      socket.isAlive = false;
+      socket.ping();
+    });
+  }, 30_000);
+  heartbeat.unref();
+  wss.on('close', () => clearInterval(heartbeat));
+  return wss;
+}
+
 // Start the server
 const shouldTunnel = process.argv.includes('--tunnel');
 let tunnelInstance = null;
@@ -277,19 +1357,18 @@ let tunnelInstance = null;
 async function startServer(attempt = 0) {
   const maxAttempts = 5;
   const server = app.listen(PORT, async () => {
+    attachRoomSockets(server);
     const url = `http://localhost:${PORT}`;
-    console.log(`\n🚀 Server is running at ${url}`);
-    console.log(`📦 Provider: gemini`);
-    console.log(`🔎 Configured model: ${GEMINI_MODEL}`);
+    logger.info('server started', { url, provider: provider.name, model: provider.model, provider_configured: provider.isConfigured() });
 
     if (shouldTunnel) {
       try {
         const localtunnel = require('localtunnel');
         tunnelInstance = await localtunnel({ port: PORT });
-        console.log(`🔗 Public URL (localtunnel): ${tunnelInstance.url}`);
-        tunnelInstance.on('close', () => console.log('Tunnel closed'));
+        logger.info('tunnel opened', { public_url: tunnelInstance.url });
+        tunnelInstance.on('close', () => logger.info('tunnel closed'));
       } catch (e) {
-        console.error('Failed to start localtunnel:', e && e.message ? e.message : e);
+        logger.error('failed to start localtunnel', { err: e });
       }
     }
   });
@@ -298,12 +1377,12 @@ async function startServer(attempt = 0) {
     if (err && err.code === 'EADDRINUSE' && attempt < maxAttempts) {
       const oldPort = PORT;
       PORT = PORT + 1;
-      console.warn(`Port ${oldPort} is in use, retrying on port ${PORT} (attempt ${attempt + 1}/${maxAttempts})`);
+      logger.warn('port in use, retrying', { port: oldPort, next_port: PORT, attempt: attempt + 1, max_attempts: maxAttempts });
       // small delay before retrying
       setTimeout(() => startServer(attempt + 1), 300);
       return;
     }
-    console.error('Failed to start server:', err);
+    logger.error('failed to start server', { err });
     process.exit(1);
   });
 }
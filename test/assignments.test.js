@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, newSession } = require('./support/server');
+
+test('classroom assignments', async t => {
+  const server = await startServer(t);
+  let assignment;
+  let attemptId;
+
+  await t.test('only finished sessions of the teacher\'s own quizzes can be assigned or saved', async () => {
+    const sessionId = await newSession(server);
+    assert.strictEqual((await server.post('/assignments', { session_id: sessionId })).status, 409);
+    assert.strictEqual((await server.post('/quizzes', { session_id: sessionId })).status, 409);
+    await server.post(`/sessions/${sessionId}/finish`);
+    const created = await server.post('/assignments', { session_id: sessionId, title: 'Week 1', max_attempts: 1, class_code: 'abcd' });
+    assert.strictEqual(created.status, 201);
+    assignment = created.body;
+    assert.strictEqual(assignment.student_url, `/a/${assignment.assignment.id}`);
+
+    const shared = await server.post('/challenges', { session_id: sessionId, name: 'Ann' });
+    const run = await server.post(`/challenges/${shared.body.challenge.slug}/play`, { name: 'Bo' });
+    await server.post(`/sessions/${run.body.session_id}/finish`);
+    assert.strictEqual((await server.post('/assignments', { session_id: run.body.session_id })).status, 409);
+  });
+
+  await t.test('students need the class code and get the allowed number of attempts', async () => {
+    const { id } = assignment.assignment;
+    assert.strictEqual((await server.post(`/assignments/${id}/start`, { name: 'Cy', code: 'WXYZ' })).status, 403);
+    const attempt = await server.post(`/assignments/${id}/start`, { name: 'Cy', code: 'ABCD' });
+    assert.strictEqual(attempt.body.assignment.attempts_left, 0);
+    attemptId = attempt.body.session_id;
+    assert.strictEqual((await server.post(`/assignments/${id}/start`, { name: 'cy', code: 'ABCD' })).status, 403);
+  });
+
+  await t.test('an attempt can be neither replayed, saved nor reassigned', async () => {
+    assert.strictEqual((await server.post(`/sessions/${attemptId}/reset`)).status, 409);
+    await server.post(`/sessions/${attemptId}/answers`, { question_id: 0, answer: 0 });
+    assert.strictEqual((await server.post(`/sessions/${attemptId}/finish`)).status, 200);
+    assert.strictEqual((await server.post('/quizzes', { session_id: attemptId })).status, 409);
+    assert.strictEqual((await server.post('/assignments', { session_id: attemptId })).status, 409);
+  });
+
+  await t.test('the gradebook needs the teacher token and lists every attempt', async () => {
+    const { id } = assignment.assignment;
+    assert.strictEqual((await server.get(`/assignments/${id}/gradebook?token=guess`)).status, 403);
+    const gradebook = await server.get(`/assignments/${id}/gradebook?token=${assignment.teacher_token}`);
+    assert.deepStrictEqual(gradebook.body.students.map(s => [s.name, s.finished]), [['Cy', 1]]);
+    assert.strictEqual(gradebook.body.questions[0].attempts, 1);
+  });
+});
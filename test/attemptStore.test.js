@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { createAttemptStore, isClientId } = require('../lib/attemptStore');
+
+const CLIENT = 'client-1234';
+
+async function tempDir(t) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'quiz-test-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+function attempt(n) {
+  return { id: `a${n}`, date: new Date(Date.UTC(2026, 0, 1, 0, n)).toISOString() };
+}
+
+test('isClientId accepts only well-formed strings', () => {
+  assert.strictEqual(isClientId(CLIENT), true);
+  assert.strictEqual(isClientId(undefined), false);
+  assert.strictEqual(isClientId(null), false);
+  assert.strictEqual(isClientId('short'), false);
+  assert.strictEqual(isClientId('../../etc/passwd'), false);
+  assert.strictEqual(isClientId(['client-1234']), false);
+});
+
+test('attempt history is merged by id and kept per client', async t => {
+  const store = createAttemptStore({ dir: await tempDir(t) });
+  await store.merge(CLIENT, [attempt(2), attempt(1)]);
+  await store.merge(CLIENT, [{ ...attempt(2), percent: 90 }, attempt(3)]);
+  const history = await store.list(CLIENT);
+  assert.deepStrictEqual(history.map(a => a.id), ['a1', 'a2', 'a3']);
+  assert.strictEqual(history[1].percent, 90);
+  assert.deepStrictEqual(await store.list('other-client'), []);
+});
+
+test('concurrent merges for one client keep every attempt', async t => {
+  const store = createAttemptStore({ dir: await tempDir(t) });
+  await Promise.all(Array.from({ length: 20 }, (_, n) => store.merge(CLIENT, [attempt(n)])));
+  assert.strictEqual((await store.list(CLIENT)).length, 20);
+});
+
+test('attempts without a valid client id are rejected and never written', async t => {
+  const dir = await tempDir(t);
+  const store = createAttemptStore({ dir });
+  await assert.rejects(store.list(undefined), { status: 400, message: 'Missing client_id.' });
+  await assert.rejects(store.merge(undefined, [attempt(1)]), { status: 400, message: 'Missing client_id.' });
+  await assert.rejects(store.merge('bad id!', [attempt(1)]), { status: 400, message: 'Invalid client_id.' });
+  assert.deepStrictEqual(await fs.readdir(dir), []);
+});
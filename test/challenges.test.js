@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, newSession } = require('./support/server');
+
+test('challenge links', async t => {
+  const server = await startServer(t);
+  let slug;
+
+  await t.test('a finished quiz is shared with its creator on the leaderboard', async () => {
+    const sessionId = await newSession(server);
+    assert.strictEqual((await server.post('/challenges', { session_id: sessionId, name: 'Ann' })).status, 409);
+    await server.post(`/sessions/${sessionId}/finish`);
+    assert.strictEqual((await server.post('/challenges', { session_id: sessionId, name: ' ' })).status, 400);
+    const shared = await server.post('/challenges', { session_id: sessionId, name: 'Ann' });
+    assert.strictEqual(shared.status, 201);
+    slug = shared.body.challenge.slug;
+    assert.strictEqual(shared.body.url, `/c/${slug}`);
+    assert.deepStrictEqual(shared.body.leaderboard.entries.map(e => e.name), ['Ann']);
+  });
+
+  await t.test('a run replays the same questions and lands on the leaderboard', async () => {
+    const run = await server.post(`/challenges/${slug}/play`, { name: 'Bo' });
+    assert.strictEqual(run.body.questions.length, 3);
+    run.body.questions.forEach(q => assert.strictEqual(q.answer_index, undefined));
+    const finished = await server.post(`/sessions/${run.body.session_id}/finish`);
+    assert.strictEqual(finished.body.challenge.plays, 2);
+
+    // the frozen questions stay behind the link: no saving, and sharing returns the same link
+    assert.strictEqual((await server.post('/quizzes', { session_id: run.body.session_id })).status, 409);
+    const again = await server.post('/challenges', { session_id: run.body.session_id, name: 'Bo' });
+    assert.strictEqual(again.body.url, `/c/${slug}`);
+    assert.strictEqual((await server.get(`/challenges/${slug}`)).body.leaderboard.plays, 2);
+  });
+});
@@ -0,0 +1,150 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { exportQuiz, importQuestions } = require('../lib/formats');
+const { validateQuestion } = require('../lib/questionTypes');
+
+// One question of every type, with the characters each format has to escape
+const QUIZ = {
+  topic: 'Round "trip" & <escapes>',
+  questions: [
+    { type: 'single', question: 'Which one, {really}: a = b?', options: ['A ~ tilde', 'B, comma', 'C "quoted"', 'D # hash'], answer_index: 2, explanation: 'Line one\nline two: <b>&</b>' },
+    { type: 'true_false', question: 'Water boils at 100 °C at sea level.', answer: true, explanation: 'At 1 atm.' },
+    { type: 'multi', question: 'Pick the primes', options: ['2', '4', '5', '9'], answer_indices: [0, 2], explanation: '' },
+    { type: 'short', question: 'Capital of France?', accepted_answers: ['Paris', 'paris, France'], explanation: 'It is Paris.' },
+    { type: 'ordering', question: 'Order by size', options: ['ant', 'cat', 'horse', 'whale'], explanation: 'Smallest first.' }
+  ].map(item => validateQuestion(item).question)
+};
+
+// What a question means, independent of how a format stores it
+function meaning(q, { explanation = true } = {}) {
+  const out = { type: q.type, question: q.question };
+  switch (q.type) {
+    case 'true_false':
+      out.answer = q.answer_index === 0;
+      break;
+    case 'multi':
+      out.options = q.options;
+      out.answer = q.answer_indices.map(i => q.options[i]).sort();
+      break;
+    case 'short':
+      out.answer = q.accepted_answers;
+      break;
+    case 'ordering':
+      out.answer = q.answer_order.map(i => q.options[i]);
+      break;
+    default:
+      out.options = q.options;
+      out.answer = q.options[q.answer_index];
+  }
+  if (explanation) out.explanation = q.explanation || '';
+  return out;
+}
+
+function unescapeXml(text) {
+  return text.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, '\'').replace(/&amp;/g, '&');
+}
+
+// Stored entries of a zip written by lib/zip.js
+function unzip(buf) {
+  const files = {};
+  for (let at = 0; buf.readUInt32LE(at) === 0x04034b50;) {
+    const size = buf.readUInt32LE(at + 18);
+    const nameLength = buf.readUInt16LE(at + 26);
+    const start = at + 30 + nameLength + buf.readUInt16LE(at + 28);
+    files[buf.toString('utf8', at + 30, at + 30 + nameLength)] = buf.toString('utf8', start, start + size);
+    at = start + size;
+  }
+  return files;
+}
+
+// Moodle XML back to stored questions
+function readMoodleXml(xml) {
+  return [...xml.matchAll(/<question type="(\w+)">([\s\S]*?)<\/question>/g)]
+    .filter(([, type]) => type !== 'category')
+    .map(([, type, body]) => {
+      const field = name => unescapeXml(body.match(new RegExp(`<${name}[^>]*><text>([\\s\\S]*?)</text>`))[1]);
+      const answers = [...body.matchAll(/<answer fraction="([-\d.]+)"[^>]*><text>([\s\S]*?)<\/text><\/answer>/g)]
+        .map(([, fraction, text]) => ({ fraction: Number(fraction), text: unescapeXml(text) }));
+      const q = { question: field('questiontext'), explanation: field('generalfeedback') };
+      const options = answers.map(a => a.text);
+      const right = answers.map((a, i) => (a.fraction > 0 ? i : -1)).filter(i => i >= 0);
+      switch (type) {
+        case 'truefalse':
+          return { ...q, type: 'true_false', answer_index: answers[0].fraction === 100 ? 0 : 1 };
+        case 'shortanswer':
+          return { ...q, type: 'short', accepted_answers: options };
+        case 'ordering':
+          return { ...q, type: 'ordering', options, answer_order: options.map((_, i) => i) };
+        default:
+          return /<single>true/.test(body)
+            ? { ...q, type: 'single', options, answer_index: right[0] }
+            : { ...q, type: 'multi', options, answer_indices: right };
+      }
+    });
+}
+
+// One QTI assessmentItem back to a stored question
+function readQtiItem(xml) {
+  const choices = [...xml.matchAll(/<simpleChoice identifier="C\d+">([\s\S]*?)<\/simpleChoice>/g)].map(m => unescapeXml(m[1]));
+  const values = [...xml.match(/<correctResponse>([\s\S]*?)<\/correctResponse>/)[1].matchAll(/<value>([\s\S]*?)<\/value>/g)].map(m => m[1]);
+  const indices = values.map(v => Number(v.slice(1)));
+  const prompt = unescapeXml((xml.match(/<prompt>([\s\S]*?)<\/prompt>/) || xml.match(/<p>([\s\S]*?)<\/p>/))[1]);
+  if (xml.includes('<textEntryInteraction')) {
+    const accepted = [...xml.matchAll(/<mapEntry mapKey="([^"]*)"/g)].map(m => unescapeXml(m[1]));
+    return { type: 'short', question: prompt, accepted_answers: accepted };
+  }
+  if (xml.includes('<orderInteraction')) return { type: 'ordering', question: prompt, options: choices, answer_order: indices };
+  if (xml.includes('maxChoices="0"')) return { type: 'multi', question: prompt, options: choices, answer_indices: indices };
+  const type = xml.includes('shuffle="false"') ? 'true_false' : 'single';
+  return { type, question: prompt, options: choices, answer_index: indices[0] };
+}
+
+test('GIFT export imports back to the same questions', () => {
+  const { body } = exportQuiz(QUIZ, 'gift');
+  const { questions, skipped } = importQuestions(body, 'gift');
+  assert.deepStrictEqual(skipped, []);
+  assert.deepStrictEqual(questions.map(q => meaning(q)), QUIZ.questions.map(q => meaning(q)));
+});
+
+test('CSV export imports back to the same questions', () => {
+  const { body } = exportQuiz(QUIZ, 'csv');
+  const { questions, skipped } = importQuestions(body, 'csv');
+  assert.deepStrictEqual(skipped, []);
+  assert.deepStrictEqual(questions.map(q => meaning(q)), QUIZ.questions.map(q => meaning(q)));
+});
+
+test('Moodle XML export holds the same questions and answer key', () => {
+  const { body, filename } = exportQuiz(QUIZ, 'moodle_xml');
+  assert.strictEqual(filename, 'round-trip-escapes.moodle.xml');
+  assert.deepStrictEqual(readMoodleXml(body).map(q => meaning(q)), QUIZ.questions.map(q => meaning(q)));
+});
+
+test('QTI package lists every item and each holds its question and answer key', () => {
+  const files = unzip(exportQuiz(QUIZ, 'qti').body);
+  const items = QUIZ.questions.map((_, i) => `items/q${i + 1}.xml`);
+  assert.deepStrictEqual(Object.keys(files).sort(), ['imsmanifest.xml', ...items, 'test.xml'].sort());
+  items.forEach(name => assert.ok(files['imsmanifest.xml'].includes(`href="${name}"`) && files['test.xml'].includes(`href="${name}"`)));
+  // QTI items carry no explanation
+  const read = items.map(name => meaning(readQtiItem(files[name]), { explanation: false }));
+  assert.deepStrictEqual(read, QUIZ.questions.map(q => meaning(q, { explanation: false })));
+});
+
+test('the print sheet escapes quiz text and follows the quiz language', () => {
+  const sheet = exportQuiz(QUIZ, 'html').body;
+  assert.ok(sheet.includes('<html lang="en" dir="ltr">'));
+  assert.ok(sheet.includes('Round &quot;trip&quot; &amp; &lt;escapes&gt;'));
+  assert.ok(!/ on\w+=/.test(sheet));
+
+  const arabic = exportQuiz({ ...QUIZ, language: 'ar' }, 'html').body;
+  assert.ok(arabic.includes('<html lang="ar" dir="rtl">'));
+  const unknown = exportQuiz({ ...QUIZ, language: '"><script>' }, 'html').body;
+  assert.ok(unknown.includes('<html lang="en" dir="ltr">'));
+});
+
+test('unknown formats and unusable entries are reported', () => {
+  assert.throws(() => exportQuiz(QUIZ, 'docx'), { status: 400 });
+  assert.throws(() => importQuestions('x', 'qti'), { status: 400 });
+  const { questions, skipped } = importQuestions('Essay? {}\n\n::N:: 1 + 1 {#2}\n\nFine? {=yes ~no}', 'gift');
+  assert.strictEqual(questions.length, 1);
+  assert.deepStrictEqual(skipped.map(s => s.item), [1, 2]);
+});
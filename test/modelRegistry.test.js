@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createModelRegistry, parseModelList, registryOptions } = require('../lib/modelRegistry');
+
+const quiet = { info() {}, warn() {} };
+
+function upstream(status, message = `upstream ${status}`) {
+  return Object.assign(new Error(message), { upstreamStatus: status });
+}
+
+// Registry on a fake clock; `calls` records every model call and `sleeps` every backoff
+function registry(options = {}) {
+  const clock = { now: 0 };
+  const sleeps = [];
+  const calls = [];
+  const reg = createModelRegistry({
+    provider: 'test',
+    models: [{ name: 'a' }, { name: 'b' }],
+    log: quiet,
+    now: () => clock.now,
+    sleep: async ms => { sleeps.push(ms); },
+    ...options
+  });
+  // answers with `outcomes[name]` in turn: an Error is thrown, anything else returned
+  const run = outcomes => reg.run(async entry => {
+    calls.push(entry.name);
+    const next = outcomes[entry.name].shift();
+    if (next instanceof Error) throw next;
+    return next;
+  });
+  return { reg, run, clock, sleeps, calls, circuits: () => reg.state().models.map(m => m.circuit) };
+}
+
+test('model lists and retry settings are read from the environment', () => {
+  assert.deepStrictEqual(parseModelList('m1 timeout=30 max_tokens=800, m2, m1', ['x']), [
+    { name: 'm1', timeoutMs: 30000, maxTokens: 800 },
+    { name: 'm2' }
+  ]);
+  assert.deepStrictEqual(parseModelList('', ['x', '']), [{ name: 'x' }]);
+  assert.throws(() => parseModelList('m1 temperature=2'), /Invalid model setting/);
+
+  assert.deepStrictEqual(registryOptions({ MODEL_RETRIES: '0', MODEL_BREAKER: '5/30', MODEL_TIMEOUT_SECONDS: '2.5' }), {
+    timeoutMs: 2500, maxTokens: null, retries: 0, backoffMs: 500, breaker: { failures: 5, seconds: 30 }
+  });
+  assert.deepStrictEqual(registryOptions({ MODEL_BREAKER: 'often' }).breaker, { failures: 3, seconds: 60 });
+});
+
+test('transient errors are retried on the same model with growing backoff', async () => {
+  const { run, sleeps, calls, circuits } = registry({ retries: 2, backoffMs: 400 });
+  assert.strictEqual(await run({ a: [upstream(503), upstream(429), 'ok'] }), 'ok');
+  assert.deepStrictEqual(calls, ['a', 'a', 'a']);
+  assert.ok(sleeps[0] >= 200 && sleeps[0] <= 400, `first backoff ${sleeps[0]}`);
+  assert.ok(sleeps[1] >= 400 && sleeps[1] <= 800, `second backoff ${sleeps[1]}`);
+  assert.deepStrictEqual(circuits(), ['closed', 'closed']);
+});
+
+test('a model that keeps failing or does not exist hands over to the next one', async () => {
+  const { run, calls, circuits, reg } = registry({ retries: 1 });
+  assert.strictEqual(await run({ a: [upstream(500), upstream(500)], b: ['from b'] }), 'from b');
+  assert.deepStrictEqual(calls, ['a', 'a', 'b']);
+  assert.deepStrictEqual(circuits(), ['closed', 'closed']);
+  assert.strictEqual(reg.state().models[0].consecutive_failures, 1);
+
+  // an unknown model is skipped right away, without retries
+  calls.length = 0;
+  assert.strictEqual(await run({ a: [upstream(404)], b: ['from b'] }), 'from b');
+  assert.deepStrictEqual(calls, ['a', 'b']);
+  assert.deepStrictEqual(circuits(), ['open', 'closed']);
+});
+
+test('errors that are not about the model are passed on untouched', async () => {
+  const { run, calls, circuits } = registry();
+  const rejected = upstream(400, 'bad request');
+  await assert.rejects(run({ a: [rejected], b: ['unused'] }), err => err === rejected);
+  assert.deepStrictEqual(calls, ['a']);
+  assert.deepStrictEqual(circuits(), ['closed', 'closed']);
+});
+
+test('the circuit breaker skips a failing model, then lets one trial call through', async () => {
+  const { run, clock, calls, circuits } = registry({ retries: 0, breaker: { failures: 2, seconds: 60 } });
+  await run({ a: [upstream(503)], b: ['b1'] });
+  await run({ a: [upstream(503)], b: ['b2'] });
+  assert.deepStrictEqual(circuits(), ['open', 'closed']);
+
+  calls.length = 0;
+  assert.strictEqual(await run({ a: ['unused'], b: ['b3'] }), 'b3');
+  assert.deepStrictEqual(calls, ['b']);
+
+  // after the cool-down a failed trial reopens the circuit at once, a good one closes it
+  clock.now += 61 * 1000;
+  assert.deepStrictEqual(circuits(), ['half_open', 'closed']);
+  await run({ a: [upstream(503)], b: ['b4'] });
+  assert.deepStrictEqual(circuits(), ['open', 'closed']);
+  clock.now += 61 * 1000;
+  assert.strictEqual(await run({ a: ['a1'], b: [] }), 'a1');
+  assert.deepStrictEqual(circuits(), ['closed', 'closed']);
+});
+
+test('when every circuit is open the call fails fast with 503', async () => {
+  const { run, calls } = registry({ retries: 0 });
+  const first = await run({ a: [upstream(404)], b: [upstream(404)] }).catch(err => err);
+  assert.strictEqual(first.status, 502);
+  assert.deepStrictEqual(first.triedModels, ['a', 'b']);
+
+  calls.length = 0;
+  const second = await run({ a: [], b: [] }).catch(err => err);
+  assert.strictEqual(second.status, 503);
+  assert.deepStrictEqual(second.skippedModels, ['a', 'b']);
+  assert.deepStrictEqual(calls, []);
+});
+
+test('a call that outlives its timeout is aborted and retried', async () => {
+  const reg = createModelRegistry({
+    provider: 'test', models: [{ name: 'slow', timeoutMs: 20 }], retries: 1, log: quiet, sleep: async () => {}
+  });
+  const signals = [];
+  const err = await reg.run((entry, signal) => {
+    signals.push(signal);
+    return new Promise(() => {});
+  }).catch(e => e);
+  assert.strictEqual(err.status, 502);
+  assert.strictEqual(err.lastError.timedOut, true);
+  assert.strictEqual(signals.length, 2);
+  assert.ok(signals.every(s => s.aborted));
+});
+
+test('a stream falls back until a model sends its first chunk', async () => {
+  const { reg } = registry();
+  async function* chunks() {
+    yield 'one';
+    yield 'two';
+  }
+  const received = [];
+  for await (const chunk of reg.stream(async entry => {
+    if (entry.name === 'a') throw upstream(404);
+    return chunks();
+  })) received.push(chunk);
+  assert.deepStrictEqual(received, ['one', 'two']);
+  assert.deepStrictEqual(reg.state().models.map(m => m.circuit), ['open', 'closed']);
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createProvider, withCallTiming } = require('../lib/providers');
+
+test('LLM_PROVIDER selects the provider; unknown names are refused', () => {
+  assert.strictEqual(createProvider({ LLM_PROVIDER: ' Mock ' }).name, 'mock');
+  assert.throws(() => createProvider({ LLM_PROVIDER: 'nope' }), /Unknown LLM_PROVIDER "nope"/);
+});
+
+test('the mock provider answers the same topic with the same questions', async () => {
+  const provider = createProvider({ LLM_PROVIDER: 'mock' });
+  assert.strictEqual(provider.isConfigured(), true);
+  const first = await provider.generateText('prompt', { topic: 'Rivers', count: 3 });
+  const again = await provider.generateText('prompt', { topic: ' rivers ', count: 3 });
+  assert.strictEqual(first.model, 'mock');
+  assert.strictEqual(first.text, again.text);
+  assert.strictEqual(JSON.parse(first.text).questions.length, 3);
+});
+
+test('the mock provider skips questions the prompt asks to avoid', async () => {
+  const provider = createProvider({ LLM_PROVIDER: 'mock' });
+  const [avoided] = JSON.parse((await provider.generateText('', { topic: 'space', count: 1 })).text).questions;
+  const { questions } = JSON.parse((await provider.generateText(`Avoid: ${avoided.question}`, { topic: 'space', count: 5 })).text);
+  assert.ok(!questions.some(q => q.question === avoided.question));
+});
+
+test('streamed text adds up to the generated text', async () => {
+  const provider = createProvider({ LLM_PROVIDER: 'mock' });
+  let text = '';
+  for await (const chunk of provider.streamText('prompt', { topic: 'space', count: 2 })) text += chunk.text;
+  assert.strictEqual(text, (await provider.generateText('prompt', { topic: 'space', count: 2 })).text);
+});
+
+test('withCallTiming reports each call with its outcome', async () => {
+  const calls = [];
+  const failing = { name: 'broken', model: 'm', generateText: async () => { throw new Error('down'); } };
+  const provider = withCallTiming(failing, call => calls.push(call));
+  await assert.rejects(provider.generateText('prompt'), /down/);
+  assert.strictEqual(calls.length, 1);
+  assert.deepStrictEqual({ ...calls[0], seconds: 0 }, { mode: 'generate', model: 'm', outcome: 'error', seconds: 0 });
+});
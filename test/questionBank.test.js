@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { createSimilarityIndex, tokens } = require('../lib/similarity');
+const { createQuestionBank, topicKey } = require('../lib/questionBank');
+
+function single(question, options, answerIndex = 0) {
+  return { type: 'single', question, options, answer_index: answerIndex, difficulty: 'medium' };
+}
+
+const PLANETS = [
+  single('Which planet is the largest in the solar system?', ['Jupiter', 'Saturn', 'Earth', 'Mars']),
+  single('Which planet is closest to the Sun?', ['Mercury', 'Venus', 'Earth', 'Mars']),
+  single('How many moons does Mars have?', ['2', '0', '1', '4'])
+];
+const REWORDED = single('What is the largest planet of our solar system?', ['Saturn', 'Jupiter', 'Neptune', 'Uranus'], 1);
+const UNRELATED = single('Who painted the Mona Lisa?', ['Leonardo da Vinci', 'Michelangelo', 'Raphael', 'Titian']);
+
+async function tempDir(t) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'quiz-test-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test('question text is reduced to accent-free, singular content words', () => {
+  assert.deepStrictEqual(tokens('Which of the planets is Élan’s class?'), ['planet', 'elan', 'class']);
+  assert.deepStrictEqual(tokens('How many moons in 2024?'), ['many', 'moon', '2024']);
+});
+
+test('reworded repeats are caught while different facts pass', () => {
+  const index = createSimilarityIndex(PLANETS);
+  assert.strictEqual(index.findDuplicate(REWORDED), PLANETS[0]);
+  assert.strictEqual(index.findDuplicate({ ...PLANETS[1], options: ['Venus', 'Mercury'] }), PLANETS[1]);
+  assert.strictEqual(index.findDuplicate(UNRELATED), null);
+  // same wording, different correct answer: a different fact
+  assert.strictEqual(index.isDuplicate(single('Which planet has the most moons?', ['Saturn'])), false);
+  assert.ok(index.nearest(UNRELATED).score < 0.2);
+});
+
+test('the bank stores each fact once and serves a client only what it has not seen', async t => {
+  const bank = createQuestionBank({ dir: await tempDir(t), threshold: 0.6 });
+  assert.deepStrictEqual(await bank.add('Planets!', PLANETS, { clientId: 'client-a' }), { added: 3, total: 3 });
+  assert.deepStrictEqual(await bank.add('  planets ', [REWORDED]), { added: 0, total: 3 });
+
+  const options = { count: 5, types: ['single'], difficulty: 'medium' };
+  assert.deepStrictEqual(await bank.draw('planets', { ...options, clientId: 'client-a' }), []);
+  const drawn = await bank.draw('planets', { ...options, clientId: 'client-b', avoid: [REWORDED] });
+  assert.deepStrictEqual(drawn.map(d => d.question.question).sort(), [PLANETS[1].question, PLANETS[2].question].sort());
+  assert.deepStrictEqual(await bank.draw('planets', { ...options, clientId: 'client-b' }), [
+    { question: PLANETS[0], model: null }
+  ]);
+
+  // flagged questions are held back, and each language has its own bank
+  await bank.revise('planets', PLANETS[2].question, { flagged: true });
+  assert.strictEqual((await bank.draw('planets', { ...options, clientId: 'client-c' })).length, 2);
+  assert.deepStrictEqual(await bank.draw('planets', { ...options, language: 'de' }), []);
+  assert.strictEqual(topicKey('Planets', 'de'), 'de:planets');
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, newSession } = require('./support/server');
+
+test('quiz library', async t => {
+  const server = await startServer(t);
+
+  await t.test('a finished session is saved with exactly the questions it played', async () => {
+    const sessionId = await newSession(server, { count: 4 });
+    assert.strictEqual((await server.post(`/sessions/${sessionId}/finish`)).status, 200);
+    const saved = await server.post('/quizzes', { session_id: sessionId });
+    assert.strictEqual(saved.status, 201);
+    assert.strictEqual(saved.body.quiz.topic, 'chemistry');
+    assert.strictEqual(saved.body.quiz.count, 4);
+
+    const listed = await server.get('/quizzes');
+    assert.deepStrictEqual(listed.body.quizzes.map(q => q.id), [saved.body.quiz.id]);
+  });
+
+  await t.test('a saved quiz is served without its answer key and replays as a new session', async () => {
+    const [{ id }] = (await server.get('/quizzes')).body.quizzes;
+    const loaded = await server.get(`/quizzes/${id}`);
+    assert.strictEqual(loaded.body.quiz.questions.length, 4);
+    loaded.body.quiz.questions.forEach(q => assert.strictEqual(q.answer_index, undefined));
+
+    const played = await server.post(`/quizzes/${id}/play`);
+    assert.strictEqual(played.status, 200);
+    assert.strictEqual(played.body.questions.length, 4);
+  });
+
+  await t.test('a deleted quiz is gone', async () => {
+    const [{ id }] = (await server.get('/quizzes')).body.quizzes;
+    assert.strictEqual((await server.del(`/quizzes/${id}`)).status, 200);
+    assert.strictEqual((await server.get(`/quizzes/${id}`)).status, 404);
+    assert.strictEqual((await server.del(`/quizzes/${id}`)).status, 404);
+    assert.strictEqual((await server.get('/quizzes/not-an-id')).status, 400);
+  });
+});
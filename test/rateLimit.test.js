@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRateLimiter, createRateLimitStore, parseLimit, parseTrustProxy } = require('../lib/rateLimit');
+const { createMemoryStore } = require('../lib/rateLimit/memoryStore');
+
+const BUCKET = { capacity: 3, refillPerMs: 1 / 1000, cost: 1 };
+
+// Just enough of an Express response for the middleware
+function fakeResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    set(name, value) { this.headers[name] = value; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+}
+
+// Run the middleware once; resolves true when it let the request through
+async function run(middleware, req = {}) {
+  const res = fakeResponse();
+  let passed = false;
+  await middleware({ ip: '10.0.0.1', ...req }, res, () => { passed = true; });
+  return { passed, res };
+}
+
+test('a token bucket empties, then refills with time up to its capacity', async () => {
+  const store = createMemoryStore();
+  const take = (now, cost = 1) => store.take('k', { ...BUCKET, cost }, now);
+  assert.deepStrictEqual(await take(0, 2), { allowed: true, tokens: 1 });
+  assert.deepStrictEqual(await take(0, 2), { allowed: false, tokens: 1 });
+  assert.deepStrictEqual(await take(1000, 2), { allowed: true, tokens: 0 });
+  assert.deepStrictEqual(await take(60_000), { allowed: true, tokens: 2 });
+  assert.deepStrictEqual(await store.take('other', BUCKET, 60_000), { allowed: true, tokens: 2 });
+
+  // full buckets carry no state and are dropped
+  store.prune(60_500);
+  assert.strictEqual(store.size(), 2);
+  store.prune(61_000);
+  assert.strictEqual(store.size(), 0);
+});
+
+test('limits, proxy settings and stores are read from the environment', () => {
+  assert.deepStrictEqual(parseLimit('60/60'), { tokens: 60, windowMs: 60_000 });
+  assert.deepStrictEqual(parseLimit(' 5 / 10s '), { tokens: 5, windowMs: 10_000 });
+  assert.deepStrictEqual(parseLimit(undefined, '10/60'), { tokens: 10, windowMs: 60_000 });
+  assert.throws(() => parseLimit('0/60'), /Invalid rate limit/);
+  assert.throws(() => parseLimit('fast'), /Invalid rate limit/);
+
+  assert.strictEqual(parseTrustProxy(''), undefined);
+  assert.strictEqual(parseTrustProxy('TRUE'), true);
+  assert.strictEqual(parseTrustProxy('2'), 2);
+  assert.strictEqual(parseTrustProxy('loopback, 10.0.0.0/8'), 'loopback, 10.0.0.0/8');
+
+  assert.strictEqual(createRateLimitStore({}).name, 'memory');
+  assert.throws(() => createRateLimitStore({ RATE_LIMIT_STORE: 'redis' }), /requires REDIS_URL/);
+  assert.throws(() => createRateLimitStore({ RATE_LIMIT_STORE: 'disk' }), /Unknown RATE_LIMIT_STORE/);
+});
+
+test('the middleware weighs requests, answers 429 with a retry time and keeps clients apart', async () => {
+  const rejected = [];
+  const limiter = createRateLimiter({ store: createMemoryStore(), onReject: (name, req, weight) => rejected.push([name, weight]) });
+  const middleware = limiter.limit('generate', { tokens: 10, windowMs: 60_000, cost: req => req.body.count });
+
+  const first = await run(middleware, { body: { count: 8 } });
+  assert.strictEqual(first.passed, true);
+  assert.strictEqual(first.res.headers['RateLimit-Remaining'], '2');
+  assert.strictEqual(first.res.headers['RateLimit-Policy'], '10;w=60');
+
+  const second = await run(middleware, { body: { count: 5 } });
+  assert.strictEqual(second.passed, false);
+  assert.strictEqual(second.res.statusCode, 429);
+  assert.strictEqual(second.res.headers['Retry-After'], '18');
+  assert.strictEqual(second.res.body.retry_after, 18);
+  assert.deepStrictEqual(rejected, [['generate', 5]]);
+
+  // a cost above the bucket size is capped so the request can still succeed later
+  assert.strictEqual((await run(middleware, { ip: '10.0.0.2', body: { count: 50 } })).passed, true);
+});
+
+test('a failing store lets requests through', async () => {
+  const warnings = [];
+  const store = { name: 'broken', take: async () => { throw new Error('down'); } };
+  const middleware = createRateLimiter({ store }).limit('upload', parseLimit('1/60'));
+  const { passed } = await run(middleware, { log: { warn: msg => warnings.push(msg) } });
+  assert.strictEqual(passed, true);
+  assert.deepStrictEqual(warnings, ['rate limit store failed, allowing request']);
+});
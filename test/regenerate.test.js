@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { createQuizStore } = require('../lib/quizStore');
+const { startServer, newSession } = require('./support/server');
+
+const CLIENT = 'client-1234';
+
+test('concurrent rewrites of a saved quiz all land', async t => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'quiz-test-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const store = createQuizStore({ dir });
+  const { id } = await store.save({ topic: 'letters', questions: [] });
+  await Promise.all(Array.from({ length: 10 }, (_, n) => store.updateQuestions(id, questions => [...questions, { question: `Q${n}?` }])));
+  assert.strictEqual((await store.get(id)).count, 10);
+  await assert.rejects(store.updateQuestions('not-an-id', q => q), { status: 400 });
+});
+
+test('POST /sessions/:id/questions/:qid/regenerate', async t => {
+  const server = await startServer(t);
+
+  await t.test('replaces an unanswered question with one of the same type', async () => {
+    const sessionId = await newSession(server);
+    const regenerated = await server.post(`/sessions/${sessionId}/questions/1/regenerate`);
+    assert.strictEqual(regenerated.status, 200);
+    assert.strictEqual(regenerated.body.question.id, 1);
+    assert.strictEqual(regenerated.body.question.answer_index, undefined);
+
+    await server.post(`/sessions/${sessionId}/answers`, { question_id: 0, answer: 0 });
+    assert.strictEqual((await server.post(`/sessions/${sessionId}/questions/0/regenerate`)).status, 409);
+    assert.strictEqual((await server.post(`/sessions/${sessionId}/questions/9/regenerate`)).status, 400);
+  });
+
+  await t.test('leaves review sessions alone', async () => {
+    const sessionId = await newSession(server);
+    await server.post(`/sessions/${sessionId}/finish`);
+    await server.post('/review/cards', { client_id: CLIENT, session_id: sessionId });
+    const review = await server.post('/review/session', { client_id: CLIENT });
+    const refused = await server.post(`/sessions/${review.body.session_id}/questions/0/regenerate`);
+    assert.strictEqual(refused.status, 409);
+  });
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { createReviewDeck, schedule, reviewQuality } = require('../lib/reviewDeck');
+const { startServer, newSession } = require('./support/server');
+
+const CLIENT = 'client-1234';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2026, 0, 1);
+const MISSED = { question: { type: 'single', question: 'What is 2 + 2?', options: ['3', '4'], answer_index: 1 }, topic: 'math' };
+
+async function tempDir(t) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'quiz-test-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test('answers are graded by correctness, then by speed', () => {
+  assert.strictEqual(reviewQuality({ answered: false }, 1000), 0);
+  assert.strictEqual(reviewQuality({ answered: true, score: 0 }, 1000), 1);
+  assert.strictEqual(reviewQuality({ answered: true, score: 0.5 }, 1000), 2);
+  assert.strictEqual(reviewQuality({ answered: true, score: 1 }, 5000), 5);
+  assert.strictEqual(reviewQuality({ answered: true, score: 1 }, 20000), 4);
+  assert.strictEqual(reviewQuality({ answered: true, score: 1 }, 60000), 3);
+});
+
+test('SM-2 spaces correct answers out and restarts after a lapse', () => {
+  const fresh = { ease: 2.5, interval_days: 0, repetitions: 0, lapses: 0 };
+  const first = schedule(fresh, 5, NOW);
+  assert.deepStrictEqual([first.repetitions, first.interval_days, first.ease], [1, 1, 2.6]);
+  assert.strictEqual(first.due_at, new Date(NOW + DAY_MS).toISOString());
+  const second = schedule(first, 4, NOW);
+  assert.deepStrictEqual([second.repetitions, second.interval_days, second.ease], [2, 6, 2.6]);
+  const third = schedule(second, 3, NOW);
+  assert.deepStrictEqual([third.repetitions, third.interval_days, third.ease], [3, 16, 2.46]);
+
+  const lapsed = schedule(third, 1, NOW);
+  assert.deepStrictEqual([lapsed.repetitions, lapsed.interval_days, lapsed.ease, lapsed.lapses], [0, 1, 2.46, 1]);
+  assert.strictEqual(schedule({ ...fresh, ease: 1.3 }, 3, NOW).ease, 1.3);
+});
+
+test('review cards are kept per client and come due until they are graded', async t => {
+  const deck = createReviewDeck({ dir: await tempDir(t) });
+  assert.deepStrictEqual(await deck.add(CLIENT, [MISSED], NOW), { added: 1, relapsed: 0 });
+  assert.deepStrictEqual(await deck.add(CLIENT, [MISSED], NOW), { added: 0, relapsed: 1 });
+  assert.strictEqual((await deck.summary(CLIENT, NOW)).total, 1);
+  assert.strictEqual((await deck.summary('other-client', NOW)).total, 0);
+
+  const [card] = await deck.due(CLIENT, { now: NOW });
+  await deck.grade(CLIENT, card.id, 5, NOW);
+  assert.deepStrictEqual(await deck.due(CLIENT, { now: NOW }), []);
+  assert.strictEqual((await deck.due(CLIENT, { now: NOW + DAY_MS })).length, 1);
+});
+
+test('review cards without a valid client id are rejected and never written', async t => {
+  const dir = await tempDir(t);
+  const deck = createReviewDeck({ dir });
+  await assert.rejects(deck.summary(undefined), { status: 400, message: 'Missing client_id.' });
+  await assert.rejects(deck.due(null), { status: 400, message: 'Missing client_id.' });
+  assert.throws(() => deck.add(undefined, [MISSED]), { status: 400, message: 'Missing client_id.' });
+  assert.throws(() => deck.add('undefined?', [MISSED]), { status: 400, message: 'Invalid client_id.' });
+  assert.deepStrictEqual(await fs.readdir(dir), []);
+});
+
+test('review deck routes', async t => {
+  const server = await startServer(t);
+
+  await t.test('a finished session adds its missed questions once', async () => {
+    const sessionId = await newSession(server);
+    await server.post(`/sessions/${sessionId}/finish`);
+    const added = await server.post('/review/cards', { client_id: CLIENT, session_id: sessionId });
+    assert.deepStrictEqual([added.body.added, added.body.relapsed, added.body.due], [3, 0, 3]);
+    const again = await server.post('/review/cards', { client_id: CLIENT, session_id: sessionId });
+    assert.deepStrictEqual([again.body.added, again.body.relapsed, again.body.total], [0, 0, 3]);
+  });
+
+  await t.test('a review session grades its cards once and cannot be replayed', async () => {
+    const started = await server.post('/review/session', { client_id: CLIENT });
+    assert.strictEqual(started.body.questions.length, 3);
+    const answered = await server.post(`/sessions/${started.body.session_id}/answers`, { question_id: 0, answer: 0 });
+    assert.strictEqual(answered.body.review.interval_days, 1);
+    assert.strictEqual((await server.post(`/sessions/${started.body.session_id}/reset`)).status, 409);
+  });
+});
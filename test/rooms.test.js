@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRoomManager } = require('../lib/rooms');
+const { startServer, newSession } = require('./support/server');
+
+const QUESTIONS = [
+  { type: 'single', question: 'One?', options: ['A', 'B', 'C', 'D'], answer_index: 1, explanation: 'B it is.' },
+  { type: 'single', question: 'Two?', options: ['A', 'B', 'C', 'D'], answer_index: 3, explanation: '' }
+];
+
+// Stands in for a `ws` socket and keeps what the room sent it
+function fakeSocket() {
+  return {
+    readyState: 1,
+    messages: [],
+    send(text) { this.messages.push(JSON.parse(text)); },
+    last(type) { return this.messages.filter(m => m.type === type).pop(); }
+  };
+}
+
+test('a live room plays through questions, scores answers and ends with a leaderboard', () => {
+  const rooms = createRoomManager({ questionMs: 10_000 });
+  const room = rooms.create({ topic: 'letters', questions: QUESTIONS });
+  const host = fakeSocket();
+  const ann = fakeSocket();
+  const bo = fakeSocket();
+  const send = (socket, msg) => rooms.handleMessage(socket, JSON.stringify(msg));
+
+  send(host, { type: 'host', code: room.code, token: room.hostToken });
+  assert.strictEqual(host.last('joined').role, 'host');
+  send(ann, { type: 'join', code: room.code.toLowerCase(), name: 'Ann' });
+  send(bo, { type: 'join', code: room.code, name: 'ann' });
+  assert.strictEqual(bo.last('joined').name, 'ann 2');
+  assert.strictEqual(host.last('lobby').players.length, 2);
+
+  // players cannot drive the room
+  send(ann, { type: 'start' });
+  assert.strictEqual(ann.last('error').status, 400);
+
+  send(host, { type: 'start' });
+  const question = ann.last('question');
+  assert.strictEqual(question.index, 0);
+  assert.strictEqual(question.question.answer_index, undefined);
+
+  send(ann, { type: 'answer', answer: 1 });
+  assert.strictEqual(ann.last('answer_ack').index, 0);
+  assert.deepStrictEqual([host.last('answered').count, host.last('answered').expected], [1, 2]);
+  send(ann, { type: 'answer', answer: 0 });
+  assert.strictEqual(ann.last('error').status, 409);
+  assert.strictEqual(ann.last('reveal'), undefined);
+
+  // the last answer closes the question without waiting for the timer
+  send(bo, { type: 'answer', answer: 2 });
+  const reveal = ann.last('reveal');
+  assert.strictEqual(reveal.solution, 1);
+  assert.strictEqual(reveal.you.correct, true);
+  assert.ok(reveal.you.points > 500 && reveal.you.points <= 1000);
+  assert.strictEqual(bo.last('reveal').you.points, 0);
+  assert.deepStrictEqual(reveal.leaderboard.map(p => p.name), ['Ann', 'ann 2']);
+
+  send(host, { type: 'next' });
+  assert.strictEqual(bo.last('question').index, 1);
+  send(bo, { type: 'answer', answer: 3 });
+  send(host, { type: 'next' }); // Ann ran out of time
+  assert.strictEqual(ann.last('reveal').you.answered, false);
+
+  send(host, { type: 'next' });
+  const { leaderboard } = host.last('finished');
+  assert.deepStrictEqual(leaderboard.map(p => [p.name, p.correct]).sort(), [['Ann', 1], ['ann 2', 1]]);
+  assert.ok(leaderboard.every(p => p.score > 500));
+});
+
+test('only the host token controls a room, and joining closes once the game starts', () => {
+  const rooms = createRoomManager();
+  const room = rooms.create({ topic: 'letters', questions: QUESTIONS });
+  const intruder = fakeSocket();
+  rooms.handleMessage(intruder, JSON.stringify({ type: 'host', code: room.code, token: 'guess' }));
+  assert.strictEqual(intruder.last('error').status, 403);
+
+  const host = fakeSocket();
+  rooms.handleMessage(host, JSON.stringify({ type: 'host', code: room.code, token: room.hostToken }));
+  rooms.handleMessage(host, JSON.stringify({ type: 'start' }));
+  assert.strictEqual(host.last('error').status, 409);
+  rooms.handleMessage(fakeSocket(), JSON.stringify({ type: 'join', code: room.code, name: 'Ann' }));
+  rooms.handleMessage(host, JSON.stringify({ type: 'start' }));
+  const late = fakeSocket();
+  rooms.handleMessage(late, JSON.stringify({ type: 'join', code: room.code, name: 'Late' }));
+  assert.strictEqual(late.last('error').status, 409);
+});
+
+test('the number of live rooms is capped', () => {
+  const rooms = createRoomManager({ maxRooms: 2 });
+  rooms.create({ topic: 'a', questions: QUESTIONS });
+  rooms.create({ topic: 'b', questions: QUESTIONS });
+  assert.throws(() => rooms.create({ topic: 'c', questions: QUESTIONS }), { status: 503 });
+});
+
+test('POST /rooms', async t => {
+  const server = await startServer(t, { RATE_LIMIT_ROOMS: '3/60' });
+
+  await t.test('refuses sessions whose answer key the host must not see', async () => {
+    const sessionId = await newSession(server);
+    assert.strictEqual((await server.post('/rooms', { session_id: sessionId })).status, 409);
+
+    await server.post(`/sessions/${sessionId}/finish`);
+    const assigned = await server.post('/assignments', { session_id: sessionId, class_code: 'ABCD' });
+    const attempt = await server.post(`/assignments/${assigned.body.assignment.id}/start`, { name: 'Cy', code: 'ABCD' });
+    await server.post(`/sessions/${attempt.body.session_id}/finish`);
+    assert.strictEqual((await server.post('/rooms', { session_id: attempt.body.session_id })).status, 409);
+  });
+
+  await t.test('hosts a finished session, then runs into the rate limit', async () => {
+    const sessionId = await newSession(server);
+    await server.post(`/sessions/${sessionId}/finish`);
+    const hosted = await server.post('/rooms', { session_id: sessionId, seconds: 15 });
+    assert.strictEqual(hosted.status, 201);
+    assert.deepStrictEqual([hosted.body.total, hosted.body.seconds], [3, 15]);
+    assert.strictEqual((await server.get(`/rooms/${hosted.body.code}`)).body.state, 'lobby');
+    assert.strictEqual((await server.post('/rooms', { session_id: sessionId })).status, 429);
+  });
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createSessionStore } = require('../lib/sessions');
+const { validateQuestion } = require('../lib/questionTypes');
+const { startServer } = require('./support/server');
+
+const SCORING_FILE = path.join(__dirname, '..', 'lib', 'scoring.js');
+
+// public/offline.js as the page runs it: /scoring.js first, then offline.js, as classic scripts
+function loadOfflinePlayer() {
+  const context = vm.createContext({
+    document: { getElementById: () => null },
+    window: { addEventListener() {} },
+    navigator: {}
+  });
+  vm.runInContext(fs.readFileSync(SCORING_FILE, 'utf8'), context);
+  vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'public', 'offline.js'), 'utf8'), context);
+  return context;
+}
+
+const QUESTIONS = [
+  { type: 'single', question: 'Which?', options: ['A', 'B', 'C', 'D'], answer_index: 2 },
+  { type: 'true_false', question: 'True?', answer: false },
+  { type: 'multi', question: 'Which ones?', options: ['A', 'B', 'C', 'D', 'E'], answer_indices: [0, 2, 3] },
+  { type: 'short', question: 'Capital of Côte d’Ivoire?', accepted_answers: ['Yamoussoukro', 'The city of Yamoussoukro'] },
+  { type: 'ordering', question: 'Order these', options: ['one', 'two', 'three', 'four'] }
+].map(item => validateQuestion(item).question);
+
+const ANSWERS = [
+  undefined, null, 0, 1, 2, 3, 7, -1, 1.5, '2', true,
+  [], [0], [2, 0], [0, 2, 3], [0, 1, 2, 3], [3, 3, 0], [0, 9], [1, 4],
+  'yamoussoukro', '  THE Yamoussoukro! ', 'city of yamoussoukro', 'Yamoussoukró', '', '   ', 'Abidjan',
+  QUESTIONS[4].answer_order, [0, 1, 2, 3], [3, 2, 1, 0], [0, 0, 1, 2]
+];
+
+test('the offline player scores every answer exactly like the server', () => {
+  const offline = loadOfflinePlayer();
+  const sessions = createSessionStore({ secret: 'test' });
+  QUESTIONS.forEach((q, id) => {
+    ANSWERS.forEach(answer => {
+      const session = sessions.create(QUESTIONS);
+      const { answered_at, ...server } = sessions.answer(session.id, id, answer);
+      // objects from the vm have their own prototypes, so compare them as plain JSON
+      const local = JSON.parse(JSON.stringify(offline.scoreOfflineAnswer(q, id, answer)));
+      assert.deepStrictEqual(local, JSON.parse(JSON.stringify(server)), `${q.type} answered ${JSON.stringify(answer)}`);
+    });
+  });
+  assert.strictEqual(offline.scoreOfflineAnswer(QUESTIONS[3], 3, '  THE Yamoussoukro! ').correct, true);
+  assert.strictEqual(offline.scoreOfflineAnswer(QUESTIONS[2], 2, [0, 1, 2]).score, 1 / 3);
+});
+
+test('the server serves the scoring module the offline player runs', async t => {
+  const server = await startServer(t);
+  const resp = await fetch(`${server.url}/scoring.js`);
+  assert.strictEqual(resp.status, 200);
+  assert.match(resp.headers.get('content-type'), /javascript/);
+  assert.strictEqual(await resp.text(), fs.readFileSync(SCORING_FILE, 'utf8'));
+});
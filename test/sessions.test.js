@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSessionStore } = require('../lib/sessions');
+const { parseMode } = require('../lib/quizModes');
+
+function question(text, answerIndex = 0) {
+  return { type: 'single', question: text, options: ['A', 'B', 'C', 'D'], answer_index: answerIndex, explanation: '' };
+}
+
+function newSession(meta = {}) {
+  const sessions = createSessionStore({ secret: 'test' });
+  const session = sessions.create([question('One?'), question('Two?', 1), question('Three?', 2)], meta);
+  return { sessions, session };
+}
+
+test('the questions sent to the browser carry no answer key', () => {
+  const { sessions, session } = newSession();
+  const views = sessions.publicQuestions(session);
+  assert.strictEqual(views.length, 3);
+  views.forEach(view => assert.strictEqual(view.answer_index, undefined));
+});
+
+test('an answer is scored once; sending it again returns the first record', () => {
+  const { sessions, session } = newSession();
+  const first = sessions.answer(session.id, 0, 0);
+  assert.strictEqual(first.correct, true);
+  assert.strictEqual(first.already_answered, undefined);
+
+  const again = sessions.answer(session.id, 0, 3);
+  assert.strictEqual(again.already_answered, true);
+  assert.strictEqual(again.selected, 0);
+  assert.strictEqual(again.correct, true);
+});
+
+test('answers to unknown questions or finished sessions are rejected', () => {
+  const { sessions, session } = newSession();
+  assert.throws(() => sessions.answer(session.id, 7, 0), { status: 400 });
+  sessions.finish(session.id);
+  assert.throws(() => sessions.answer(session.id, 1, 0), { status: 409 });
+  assert.throws(() => sessions.get('no-such-session'), { status: 404 });
+});
+
+test('the result is computed from the recorded answers and signed', () => {
+  const { sessions, session } = newSession();
+  sessions.answer(session.id, 0, 0);
+  sessions.answer(session.id, 1, 0);
+  const { result, signature } = sessions.finish(session.id);
+  assert.deepStrictEqual([result.total, result.correct, result.wrong, result.unanswered], [3, 1, 2, 1]);
+  assert.strictEqual(sessions.verify(result, signature), true);
+  assert.strictEqual(sessions.verify({ ...result, correct: 3 }, signature), false);
+  assert.strictEqual(sessions.finish(session.id).signature, signature);
+});
+
+test('an unanswered question can be replaced', () => {
+  const { sessions, session } = newSession();
+  const view = sessions.replace(session.id, 1, question('New two?', 3));
+  assert.strictEqual(view.question, 'New two?');
+  assert.strictEqual(view.answer_index, undefined);
+  assert.strictEqual(sessions.answer(session.id, 1, 3).correct, true);
+});
+
+test('answered questions, finished sessions and unknown ids cannot be replaced', () => {
+  const { sessions, session } = newSession();
+  sessions.answer(session.id, 0, 2);
+  assert.throws(() => sessions.replace(session.id, 0, question('Easier?')), { status: 409 });
+  assert.strictEqual(session.questions[0].question, 'One?');
+  assert.throws(() => sessions.replace(session.id, 9, question('Nine?')), { status: 400 });
+  sessions.finish(session.id);
+  assert.throws(() => sessions.replace(session.id, 2, question('Later?')), { status: 409 });
+});
+
+test('quiz modes are validated and defaulted', () => {
+  assert.deepStrictEqual(parseMode(undefined), { name: 'timed', question_seconds: 30 });
+  assert.deepStrictEqual(parseMode('practice'), { name: 'practice' });
+  assert.deepStrictEqual(parseMode({ name: 'EXAM', time_limit_seconds: 120 }), { name: 'exam', time_limit_seconds: 120 });
+  assert.deepStrictEqual(parseMode({ name: 'sudden_death', question_seconds: 10 }), { name: 'sudden_death', question_seconds: 10 });
+  assert.strictEqual(parseMode('marathon'), null);
+  assert.strictEqual(parseMode({ name: 'timed', question_seconds: 2 }), null);
+  assert.strictEqual(parseMode({ name: 'exam', time_limit_seconds: 1.5 }), null);
+});
+
+test('sudden death stops at the first wrong answer', () => {
+  const { sessions, session } = newSession({ mode: { name: 'sudden_death', question_seconds: 10 } });
+  assert.strictEqual(sessions.answer(session.id, 0, 1).correct, false);
+  assert.throws(() => sessions.answer(session.id, 1, 1), { status: 409 });
+});
+
+test('exam answers are withheld until the end and refused after the time limit', () => {
+  const { sessions, session } = newSession({ mode: { name: 'exam', time_limit_seconds: 60 } });
+  const record = sessions.answer(session.id, 0, 0);
+  assert.strictEqual(record.withheld, true);
+  assert.strictEqual(record.correct, undefined);
+  assert.strictEqual(record.solution, undefined);
+  session.startedAt -= 70 * 1000;
+  assert.throws(() => sessions.answer(session.id, 1, 1), { status: 409, message: 'Time is up for this exam.' });
+  assert.strictEqual(sessions.finish(session.id).result.correct, 1);
+});
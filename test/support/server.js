@@ -0,0 +1,63 @@
+const { spawn } = require('child_process');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+// Runs server.js with the mock provider and an empty DATA_DIR until the test ends.
+// Resolves { url, request, get, post, del }; the request helpers answer { status, body }.
+async function startServer(t, env = {}) {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'quiz-test-'));
+  const child = spawn(process.execPath, [path.join(__dirname, '..', '..', 'server.js')], {
+    env: {
+      ...process.env,
+      LLM_PROVIDER: 'mock',
+      PORT: String(20000 + Math.floor(Math.random() * 20000)),
+      DATA_DIR: dataDir,
+      LOG_LEVEL: 'info',
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'inherit']
+  });
+  t.after(async () => {
+    child.kill();
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  const url = await new Promise((resolve, reject) => {
+    let out = '';
+    child.on('exit', code => reject(new Error(`server exited with code ${code}:\n${out}`)));
+    child.stdout.on('data', chunk => {
+      out += chunk;
+      const started = out.split('\n')
+        .map(line => { try { return JSON.parse(line); } catch { return null; } })
+        .find(entry => entry && entry.msg === 'server started');
+      if (started) resolve(started.url);
+    });
+  });
+
+  async function request(method, route, body) {
+    const resp = await fetch(`${url}${route}`, {
+      method,
+      headers: body === undefined ? {} : { 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: resp.status, body: await resp.json() };
+  }
+
+  return {
+    url,
+    request,
+    get: route => request('GET', route),
+    post: (route, body = {}) => request('POST', route, body),
+    del: route => request('DELETE', route)
+  };
+}
+
+// Generate a quiz on the mock provider and return its session id
+async function newSession(server, body = {}) {
+  const { status, body: data } = await server.post('/generate-quiz', { topic: 'chemistry', count: 3, ...body });
+  if (status !== 200) throw new Error(`generate-quiz answered ${status}: ${JSON.stringify(data)}`);
+  return data.session_id;
+}
+
+module.exports = { startServer, newSession };